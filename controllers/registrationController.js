@@ -1,6 +1,7 @@
 // controllers/registrationController.js
 const SeasonEvent = require('../models/SeasonEvent');
 const RegistrationFormConfig = require('../models/RegistrationFormConfig');
+const { syncSeasonEvent, syncQuietly } = require('../services/seasons');
 
 // Season Events
 exports.getSeasonEvents = async (req, res) => {
@@ -16,6 +17,7 @@ exports.createSeasonEvent = async (req, res) => {
   try {
     const event = new SeasonEvent(req.body);
     await event.save();
+    await syncQuietly(syncSeasonEvent, event);
     res.status(201).json(event);
   } catch (error) {
     res.status(400).json({ error: 'Failed to create season event' });
@@ -28,6 +30,7 @@ exports.updateSeasonEvent = async (req, res) => {
     const event = await SeasonEvent.findOneAndUpdate({ eventId }, req.body, {
       new: true,
     });
+    if (event) await syncQuietly(syncSeasonEvent, event);
     res.json(event);
   } catch (error) {
     res.status(400).json({ error: 'Failed to update season event' });
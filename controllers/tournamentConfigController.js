@@ -1,5 +1,6 @@
 // backend/controllers/tournamentConfigController.js
 const TournamentConfig = require('../models/TournamentConfig');
+const { syncTournamentConfig, syncQuietly } = require('../services/seasons');
 
 // Get all tournament configs
 exports.getTournamentConfigs = async (req, res) => {
@@ -59,6 +60,7 @@ exports.updateTournamentConfig = async (req, res) => {
       Object.assign(existingConfig, config);
       existingConfig.updatedAt = new Date();
       await existingConfig.save();
+      await syncQuietly(syncTournamentConfig, existingConfig);
       console.log('✅ Tournament config updated:', existingConfig);
       res.json(existingConfig);
     } else {
@@ -75,6 +77,7 @@ exports.updateTournamentConfig = async (req, res) => {
 
       const newConfig = new TournamentConfig(config);
       await newConfig.save();
+      await syncQuietly(syncTournamentConfig, newConfig);
       console.log('✅ Tournament config created:', newConfig);
       res.json(newConfig);
     }
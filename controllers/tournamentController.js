@@ -1,7 +1,30 @@
 // tournamentController.js
-const { Tournament, Match, Standing, Team, Parent } = require('../models');
+const {
+  Tournament,
+  Match,
+  Standing,
+  Team,
+  Parent,
+  MatchHistory,
+} = require('../models');
 const { validationResult } = require('express-validator');
 const mongoose = require('mongoose');
+const {
+  rankStandings,
+  tiebreakerChain,
+} = require('../utils/standingsTiebreakers');
+const { planSchedule } = require('../services/tournamentScheduler');
+const { publishMatches, publishStandings } = require('../services/liveScores');
+const {
+  snapshotMatch,
+  recordMatchChange,
+} = require('../services/matchHistory');
+const { seedTeams, separateClubs } = require('../services/tournamentSeeding');
+const {
+  renderBracketSvg,
+  renderBracketPdf,
+  renderSchedulePdf,
+} = require('../services/tournamentExport');
 
 // Export as regular functions (not class)
 exports.createTournament = async (req, res) => {
@@ -158,6 +181,16 @@ exports.updateTournament = async (req, res) => {
     Object.assign(tournament, updates);
     await tournament.save();
 
+    // Tiebreaker settings may have changed, so re-rank every group
+    if (req.body.settings) {
+      const groups = await Standing.distinct('group', {
+        tournament: tournament._id,
+      });
+      for (const group of groups) {
+        await updateGroupRanks(tournament._id, group);
+      }
+    }
+
     res.json({
       success: true,
       message: 'Tournament updated successfully',
@@ -373,6 +406,14 @@ exports.removeTeamFromTournament = async (req, res) => {
 
 exports.generateBrackets = async (req, res) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
     const { tournamentId } = req.params;
     const { format } = req.body;
 
@@ -401,11 +442,31 @@ exports.generateBrackets = async (req, res) => {
       });
     }
 
+    const bracketFormat = format || tournament.format;
+    const seeding = req.body.seeding || tournament.settings?.seeding;
+    if (seeding === 'historical' && bracketFormat !== 'single-elimination') {
+      return res.status(400).json({
+        success: false,
+        message:
+          'Historical seeding only applies to single-elimination brackets',
+      });
+    }
+
     let matches = [];
+    let historicalSeeding = null;
 
-    switch (format || tournament.format) {
+    switch (bracketFormat) {
       case 'single-elimination':
-        matches = await generateSingleEliminationBracket(tournament);
+        if (seeding === 'historical') {
+          historicalSeeding = await buildHistoricalSeeding(tournament);
+          matches = await generateSingleEliminationBracket(
+            tournament,
+            historicalSeeding.slots,
+            { advanceByes: true }
+          );
+        } else {
+          matches = await generateSingleEliminationBracket(tournament);
+        }
         break;
       case 'double-elimination':
         matches = await generateDoubleEliminationBracket(tournament);
@@ -416,10 +477,24 @@ exports.generateBrackets = async (req, res) => {
       case 'group-stage':
         matches = await generateGroupStage(tournament);
         break;
+      case 'pool-to-bracket':
+        matches = await generateGroupStage(
+          tournament,
+          null,
+          tournament.settings?.poolSize || 4
+        );
+        break;
+      case 'swiss':
+        matches = await generateSwissRound(tournament);
+        break;
       default:
         throw new Error('Invalid tournament format');
     }
 
+    // Multi-stage formats advance based on the stored format
+    if (format) {
+      tournament.format = format;
+    }
     tournament.status = 'open';
     tournament.updatedBy = req.user.id;
     await tournament.save();
@@ -429,6 +504,11 @@ exports.generateBrackets = async (req, res) => {
       message: 'Tournament brackets generated successfully',
       matches: matches.length,
       tournament,
+      ...(historicalSeeding && {
+        seeds: historicalSeeding.seeds,
+        clubSwaps: historicalSeeding.clubSwaps,
+        unresolvedClubConflicts: historicalSeeding.unresolvedClubConflicts,
+      }),
     });
   } catch (error) {
     console.error('Error generating brackets:', error);
@@ -440,18 +520,160 @@ exports.generateBrackets = async (req, res) => {
   }
 };
 
+/**
+ * Preview historical seeding: every registered team's rating and seed, the
+ * first-round pairings it produces, and any moves made to separate clubs
+ */
+exports.getSeeding = async (req, res) => {
+  try {
+    const { tournamentId } = req.params;
+
+    const tournament =
+      await Tournament.findById(tournamentId).populate('registeredTeams');
+    if (!tournament) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tournament not found',
+      });
+    }
+
+    if (tournament.registeredTeams.length < 2) {
+      return res.status(400).json({
+        success: false,
+        message: 'At least 2 registered teams are needed to seed a bracket',
+      });
+    }
+
+    const { slots, ...seeding } = await buildHistoricalSeeding(tournament);
+
+    res.json({
+      success: true,
+      seeding: tournament.settings?.seeding || 'registration',
+      overrides: tournament.seedOverrides,
+      ...seeding,
+    });
+  } catch (error) {
+    console.error('Error previewing seeding:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to preview seeding',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Replace the seeds pinned by an admin. Teams left out are seeded from
+ * their history around the pinned ones.
+ */
+exports.updateSeedOverrides = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const { tournamentId } = req.params;
+    const { overrides } = req.body;
+
+    const tournament = await Tournament.findById(tournamentId);
+    if (!tournament) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tournament not found',
+      });
+    }
+
+    if (tournament.status === 'ongoing' || tournament.status === 'completed') {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot change seeds of an ongoing or completed tournament',
+      });
+    }
+
+    const registered = tournament.registeredTeams.map((id) => id.toString());
+    const unregistered = overrides.filter(
+      (override) => !registered.includes(override.team)
+    );
+    if (unregistered.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Only registered teams can be seeded',
+        teams: unregistered.map((override) => override.team),
+      });
+    }
+
+    const outOfRange = overrides.filter(
+      (override) => override.seed > registered.length
+    );
+    if (outOfRange.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Seeds must be between 1 and ${registered.length}`,
+      });
+    }
+
+    const teams = new Set(overrides.map((override) => override.team));
+    const seeds = new Set(overrides.map((override) => override.seed));
+    if (teams.size !== overrides.length || seeds.size !== overrides.length) {
+      return res.status(400).json({
+        success: false,
+        message: 'Each team and each seed can only be pinned once',
+      });
+    }
+
+    tournament.seedOverrides = overrides.map(({ team, seed }) => ({
+      team,
+      seed,
+    }));
+    tournament.updatedBy = req.user.id;
+    await tournament.save();
+
+    res.json({
+      success: true,
+      message: 'Seed overrides updated',
+      overrides: tournament.seedOverrides,
+    });
+  } catch (error) {
+    console.error('Error updating seed overrides:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update seed overrides',
+      error: error.message,
+    });
+  }
+};
+
 // Helper function for single elimination bracket
-const generateSingleEliminationBracket = async (tournament, teams = null) => {
+// `teams` may contain nulls for pre-placed byes (see buildSeededBracketSlots).
+// options.startRound lets a knockout follow an earlier stage (e.g. pools),
+// options.advanceByes moves bye teams straight into their next match.
+const generateSingleEliminationBracket = async (
+  tournament,
+  teams = null,
+  options = {}
+) => {
+  const {
+    startRound = 1,
+    minTeams = tournament.minTeams,
+    advanceByes = false,
+  } = options;
   const bracketTeams = teams || tournament.registeredTeams;
-  const numTeams = bracketTeams.length;
+  const numTeams = bracketTeams.filter(Boolean).length;
 
-  if (numTeams < tournament.minTeams) {
+  if (numTeams < minTeams) {
     throw new Error(
-      `Minimum ${tournament.minTeams} teams required, only ${numTeams} available`
+      `Minimum ${minTeams} teams required, only ${numTeams} available`
     );
   }
 
-  const nextPowerOfTwo = Math.pow(2, Math.ceil(Math.log2(numTeams)));
+  const nextPowerOfTwo = Math.pow(
+    2,
+    Math.ceil(Math.log2(bracketTeams.length))
+  );
   const byes = nextPowerOfTwo - numTeams;
 
   console.log(
@@ -460,10 +682,11 @@ const generateSingleEliminationBracket = async (tournament, teams = null) => {
 
   const matches = [];
   let matchNumber = 1;
-  let round = 1;
+  let round = startRound;
 
   // Determine total number of rounds
   const totalRounds = Math.ceil(Math.log2(nextPowerOfTwo)) + (byes > 0 ? 0 : 0);
+  const finalRound = startRound + totalRounds - 1;
 
   console.log(`Total rounds: ${totalRounds}`);
 
@@ -475,8 +698,14 @@ const generateSingleEliminationBracket = async (tournament, teams = null) => {
     const team1Index = i * 2;
     const team2Index = i * 2 + 1;
 
-    const team1 = team1Index < numTeams ? bracketTeams[team1Index]._id : null;
-    const team2 = team2Index < numTeams ? bracketTeams[team2Index]._id : null;
+    const team1 =
+      team1Index < bracketTeams.length
+        ? bracketTeams[team1Index]?._id || null
+        : null;
+    const team2 =
+      team2Index < bracketTeams.length
+        ? bracketTeams[team2Index]?._id || null
+        : null;
 
     // Track used teams
     if (team1) usedTeams.add(team1.toString());
@@ -557,13 +786,27 @@ const generateSingleEliminationBracket = async (tournament, teams = null) => {
   // If there's only one match in the final round, it's the championship
   if (matches.length > 0) {
     const lastMatch = matches[matches.length - 1];
-    if (lastMatch.round === totalRounds) {
+    if (lastMatch.round === finalRound) {
       lastMatch.bracketType = 'final';
       await lastMatch.save();
       console.log(`Final match: Match ${lastMatch.matchNumber}`);
     }
   }
 
+  if (advanceByes) {
+    for (const [index, match] of firstRoundMatches.entries()) {
+      if (match.status !== 'bye' || !match.nextMatch) continue;
+
+      const advancingTeam = match.team1 || match.team2;
+      match.winner = advancingTeam;
+      await match.save();
+
+      const nextMatch = matches.find((m) => m._id.equals(match.nextMatch));
+      nextMatch[index % 2 === 0 ? 'team1' : 'team2'] = advancingTeam;
+      await nextMatch.save();
+    }
+  }
+
   console.log(`Total matches created: ${matches.length}`);
   return matches;
 };
@@ -602,10 +845,10 @@ const generateRoundRobinSchedule = async (tournament, teams = null) => {
 };
 
 // Helper function for group stage
-const generateGroupStage = async (tournament, teams = null) => {
+const generateGroupStage = async (tournament, teams = null, groupSize = 4) => {
   const bracketTeams = teams || tournament.registeredTeams;
   const numTeams = bracketTeams.length;
-  const groups = Math.ceil(numTeams / 4);
+  const groups = Math.ceil(numTeams / groupSize);
   const matches = [];
 
   console.log(
@@ -620,7 +863,10 @@ const generateGroupStage = async (tournament, teams = null) => {
 
   for (let g = 0; g < groups; g++) {
     const groupName = String.fromCharCode(65 + g);
-    const groupTeams = shuffledTeams.slice(g * 4, (g + 1) * 4);
+    const groupTeams = shuffledTeams.slice(
+      g * groupSize,
+      (g + 1) * groupSize
+    );
 
     console.log(`Group ${groupName}: ${groupTeams.length} teams`);
 
@@ -777,8 +1023,415 @@ const generateDoubleEliminationBracket = async (tournament, teams = null) => {
   return matches;
 };
 
+// Order seeded teams into bracket slots so seed 1 meets the lowest seed,
+// seed 2 the second lowest, and so on. Missing seeds become byes (null)
+// and therefore fall to the top seeds.
+const buildSeededBracketSlots = (seededTeams) => {
+  const size = Math.pow(
+    2,
+    Math.ceil(Math.log2(Math.max(seededTeams.length, 2)))
+  );
+
+  let order = [1];
+  while (order.length < size) {
+    const pairSum = order.length * 2 + 1;
+    order = order.flatMap((seed) => [seed, pairSum - seed]);
+  }
+
+  return order.map((seed) => seededTeams[seed - 1] || null);
+};
+
+const teamSummary = (team) => ({ _id: team._id, name: team.name });
+
+// Seed a single-elimination bracket from the registered teams' past results
+// and keep teams from the same club apart in round one. registeredTeams
+// must be populated.
+const buildHistoricalSeeding = async (tournament) => {
+  const seeds = await seedTeams(tournament, tournament.registeredTeams);
+  const { slots, swaps, unresolved } = separateClubs(
+    buildSeededBracketSlots(seeds)
+  );
+
+  const seedOf = (entry) =>
+    entry && {
+      seed: entry.seed,
+      team: { ...teamSummary(entry.team), club: entry.team.club },
+    };
+
+  const firstRound = [];
+  for (let i = 0; i < slots.length; i += 2) {
+    firstRound.push({
+      matchNumber: i / 2 + 1,
+      team1: seedOf(slots[i]),
+      team2: seedOf(slots[i + 1]),
+    });
+  }
+
+  return {
+    slots: slots.map((entry) => entry?.team || null),
+    seeds: seeds.map(({ team, ...entry }) => ({
+      ...entry,
+      team: { ...teamSummary(team), club: team.club },
+    })),
+    firstRound,
+    clubSwaps: swaps.map((swap) => ({
+      ...swap,
+      team: teamSummary(swap.team),
+      swappedWith: teamSummary(swap.swappedWith),
+    })),
+    unresolvedClubConflicts: unresolved.map((conflict) => ({
+      club: conflict.club,
+      teams: conflict.teams.map(teamSummary),
+    })),
+  };
+};
+
+const RESOLVED_MATCH_STATUSES = ['completed', 'walkover', 'cancelled', 'bye'];
+
+// Helper function for pool play -> single elimination
+// Seeds the knockout from final pool ranks (A1, B1, ..., A2, B2, ...) once
+// every pool match is resolved. Knockout rounds start after the pool round.
+const seedKnockoutFromPools = async (tournament) => {
+  const poolMatches = await Match.find({
+    tournament: tournament._id,
+    round: 1,
+    group: { $exists: true, $ne: null },
+  });
+
+  if (poolMatches.length === 0) {
+    throw new Error('No pool matches found for this tournament');
+  }
+
+  const pendingMatches = poolMatches.filter(
+    (m) => !RESOLVED_MATCH_STATUSES.includes(m.status)
+  );
+  if (pendingMatches.length > 0) {
+    return {
+      seeded: false,
+      reason: `${pendingMatches.length} pool matches still pending`,
+    };
+  }
+
+  const knockoutExists = await Match.exists({
+    tournament: tournament._id,
+    round: { $gt: 1 },
+  });
+  if (knockoutExists) {
+    return { seeded: false, reason: 'Knockout bracket already generated' };
+  }
+
+  const advancing = tournament.settings?.teamsAdvancingPerPool || 2;
+  const standings = await Standing.find({ tournament: tournament._id });
+  const poolNames = [...new Set(poolMatches.map((m) => m.group))].sort();
+
+  const seeds = [];
+  for (let rank = 1; rank <= advancing; rank++) {
+    poolNames.forEach((pool) => {
+      const standing = standings.find(
+        (st) => st.group === pool && st.rank === rank
+      );
+      if (standing) {
+        seeds.push({ _id: standing.team, pool, poolRank: rank });
+      }
+    });
+  }
+
+  if (seeds.length < 2) {
+    throw new Error('At least 2 teams must advance from pool play');
+  }
+
+  console.log(
+    `Seeding knockout from pools: ${seeds
+      .map((seed, i) => `${i + 1}. ${seed.pool}${seed.poolRank}`)
+      .join(', ')}`
+  );
+
+  const matches = await generateSingleEliminationBracket(
+    tournament,
+    buildSeededBracketSlots(seeds),
+    { startRound: 2, minTeams: 2, advanceByes: true }
+  );
+
+  return {
+    seeded: true,
+    matches,
+    seeds: seeds.map((seed, i) => ({
+      seed: i + 1,
+      team: seed._id,
+      pool: seed.pool,
+      poolRank: seed.poolRank,
+    })),
+  };
+};
+
+const SWISS_GROUP = 'Swiss';
+
+// Build each team's Swiss record (score, opponents faced, byes) from matches
+const getSwissRecords = (teamIds, matches) => {
+  const records = new Map(
+    teamIds.map((id) => [
+      id,
+      {
+        team: id,
+        score: 0,
+        wins: 0,
+        losses: 0,
+        draws: 0,
+        byes: 0,
+        pointsFor: 0,
+        pointsAgainst: 0,
+        opponents: new Set(),
+      },
+    ])
+  );
+
+  matches.forEach((match) => {
+    const team1 = match.team1?.toString();
+    const team2 = match.team2?.toString();
+
+    if (match.status === 'bye') {
+      const record = records.get(team1 || team2);
+      if (record) {
+        record.byes += 1;
+        record.wins += 1;
+        record.score += 1;
+      }
+      return;
+    }
+
+    const record1 = records.get(team1);
+    const record2 = records.get(team2);
+    if (!record1 || !record2 || match.status === 'cancelled') return;
+
+    // Any pairing counts as played so it is never repeated
+    record1.opponents.add(team2);
+    record2.opponents.add(team1);
+
+    if (match.status !== 'completed' && match.status !== 'walkover') return;
+
+    record1.pointsFor += match.team1Score || 0;
+    record1.pointsAgainst += match.team2Score || 0;
+    record2.pointsFor += match.team2Score || 0;
+    record2.pointsAgainst += match.team1Score || 0;
+
+    const winner = match.winner?.toString();
+    if (!winner) {
+      record1.draws += 1;
+      record2.draws += 1;
+      record1.score += 0.5;
+      record2.score += 0.5;
+    } else {
+      const [winRecord, lossRecord] =
+        winner === team1 ? [record1, record2] : [record2, record1];
+      winRecord.wins += 1;
+      winRecord.score += 1;
+      lossRecord.losses += 1;
+    }
+  });
+
+  return records;
+};
+
+// Pair ranked teams top-down, backtracking so no matchup is ever repeated
+const pairSwissTeams = (rankedIds, records) => {
+  if (rankedIds.length === 0) return [];
+
+  const [first, ...rest] = rankedIds;
+  for (let i = 0; i < rest.length; i++) {
+    const opponent = rest[i];
+    if (records.get(first).opponents.has(opponent)) continue;
+
+    const remainingPairs = pairSwissTeams(
+      rest.filter((_, j) => j !== i),
+      records
+    );
+    if (remainingPairs) {
+      return [[first, opponent], ...remainingPairs];
+    }
+  }
+
+  return null;
+};
+
+const getSwissState = async (tournament) => {
+  const teamIds = tournament.registeredTeams.map((t) =>
+    (t._id || t).toString()
+  );
+  const matches = await Match.find({
+    tournament: tournament._id,
+    group: SWISS_GROUP,
+  });
+  const currentRound = matches.reduce((max, m) => Math.max(max, m.round), 0);
+  const totalRounds =
+    tournament.settings?.swissRounds ||
+    Math.ceil(Math.log2(Math.max(teamIds.length, 2)));
+  const pendingMatches = matches.filter(
+    (m) => m.round === currentRound && !RESOLVED_MATCH_STATUSES.includes(m.status)
+  ).length;
+
+  return { teamIds, matches, currentRound, totalRounds, pendingMatches };
+};
+
+// Helper function for Swiss system: creates the next round of pairings.
+// Round 1 pairs the top half against the bottom half of the given order;
+// later rounds pair teams on equal records without repeating a matchup.
+const generateSwissRound = async (tournament, teams = null) => {
+  const state = await getSwissState(tournament);
+  const { matches: previousMatches, currentRound, totalRounds } = state;
+  const teamIds = teams
+    ? teams.map((t) => (t._id || t).toString())
+    : state.teamIds;
+
+  if (currentRound >= totalRounds) {
+    throw new Error(`All ${totalRounds} Swiss rounds have been generated`);
+  }
+  if (state.pendingMatches > 0) {
+    throw new Error(
+      `Round ${currentRound} still has ${state.pendingMatches} unfinished matches`
+    );
+  }
+
+  const records = getSwissRecords(teamIds, previousMatches);
+  const round = currentRound + 1;
+
+  let ranked;
+  if (currentRound === 0) {
+    const half = Math.ceil(teamIds.length / 2);
+    ranked = [];
+    for (let i = 0; i < half; i++) {
+      ranked.push(teamIds[i]);
+      if (teamIds[i + half]) ranked.push(teamIds[i + half]);
+    }
+  } else {
+    ranked = [...teamIds].sort((a, b) => {
+      const recordA = records.get(a);
+      const recordB = records.get(b);
+      if (recordB.score !== recordA.score) return recordB.score - recordA.score;
+      return (
+        recordB.pointsFor -
+        recordB.pointsAgainst -
+        (recordA.pointsFor - recordA.pointsAgainst)
+      );
+    });
+  }
+
+  // With an odd team count the lowest-ranked team without a bye sits out
+  let pairs = null;
+  let byeTeam = null;
+  if (ranked.length % 2 === 0) {
+    pairs = pairSwissTeams(ranked, records);
+  } else {
+    const byeCandidates = [...ranked]
+      .reverse()
+      .sort((a, b) => records.get(a).byes - records.get(b).byes);
+    for (const candidate of byeCandidates) {
+      pairs = pairSwissTeams(
+        ranked.filter((id) => id !== candidate),
+        records
+      );
+      if (pairs) {
+        byeTeam = candidate;
+        break;
+      }
+    }
+  }
+
+  if (!pairs) {
+    throw new Error(
+      `No Swiss pairing for round ${round} avoids a repeated matchup`
+    );
+  }
+
+  console.log(`Creating Swiss round ${round}: ${pairs.length} matches`);
+
+  const lastMatchNumber = previousMatches.reduce(
+    (max, m) => Math.max(max, m.matchNumber),
+    0
+  );
+  let matchNumber = lastMatchNumber + 1;
+  const matches = [];
+
+  for (const [team1, team2] of pairs) {
+    const match = new Match({
+      tournament: tournament._id,
+      round,
+      matchNumber: matchNumber++,
+      team1,
+      team2,
+      group: SWISS_GROUP,
+      status: 'scheduled',
+      bracketType: 'winners',
+    });
+
+    await match.save();
+    matches.push(match);
+  }
+
+  if (byeTeam) {
+    const match = new Match({
+      tournament: tournament._id,
+      round,
+      matchNumber: matchNumber++,
+      team1: byeTeam,
+      winner: byeTeam,
+      group: SWISS_GROUP,
+      status: 'bye',
+      bracketType: 'winners',
+    });
+
+    await match.save();
+    matches.push(match);
+    console.log(`Swiss round ${round}: bye for team ${byeTeam}`);
+  }
+
+  return matches;
+};
+
+// Moves multi-stage formats forward once the current stage has finished:
+// seeds the knockout when pools complete, pairs the next Swiss round when a
+// Swiss round completes. Returns null when nothing changed.
+const progressTournamentFormat = async (tournamentId) => {
+  try {
+    const tournament = await Tournament.findById(tournamentId);
+    if (!tournament) return null;
+
+    if (tournament.format === 'pool-to-bracket') {
+      const result = await seedKnockoutFromPools(tournament);
+      return result.seeded
+        ? { stage: 'knockout-seeded', matches: result.matches.length }
+        : null;
+    }
+
+    if (tournament.format === 'swiss') {
+      const { currentRound, totalRounds, pendingMatches } =
+        await getSwissState(tournament);
+      if (currentRound > 0 && currentRound < totalRounds && !pendingMatches) {
+        const matches = await generateSwissRound(tournament);
+        return {
+          stage: 'swiss-round-paired',
+          round: currentRound + 1,
+          matches: matches.length,
+        };
+      }
+    }
+
+    return null;
+  } catch (error) {
+    console.error('Error progressing tournament format:', error);
+    return null;
+  }
+};
+
+const SCOREKEEPER_FIELDS = ['team1Score', 'team2Score', 'status'];
+const SCOREKEEPER_STATUSES = ['scheduled', 'in-progress', 'completed'];
+
 exports.updateMatch = async (req, res) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
     const { matchId } = req.params;
     const { team1Score, team2Score, winner, status, notes, walkoverReason } =
       req.body;
@@ -794,6 +1447,8 @@ exports.updateMatch = async (req, res) => {
       });
     }
 
+    const before = snapshotMatch(match);
+
     if (match.status === 'completed' || match.status === 'cancelled') {
       return res.status(400).json({
         success: false,
@@ -801,49 +1456,76 @@ exports.updateMatch = async (req, res) => {
       });
     }
 
+    // Scorekeepers may only enter scores and move a match along
+    if (req.scorekeeper) {
+      const restricted = Object.keys(req.body).filter(
+        (field) => !SCOREKEEPER_FIELDS.includes(field)
+      );
+      if (restricted.length > 0) {
+        return res.status(403).json({
+          success: false,
+          message: `Scorekeepers cannot change: ${restricted.join(', ')}`,
+        });
+      }
+      if (status && !SCOREKEEPER_STATUSES.includes(status)) {
+        return res.status(403).json({
+          success: false,
+          message: `Scorekeepers can only set status to ${SCOREKEEPER_STATUSES.join(', ')}`,
+        });
+      }
+    }
+
     match.team1Score = team1Score !== undefined ? team1Score : match.team1Score;
     match.team2Score = team2Score !== undefined ? team2Score : match.team2Score;
     match.status = status || 'completed';
-    match.notes = notes;
-    match.walkoverReason = walkoverReason;
+    if (notes !== undefined) match.notes = notes;
+    if (walkoverReason !== undefined) match.walkoverReason = walkoverReason;
+    match.updatedBy = req.user._id;
+
+    // Live score updates leave the result open until the match finishes
+    const isFinished = ['completed', 'walkover'].includes(match.status);
 
-    if (!winner && team1Score !== undefined && team2Score !== undefined) {
-      if (team1Score > team2Score) {
+    if (isFinished && !winner) {
+      if (match.team1Score > match.team2Score) {
         match.winner = match.team1._id;
         match.loser = match.team2._id;
-      } else if (team2Score > team1Score) {
+      } else if (match.team2Score > match.team1Score) {
         match.winner = match.team2._id;
         match.loser = match.team1._id;
       }
-    } else if (winner) {
+    } else if (isFinished && winner) {
       match.winner = winner;
       match.loser =
-        winner === match.team1._id ? match.team2._id : match.team1._id;
+        winner === match.team1._id.toString()
+          ? match.team2._id
+          : match.team1._id;
     }
 
-    match.actualEndTime = new Date();
+    if (isFinished) {
+      match.actualEndTime = new Date();
+    } else if (match.status === 'in-progress' && !match.actualStartTime) {
+      match.actualStartTime = new Date();
+    }
     await match.save();
+    await recordMatchChange(match, before, { action: 'score-update', req });
 
     if (match.group) {
       await updateGroupStandings(match);
     }
 
-    if (match.nextMatch && match.winner) {
-      const nextMatch = await Match.findById(match.nextMatch);
-      if (nextMatch) {
-        if (!nextMatch.team1) {
-          nextMatch.team1 = match.winner;
-        } else if (!nextMatch.team2) {
-          nextMatch.team2 = match.winner;
-        }
-        await nextMatch.save();
-      }
-    }
+    await moveAdvancement(match, before.winner, match.winner, req);
+
+    const formatProgress = await progressTournamentFormat(
+      match.tournament._id
+    );
+
+    await publishMatches([match._id, match.nextMatch], 'updated');
 
     res.json({
       success: true,
       message: 'Match result updated successfully',
       match,
+      formatProgress,
     });
   } catch (error) {
     console.error('Error updating match:', error);
@@ -855,6 +1537,140 @@ exports.updateMatch = async (req, res) => {
   }
 };
 
+const FINISHED_STATUSES = ['completed', 'walkover'];
+
+// The next match, if it was already played by a team this match advanced.
+// Taking that team back out would silently invalidate its result.
+const findPlayedDownstream = async (match, teamId) => {
+  if (!match.nextMatch || !teamId) return null;
+
+  const nextMatch = await Match.findById(match.nextMatch).select(
+    'round matchNumber status team1 team2'
+  );
+  if (!nextMatch || !FINISHED_STATUSES.includes(nextMatch.status)) {
+    return null;
+  }
+
+  const hasTeam = [nextMatch.team1, nextMatch.team2].some(
+    (team) => team?.toString() === teamId.toString()
+  );
+  return hasTeam ? nextMatch : null;
+};
+
+const playedDownstreamResponse = (res, nextMatch) =>
+  res.status(409).json({
+    success: false,
+    message: `Match ${nextMatch.matchNumber} (round ${nextMatch.round}) has already been played with this winner. Reset or revert it first.`,
+    blockingMatchId: nextMatch._id,
+  });
+
+// Replace the team a match sent on to its next match: fromTeam (the previous
+// winner, if any) makes way for toTeam (the new winner, if any)
+const moveAdvancement = async (match, fromTeam, toTeam, req) => {
+  const from = fromTeam ? fromTeam.toString() : null;
+  const to = toTeam ? toTeam.toString() : null;
+  if (!match.nextMatch || from === to) return null;
+
+  const nextMatch = await Match.findById(match.nextMatch);
+  if (!nextMatch) return null;
+
+  const before = snapshotMatch(nextMatch);
+  const slot = ['team1', 'team2'].find(
+    (position) => from && nextMatch[position]?.toString() === from
+  );
+  const alreadyThere = ['team1', 'team2'].some(
+    (position) => to && nextMatch[position]?.toString() === to
+  );
+
+  if (slot) {
+    nextMatch[slot] = alreadyThere ? null : to;
+  } else if (to && !alreadyThere) {
+    if (!nextMatch.team1) {
+      nextMatch.team1 = to;
+    } else if (!nextMatch.team2) {
+      nextMatch.team2 = to;
+    }
+  }
+
+  if (nextMatch.status === 'bye' && nextMatch.team1 && nextMatch.team2) {
+    nextMatch.status = 'scheduled';
+  }
+  nextMatch.updatedBy = req?.user?._id;
+
+  await nextMatch.save();
+  await recordMatchChange(nextMatch, before, { action: 'advancement', req });
+  return nextMatch;
+};
+
+// Rebuild a group's standings from its completed matches
+const recalculateGroupStandings = async (tournamentId, group) => {
+  const tournament = await Tournament.findById(tournamentId);
+  if (!tournament) return;
+
+  const [standings, matches] = await Promise.all([
+    Standing.find({ tournament: tournamentId, group }),
+    Match.find({ tournament: tournamentId, group, status: 'completed' }),
+  ]);
+
+  const byTeam = new Map();
+  standings.forEach((standing) => {
+    Object.assign(standing, {
+      played: 0,
+      wins: 0,
+      losses: 0,
+      draws: 0,
+      pointsFor: 0,
+      pointsAgainst: 0,
+      pointsDifference: 0,
+      points: 0,
+    });
+    byTeam.set(standing.team.toString(), standing);
+  });
+
+  const standingFor = (teamId) => {
+    const key = teamId.toString();
+    if (!byTeam.has(key)) {
+      byTeam.set(
+        key,
+        new Standing({ tournament: tournamentId, team: teamId, group })
+      );
+    }
+    return byTeam.get(key);
+  };
+
+  const applyResult = (teamId, scored, allowed) => {
+    const standing = standingFor(teamId);
+    standing.played += 1;
+    standing.pointsFor += scored;
+    standing.pointsAgainst += allowed;
+    standing.pointsDifference = standing.pointsFor - standing.pointsAgainst;
+
+    if (scored === allowed) {
+      standing.draws += 1;
+      standing.points += tournament.settings.pointsPerDraw;
+    } else if (scored > allowed) {
+      standing.wins += 1;
+      standing.points += tournament.settings.pointsPerWin;
+    } else {
+      standing.losses += 1;
+      standing.points += tournament.settings.pointsPerLoss;
+    }
+  };
+
+  matches
+    .filter((match) => match.team1 && match.team2)
+    .forEach((match) => {
+      applyResult(match.team1, match.team1Score, match.team2Score);
+      applyResult(match.team2, match.team2Score, match.team1Score);
+    });
+
+  for (const standing of byTeam.values()) {
+    await standing.save();
+  }
+
+  await updateGroupRanks(tournamentId, group);
+};
+
 // Helper function for standings
 const updateGroupStandings = async (match) => {
   if (!match.tournament || !match.group || match.status !== 'completed') {
@@ -905,42 +1721,243 @@ const updateGroupStandings = async (match) => {
       standing.points += tournament.settings.pointsPerLoss;
     }
 
-    standing.pointsFor += pointsFor;
-    standing.pointsAgainst += pointsAgainst;
-    await standing.save();
-  };
+    standing.pointsFor += pointsFor;
+    standing.pointsAgainst += pointsAgainst;
+    standing.pointsDifference = standing.pointsFor - standing.pointsAgainst;
+    await standing.save();
+  };
+
+  const isDraw = match.team1Score === match.team2Score;
+  const team1Wins = match.team1Score > match.team2Score;
+  const team2Wins = match.team2Score > match.team1Score;
+
+  await updateStanding(
+    match.team1._id,
+    team1Wins,
+    isDraw,
+    match.team1Score,
+    match.team2Score
+  );
+  await updateStanding(
+    match.team2._id,
+    team2Wins,
+    isDraw,
+    match.team2Score,
+    match.team1Score
+  );
+
+  await updateGroupRanks(tournament._id, match.group);
+};
+
+const updateGroupRanks = async (tournamentId, group) => {
+  const tournament = await Tournament.findById(tournamentId).select('settings');
+  const standings = await Standing.find({
+    tournament: tournamentId,
+    group: group,
+  });
+  const matches = await Match.find({
+    tournament: tournamentId,
+    group: group,
+    status: 'completed',
+  })
+    .select('team1 team2 team1Score team2Score')
+    .lean();
+
+  const ranked = rankStandings(
+    standings,
+    matches,
+    tournament?.settings,
+    tournamentId.toString()
+  );
+
+  for (let i = 0; i < ranked.length; i++) {
+    const { standing, tiebreaker } = ranked[i];
+    standing.rank = i + 1;
+    standing.tiebreaker = tiebreaker || undefined;
+    await standing.save();
+  }
+
+  await publishStandings(tournamentId, group);
+};
+
+exports.getScorekeepers = async (req, res) => {
+  try {
+    const tournament = await Tournament.findById(
+      req.params.tournamentId
+    ).populate('scorekeepers.parent', 'fullName email');
+
+    if (!tournament) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tournament not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      scorekeepers: tournament.scorekeepers,
+    });
+  } catch (error) {
+    console.error('Error fetching scorekeepers:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch scorekeepers',
+      error: error.message,
+    });
+  }
+};
+
+exports.assignScorekeeper = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { tournamentId, parentId } = req.params;
+    const courts = [...new Set(req.body.courts.map((c) => c.trim()))];
+
+    const [tournament, parent] = await Promise.all([
+      Tournament.findById(tournamentId),
+      Parent.findById(parentId).select('fullName email'),
+    ]);
+
+    if (!tournament) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tournament not found',
+      });
+    }
+
+    if (!parent) {
+      return res.status(404).json({
+        success: false,
+        message: 'Parent account not found',
+      });
+    }
+
+    const existing = tournament.scorekeepers.find(
+      (s) => s.parent?.toString() === parentId
+    );
+
+    if (existing) {
+      existing.courts = courts;
+      existing.assignedBy = req.user._id;
+      existing.assignedAt = new Date();
+    } else {
+      tournament.scorekeepers.push({
+        parent: parentId,
+        courts,
+        assignedBy: req.user._id,
+      });
+    }
+
+    tournament.updatedBy = req.user.id;
+    await tournament.save();
+
+    res.json({
+      success: true,
+      message: `${parent.fullName} can now score matches on ${courts.join(', ')}`,
+      scorekeepers: tournament.scorekeepers,
+    });
+  } catch (error) {
+    console.error('Error assigning scorekeeper:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to assign scorekeeper',
+      error: error.message,
+    });
+  }
+};
+
+exports.removeScorekeeper = async (req, res) => {
+  try {
+    const { tournamentId, parentId } = req.params;
+
+    const tournament = await Tournament.findById(tournamentId);
+    if (!tournament) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tournament not found',
+      });
+    }
+
+    const before = tournament.scorekeepers.length;
+    tournament.scorekeepers = tournament.scorekeepers.filter(
+      (s) => s.parent?.toString() !== parentId
+    );
 
-  const isDraw = match.team1Score === match.team2Score;
-  const team1Wins = match.team1Score > match.team2Score;
-  const team2Wins = match.team2Score > match.team1Score;
+    if (tournament.scorekeepers.length === before) {
+      return res.status(404).json({
+        success: false,
+        message: 'Scorekeeper not assigned to this tournament',
+      });
+    }
 
-  await updateStanding(
-    match.team1._id,
-    team1Wins,
-    isDraw,
-    match.team1Score,
-    match.team2Score
-  );
-  await updateStanding(
-    match.team2._id,
-    team2Wins,
-    isDraw,
-    match.team2Score,
-    match.team1Score
-  );
+    tournament.updatedBy = req.user.id;
+    await tournament.save();
 
-  await updateGroupRanks(tournament._id, match.group);
+    res.json({
+      success: true,
+      message: 'Scorekeeper removed',
+      scorekeepers: tournament.scorekeepers,
+    });
+  } catch (error) {
+    console.error('Error removing scorekeeper:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to remove scorekeeper',
+      error: error.message,
+    });
+  }
 };
 
-const updateGroupRanks = async (tournamentId, group) => {
-  const standings = await Standing.find({
-    tournament: tournamentId,
-    group: group,
-  }).sort({ points: -1, pointsDifference: -1, pointsFor: -1 });
+// Tournaments, courts and matches the signed-in scorekeeper may score
+exports.getMyScorekeeperAssignments = async (req, res) => {
+  try {
+    const tournaments = await Tournament.find({
+      'scorekeepers.parent': req.user._id,
+      status: { $ne: 'completed' },
+    }).select('name startDate endDate status scorekeepers');
+
+    const assignments = await Promise.all(
+      tournaments.map(async (tournament) => {
+        const { courts } = tournament.scorekeepers.find(
+          (s) => s.parent?.toString() === req.user._id.toString()
+        );
+        const matches = await Match.find({
+          tournament: tournament._id,
+          court: { $in: courts },
+          status: { $in: ['scheduled', 'in-progress'] },
+        })
+          .populate('team1 team2', 'name')
+          .sort({ scheduledTime: 1 });
+
+        return {
+          tournament: {
+            _id: tournament._id,
+            name: tournament.name,
+            startDate: tournament.startDate,
+            endDate: tournament.endDate,
+            status: tournament.status,
+          },
+          courts,
+          matches,
+        };
+      })
+    );
 
-  for (let i = 0; i < standings.length; i++) {
-    standings[i].rank = i + 1;
-    await standings[i].save();
+    res.json({
+      success: true,
+      assignments,
+    });
+  } catch (error) {
+    console.error('Error fetching scorekeeper assignments:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch scorekeeper assignments',
+      error: error.message,
+    });
   }
 };
 
@@ -1056,11 +2073,14 @@ exports.getStandings = async (req, res) => {
 
     const standings = await Standing.find({ tournament: tournamentId })
       .populate('team', 'name grade levelOfCompetition')
-      .sort({ group: 1, points: -1, pointsDifference: -1, pointsFor: -1 });
+      .populate('tiebreaker.tiedWith', 'name')
+      .sort({ group: 1, rank: 1 });
 
     res.json({
       success: true,
       standings,
+      tiebreakers: tiebreakerChain(tournament.settings),
+      pointDifferentialCap: tournament.settings?.pointDifferentialCap || null,
     });
   } catch (error) {
     console.error('Error fetching standings:', error);
@@ -1106,6 +2126,131 @@ exports.getSchedule = async (req, res) => {
   }
 };
 
+const BRACKET_FORMATS = [
+  'single-elimination',
+  'double-elimination',
+  'pool-to-bracket',
+];
+
+const exportFileName = (tournament, suffix, extension) =>
+  `${tournament.name.replace(/[^a-z0-9]+/gi, '-').toLowerCase()}-` +
+  `${suffix}.${extension}`;
+
+exports.exportBracket = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const { tournamentId } = req.params;
+    const { format = 'pdf', paper = 'letter' } = req.query;
+
+    const tournament = await Tournament.findById(tournamentId);
+    if (!tournament) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tournament not found',
+      });
+    }
+
+    if (!BRACKET_FORMATS.includes(tournament.format)) {
+      return res.status(400).json({
+        success: false,
+        message: `Tournaments in ${tournament.format} format have no bracket`,
+      });
+    }
+
+    // Pool matches are played in groups; only knockout matches are drawn
+    const matches = await Match.find({
+      tournament: tournamentId,
+      group: { $in: [null, ''] },
+    })
+      .populate('team1 team2 winner', 'name')
+      .sort({ round: 1, matchNumber: 1 })
+      .lean();
+
+    if (matches.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'No bracket has been generated for this tournament',
+      });
+    }
+
+    if (format === 'svg') {
+      res.type('image/svg+xml');
+      res.attachment(exportFileName(tournament, 'bracket', 'svg'));
+      return res.send(renderBracketSvg(tournament, matches));
+    }
+
+    const pdf = await renderBracketPdf(tournament, matches, { paper });
+    res.type('application/pdf');
+    res.attachment(exportFileName(tournament, 'bracket', 'pdf'));
+    res.send(pdf);
+  } catch (error) {
+    console.error('Error exporting bracket:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to export bracket',
+      error: error.message,
+    });
+  }
+};
+
+exports.exportSchedule = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const { tournamentId } = req.params;
+    const { date, court, status } = req.query;
+
+    const tournament = await Tournament.findById(tournamentId);
+    if (!tournament) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tournament not found',
+      });
+    }
+
+    const filter = { tournament: tournamentId };
+    if (date) {
+      const startDate = new Date(date);
+      startDate.setHours(0, 0, 0, 0);
+      const endDate = new Date(date);
+      endDate.setHours(23, 59, 59, 999);
+      filter.scheduledTime = { $gte: startDate, $lte: endDate };
+    }
+    if (court) filter.court = court;
+    if (status) filter.status = status;
+
+    const matches = await Match.find(filter)
+      .populate('team1 team2', 'name')
+      .sort({ scheduledTime: 1, court: 1 })
+      .lean();
+
+    const pdf = await renderSchedulePdf(tournament, matches);
+    res.type('application/pdf');
+    res.attachment(exportFileName(tournament, 'schedule', 'pdf'));
+    res.send(pdf);
+  } catch (error) {
+    console.error('Error exporting schedule:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to export schedule',
+      error: error.message,
+    });
+  }
+};
+
 exports.getEligibleTeams = async (req, res) => {
   try {
     const { tournamentId } = req.params;
@@ -1494,6 +2639,8 @@ exports.updateMatchTeams = async (req, res) => {
       });
     }
 
+    const before = snapshotMatch(match);
+
     if (team1 && !tournament.registeredTeams.includes(team1)) {
       return res.status(400).json({
         success: false,
@@ -1524,8 +2671,10 @@ exports.updateMatchTeams = async (req, res) => {
     } else {
       match.status = 'scheduled';
     }
+    match.updatedBy = req.user._id;
 
     await match.save();
+    await recordMatchChange(match, before, { action: 'teams-updated', req });
 
     res.json({
       success: true,
@@ -2093,43 +3242,160 @@ exports.completeRound = async (req, res) => {
       });
     }
 
-    // Get all winning teams
-    const winningTeams = matches
-      .filter((match) => match.winner)
-      .map((match) => match.winner._id);
-
-    // Count bye matches
-    const byeMatches = matches.filter((match) => match.status === 'bye').length;
+    // Get all winning teams
+    const winningTeams = matches
+      .filter((match) => match.winner)
+      .map((match) => match.winner._id);
+
+    // Count bye matches
+    const byeMatches = matches.filter((match) => match.status === 'bye').length;
+
+    res.json({
+      success: true,
+      message: `Round ${round} is ready for advancement`,
+      round: parseInt(round),
+      totalMatches: matches.length,
+      completedMatches: matches.length - incompleteMatches.length,
+      incompleteMatches: incompleteMatches.length,
+      winningTeamsCount: winningTeams.length,
+      byeMatches,
+      canAdvance: winningTeams.length >= 2,
+    });
+  } catch (error) {
+    console.error('❌ Error completing round:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to complete round',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Reset match to allow re-declaring winner
+ */
+exports.resetMatch = async (req, res) => {
+  try {
+    const { matchId } = req.params;
+
+    console.log(`🔄 Resetting match ${matchId}`);
+
+    const match = await Match.findById(matchId).populate('tournament');
+    if (!match) {
+      return res.status(404).json({
+        success: false,
+        message: 'Match not found',
+      });
+    }
+
+    // Check if tournament allows resetting
+    const tournament = await Tournament.findById(match.tournament);
+    if (tournament.status === 'completed') {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot reset matches in completed tournament',
+      });
+    }
+
+    const before = snapshotMatch(match);
+
+    const playedDownstream = await findPlayedDownstream(match, match.winner);
+    if (playedDownstream) {
+      return playedDownstreamResponse(res, playedDownstream);
+    }
+
+    // Reset match data
+    match.winner = null;
+    match.loser = null;
+    match.team1Score = 0;
+    match.team2Score = 0;
+    match.status = match.team1 && match.team2 ? 'scheduled' : 'bye';
+    match.walkoverReason = undefined;
+    match.actualEndTime = undefined;
+    match.updatedBy = req.user._id;
+
+    await match.save();
+    await recordMatchChange(match, before, { action: 'reset', req });
+
+    // Take the old winner back out of the next match
+    await moveAdvancement(match, before.winner, null, req);
+
+    // If this was a group stage match, rebuild standings without it
+    if (match.group) {
+      await recalculateGroupStandings(match.tournament._id, match.group);
+    }
+
+    await publishMatches([match._id, match.nextMatch], 'reset');
+
+    console.log(`✅ Match ${matchId} reset successfully`);
+
+    res.json({
+      success: true,
+      message: 'Match reset successfully',
+      match: await Match.findById(matchId).populate(
+        'team1 team2 winner loser tournament'
+      ),
+    });
+  } catch (error) {
+    console.error('❌ Error resetting match:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to reset match',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Every recorded version of a match, oldest first
+ */
+exports.getMatchHistory = async (req, res) => {
+  try {
+    const { matchId } = req.params;
+
+    const match = await Match.findById(matchId).select('_id');
+    if (!match) {
+      return res.status(404).json({
+        success: false,
+        message: 'Match not found',
+      });
+    }
+
+    const history = await MatchHistory.find({ match: matchId })
+      .populate('actor', 'fullName email')
+      .sort({ version: 1 });
 
     res.json({
       success: true,
-      message: `Round ${round} is ready for advancement`,
-      round: parseInt(round),
-      totalMatches: matches.length,
-      completedMatches: matches.length - incompleteMatches.length,
-      incompleteMatches: incompleteMatches.length,
-      winningTeamsCount: winningTeams.length,
-      byeMatches,
-      canAdvance: winningTeams.length >= 2,
+      history,
+      currentVersion: history.length
+        ? history[history.length - 1].version
+        : null,
     });
   } catch (error) {
-    console.error('❌ Error completing round:', error);
+    console.error('Error fetching match history:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to complete round',
+      message: 'Failed to fetch match history',
       error: error.message,
     });
   }
 };
 
 /**
- * Reset match to allow re-declaring winner
+ * Restore a match to an earlier version from its history. Bracket
+ * advancement and group standings are rebuilt to match the restored result;
+ * the revert itself is appended to the history as a new version.
  */
-exports.resetMatch = async (req, res) => {
+exports.revertMatch = async (req, res) => {
   try {
-    const { matchId } = req.params;
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
 
-    console.log(`🔄 Resetting match ${matchId}`);
+    const { matchId } = req.params;
+    const version = parseInt(req.body.version);
 
     const match = await Match.findById(matchId).populate('tournament');
     if (!match) {
@@ -2139,63 +3405,75 @@ exports.resetMatch = async (req, res) => {
       });
     }
 
-    // Check if tournament allows resetting
-    const tournament = await Tournament.findById(match.tournament);
-    if (tournament.status === 'completed') {
+    if (match.tournament.status === 'completed') {
       return res.status(400).json({
         success: false,
-        message: 'Cannot reset matches in completed tournament',
+        message: 'Cannot revert matches in completed tournament',
       });
     }
 
-    // Reset match data
-    match.winner = null;
-    match.loser = null;
-    match.team1Score = 0;
-    match.team2Score = 0;
-    match.status = match.team1 && match.team2 ? 'scheduled' : 'bye';
-    match.walkoverReason = undefined;
-    match.actualEndTime = undefined;
-
-    await match.save();
+    const target = await MatchHistory.findOne({ match: matchId, version });
+    if (!target) {
+      return res.status(404).json({
+        success: false,
+        message: `Version ${version} not found for this match`,
+      });
+    }
 
-    // If this match had a nextMatch assigned, clear the team from that match
-    if (match.nextMatch) {
-      const nextMatch = await Match.findById(match.nextMatch);
-      if (nextMatch) {
-        // Remove this team from the next match
-        if (nextMatch.team1?.toString() === match._id.toString()) {
-          nextMatch.team1 = null;
-        } else if (nextMatch.team2?.toString() === match._id.toString()) {
-          nextMatch.team2 = null;
-        }
+    const before = snapshotMatch(match);
+    const restored = snapshotMatch(target.snapshot);
 
-        // Update next match status
-        nextMatch.status =
-          nextMatch.team1 && nextMatch.team2 ? 'scheduled' : 'bye';
-        await nextMatch.save();
+    if (before.winner && before.winner !== restored.winner) {
+      const playedDownstream = await findPlayedDownstream(
+        match,
+        before.winner
+      );
+      if (playedDownstream) {
+        return playedDownstreamResponse(res, playedDownstream);
       }
     }
 
-    // If this was a group stage match, update standings
+    Object.entries(restored).forEach(([field, value]) => {
+      match[field] = value ?? undefined;
+    });
+    match.actualEndTime = FINISHED_STATUSES.includes(match.status)
+      ? match.actualEndTime || new Date()
+      : undefined;
+    match.updatedBy = req.user._id;
+
+    await match.save();
+    const entry = await recordMatchChange(match, before, {
+      action: 'revert',
+      req,
+      revertedToVersion: version,
+    });
+
+    await moveAdvancement(match, before.winner, match.winner, req);
+
     if (match.group) {
-      await updateGroupStandings(match);
+      await recalculateGroupStandings(match.tournament._id, match.group);
     }
 
-    console.log(`✅ Match ${matchId} reset successfully`);
+    const formatProgress = await progressTournamentFormat(
+      match.tournament._id
+    );
+
+    await publishMatches([match._id, match.nextMatch], 'reverted');
 
     res.json({
       success: true,
-      message: 'Match reset successfully',
+      message: `Match reverted to version ${version}`,
+      version: entry.version,
       match: await Match.findById(matchId).populate(
-        'team1 team2 winner loser tournament'
+        'team1 team2 winner loser'
       ),
+      formatProgress,
     });
   } catch (error) {
-    console.error('❌ Error resetting match:', error);
+    console.error('Error reverting match:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to reset match',
+      message: 'Failed to revert match',
       error: error.message,
     });
   }
@@ -2335,6 +3613,18 @@ exports.quickDeclareWinner = async (req, res) => {
     const loser =
       match.team1._id.toString() === winnerId ? match.team2 : match.team1;
 
+    const before = snapshotMatch(match);
+
+    if (before.winner && before.winner !== winner._id.toString()) {
+      const playedDownstream = await findPlayedDownstream(
+        match,
+        before.winner
+      );
+      if (playedDownstream) {
+        return playedDownstreamResponse(res, playedDownstream);
+      }
+    }
+
     console.log('Determined:', {
       winnerId: winner._id,
       winnerName: winner.name,
@@ -2351,6 +3641,7 @@ exports.quickDeclareWinner = async (req, res) => {
     match.status = isWalkover ? 'walkover' : 'completed';
     match.walkoverReason = isWalkover ? 'Declared by admin' : undefined;
     match.actualEndTime = new Date();
+    match.updatedBy = req.user._id;
 
     console.log('Saving match with:', {
       winner: match.winner,
@@ -2360,6 +3651,7 @@ exports.quickDeclareWinner = async (req, res) => {
     });
 
     await match.save();
+    await recordMatchChange(match, before, { action: 'winner-declared', req });
 
     // Populate the updated match
     const updatedMatch = await Match.findById(matchId).populate(
@@ -2367,31 +3659,29 @@ exports.quickDeclareWinner = async (req, res) => {
     );
 
     // Update next match if exists
-    if (match.nextMatch && winner) {
-      const nextMatch = await Match.findById(match.nextMatch);
-      if (nextMatch) {
-        if (!nextMatch.team1) {
-          nextMatch.team1 = winner._id;
-        } else if (!nextMatch.team2) {
-          nextMatch.team2 = winner._id;
-        }
-        nextMatch.status =
-          nextMatch.team1 && nextMatch.team2 ? 'scheduled' : 'bye';
-        await nextMatch.save();
-      }
-    }
+    await moveAdvancement(match, before.winner, winner._id, req);
 
-    // Update standings if group match
-    if (match.group) {
+    // Update standings if group match; a re-declared result replaces the
+    // one already counted
+    if (match.group && FINISHED_STATUSES.includes(before.status)) {
+      await recalculateGroupStandings(match.tournament._id, match.group);
+    } else if (match.group) {
       await updateGroupStandings(match);
     }
 
+    const formatProgress = await progressTournamentFormat(
+      match.tournament._id
+    );
+
+    await publishMatches([match._id, match.nextMatch], 'winner-declared');
+
     console.log(`✅ Winner declared: ${winner.name} won match ${matchId}`);
 
     res.json({
       success: true,
       message: 'Winner declared successfully',
       match: updatedMatch,
+      formatProgress,
       winner: {
         id: winner._id,
         name: winner.name,
@@ -2414,6 +3704,11 @@ exports.quickDeclareWinner = async (req, res) => {
 // Generate schedule with courts and times
 exports.generateTournamentSchedule = async (req, res) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
     const { tournamentId } = req.params;
     const {
       startDate,
@@ -2421,9 +3716,12 @@ exports.generateTournamentSchedule = async (req, res) => {
       startTime,
       endTime,
       courts,
+      venues,
       matchDuration,
       breakDuration,
-      scheduleType = 'sequential', // sequential, parallel, round_robin
+      minRestMinutes,
+      teamRequests,
+      dryRun = false,
     } = req.body;
 
     const tournament = await Tournament.findById(tournamentId);
@@ -2434,19 +3732,38 @@ exports.generateTournamentSchedule = async (req, res) => {
       });
     }
 
-    // Get all unscheduled matches
-    const unscheduledMatches = await Match.find({
-      tournament: tournamentId,
-      $or: [
-        { scheduledTime: { $exists: false } },
-        { scheduledTime: null },
-        { status: 'scheduled' },
-      ],
-    })
-      .populate('team1 team2')
-      .sort({ round: 1, matchNumber: 1 });
+    if (!venues?.length && !courts?.length) {
+      return res.status(400).json({
+        success: false,
+        message: 'Provide courts or venues to schedule on',
+      });
+    }
+
+    const missingHours = (venues?.length ? venues : [{}]).some(
+      (venue) =>
+        !(venue.openTime || startTime) || !(venue.closeTime || endTime)
+    );
+    if (missingHours) {
+      return res.status(400).json({
+        success: false,
+        message: 'Every venue needs open and close times',
+      });
+    }
+
+    const plan = await planSchedule(tournament, {
+      startDate,
+      endDate,
+      startTime,
+      endTime,
+      courts,
+      venues,
+      matchDuration,
+      breakDuration,
+      minRestMinutes,
+      teamRequests,
+    });
 
-    if (unscheduledMatches.length === 0) {
+    if (plan.totalMatches === 0) {
       return res.json({
         success: true,
         message: 'All matches are already scheduled',
@@ -2454,123 +3771,48 @@ exports.generateTournamentSchedule = async (req, res) => {
       });
     }
 
-    // Parse dates and times
-    const startDateTime = new Date(startDate);
-    const endDateTime = new Date(endDate);
-    const [startHour, startMinute] = startTime.split(':').map(Number);
-    const [endHour, endMinute] = endTime.split(':').map(Number);
-
-    const matchDurationMinutes =
-      matchDuration || tournament.settings.matchDuration || 40;
-    const breakDurationMinutes =
-      breakDuration || tournament.settings.breakDuration || 10;
-    const totalSlotDuration = matchDurationMinutes + breakDurationMinutes;
-
-    const scheduledMatches = [];
-    const courtAssignments = {};
-    const dateSlots = {};
-
-    // Initialize court assignments
-    courts.forEach((court) => {
-      courtAssignments[court] = [];
-    });
-
-    let matchIndex = 0;
-    let currentDate = new Date(startDateTime);
-
-    // Create time slots for each day
-    while (
-      currentDate <= endDateTime &&
-      matchIndex < unscheduledMatches.length
-    ) {
-      const dateStr = currentDate.toISOString().split('T')[0];
-      dateSlots[dateStr] = [];
-
-      let currentTime = new Date(currentDate);
-      currentTime.setHours(startHour, startMinute, 0, 0);
-
-      const dayEnd = new Date(currentDate);
-      dayEnd.setHours(endHour, endMinute, 0, 0);
-
-      // Create time slots for the day
-      while (currentTime < dayEnd && matchIndex < unscheduledMatches.length) {
-        const slotEnd = new Date(currentTime);
-        slotEnd.setMinutes(slotEnd.getMinutes() + matchDurationMinutes);
-
-        // Assign to available court
-        let assignedCourt = null;
-        for (const court of courts) {
-          const courtSchedule = courtAssignments[court] || [];
-          const isCourtAvailable = !courtSchedule.some((slot) => {
-            const slotStart = new Date(slot.start);
-            const slotEnd = new Date(slot.end);
-            return (
-              (currentTime >= slotStart && currentTime < slotEnd) ||
-              (slotEnd > currentTime && slotEnd <= slotEnd)
-            );
-          });
-
-          if (isCourtAvailable) {
-            assignedCourt = court;
-            break;
-          }
-        }
-
-        if (assignedCourt) {
-          const match = unscheduledMatches[matchIndex];
-
-          // Apply constraints (teams shouldn't play back-to-back)
-          const teamConstraints = await checkTeamConstraints(
-            match.team1?._id,
-            match.team2?._id,
-            currentTime,
-            courtAssignments
-          );
-
-          if (teamConstraints.allowed) {
-            match.scheduledTime = new Date(currentTime);
-            match.court = assignedCourt;
-            match.duration = matchDurationMinutes;
-            await match.save();
-
-            // Record court assignment
-            courtAssignments[assignedCourt].push({
-              start: new Date(currentTime),
-              end: slotEnd,
-              matchId: match._id,
-            });
-
-            scheduledMatches.push({
-              matchId: match._id,
-              matchNumber: match.matchNumber,
-              round: match.round,
-              teams: `${match.team1?.name || 'TBD'} vs ${match.team2?.name || 'TBD'}`,
-              scheduledTime: match.scheduledTime,
-              court: assignedCourt,
-              duration: matchDurationMinutes,
-            });
-
-            matchIndex++;
-          }
-        }
-
-        // Move to next time slot
-        currentTime.setMinutes(currentTime.getMinutes() + totalSlotDuration);
-      }
+    if (!plan.feasible) {
+      return res.status(dryRun ? 200 : 409).json({
+        success: false,
+        dryRun,
+        message: `No conflict-free schedule exists: ${plan.conflicts.length} unsatisfiable constraint(s)`,
+        conflicts: plan.conflicts,
+        scheduledMatches: plan.schedule,
+        remainingMatches: plan.totalMatches - plan.schedule.length,
+        totalSlots: plan.totalSlots,
+        settings: plan.settings,
+      });
+    }
 
-      // Move to next day
-      currentDate.setDate(currentDate.getDate() + 1);
+    if (!dryRun) {
+      await Match.bulkWrite(
+        plan.schedule.map((entry) => ({
+          updateOne: {
+            filter: { _id: entry.matchId },
+            update: {
+              $set: {
+                scheduledTime: entry.scheduledTime,
+                court: entry.court,
+                duration: entry.duration,
+                ...(entry.venue && { venue: entry.venue }),
+              },
+            },
+          },
+        }))
+      );
     }
 
     res.json({
       success: true,
-      message: `Scheduled ${scheduledMatches.length} matches`,
-      scheduledMatches,
-      totalSlots: Object.values(courtAssignments).reduce(
-        (sum, slots) => sum + slots.length,
-        0
-      ),
-      remainingMatches: unscheduledMatches.length - matchIndex,
+      dryRun,
+      message: dryRun
+        ? `Preview: ${plan.schedule.length} matches can be scheduled`
+        : `Scheduled ${plan.schedule.length} matches`,
+      scheduledMatches: plan.schedule,
+      conflicts: [],
+      totalSlots: plan.totalSlots,
+      remainingMatches: 0,
+      settings: plan.settings,
     });
   } catch (error) {
     console.error('Error generating schedule:', error);
@@ -2582,70 +3824,6 @@ exports.generateTournamentSchedule = async (req, res) => {
   }
 };
 
-// Helper function for team constraints
-const checkTeamConstraints = async (
-  team1Id,
-  team2Id,
-  proposedTime,
-  courtAssignments
-) => {
-  // Check if teams are playing elsewhere at the same time
-  // Check for minimum rest periods (e.g., 60 minutes between matches)
-  const MIN_REST_MINUTES = 60;
-
-  const conflicts = {
-    team1: false,
-    team2: false,
-    message: '',
-  };
-
-  // Check all court assignments for conflicts
-  for (const [court, slots] of Object.entries(courtAssignments)) {
-    for (const slot of slots) {
-      const slotStart = new Date(slot.start);
-      const slotEnd = new Date(slot.end);
-
-      // Check if proposed time overlaps with existing slot
-      const proposedEnd = new Date(proposedTime);
-      proposedEnd.setMinutes(proposedEnd.getMinutes() + MIN_REST_MINUTES);
-
-      const isOverlap =
-        (proposedTime >= slotStart && proposedTime < slotEnd) ||
-        (proposedEnd > slotStart && proposedEnd <= slotEnd);
-
-      if (isOverlap) {
-        // Get match details to check teams
-        const match = await Match.findById(slot.matchId).populate(
-          'team1 team2'
-        );
-        if (match) {
-          if (
-            team1Id &&
-            (match.team1?._id?.toString() === team1Id.toString() ||
-              match.team2?._id?.toString() === team1Id.toString())
-          ) {
-            conflicts.team1 = true;
-            conflicts.message += `Team 1 has a match at ${slotStart.toLocaleTimeString()}. `;
-          }
-          if (
-            team2Id &&
-            (match.team1?._id?.toString() === team2Id.toString() ||
-              match.team2?._id?.toString() === team2Id.toString())
-          ) {
-            conflicts.team2 = true;
-            conflicts.message += `Team 2 has a match at ${slotStart.toLocaleTimeString()}. `;
-          }
-        }
-      }
-    }
-  }
-
-  return {
-    allowed: !conflicts.team1 && !conflicts.team2,
-    conflicts,
-  };
-};
-
 // Bulk schedule matches
 exports.bulkScheduleMatches = async (req, res) => {
   try {
@@ -3263,6 +4441,18 @@ exports.recreateBracket = async (req, res) => {
       }
     }
 
+    let historicalSeeding = null;
+    if (seeding === 'historical') {
+      if ((format || tournament.format) !== 'single-elimination') {
+        return res.status(400).json({
+          success: false,
+          message:
+            'Historical seeding only applies to single-elimination brackets',
+        });
+      }
+      historicalSeeding = await buildHistoricalSeeding(tournament);
+    }
+
     // Clear all matches first
     const deleteResult = await Match.deleteMany({ tournament: tournamentId });
     console.log(`Cleared ${deleteResult.deletedCount} existing matches`);
@@ -3295,15 +4485,21 @@ exports.recreateBracket = async (req, res) => {
         .map((id) => teams.find((t) => t._id.toString() === id))
         .filter(Boolean);
       console.log('Applied manual seeding');
+    } else if (historicalSeeding) {
+      // Already in bracket slot order, with byes as nulls
+      teams = historicalSeeding.slots;
+      console.log('Applied historical seeding');
     }
 
     console.log(
-      `Teams order: ${teams.map((t, i) => `${i + 1}. ${t.name}`).join(', ')}`
+      `Teams order: ${teams.map((t, i) => `${i + 1}. ${t?.name || 'BYE'}`).join(', ')}`
     );
 
     switch (tournamentFormat) {
       case 'single-elimination':
-        matches = await generateSingleEliminationBracket(tournament, teams);
+        matches = await generateSingleEliminationBracket(tournament, teams, {
+          advanceByes: Boolean(historicalSeeding),
+        });
         break;
       case 'double-elimination':
         matches = await generateDoubleEliminationBracket(tournament, teams);
@@ -3314,11 +4510,24 @@ exports.recreateBracket = async (req, res) => {
       case 'group-stage':
         matches = await generateGroupStage(tournament, teams);
         break;
+      case 'pool-to-bracket':
+        matches = await generateGroupStage(
+          tournament,
+          teams,
+          tournament.settings?.poolSize || 4
+        );
+        break;
+      case 'swiss':
+        matches = await generateSwissRound(tournament, teams);
+        break;
       default:
         throw new Error('Invalid tournament format');
     }
 
     // Update tournament status
+    if (format) {
+      tournament.format = format;
+    }
     if (tournament.status === 'draft') {
       tournament.status = 'open';
     }
@@ -3347,6 +4556,11 @@ exports.recreateBracket = async (req, res) => {
       format: tournamentFormat,
       seeding,
       teamCount: tournament.registeredTeams.length,
+      ...(historicalSeeding && {
+        seeds: historicalSeeding.seeds,
+        clubSwaps: historicalSeeding.clubSwaps,
+        unresolvedClubConflicts: historicalSeeding.unresolvedClubConflicts,
+      }),
     });
   } catch (error) {
     console.error('Error recreating bracket:', error);
@@ -3358,4 +4572,110 @@ exports.recreateBracket = async (req, res) => {
   }
 };
 
+/**
+ * Seed the knockout bracket from final pool standings (pool-to-bracket)
+ */
+exports.seedBracketFromPools = async (req, res) => {
+  try {
+    const { tournamentId } = req.params;
+
+    const tournament = await Tournament.findById(tournamentId);
+    if (!tournament) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tournament not found',
+      });
+    }
+
+    if (tournament.format !== 'pool-to-bracket') {
+      return res.status(400).json({
+        success: false,
+        message: 'Tournament format is not pool-to-bracket',
+      });
+    }
+
+    const result = await seedKnockoutFromPools(tournament);
+    if (!result.seeded) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot seed bracket: ${result.reason}`,
+      });
+    }
+
+    tournament.updatedBy = req.user.id;
+    await tournament.save();
+
+    res.json({
+      success: true,
+      message: `Knockout bracket seeded with ${result.seeds.length} teams`,
+      seeds: result.seeds,
+      matchesCreated: result.matches.length,
+    });
+  } catch (error) {
+    console.error('❌ Error seeding bracket from pools:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to seed bracket from pools',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Pair the next Swiss round from current records
+ */
+exports.generateNextSwissRound = async (req, res) => {
+  try {
+    const { tournamentId } = req.params;
+
+    const tournament = await Tournament.findById(tournamentId);
+    if (!tournament) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tournament not found',
+      });
+    }
+
+    if (tournament.format !== 'swiss') {
+      return res.status(400).json({
+        success: false,
+        message: 'Tournament format is not swiss',
+      });
+    }
+
+    let matches;
+    try {
+      matches = await generateSwissRound(tournament);
+    } catch (pairingError) {
+      return res.status(400).json({
+        success: false,
+        message: pairingError.message,
+      });
+    }
+
+    tournament.updatedBy = req.user.id;
+    await tournament.save();
+
+    const populatedMatches = await Match.find({
+      _id: { $in: matches.map((m) => m._id) },
+    })
+      .populate('team1 team2', 'name grade levelOfCompetition')
+      .sort({ matchNumber: 1 });
+
+    res.json({
+      success: true,
+      message: `Swiss round ${matches[0]?.round} paired`,
+      round: matches[0]?.round,
+      matches: populatedMatches,
+    });
+  } catch (error) {
+    console.error('❌ Error generating Swiss round:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to generate Swiss round',
+      error: error.message,
+    });
+  }
+};
+
 module.exports = exports;
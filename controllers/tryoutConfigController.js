@@ -1,5 +1,6 @@
 // controllers/tryoutConfigController.js
 const TryoutConfig = require('../models/TryoutConfig');
+const { syncTryoutConfig, syncQuietly } = require('../services/seasons');
 
 // Get all tryout configs
 exports.getTryoutConfigs = async (req, res) => {
@@ -138,6 +139,7 @@ exports.updateTryoutConfig = async (req, res) => {
       existingConfig.updatedAt = new Date();
 
       const savedConfig = await existingConfig.save();
+      await syncQuietly(syncTryoutConfig, savedConfig);
 
       console.log('✅ Tryout config updated:', {
         id: savedConfig._id,
@@ -188,6 +190,7 @@ exports.updateTryoutConfig = async (req, res) => {
 
       const newConfig = new TryoutConfig(newConfigData);
       const savedConfig = await newConfig.save();
+      await syncQuietly(syncTryoutConfig, savedConfig);
 
       console.log('✅ Tryout config created:', {
         id: savedConfig._id,
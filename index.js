@@ -18,7 +18,17 @@ const unpaidRoutes = require('./routes/unpaidRoutes');
 const paymentProcessRoutes = require('./routes/paymentProcessRoutes');
 const paymentConfiguration = require('./routes/payment-configuration');
 const cloverTokenRoutes = require('./routes/cloverTokenRoutes');
-const squareWebhooksRouter = require('./routes/squareWebhooks');
+const webhookRoutes = require('./routes/webhookRoutes');
+const pricingRoutes = require('./routes/pricingRoutes');
+const scholarshipRoutes = require('./routes/scholarshipRoutes');
+const savedCardRoutes = require('./routes/savedCardRoutes');
+const paymentReminderRoutes = require('./routes/paymentReminderRoutes');
+const teamFeeRoutes = require('./routes/teamFeeRoutes');
+const waitlistRoutes = require('./routes/waitlistRoutes');
+const tryoutSessionRoutes = require('./routes/tryoutSessionRoutes');
+const evaluationRoutes = require('./routes/evaluationRoutes');
+const seasonRolloverRoutes = require('./routes/seasonRolloverRoutes');
+const seasonRoutes = require('./routes/seasonRoutes');
 const { authenticate, isAdmin, isCoach, isUser } = require('./utils/auth');
 const path = require('path');
 const uploadRoutes = require('./routes/upload');
@@ -104,11 +114,15 @@ app.use(cors(corsOptions));
 // Handle preflight requests explicitly
 app.options('*', cors(corsOptions));
 
-app.use(
-  '/api/square/webhook',
-  express.raw({ type: 'application/json' }),
-  squareWebhooksRouter,
-);
+// Payment provider webhooks are verified against the raw body, so they are
+// mounted ahead of the JSON parser
+const rawBody = express.raw({ type: '*/*' });
+app.use('/api/webhooks', rawBody, webhookRoutes);
+// Notification URLs registered with providers before /api/webhooks existed
+const { receiveWebhook } = webhookRoutes;
+app.post('/api/square/webhook', rawBody, receiveWebhook('square'));
+app.post('/api/payments/square/webhook', rawBody, receiveWebhook('square'));
+app.post('/api/payments/clover/webhook', rawBody, receiveWebhook('clover'));
 
 app.use(express.json());
 
@@ -124,6 +138,16 @@ app.use('/api/payments', paymentProcessRoutes);
 app.use('/api/payment-configuration', paymentConfiguration);
 app.use('/api/clover', cloverTokenRoutes);
 app.use('/api/refunds', refundRoutes);
+app.use('/api/pricing', pricingRoutes);
+app.use('/api/scholarships', scholarshipRoutes);
+app.use('/api/saved-cards', savedCardRoutes);
+app.use('/api/payment-reminders', paymentReminderRoutes);
+app.use('/api/team-fees', teamFeeRoutes);
+app.use('/api/waitlist', waitlistRoutes);
+app.use('/api/tryout-sessions', tryoutSessionRoutes);
+app.use('/api/evaluations', evaluationRoutes);
+app.use('/api/season-rollover', seasonRolloverRoutes);
+app.use('/api/seasons', seasonRoutes);
 app.use('/uploads', express.static(path.join(__dirname, 'uploads')));
 app.use('/api/upload', uploadRoutes);
 app.use('/api/email-templates', emailTemplateRoutes);
@@ -180,6 +204,18 @@ mongoose
 mongoose.connection.once('open', () => {
   console.log('📊 MongoDB connection ready');
 
+  // Refund sync, reconciliation, installment and team fee charges, payment
+  // reminders and waitlist offer expiry. These charge cards and send email,
+  // so only the one instance started with RUN_SCHEDULED_JOBS=true runs them.
+  if (process.env.RUN_SCHEDULED_JOBS === 'true') {
+    require('./services/scheduledJobs');
+    console.log('⏰ Scheduled jobs enabled on this instance');
+  } else {
+    console.warn(
+      '⚠️ Scheduled jobs are off on this instance; set RUN_SCHEDULED_JOBS=true on exactly one instance to run them',
+    );
+  }
+
   // DEFER calendar initialization so server can respond immediately
   setTimeout(async () => {
     try {
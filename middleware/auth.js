@@ -1,6 +1,9 @@
 // middleware/auth.js
 const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
 const Parent = require('../models/Parent');
+const Match = require('../models/Match');
+const Tournament = require('../models/Tournament');
 
 // Authentication middleware
 const requireAuth = async (req, res, next) => {
@@ -54,6 +57,53 @@ const requireCoach = (req, res, next) => {
   }
 };
 
+// Match scoring middleware: admins, or a scorekeeper assigned to the court
+// the match is scheduled on. Sets req.scorekeeper for scorekeepers.
+const requireMatchScorer = async (req, res, next) => {
+  if (req.user && req.user.role === 'admin') {
+    return next();
+  }
+
+  if (!mongoose.Types.ObjectId.isValid(req.params.matchId)) {
+    return res.status(400).json({ message: 'Invalid match ID' });
+  }
+
+  try {
+    const match = await Match.findById(req.params.matchId).select(
+      'tournament court'
+    );
+
+    if (!match) {
+      return res.status(404).json({ message: 'Match not found' });
+    }
+
+    const tournament = await Tournament.findById(match.tournament).select(
+      'scorekeepers'
+    );
+    const assignment = tournament?.scorekeepers?.find(
+      (s) => s.parent?.toString() === req.user?._id.toString()
+    );
+
+    if (!assignment) {
+      return res.status(403).json({
+        message: 'Access denied. Admin or scorekeeper role required.',
+      });
+    }
+
+    if (!match.court || !assignment.courts.includes(match.court)) {
+      return res.status(403).json({
+        message: 'Access denied. This match is not on one of your courts.',
+      });
+    }
+
+    req.scorekeeper = assignment;
+    next();
+  } catch (error) {
+    console.error('Scorekeeper middleware error:', error);
+    res.status(500).json({ message: 'Failed to verify scorekeeper access' });
+  }
+};
+
 // Optional auth middleware (doesn't fail if no token, but still sets user if valid token exists)
 const optionalAuth = async (req, res, next) => {
   try {
@@ -80,5 +130,6 @@ module.exports = {
   requireAuth,
   requireAdmin,
   requireCoach,
+  requireMatchScorer,
   optionalAuth,
 };
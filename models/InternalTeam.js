@@ -35,9 +35,11 @@ const internalTeamSchema = new mongoose.Schema(
     ],
     status: {
       type: String,
-      enum: ['active', 'inactive'],
+      enum: ['active', 'inactive', 'archived'],
       default: 'active',
     },
+    // Set when a season rollover retires the team
+    archivedAt: Date,
     paymentReceived: {
       type: Boolean,
       default: false,
@@ -192,6 +192,11 @@ const matchSchema = new mongoose.Schema(
       type: String,
       trim: true,
     },
+    // Admin or scorekeeper who last changed the match
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Parent',
+    },
   },
   {
     timestamps: true,
@@ -0,0 +1,101 @@
+const mongoose = require('mongoose');
+
+// Fields captured in every version of a match
+const matchSnapshotSchema = new mongoose.Schema(
+  {
+    team1: { type: mongoose.Schema.Types.ObjectId, ref: 'Team' },
+    team2: { type: mongoose.Schema.Types.ObjectId, ref: 'Team' },
+    team1Score: Number,
+    team2Score: Number,
+    winner: { type: mongoose.Schema.Types.ObjectId, ref: 'Team' },
+    loser: { type: mongoose.Schema.Types.ObjectId, ref: 'Team' },
+    status: String,
+    walkoverReason: String,
+  },
+  { _id: false }
+);
+
+const matchHistorySchema = new mongoose.Schema(
+  {
+    match: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Match',
+      required: true,
+    },
+    tournament: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Tournament',
+      required: true,
+    },
+    version: {
+      type: Number,
+      required: true,
+      min: 1,
+    },
+    action: {
+      type: String,
+      enum: [
+        'baseline',
+        'score-update',
+        'winner-declared',
+        'reset',
+        'teams-updated',
+        'advancement',
+        'revert',
+      ],
+      required: true,
+    },
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Parent',
+    },
+    actorRole: {
+      type: String,
+    },
+    snapshot: {
+      type: matchSnapshotSchema,
+      required: true,
+    },
+    changes: [
+      {
+        _id: false,
+        field: String,
+        from: mongoose.Schema.Types.Mixed,
+        to: mongoose.Schema.Types.Mixed,
+      },
+    ],
+    revertedToVersion: {
+      type: Number,
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+matchHistorySchema.index({ match: 1, version: 1 }, { unique: true });
+matchHistorySchema.index({ tournament: 1, createdAt: -1 });
+
+// History is append-only: entries can be created but never changed
+const rejectChange = function (next) {
+  next(new Error('Match history entries cannot be modified or deleted'));
+};
+
+[
+  'updateOne',
+  'updateMany',
+  'findOneAndUpdate',
+  'replaceOne',
+  'deleteOne',
+  'deleteMany',
+  'findOneAndDelete',
+].forEach((operation) => matchHistorySchema.pre(operation, rejectChange));
+
+matchHistorySchema.pre('save', function (next) {
+  if (!this.isNew) {
+    return rejectChange(next);
+  }
+  next();
+});
+
+module.exports = mongoose.model('MatchHistory', matchHistorySchema);
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const Season = require('./Season');
 
 const notificationSchema = new mongoose.Schema(
   {
@@ -40,6 +41,10 @@ const notificationSchema = new mongoose.Schema(
     targetYear: {
       type: Number,
     },
+    targetSeasonId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Season',
+    },
     seasonName: {
       type: String,
     },
@@ -51,5 +56,25 @@ notificationSchema.index({ parentIds: 1 });
 notificationSchema.index({ dismissedBy: 1 });
 notificationSchema.index({ createdAt: -1 });
 notificationSchema.index({ targetType: 1 });
+notificationSchema.index({ targetSeasonId: 1 });
+
+// Season notifications sent by name are linked to the Season they mean
+notificationSchema.pre('save', async function (next) {
+  if (this.targetType !== 'season') return next();
+
+  try {
+    await Season.assignIds([
+      {
+        target: this,
+        key: 'targetSeasonId',
+        name: this.targetSeason,
+        year: this.targetYear,
+      },
+    ]);
+  } catch (error) {
+    console.error('Failed to link notification season:', error.message);
+  }
+  next();
+});
 
 module.exports = mongoose.model('Notification', notificationSchema);
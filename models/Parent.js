@@ -366,6 +366,31 @@ const parentSchema = new mongoose.Schema(
         default: Date.now,
       },
     },
+    // Cards on file with a payment provider. Only references are kept; the
+    // card itself lives with the provider that saved it.
+    savedCards: [
+      {
+        paymentSystem: {
+          type: String,
+          enum: ['square', 'clover', 'stripe', 'paypal'],
+          required: true,
+        },
+        configurationId: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'PaymentConfiguration',
+          required: true,
+        },
+        customerId: String,
+        cardId: { type: String, required: true },
+        last4: String,
+        brand: String,
+        expMonth: Number,
+        expYear: Number,
+        isDefault: { type: Boolean, default: false },
+        lastUsedAt: Date,
+        createdAt: { type: Date, default: Date.now },
+      },
+    ],
   },
   {
     timestamps: true,
@@ -374,6 +399,12 @@ const parentSchema = new mongoose.Schema(
         delete ret.password;
         delete ret.emailVerificationToken;
         delete ret.emailVerificationExpires;
+        // Provider references for saved cards never leave the server
+        if (ret.savedCards) {
+          ret.savedCards = ret.savedCards.map(
+            ({ customerId, cardId, ...card }) => card,
+          );
+        }
         return ret;
       },
     },
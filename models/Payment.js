@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const Season = require('./Season');
 
 const paymentSchema = new mongoose.Schema(
   {
@@ -138,9 +139,26 @@ const paymentSchema = new mongoose.Schema(
         season: String,
         year: Number,
         tryoutId: String,
+        seasonId: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'Season',
+        },
       },
     ],
 
+    // Installment plans: the plan and installment this payment settles
+    paymentPlan: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'PaymentPlan',
+    },
+    installmentNumber: Number,
+
+    // Team fee splits: the split whose share this payment settles
+    feeSplit: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'TeamFeeSplit',
+    },
+
     // Tournament details
     tournamentId: {
       type: mongoose.Schema.Types.ObjectId,
@@ -159,6 +177,34 @@ const paymentSchema = new mongoose.Schema(
       amountPerTeam: Number,
     },
 
+    // Pricing rules and scholarship waivers applied at checkout; amount above
+    // is what was charged
+    discount: {
+      subtotal: Number,
+      amount: Number,
+      code: String,
+      applied: {
+        type: [
+          {
+            _id: false,
+            rule: {
+              type: mongoose.Schema.Types.ObjectId,
+              ref: 'PricingRule',
+            },
+            scholarship: {
+              type: mongoose.Schema.Types.ObjectId,
+              ref: 'ScholarshipApplication',
+            },
+            type: { type: String },
+            name: String,
+            code: String,
+            amount: Number,
+          },
+        ],
+        default: undefined,
+      },
+    },
+
     // Refunds
     refunds: [
       {
@@ -168,9 +214,37 @@ const paymentSchema = new mongoose.Schema(
         reason: String,
         status: {
           type: String,
-          enum: ['pending', 'completed', 'failed', 'rejected'],
+          enum: ['pending', 'processing', 'completed', 'failed', 'rejected'],
           default: 'pending',
         },
+        // Approval workflow for requested refunds
+        requestedBy: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'Parent',
+        },
+        requestedAt: Date,
+        // Players whose seasons are rolled back by a partial refund
+        playerIds: [
+          {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Player',
+          },
+        ],
+        requiredApprovals: {
+          type: Number,
+          default: 1,
+        },
+        approvals: [
+          {
+            _id: false,
+            admin: {
+              type: mongoose.Schema.Types.ObjectId,
+              ref: 'Parent',
+            },
+            approvedAt: Date,
+            notes: String,
+          },
+        ],
         processedAt: Date,
         notes: String,
         refundedBy: {
@@ -179,7 +253,7 @@ const paymentSchema = new mongoose.Schema(
         },
         source: {
           type: String,
-          enum: ['web', 'admin_dashboard', 'api'],
+          enum: ['web', 'admin_dashboard', 'api', 'webhook'],
           default: 'web',
         },
       },
@@ -214,6 +288,27 @@ paymentSchema.index({ teamIds: 1 });
 paymentSchema.index({ status: 1, createdAt: -1 });
 paymentSchema.index({ paymentSystem: 1 });
 paymentSchema.index({ configurationId: 1 });
+paymentSchema.index({ 'discount.applied.rule': 1 });
+paymentSchema.index({ 'players.seasonId': 1 });
+
+// Link the seasons paid for to their Season
+paymentSchema.pre('save', async function (next) {
+  if (!this.isModified('players')) return next();
+
+  try {
+    await Season.assignIds(
+      this.players.map((p) => ({
+        target: p,
+        eventId: p.tryoutId,
+        name: p.season,
+        year: p.year,
+      })),
+    );
+  } catch (error) {
+    console.error('Failed to link payment seasons:', error.message);
+  }
+  next();
+});
 
 const Payment = mongoose.model('Payment', paymentSchema);
 
@@ -27,6 +27,9 @@ const paymentConfigurationSchema = new mongoose.Schema({
       type: String,
       select: false,
     },
+    // URL registered with Square, which it signs along with the body.
+    // Defaults to the URL the webhook was received on.
+    webhookNotificationUrl: String,
   },
   // Clover configuration
   cloverConfig: {
@@ -50,6 +53,11 @@ const paymentConfigurationSchema = new mongoose.Schema({
       type: String,
       default: 'https://sandbox.dev.clover.com/v3',
     },
+    // Verification code (app webhooks) or signing secret (hosted checkout)
+    webhookSecret: {
+      type: String,
+      select: false,
+    },
   },
   // Stripe configuration (optional for future)
   stripeConfig: {
@@ -66,6 +74,7 @@ const paymentConfigurationSchema = new mongoose.Schema({
       enum: ['sandbox', 'production'],
       default: 'sandbox',
     },
+    webhookId: String,
   },
   // General settings
   settings: {
@@ -88,6 +97,12 @@ const paymentConfigurationSchema = new mongoose.Schema({
       type: Boolean,
       default: true,
     },
+    // Refund requests above this amount need a second admin's approval
+    refundApprovalThreshold: {
+      type: Number,
+      default: 500,
+      min: 0,
+    },
     defaultPaymentDescription: String,
     receiptEmailTemplate: String,
   },
@@ -131,6 +146,7 @@ paymentConfigurationSchema.methods.toJSON = function () {
   delete obj.squareConfig?.webhookSignatureKey;
   delete obj.cloverConfig?.accessToken;
   delete obj.cloverConfig?.refreshToken;
+  delete obj.cloverConfig?.webhookSecret;
   delete obj.stripeConfig?.secretKey;
   delete obj.stripeConfig?.webhookSecret;
   delete obj.paypalConfig?.clientSecret;
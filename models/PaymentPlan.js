@@ -0,0 +1,187 @@
+const mongoose = require('mongoose');
+
+const installmentSchema = new mongoose.Schema(
+  {
+    number: {
+      type: Number,
+      required: true,
+      min: 1,
+    },
+    amount: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    dueDate: {
+      type: Date,
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ['scheduled', 'paid', 'failed', 'cancelled'],
+      default: 'scheduled',
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    lastAttemptAt: Date,
+    lastError: String,
+    paidAt: Date,
+    payment: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Payment',
+    },
+    externalPaymentId: String,
+  },
+  { _id: false },
+);
+
+// A family's enrolment in an installment plan offered on a
+// RegistrationFormConfig pricing package
+const paymentPlanSchema = new mongoose.Schema(
+  {
+    parent: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Parent',
+      required: true,
+    },
+    paymentType: {
+      type: String,
+      enum: ['tryout', 'training'],
+      required: true,
+    },
+
+    // Which package and plan option was chosen
+    eventId: {
+      type: String,
+      required: true,
+    },
+    packageId: String,
+    planId: {
+      type: String,
+      required: true,
+    },
+    planName: String,
+    frequency: {
+      type: String,
+      enum: ['weekly', 'biweekly', 'monthly'],
+      default: 'monthly',
+    },
+
+    players: [
+      {
+        _id: false,
+        playerId: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'Player',
+        },
+        season: String,
+        year: Number,
+        tryoutId: String,
+      },
+    ],
+
+    // Amounts in dollars, like Payment.amount
+    totalAmount: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    amountPaid: {
+      type: Number,
+      default: 0,
+    },
+    amountRemaining: {
+      type: Number,
+      default: 0,
+    },
+    currency: {
+      type: String,
+      default: 'USD',
+    },
+    // Pricing rules applied to the plan total, as on Payment.discount
+    discount: {
+      subtotal: Number,
+      amount: Number,
+      code: String,
+      applied: {
+        type: [
+          {
+            _id: false,
+            rule: {
+              type: mongoose.Schema.Types.ObjectId,
+              ref: 'PricingRule',
+            },
+            scholarship: {
+              type: mongoose.Schema.Types.ObjectId,
+              ref: 'ScholarshipApplication',
+            },
+            type: { type: String },
+            name: String,
+            code: String,
+            amount: Number,
+          },
+        ],
+        default: undefined,
+      },
+    },
+
+    // Card on file with the provider that charged the first installment
+    paymentSystem: {
+      type: String,
+      enum: ['square', 'clover', 'stripe', 'paypal'],
+      required: true,
+    },
+    configurationId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'PaymentConfiguration',
+      required: true,
+    },
+    card: {
+      customerId: String,
+      cardId: String,
+      last4: String,
+      brand: String,
+      expMonth: Number,
+      expYear: Number,
+    },
+    buyerEmail: {
+      type: String,
+      required: true,
+    },
+
+    installments: [installmentSchema],
+
+    // Pending until the first installment has been charged
+    status: {
+      type: String,
+      enum: ['pending', 'active', 'past-due', 'completed', 'cancelled'],
+      default: 'active',
+    },
+    cancelledAt: Date,
+    cancelledBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Parent',
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+paymentPlanSchema.index({ parent: 1, createdAt: -1 });
+paymentPlanSchema.index({ status: 1, 'installments.dueDate': 1 });
+paymentPlanSchema.index({ 'players.playerId': 1 });
+
+paymentPlanSchema.virtual('nextInstallment').get(function () {
+  return (
+    this.installments.find((installment) =>
+      ['scheduled', 'failed'].includes(installment.status),
+    ) || null
+  );
+});
+
+paymentPlanSchema.set('toJSON', { virtuals: true });
+
+module.exports = mongoose.model('PaymentPlan', paymentPlanSchema);
@@ -0,0 +1,101 @@
+const mongoose = require('mongoose');
+
+const reminderLogSchema = new mongoose.Schema(
+  {
+    stage: {
+      type: Number,
+      required: true,
+      min: 1,
+    },
+    status: {
+      type: String,
+      enum: ['sent', 'skipped', 'failed'],
+      required: true,
+    },
+    // Why a reminder was not delivered (opted out, no email, provider error)
+    reason: String,
+    emailId: String,
+    sentTo: String,
+    triggeredBy: {
+      type: String,
+      enum: ['schedule', 'admin'],
+      default: 'schedule',
+    },
+    at: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: false },
+);
+
+// Dunning state for one unpaid item: a player's season registration or a
+// team's tournament entry. Player Registrations share the key of the season
+// they mirror, so a family is never chased twice for the same fee.
+const paymentReminderSchema = new mongoose.Schema(
+  {
+    key: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    kind: {
+      type: String,
+      enum: ['season', 'tournament'],
+      required: true,
+    },
+    parent: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Parent',
+      required: true,
+      index: true,
+    },
+    player: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Player',
+    },
+    team: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Team',
+    },
+    registration: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Registration',
+    },
+    // Season name for players, tournament name for teams
+    label: {
+      type: String,
+      required: true,
+    },
+    year: Number,
+    tryoutId: String,
+    registeredAt: {
+      type: Date,
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ['active', 'paused', 'resolved', 'exhausted'],
+      default: 'active',
+    },
+    // Highest reminder stage sent so far; 0 until the first reminder
+    stage: {
+      type: Number,
+      default: 0,
+    },
+    lastRemindedAt: Date,
+    nextReminderAt: Date,
+    resolvedAt: Date,
+    pausedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Parent',
+    },
+    log: [reminderLogSchema],
+  },
+  { timestamps: true },
+);
+
+paymentReminderSchema.index({ status: 1, nextReminderAt: 1 });
+paymentReminderSchema.index({ lastRemindedAt: -1 });
+
+module.exports = mongoose.model('PaymentReminder', paymentReminderSchema);
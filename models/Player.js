@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const Season = require('./Season');
 
 const seasonRegistrationSchema = new mongoose.Schema(
   {
@@ -18,6 +19,10 @@ const seasonRegistrationSchema = new mongoose.Schema(
       default: null,
       trim: true,
     },
+    seasonId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Season',
+    },
     registrationDate: {
       type: Date,
       default: Date.now,
@@ -28,7 +33,7 @@ const seasonRegistrationSchema = new mongoose.Schema(
     },
     paymentStatus: {
       type: String,
-      enum: ['pending', 'paid', 'failed', 'refunded'],
+      enum: ['pending', 'partial', 'paid', 'failed', 'refunded'],
       default: 'pending',
     },
     paymentId: {
@@ -44,6 +49,16 @@ const seasonRegistrationSchema = new mongoose.Schema(
       min: 0,
       default: 0,
     },
+    // Still owed on an installment plan (partial payment status)
+    amountRemaining: {
+      type: Number,
+      min: 0,
+      default: 0,
+    },
+    paymentPlan: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'PaymentPlan',
+    },
     cardLast4: {
       type: String,
       match: /^\d{4}$/,
@@ -70,6 +85,7 @@ seasonRegistrationSchema.virtual('seasonDisplay').get(function () {
 seasonRegistrationSchema.virtual('paymentStatusDisplay').get(function () {
   const statusMap = {
     pending: 'Payment Pending',
+    partial: 'Partially Paid',
     paid: 'Paid',
     failed: 'Payment Failed',
     refunded: 'Refunded',
@@ -154,7 +170,7 @@ const playerSchema = new mongoose.Schema(
     },
     paymentStatus: {
       type: String,
-      enum: ['pending', 'paid', 'failed', 'refunded'],
+      enum: ['pending', 'partial', 'paid', 'failed', 'refunded'],
       default: 'pending',
     },
     lastPaymentDate: Date,
@@ -258,6 +274,8 @@ playerSchema.index(
   },
 );
 
+playerSchema.index({ 'seasons.seasonId': 1 });
+
 // Index for active players (frequently used in queries)
 playerSchema.index(
   { 'seasons.paymentStatus': 1 },
@@ -505,6 +523,28 @@ playerSchema.pre('save', function (next) {
   next();
 });
 
+/**
+ * Link new season registrations to their Season
+ */
+playerSchema.pre('save', async function (next) {
+  if (!this.isModified('seasons')) return next();
+
+  try {
+    await Season.assignIds(
+      this.seasons.map((s) => ({
+        target: s,
+        eventId: s.tryoutId,
+        name: s.season,
+        year: s.year,
+      })),
+    );
+  } catch (error) {
+    // Unlinked entries are picked up by scripts/migrateSeasons.js
+    console.error('Failed to link player seasons:', error.message);
+  }
+  next();
+});
+
 // ==================== STATIC METHODS ====================
 
 /**
@@ -0,0 +1,113 @@
+const mongoose = require('mongoose');
+
+// A discount applied at checkout by services/pricing.js. Promo codes apply
+// when the family enters the code; sibling and early-bird rules apply on
+// their own whenever a checkout matches them.
+const pricingRuleSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    type: {
+      type: String,
+      enum: ['promo_code', 'sibling', 'early_bird'],
+      required: true,
+    },
+    // Only for promo codes; stored uppercase so lookups ignore case
+    code: {
+      type: String,
+      uppercase: true,
+      trim: true,
+      required: function () {
+        return this.type === 'promo_code';
+      },
+    },
+    description: String,
+
+    discountType: {
+      type: String,
+      enum: ['percent', 'fixed'],
+      required: true,
+    },
+    // Percent off, or dollars off. Sibling rules take it off each player
+    // after the first.
+    value: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    // Sibling rules: how many players the family must be registering
+    minPlayers: {
+      type: Number,
+      default: 2,
+      min: 2,
+    },
+
+    // Empty fields match everything
+    appliesTo: {
+      paymentTypes: [
+        {
+          type: String,
+          enum: ['tryout', 'training', 'tournament', 'general'],
+        },
+      ],
+      season: String,
+      year: Number,
+      tryoutId: String,
+      tournament: String,
+    },
+
+    // Early-bird rules end at expiresAt
+    startsAt: Date,
+    expiresAt: Date,
+
+    maxUses: {
+      type: Number,
+      min: 1,
+    },
+    maxUsesPerParent: {
+      type: Number,
+      min: 1,
+    },
+    usedCount: {
+      type: Number,
+      default: 0,
+    },
+    // Uses reserved by each family, counted against maxUsesPerParent
+    parentUses: [
+      {
+        _id: false,
+        parent: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'Parent',
+        },
+        count: {
+          type: Number,
+          default: 0,
+        },
+      },
+    ],
+
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Parent',
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+pricingRuleSchema.index(
+  { code: 1 },
+  { unique: true, partialFilterExpression: { type: 'promo_code' } },
+);
+pricingRuleSchema.index({ type: 1, isActive: 1 });
+
+module.exports = mongoose.model('PricingRule', pricingRuleSchema);
@@ -0,0 +1,81 @@
+const mongoose = require('mongoose');
+
+const claimSchema = new mongoose.Schema({
+  player: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Player',
+    required: true,
+  },
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Parent',
+  },
+  // Held while a checkout or waitlist offer is open, confirmed once paid
+  status: {
+    type: String,
+    enum: ['held', 'confirmed'],
+    default: 'held',
+  },
+  // Provider payment ID the spot was paid with, so a refund can free it
+  paymentId: String,
+  waitlistEntry: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'WaitlistEntry',
+  },
+  claimedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// Spots taken in a tryout or training program whose config has
+// `hasLimitedSpots` set. Registration claims a spot with one atomic update
+// that only succeeds while claims are below capacity.
+const programCapacitySchema = new mongoose.Schema(
+  {
+    // `${programType}:${config._id}`
+    key: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    programType: {
+      type: String,
+      enum: ['tryout', 'training'],
+      required: true,
+    },
+    // TryoutConfig or RegistrationFormConfig the capacity comes from
+    config: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+    },
+    eventId: String,
+    season: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    year: {
+      type: Number,
+      required: true,
+    },
+    capacity: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    claims: [claimSchema],
+  },
+  { timestamps: true },
+);
+
+programCapacitySchema.index({ 'claims.player': 1 });
+programCapacitySchema.index({ 'claims.paymentId': 1 });
+
+programCapacitySchema.virtual('spotsLeft').get(function () {
+  return Math.max(0, this.capacity - this.claims.length);
+});
+
+programCapacitySchema.set('toJSON', { virtuals: true });
+
+module.exports = mongoose.model('ProgramCapacity', programCapacitySchema);
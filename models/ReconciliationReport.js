@@ -0,0 +1,109 @@
+const mongoose = require('mongoose');
+
+const discrepancySchema = new mongoose.Schema(
+  {
+    type: {
+      type: String,
+      enum: [
+        'missing_local',
+        'missing_remote',
+        'amount_mismatch',
+        'status_drift',
+        'missing_local_refund',
+        'refund_amount_mismatch',
+      ],
+      required: true,
+    },
+    paymentSystem: {
+      type: String,
+      enum: ['square', 'clover', 'stripe', 'paypal'],
+    },
+    externalPaymentId: String,
+    externalRefundId: String,
+    // Local record the discrepancy was found on, if any
+    source: {
+      type: String,
+      enum: ['Payment', 'TicketPurchase', 'FormSubmission'],
+    },
+    localId: mongoose.Schema.Types.ObjectId,
+    // Amounts in dollars
+    remoteAmount: Number,
+    localAmount: Number,
+    remoteStatus: String,
+    localStatus: String,
+    occurredAt: Date,
+    message: String,
+  },
+  { _id: false },
+);
+
+// Result of matching provider transactions against local payment records
+// for a date range
+const reconciliationReportSchema = new mongoose.Schema(
+  {
+    startDate: {
+      type: Date,
+      required: true,
+    },
+    endDate: {
+      type: Date,
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ['running', 'completed', 'failed'],
+      default: 'running',
+    },
+    triggeredBy: {
+      type: String,
+      enum: ['schedule', 'admin'],
+      default: 'admin',
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Parent',
+    },
+
+    providers: [
+      {
+        _id: false,
+        paymentSystem: String,
+        configurationId: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'PaymentConfiguration',
+        },
+        remotePayments: { type: Number, default: 0 },
+        remoteRefunds: { type: Number, default: 0 },
+        localRecords: { type: Number, default: 0 },
+        matched: { type: Number, default: 0 },
+        // A provider that couldn't be reached doesn't fail the whole report
+        error: String,
+      },
+    ],
+
+    summary: {
+      total: { type: Number, default: 0 },
+      missingLocal: { type: Number, default: 0 },
+      missingRemote: { type: Number, default: 0 },
+      amountMismatch: { type: Number, default: 0 },
+      statusDrift: { type: Number, default: 0 },
+      missingLocalRefund: { type: Number, default: 0 },
+      refundAmountMismatch: { type: Number, default: 0 },
+    },
+    discrepancies: [discrepancySchema],
+
+    error: String,
+    completedAt: Date,
+  },
+  {
+    timestamps: true,
+  },
+);
+
+reconciliationReportSchema.index({ createdAt: -1 });
+reconciliationReportSchema.index({ startDate: 1, endDate: 1 });
+
+module.exports = mongoose.model(
+  'ReconciliationReport',
+  reconciliationReportSchema,
+);
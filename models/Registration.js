@@ -1,5 +1,6 @@
 // Registration.js
 const mongoose = require('mongoose');
+const Season = require('./Season');
 
 if (mongoose.models.Registration) {
   module.exports = mongoose.model('Registration');
@@ -43,6 +44,11 @@ if (mongoose.models.Registration) {
         required: false,
         default: null,
       },
+      seasonId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Season',
+        index: true,
+      },
       levelOfCompetition: {
         type: String,
         enum: ['Gold', 'Silver'],
@@ -50,12 +56,13 @@ if (mongoose.models.Registration) {
       },
       paymentStatus: {
         type: String,
-        enum: ['pending', 'paid', 'failed', 'refunded'],
+        enum: ['pending', 'partial', 'paid', 'failed', 'refunded'],
         default: 'pending',
       },
       paymentComplete: { type: Boolean, default: false },
       paymentDetails: {
         amountPaid: { type: Number, min: 0 },
+        amountRemaining: { type: Number, min: 0 },
         currency: { type: String, default: 'USD' },
         paymentId: { type: String },
         paymentMethod: { type: String },
@@ -64,6 +71,10 @@ if (mongoose.models.Registration) {
         paymentDate: { type: Date },
       },
       registrationComplete: { type: Boolean, default: false },
+      paymentPlan: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'PaymentPlan',
+      },
     },
     {
       timestamps: true,
@@ -114,6 +125,7 @@ if (mongoose.models.Registration) {
   registrationSchema.virtual('paymentStatusDisplay').get(function () {
     const statusMap = {
       pending: 'Pending Payment',
+      partial: 'Partially Paid',
       paid: 'Paid',
       failed: 'Payment Failed',
       refunded: 'Refunded',
@@ -131,6 +143,60 @@ if (mongoose.models.Registration) {
     next();
   });
 
+  // Link the registration to its Season; tournament entries go by name
+  registrationSchema.pre('save', async function (next) {
+    try {
+      await Season.assignIds([
+        {
+          target: this,
+          eventId: this.tryoutId,
+          name: this.season || this.tournament,
+          year: this.year,
+          ...(!this.season && this.tournament && { type: 'tournament' }),
+        },
+      ]);
+    } catch (error) {
+      console.error('Failed to link registration season:', error.message);
+    }
+    next();
+  });
+
+  // Most registrations are written by upsert, which skips the save hook
+  registrationSchema.pre('findOneAndUpdate', async function (next) {
+    const update = this.getUpdate() || {};
+    const fields = {
+      ...this.getFilter(),
+      ...update.$setOnInsert,
+      ...update,
+      ...update.$set,
+    };
+    // Filter values can be query operators; only plain values name a season
+    const value = (key) =>
+      ['string', 'number'].includes(typeof fields[key])
+        ? fields[key]
+        : undefined;
+
+    try {
+      const link = { seasonId: fields.seasonId };
+      await Season.assignIds([
+        {
+          target: link,
+          eventId: value('tryoutId'),
+          name: value('season') || value('tournament'),
+          year: value('year'),
+          ...(!value('season') &&
+            value('tournament') && { type: 'tournament' }),
+        },
+      ]);
+      if (link.seasonId && !fields.seasonId) {
+        this.set('seasonId', link.seasonId);
+      }
+    } catch (error) {
+      console.error('Failed to link registration season:', error.message);
+    }
+    next();
+  });
+
   registrationSchema.statics.updatePaymentStatus = async function (
     registrationId,
     status,
@@ -1,11 +1,24 @@
 // models/RegistrationFormConfig.js
 const mongoose = require('mongoose');
 
+// Lets families spread a package price over several scheduled payments
+const InstallmentPlanSchema = new mongoose.Schema({
+  id: { type: String, required: true },
+  name: { type: String, required: true },
+  installments: { type: Number, required: true, min: 2, max: 12 },
+  frequency: {
+    type: String,
+    enum: ['weekly', 'biweekly', 'monthly'],
+    default: 'monthly',
+  },
+});
+
 const PricingPackageSchema = new mongoose.Schema({
   id: { type: String, required: true },
   name: { type: String, required: true },
   price: { type: Number, required: true },
   description: String,
+  installmentPlans: [InstallmentPlanSchema],
 });
 
 // Add these new schemas for training details
@@ -0,0 +1,124 @@
+const mongoose = require('mongoose');
+
+// Each time an award takes money off a checkout. Reserved before the card
+// is charged and removed again if the charge fails.
+const redemptionSchema = new mongoose.Schema({
+  amount: {
+    type: Number,
+    required: true,
+    min: 0,
+  },
+  paymentType: String,
+  players: [
+    {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Player',
+    },
+  ],
+  // True when nothing was left to charge
+  fullWaiver: {
+    type: Boolean,
+    default: false,
+  },
+  redeemedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// A family's request for financial aid for one season, and the waiver an
+// admin awarded on it
+const scholarshipApplicationSchema = new mongoose.Schema(
+  {
+    parent: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Parent',
+      required: true,
+    },
+    players: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Player',
+        required: true,
+      },
+    ],
+    season: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    year: {
+      type: Number,
+      required: true,
+    },
+
+    needStatement: {
+      type: String,
+      required: true,
+      maxlength: 5000,
+    },
+    householdSize: {
+      type: Number,
+      min: 1,
+    },
+    // Stored privately in R2; admins get short-lived signed links
+    documents: [
+      {
+        _id: false,
+        key: { type: String, required: true },
+        name: String,
+        mimeType: String,
+        size: Number,
+        uploadedAt: { type: Date, default: Date.now },
+      },
+    ],
+
+    status: {
+      type: String,
+      enum: ['pending', 'awarded', 'denied', 'withdrawn'],
+      default: 'pending',
+    },
+
+    award: {
+      coverage: {
+        type: String,
+        enum: ['full', 'partial'],
+      },
+      // Partial waivers take a percentage off, or a dollar amount spread
+      // over the season's checkouts
+      percent: {
+        type: Number,
+        min: 1,
+        max: 100,
+      },
+      amount: {
+        type: Number,
+        min: 0,
+      },
+      amountUsed: {
+        type: Number,
+        default: 0,
+      },
+      redemptions: [redemptionSchema],
+    },
+
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Parent',
+    },
+    reviewedAt: Date,
+    reviewNotes: String,
+  },
+  {
+    timestamps: true,
+  },
+);
+
+scholarshipApplicationSchema.index({ parent: 1, season: 1, year: 1 });
+scholarshipApplicationSchema.index({ status: 1, createdAt: -1 });
+scholarshipApplicationSchema.index({ 'award.redemptions.redeemedAt': 1 });
+
+module.exports = mongoose.model(
+  'ScholarshipApplication',
+  scholarshipApplicationSchema,
+);
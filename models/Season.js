@@ -0,0 +1,133 @@
+const mongoose = require('mongoose');
+
+// "  Basketball  Select Tryout " -> "basketball select tryout"
+const nameKey = (name) =>
+  String(name || '')
+    .trim()
+    .replace(/\s+/g, ' ')
+    .toLowerCase();
+
+// One program season (a tryout, a training block or a tournament) that
+// registrations, payments and notifications point at by id
+const seasonSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    type: {
+      type: String,
+      enum: ['tryout', 'training', 'tournament'],
+      required: true,
+    },
+    year: {
+      type: Number,
+      required: true,
+    },
+    // The SeasonEvent or TryoutConfig eventId this season was created from;
+    // player seasons store it as tryoutId
+    eventId: {
+      type: String,
+      trim: true,
+    },
+    description: {
+      type: String,
+      default: '',
+    },
+    startDate: Date,
+    endDate: Date,
+    registrationOpensAt: Date,
+    registrationClosesAt: Date,
+    // Every free-text spelling of this season seen on older records,
+    // lower-cased, so they can still be matched to it
+    aliases: [{ type: String }],
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  },
+);
+
+seasonSchema.index(
+  { eventId: 1 },
+  { unique: true, partialFilterExpression: { eventId: { $type: 'string' } } },
+);
+seasonSchema.index({ aliases: 1, year: -1 });
+seasonSchema.index({ type: 1, startDate: 1, endDate: 1 });
+
+seasonSchema.virtual('registrationOpen').get(function () {
+  return this.isRegistrationOpen();
+});
+
+seasonSchema.pre('save', function (next) {
+  const aliases = new Set((this.aliases || []).map(nameKey));
+  aliases.add(nameKey(this.name));
+  this.aliases = [...aliases].filter(Boolean);
+  next();
+});
+
+seasonSchema.methods.isRegistrationOpen = function (date = new Date()) {
+  if (this.registrationOpensAt && date < this.registrationOpensAt) return false;
+  if (this.registrationClosesAt && date > this.registrationClosesAt) {
+    return false;
+  }
+  return true;
+};
+
+seasonSchema.statics.nameKey = nameKey;
+
+// Matches every free-text spelling that nameKey folds into `name`
+seasonSchema.statics.namePattern = (name) =>
+  new RegExp(
+    `^\\s*${nameKey(name)
+      .replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+      .replace(/ /g, '\\s+')}\\s*$`,
+    'i',
+  );
+
+/**
+ * Find the season a legacy record belongs to: by event id when it has one,
+ * otherwise by its season name (any known spelling) and year. Without a year
+ * the most recent season of that name wins.
+ */
+seasonSchema.statics.resolve = async function ({ eventId, name, year, type }) {
+  if (eventId) {
+    const season = await this.findOne({ eventId: eventId.trim() });
+    if (season) return season;
+  }
+  if (!name) return null;
+
+  const filter = { aliases: nameKey(name) };
+  if (year) filter.year = year;
+  if (type) filter.type = type;
+  return this.findOne(filter).sort({ year: -1 });
+};
+
+/**
+ * Fill in the season id on records that only carry season strings. `records`
+ * are { target, key, eventId, name, year, type }: the id is set as
+ * target[key] (seasonId unless given) and lookups are shared between records
+ * naming the same season.
+ */
+seasonSchema.statics.assignIds = async function (records) {
+  const cache = new Map();
+
+  for (const { target, key = 'seasonId', ...lookup } of records) {
+    if (target[key] || (!lookup.eventId && !lookup.name)) continue;
+
+    const cacheKey = JSON.stringify([
+      lookup.eventId || null,
+      nameKey(lookup.name),
+      lookup.year || null,
+      lookup.type || null,
+    ]);
+    if (!cache.has(cacheKey)) {
+      cache.set(cacheKey, (await this.resolve(lookup))?._id || null);
+    }
+    if (cache.get(cacheKey)) target[key] = cache.get(cacheKey);
+  }
+};
+
+module.exports = mongoose.model('Season', seasonSchema);
@@ -51,6 +51,13 @@ const standingSchema = new mongoose.Schema(
       type: Number,
       default: 0,
     },
+    // How this team was separated from others level on points, if it was
+    tiebreaker: {
+      rule: { type: String },
+      description: { type: String },
+      value: { type: Number },
+      tiedWith: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Team' }],
+    },
   },
   {
     timestamps: true,
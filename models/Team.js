@@ -11,11 +11,13 @@ const teamSchema = new mongoose.Schema({
   },
   registrationYear: { type: Number, required: true },
   tournament: { type: String, required: true },
+  // Teams sharing a club are kept apart in the first round of seeded brackets
+  club: { type: String, trim: true },
   coachIds: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Parent' }],
   paymentComplete: { type: Boolean, default: false },
   paymentStatus: {
     type: String,
-    enum: ['pending', 'paid', 'failed'],
+    enum: ['pending', 'paid', 'failed', 'refunded'],
     default: 'pending',
   },
   tournaments: [
@@ -24,12 +26,15 @@ const teamSchema = new mongoose.Schema({
       year: Number,
       registrationDate: { type: Date, default: Date.now },
       paymentComplete: { type: Boolean, default: false },
+      // Partial while a split fee is still being collected from the roster
       paymentStatus: {
         type: String,
-        enum: ['pending', 'paid', 'failed'],
+        enum: ['pending', 'partial', 'paid', 'failed', 'refunded'],
         default: 'pending',
       },
       amountPaid: { type: Number, default: 0 },
+      amountDue: { type: Number },
+      feeSplit: { type: mongoose.Schema.Types.ObjectId, ref: 'TeamFeeSplit' },
       paymentId: { type: String },
       paymentMethod: { type: String },
       cardLast4: { type: String },
@@ -0,0 +1,131 @@
+const mongoose = require('mongoose');
+
+const shareSchema = new mongoose.Schema({
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Parent',
+    required: true,
+  },
+  // Roster players this share covers; empty for the coach's fallback share
+  players: [
+    {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Player',
+    },
+  ],
+  email: String,
+  amount: {
+    type: Number,
+    required: true,
+    min: 0,
+  },
+  // Personal payment link token; whoever holds it can pay this share
+  token: {
+    type: String,
+    required: true,
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'processing', 'paid', 'reassigned', 'cancelled'],
+    default: 'pending',
+  },
+  // The coach's share of whatever was still unpaid at the deadline
+  isFallback: {
+    type: Boolean,
+    default: false,
+  },
+  // When the share was last claimed for a charge, and with which provider
+  processingAt: Date,
+  paymentSystem: {
+    type: String,
+    enum: ['square', 'clover', 'stripe'],
+  },
+  // Charges the provider has declined; moves the idempotency key on
+  attempts: {
+    type: Number,
+    default: 0,
+  },
+  paidAt: Date,
+  payment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment',
+  },
+  externalPaymentId: String,
+  lastError: String,
+});
+
+// A tournament fee divided among a team's roster families instead of being
+// paid in one go by the coach. Amounts in dollars.
+const teamFeeSplitSchema = new mongoose.Schema(
+  {
+    team: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Team',
+      required: true,
+    },
+    tournament: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    year: {
+      type: Number,
+      required: true,
+    },
+    coach: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Parent',
+      required: true,
+    },
+    totalAmount: {
+      type: Number,
+      required: true,
+      min: 0.01,
+    },
+    amountCollected: {
+      type: Number,
+      default: 0,
+    },
+    currency: {
+      type: String,
+      default: 'USD',
+    },
+    // Unpaid shares fall back to the coach after this date
+    deadline: {
+      type: Date,
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ['collecting', 'paid', 'cancelled'],
+      default: 'collecting',
+    },
+    shares: [shareSchema],
+    reassignedAt: Date,
+    completedAt: Date,
+    cancelledAt: Date,
+  },
+  { timestamps: true },
+);
+
+teamFeeSplitSchema.index({ team: 1, tournament: 1, year: 1, status: 1 });
+teamFeeSplitSchema.index({ 'shares.token': 1 }, { unique: true });
+teamFeeSplitSchema.index({ status: 1, deadline: 1 });
+
+teamFeeSplitSchema.virtual('amountRemaining').get(function () {
+  return Math.max(
+    0,
+    Math.round((this.totalAmount - this.amountCollected) * 100) / 100,
+  );
+});
+
+teamFeeSplitSchema.set('toJSON', {
+  virtuals: true,
+  // Tokens only ever leave the server inside the emailed payment links
+  transform: (doc, ret) => {
+    ret.shares?.forEach((share) => delete share.token);
+    return ret;
+  },
+});
+
+module.exports = mongoose.model('TeamFeeSplit', teamFeeSplitSchema);
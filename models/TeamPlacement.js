@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+
+// A player's suggested or offered spot on an internal team after tryouts
+const teamPlacementSchema = new mongoose.Schema(
+  {
+    tryout: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'TryoutConfig',
+      required: true,
+    },
+    eventId: {
+      type: String,
+      required: true,
+    },
+    team: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'InternalTeam',
+      required: true,
+    },
+    player: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Player',
+      required: true,
+    },
+    parent: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Parent',
+      required: true,
+    },
+    // Where the player ranked in their grade and gender, and on what score
+    rank: Number,
+    score: Number,
+    status: {
+      type: String,
+      enum: ['suggested', 'offered', 'accepted', 'declined', 'expired'],
+      default: 'suggested',
+    },
+    // Emailed accept/decline link token; whoever holds it can respond
+    token: String,
+    offeredAt: Date,
+    respondBy: Date,
+    respondedAt: Date,
+    offeredBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Parent',
+    },
+  },
+  { timestamps: true },
+);
+
+teamPlacementSchema.index({ tryout: 1, player: 1 });
+teamPlacementSchema.index({ team: 1, status: 1 });
+teamPlacementSchema.index({ token: 1 }, { unique: true, sparse: true });
+
+teamPlacementSchema.set('toJSON', {
+  // Tokens only ever leave the server inside the emailed links
+  transform: (doc, ret) => {
+    delete ret.token;
+    return ret;
+  },
+});
+
+module.exports = mongoose.model('TeamPlacement', teamPlacementSchema);
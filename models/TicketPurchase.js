@@ -1,5 +1,38 @@
 // models/TicketPurchase.js
 const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// A second redemption of the same admission reported by an offline device
+const redemptionConflictSchema = new mongoose.Schema(
+  {
+    scannedAt: { type: Date, required: true },
+    scannedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'Parent' },
+    deviceId: String,
+    venueIndex: Number,
+    detectedAt: { type: Date, default: Date.now },
+  },
+  { _id: false }
+);
+
+// One entry per person admitted at the gate. Each carries the id of the
+// signed token printed in its QR code.
+const admissionSchema = new mongoose.Schema(
+  {
+    admissionNumber: { type: Number, required: true },
+    tokenId: { type: String, required: true },
+    status: {
+      type: String,
+      enum: ['valid', 'redeemed', 'void'],
+      default: 'valid',
+    },
+    redeemedAt: Date,
+    redeemedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'Parent' },
+    redeemedVenueIndex: Number,
+    redeemedDeviceId: String, // Set when the redemption came from an offline log
+    conflicts: [redemptionConflictSchema],
+  },
+  { _id: false }
+);
 
 const ticketPurchaseSchema = new mongoose.Schema(
   {
@@ -59,6 +92,10 @@ const ticketPurchaseSchema = new mongoose.Schema(
     quantity: { type: Number, default: 1 },
     unitPrice: { type: Number },
 
+    // Admission Tickets (QR check-in)
+    venueIndex: { type: Number }, // Index into Form.tournamentSettings.venues
+    admissions: [admissionSchema],
+
     // Additional Info
     receiptUrl: String,
     processedAt: { type: Date },
@@ -81,6 +118,27 @@ ticketPurchaseSchema.index({ formId: 1, status: 1 });
 ticketPurchaseSchema.index({ submissionId: 1 }, { unique: true });
 ticketPurchaseSchema.index({ paymentId: 1 }, { unique: true });
 ticketPurchaseSchema.index({ squarePaymentId: 1 });
+ticketPurchaseSchema.index({ 'admissions.tokenId': 1 }, { sparse: true });
+ticketPurchaseSchema.index(
+  { formId: 1, 'admissions.conflicts.detectedAt': -1 },
+  { sparse: true }
+);
+
+// Issue one admission per ticket purchased (no-op if already issued)
+ticketPurchaseSchema.methods.issueAdmissions = function () {
+  if (this.admissions && this.admissions.length > 0) {
+    return this;
+  }
+
+  const count = Math.max(parseInt(this.quantity) || 1, 1);
+  this.admissions = Array.from({ length: count }, (_, index) => ({
+    admissionNumber: index + 1,
+    tokenId: crypto.randomUUID(),
+    status: 'valid',
+  }));
+
+  return this;
+};
 
 const TicketPurchase = mongoose.model('TicketPurchase', ticketPurchaseSchema);
 
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { TIEBREAKER_RULES } = require('../utils/standingsTiebreakers');
 
 const tournamentSchema = new mongoose.Schema(
   {
@@ -60,6 +61,8 @@ const tournamentSchema = new mongoose.Schema(
         'double-elimination',
         'round-robin',
         'group-stage',
+        'pool-to-bracket',
+        'swiss',
       ],
       default: 'single-elimination',
     },
@@ -85,12 +88,58 @@ const tournamentSchema = new mongoose.Schema(
         },
       ],
     },
+    // Volunteers allowed to score matches on the listed courts
+    scorekeepers: [
+      {
+        parent: { type: mongoose.Schema.Types.ObjectId, ref: 'Parent' },
+        courts: [{ type: String, trim: true }],
+        assignedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'Parent' },
+        assignedAt: { type: Date, default: Date.now },
+      },
+    ],
+    // Team requests honoured by the scheduler, e.g. no games before 10:00
+    scheduleRequests: [
+      {
+        team: { type: mongoose.Schema.Types.ObjectId, ref: 'Team' },
+        notBefore: { type: String, match: /^([01]?[0-9]|2[0-3]):[0-5][0-9]$/ },
+        date: Date,
+        note: String,
+      },
+    ],
+    // Seeds pinned by an admin before the bracket is generated
+    seedOverrides: [
+      {
+        _id: false,
+        team: { type: mongoose.Schema.Types.ObjectId, ref: 'Team' },
+        seed: { type: Number, min: 1 },
+      },
+    ],
     settings: {
       pointsPerWin: { type: Number, default: 3 },
       pointsPerDraw: { type: Number, default: 1 },
       pointsPerLoss: { type: Number, default: 0 },
       matchDuration: { type: Number, default: 40 },
       breakDuration: { type: Number, default: 10 },
+      minRestMinutes: { type: Number, default: 60, min: 0 },
+      // Pool play into single elimination
+      poolSize: { type: Number, default: 4, min: 2 },
+      teamsAdvancingPerPool: { type: Number, default: 2, min: 1 },
+      // Swiss system (defaults to log2 of the team count when unset)
+      swissRounds: { type: Number, min: 1 },
+      // Elimination seeding: registration order, or ranked from past results
+      seeding: {
+        type: String,
+        enum: ['registration', 'historical'],
+        default: 'registration',
+      },
+      // Group-stage tiebreakers, applied in order to teams level on points.
+      // Left unset, standings use DEFAULT_TIEBREAKERS.
+      tiebreakers: {
+        type: [{ type: String, enum: TIEBREAKER_RULES }],
+        default: undefined,
+      },
+      // Max margin (either way) a single game counts for in point differential
+      pointDifferentialCap: { type: Number, min: 1 },
     },
     createdBy: {
       type: mongoose.Schema.Types.ObjectId,
@@ -145,5 +194,6 @@ tournamentSchema.index({ year: -1, status: 1 });
 tournamentSchema.index({ levelOfCompetition: 1, sex: 1 });
 tournamentSchema.index({ createdBy: 1 });
 tournamentSchema.index({ status: 1, startDate: 1 });
+tournamentSchema.index({ 'scorekeepers.parent': 1 });
 
 module.exports = mongoose.model('Tournament', tournamentSchema);
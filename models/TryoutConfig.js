@@ -17,6 +17,8 @@ const TryoutSessionSchema = new mongoose.Schema({
   endTime: { type: String, required: false },
   grades: { type: String, required: false },
   location: { type: TryoutLocationSchema, default: () => ({}) },
+  // Players per session; null means no limit
+  maxParticipants: { type: Number, default: null },
 });
 
 // New schema for structured tryout details
@@ -39,6 +41,14 @@ const TryoutDetailsSchema = new mongoose.Schema({
   whatToBring: [{ type: String }],
 });
 
+// Something evaluators score players on at the tryout, e.g. ball handling
+const EvaluationCriterionSchema = new mongoose.Schema({
+  key: { type: String, required: true, trim: true },
+  label: { type: String, required: true, trim: true },
+  maxScore: { type: Number, default: 5, min: 1 },
+  weight: { type: Number, default: 1, min: 0 },
+});
+
 const TryoutConfigSchema = new mongoose.Schema(
   {
     // Basic tryout info
@@ -72,6 +82,10 @@ const TryoutConfigSchema = new mongoose.Schema(
 
     // NEW: Structured tryout details
     tryoutDetails: { type: TryoutDetailsSchema, default: () => ({}) },
+
+    // Scoring sheet and the coaches assigned to fill it in
+    evaluationCriteria: [EvaluationCriterionSchema],
+    evaluators: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Parent' }],
   },
   {
     timestamps: true,
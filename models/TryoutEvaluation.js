@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+
+const criterionScoreSchema = new mongoose.Schema(
+  {
+    // TryoutConfig.evaluationCriteria[].key
+    criterion: {
+      type: String,
+      required: true,
+    },
+    score: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+  },
+  { _id: false },
+);
+
+// One evaluator's scores for one player at a tryout
+const tryoutEvaluationSchema = new mongoose.Schema(
+  {
+    tryout: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'TryoutConfig',
+      required: true,
+    },
+    eventId: {
+      type: String,
+      required: true,
+    },
+    player: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Player',
+      required: true,
+    },
+    evaluator: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Parent',
+      required: true,
+    },
+    scores: [criterionScoreSchema],
+    // Weighted score out of 100 across the criteria scored
+    overall: {
+      type: Number,
+      min: 0,
+      max: 100,
+    },
+    notes: {
+      type: String,
+      default: '',
+      trim: true,
+    },
+  },
+  { timestamps: true },
+);
+
+tryoutEvaluationSchema.index(
+  { tryout: 1, player: 1, evaluator: 1 },
+  { unique: true },
+);
+
+module.exports = mongoose.model('TryoutEvaluation', tryoutEvaluationSchema);
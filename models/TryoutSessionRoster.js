@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+
+const signupSchema = new mongoose.Schema({
+  player: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Player',
+    required: true,
+  },
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Parent',
+  },
+  signedUpAt: {
+    type: Date,
+    default: Date.now,
+  },
+  // Set when an admin moved the player here from another session
+  movedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Parent',
+  },
+  movedFrom: String,
+});
+
+// Players signed up for one session of a tryout. A player is in at most one
+// session per tryout; joining is a single update guarded by the session's
+// maxParticipants.
+const tryoutSessionRosterSchema = new mongoose.Schema(
+  {
+    tryout: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'TryoutConfig',
+      required: true,
+    },
+    eventId: {
+      type: String,
+      required: true,
+    },
+    // TryoutConfig.tryoutDetails.tryoutSessions[].id
+    sessionId: {
+      type: String,
+      required: true,
+    },
+    players: [signupSchema],
+  },
+  { timestamps: true },
+);
+
+tryoutSessionRosterSchema.index({ tryout: 1, sessionId: 1 }, { unique: true });
+tryoutSessionRosterSchema.index({ eventId: 1, 'players.player': 1 });
+
+module.exports = mongoose.model(
+  'TryoutSessionRoster',
+  tryoutSessionRosterSchema,
+);
@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+
+// A player waiting for a spot in a full tryout or training program. Entries
+// are offered in the order they joined.
+const waitlistEntrySchema = new mongoose.Schema(
+  {
+    program: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ProgramCapacity',
+      required: true,
+    },
+    parent: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Parent',
+      required: true,
+    },
+    player: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Player',
+      required: true,
+    },
+    email: String,
+    // What the family asked to register for, replayed at checkout
+    season: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    year: {
+      type: Number,
+      required: true,
+    },
+    tryoutId: {
+      type: String,
+      trim: true,
+    },
+    status: {
+      type: String,
+      enum: ['waiting', 'offered', 'accepted', 'expired', 'withdrawn'],
+      default: 'waiting',
+    },
+    joinedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    offeredAt: Date,
+    // The held spot goes to the next family after this
+    offerExpiresAt: Date,
+    acceptedAt: Date,
+    expiredAt: Date,
+    withdrawnAt: Date,
+  },
+  { timestamps: true },
+);
+
+waitlistEntrySchema.index({ program: 1, status: 1, joinedAt: 1 });
+waitlistEntrySchema.index({ status: 1, offerExpiresAt: 1 });
+waitlistEntrySchema.index({ parent: 1, status: 1 });
+
+module.exports = mongoose.model('WaitlistEntry', waitlistEntrySchema);
@@ -0,0 +1,70 @@
+const mongoose = require('mongoose');
+
+// Every verified delivery from a payment provider. The idempotency key is
+// unique, so a replayed or retried delivery finds the existing event instead
+// of applying its changes twice.
+const webhookEventSchema = new mongoose.Schema(
+  {
+    provider: {
+      type: String,
+      enum: ['square', 'clover', 'stripe', 'paypal'],
+      required: true,
+    },
+    eventId: {
+      type: String,
+      required: true,
+    },
+    idempotencyKey: {
+      type: String,
+      required: true,
+    },
+    configurationId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'PaymentConfiguration',
+    },
+
+    // Provider event type and the normalized event it maps to, if any
+    type: String,
+    normalizedType: {
+      type: String,
+      enum: ['payment.completed', 'payment.failed', 'refund.completed', null],
+      default: null,
+    },
+    // Extracted from the payload; amounts in dollars like Payment.amount
+    data: {
+      paymentIds: [String],
+      refundId: String,
+      amount: Number,
+      receiptUrl: String,
+      reason: String,
+    },
+    payload: mongoose.Schema.Types.Mixed,
+
+    status: {
+      type: String,
+      enum: ['received', 'processed', 'ignored', 'failed'],
+      default: 'received',
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    error: String,
+    processedAt: Date,
+    // Local records the event was applied to
+    payment: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Payment',
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+webhookEventSchema.index({ idempotencyKey: 1 }, { unique: true });
+webhookEventSchema.index({ provider: 1, createdAt: -1 });
+webhookEventSchema.index({ status: 1, createdAt: -1 });
+webhookEventSchema.index({ 'data.paymentIds': 1 });
+
+module.exports = mongoose.model('WebhookEvent', webhookEventSchema);
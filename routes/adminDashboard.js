@@ -5,7 +5,15 @@ const Parent = require('../models/Parent');
 const Payment = require('../models/Payment');
 const Registration = require('../models/Registration');
 const InternalTeam = require('../models/InternalTeam');
+const ReconciliationReport = require('../models/ReconciliationReport');
 const { getDateRange } = require('../utils/dateRanges');
+const { authenticate, isAdmin } = require('../utils/auth');
+const {
+  runReconciliation,
+  reportToCsv,
+} = require('../services/reconciliation');
+const { scholarshipTotals } = require('../services/scholarships');
+const { body, param, query, validationResult } = require('express-validator');
 
 async function getRecentPayments() {
   try {
@@ -240,6 +248,9 @@ async function getFinancialMetrics(timeRange = 'this-month') {
 
     const netRevenue = grossRevenue - completedRefunds;
 
+    // Waived fees are reported on their own; they never count as revenue
+    const scholarships = await scholarshipTotals(start, end);
+
     return {
       grossRevenue,
       netRevenue,
@@ -252,6 +263,7 @@ async function getFinancialMetrics(timeRange = 'this-month') {
       averageTransaction: payments.length ? grossRevenue / payments.length : 0,
       dailyRevenue,
       refundReasons: {},
+      scholarships,
       dateRange: { start, end, label: timeRange },
     };
   } catch (error) {
@@ -288,6 +300,13 @@ function getEmptyFinancialData(timeRange) {
     averageTransaction: 0,
     dailyRevenue: {},
     refundReasons: {},
+    scholarships: {
+      waived: 0,
+      redemptions: 0,
+      fullWaivers: 0,
+      families: 0,
+      awarded: { full: 0, partial: 0 },
+    },
     dateRange: { start, end, label: timeRange },
   };
 }
@@ -493,4 +512,187 @@ router.get('/dashboard', async (req, res) => {
   }
 });
 
+// ============================================
+// PAYMENT RECONCILIATION
+// ============================================
+
+// Reconciliation reports cover at most a quarter so provider listings stay
+// manageable
+const MAX_RECONCILIATION_DAYS = 92;
+
+const DISCREPANCY_TYPES = [
+  'missing_local',
+  'missing_remote',
+  'amount_mismatch',
+  'status_drift',
+  'missing_local_refund',
+  'refund_amount_mismatch',
+];
+
+const reportIdValidator = param('reportId')
+  .isMongoId()
+  .withMessage('Invalid report ID');
+
+const discrepancyFilters = [
+  query('type').optional().isIn(DISCREPANCY_TYPES),
+  query('paymentSystem')
+    .optional()
+    .isIn(['square', 'clover', 'stripe', 'paypal']),
+];
+
+const filterDiscrepancies = (report, { type, paymentSystem }) =>
+  report.discrepancies.filter(
+    (discrepancy) =>
+      (!type || discrepancy.type === type) &&
+      (!paymentSystem || discrepancy.paymentSystem === paymentSystem)
+  );
+
+// Run a reconciliation for a date range (end date exclusive)
+router.post(
+  '/reconciliation',
+  authenticate,
+  isAdmin,
+  [
+    body('startDate').isISO8601().withMessage('Valid start date is required'),
+    body('endDate')
+      .isISO8601()
+      .withMessage('Valid end date is required')
+      .custom((endDate, { req }) => {
+        const days =
+          (new Date(endDate) - new Date(req.body.startDate)) / 86400000;
+        if (days <= 0) {
+          throw new Error('End date must be after start date');
+        }
+        if (days > MAX_RECONCILIATION_DAYS) {
+          throw new Error(
+            `Date range cannot exceed ${MAX_RECONCILIATION_DAYS} days`
+          );
+        }
+        return true;
+      }),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    try {
+      const report = await runReconciliation({
+        startDate: req.body.startDate,
+        endDate: req.body.endDate,
+        triggeredBy: 'admin',
+        createdBy: req.user._id || req.user.id,
+      });
+
+      res.status(report.status === 'failed' ? 500 : 201).json({
+        success: report.status !== 'failed',
+        report,
+      });
+    } catch (error) {
+      console.error('Reconciliation error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to run reconciliation',
+        details: error.message,
+      });
+    }
+  }
+);
+
+router.get('/reconciliation', authenticate, isAdmin, async (req, res) => {
+  try {
+    const reports = await ReconciliationReport.find({})
+      .select('-discrepancies')
+      .sort({ createdAt: -1 })
+      .limit(50)
+      .lean();
+
+    res.json({ success: true, reports });
+  } catch (error) {
+    console.error('Error fetching reconciliation reports:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch reconciliation reports',
+    });
+  }
+});
+
+router.get(
+  '/reconciliation/:reportId',
+  authenticate,
+  isAdmin,
+  [reportIdValidator, ...discrepancyFilters],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    try {
+      const report = await ReconciliationReport.findById(
+        req.params.reportId
+      ).lean();
+      if (!report) {
+        return res.status(404).json({
+          success: false,
+          error: 'Reconciliation report not found',
+        });
+      }
+
+      res.json({
+        success: true,
+        report: {
+          ...report,
+          discrepancies: filterDiscrepancies(report, req.query),
+        },
+      });
+    } catch (error) {
+      console.error('Error fetching reconciliation report:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to fetch reconciliation report',
+      });
+    }
+  }
+);
+
+router.get(
+  '/reconciliation/:reportId/export',
+  authenticate,
+  isAdmin,
+  [reportIdValidator, ...discrepancyFilters],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    try {
+      const report = await ReconciliationReport.findById(
+        req.params.reportId
+      ).lean();
+      if (!report) {
+        return res.status(404).json({
+          success: false,
+          error: 'Reconciliation report not found',
+        });
+      }
+
+      const day = (date) => new Date(date).toISOString().split('T')[0];
+      res.header('Content-Type', 'text/csv');
+      res.attachment(
+        `reconciliation-${day(report.startDate)}-to-${day(report.endDate)}.csv`
+      );
+      res.send(reportToCsv(report, filterDiscrepancies(report, req.query)));
+    } catch (error) {
+      console.error('Error exporting reconciliation report:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to export reconciliation report',
+      });
+    }
+  }
+);
+
 module.exports = router;
@@ -18,6 +18,7 @@ const Notification = require('../models/Notification');
 const TournamentConfig = require('../models/TournamentConfig');
 const RegistrationFormConfig = require('../models/RegistrationFormConfig');
 const SeasonEvent = require('../models/SeasonEvent');
+const Season = require('../models/Season');
 const MergeRequest = require('../models/MergeRequest');
 const TryoutConfig = require('../models/TryoutConfig');
 const {
@@ -1465,6 +1466,15 @@ router.post(
         };
       });
 
+      // insertMany skips the Player hook that links each season
+      await Season.assignIds(
+        playerDocs.map((doc) => ({
+          target: doc.seasons[0],
+          eventId: doc.tryoutId,
+          name: doc.season,
+          year: doc.registrationYear,
+        })),
+      );
       const savedPlayers = await Player.insertMany(playerDocs, { session });
 
       // Update parent with player IDs
@@ -3652,6 +3662,7 @@ router.post('/notifications', authenticate, async (req, res) => {
       targetType = 'all',
       targetSeason,
       seasonName,
+      seasonId,
       parentIds = [],
     } = req.body;
 
@@ -3668,7 +3679,19 @@ router.post('/notifications', authenticate, async (req, res) => {
     }
 
     let resolvedParentIds = [...parentIds];
-    const finalSeasonName = seasonName || targetSeason;
+    let finalSeasonName = seasonName || targetSeason;
+    let season;
+
+    if (targetType === 'season' && seasonId) {
+      season = mongoose.Types.ObjectId.isValid(seasonId)
+        ? await Season.findById(seasonId).session(session)
+        : null;
+      if (!season) {
+        await session.abortTransaction();
+        return res.status(404).json({ error: 'Season not found' });
+      }
+      finalSeasonName = finalSeasonName || season.name;
+    }
 
     if (targetType === 'season') {
       if (!finalSeasonName) {
@@ -3678,9 +3701,31 @@ router.post('/notifications', authenticate, async (req, res) => {
         });
       }
 
-      const players = await Player.find({
-        season: { $regex: new RegExp(finalSeasonName, 'i') },
-      }).session(session);
+      // A season id names exactly who registered; names are matched loosely.
+      // Season entries written without the Player hooks may not be linked
+      // yet, so those still match on the season's names and year.
+      const players = await Player.find(
+        season
+          ? {
+              $or: [
+                { 'seasons.seasonId': season._id },
+                {
+                  seasons: {
+                    $elemMatch: {
+                      seasonId: { $exists: false },
+                      season: {
+                        $in: season.aliases.map((alias) =>
+                          Season.namePattern(alias),
+                        ),
+                      },
+                      year: season.year,
+                    },
+                  },
+                },
+              ],
+            }
+          : { season: { $regex: new RegExp(finalSeasonName, 'i') } },
+      ).session(session);
 
       resolvedParentIds = [
         ...new Set(players.map((p) => p.parentId?.toString()).filter(Boolean)),
@@ -3709,6 +3754,7 @@ router.post('/notifications', authenticate, async (req, res) => {
         targetSeason: finalSeasonName,
         seasonName: finalSeasonName,
         parentIds: resolvedParentIds,
+        ...(season && { targetSeasonId: season._id, targetYear: season.year }),
       }),
       ...(targetType === 'individual' && {
         parentIds,
@@ -0,0 +1,474 @@
+// evaluationRoutes.js
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const Player = require('../models/Player');
+const TeamPlacement = require('../models/TeamPlacement');
+const InternalTeam = require('../models/InternalTeam');
+const { authenticate, isAdmin } = require('../utils/auth');
+const { findTryout } = require('../services/tryoutSessions');
+const {
+  isEvaluator,
+  saveEvaluation,
+  evaluationSheet,
+  rankPlayers,
+  generatePlacements,
+  offerPlacements,
+  findOffer,
+  respondToOffer,
+} = require('../services/evaluations');
+const { body, param, query, validationResult } = require('express-validator');
+
+const sendValidationErrors = (req, res) => {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) return false;
+  res.status(400).json({ success: false, errors: errors.array() });
+  return true;
+};
+
+const sendEvaluationError = (res, error, fallback) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({
+      success: false,
+      error: error.message,
+    });
+  }
+  console.error(`${fallback}:`, error);
+  res.status(500).json({ success: false, error: fallback });
+};
+
+const eventIdValidator = param('eventId')
+  .trim()
+  .notEmpty()
+  .withMessage('Tryout event ID is required');
+
+const offerTokenValidator = param('token')
+  .isHexadecimal()
+  .isLength({ min: 48, max: 48 })
+  .withMessage('Invalid placement link');
+
+// "Ball Handling" -> "ball-handling"
+const criterionKey = (label) =>
+  label
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-|-$/g, '');
+
+const loadTryoutForEvaluator = async (req, res) => {
+  const tryout = await findTryout(req.params.eventId);
+  if (!isEvaluator(tryout, req.user)) {
+    res.status(403).json({
+      success: false,
+      error: 'You are not an evaluator for this tryout',
+    });
+    return null;
+  }
+  return tryout;
+};
+
+// ============================================
+// PLACEMENT OFFER LINKS
+// ============================================
+
+// Acceptance emails link to /placement/:token; the token is the credential,
+// so families respond without logging in
+router.get(
+  '/placements/respond/:token',
+  [offerTokenValidator],
+  async (req, res) => {
+    if (sendValidationErrors(req, res)) return;
+
+    try {
+      const placement = await findOffer(req.params.token);
+      res.json({
+        success: true,
+        placement: {
+          status: placement.status,
+          player: placement.player,
+          team: placement.team,
+          respondBy: placement.respondBy,
+        },
+      });
+    } catch (error) {
+      sendEvaluationError(res, error, 'Failed to fetch placement offer');
+    }
+  },
+);
+
+router.post(
+  '/placements/respond/:token',
+  [
+    offerTokenValidator,
+    body('response')
+      .isIn(['accept', 'decline'])
+      .withMessage('Response must be accept or decline'),
+  ],
+  async (req, res) => {
+    if (sendValidationErrors(req, res)) return;
+
+    try {
+      const placement = await respondToOffer(
+        req.params.token,
+        req.body.response,
+      );
+      res.json({
+        success: true,
+        status: placement.status,
+        team: placement.team,
+      });
+    } catch (error) {
+      sendEvaluationError(res, error, 'Failed to respond to placement offer');
+    }
+  },
+);
+
+// ============================================
+// SETUP
+// ============================================
+
+router.put(
+  '/:eventId/setup',
+  authenticate,
+  isAdmin,
+  [
+    eventIdValidator,
+    body('criteria')
+      .isArray({ min: 1 })
+      .withMessage('At least one evaluation criterion is required'),
+    body('criteria.*.label')
+      .trim()
+      .notEmpty()
+      .withMessage('Each criterion needs a label'),
+    body('criteria.*.key').optional().trim().notEmpty(),
+    body('criteria.*.maxScore').optional().isInt({ min: 1, max: 100 }).toInt(),
+    body('criteria.*.weight').optional().isFloat({ min: 0 }).toFloat(),
+    body('evaluatorIds').optional().isArray(),
+    body('evaluatorIds.*')
+      .custom((value) => mongoose.Types.ObjectId.isValid(value))
+      .withMessage('Valid evaluator IDs are required'),
+  ],
+  async (req, res) => {
+    if (sendValidationErrors(req, res)) return;
+
+    try {
+      const tryout = await findTryout(req.params.eventId);
+
+      const criteria = req.body.criteria.map((criterion) => ({
+        key: criterion.key || criterionKey(criterion.label),
+        label: criterion.label,
+        maxScore: criterion.maxScore,
+        weight: criterion.weight,
+      }));
+      const keys = criteria.map((c) => c.key);
+      if (new Set(keys).size !== keys.length) {
+        return res.status(400).json({
+          success: false,
+          error: 'Evaluation criteria must have distinct names',
+        });
+      }
+
+      tryout.evaluationCriteria = criteria;
+      if (req.body.evaluatorIds) tryout.evaluators = req.body.evaluatorIds;
+      await tryout.save();
+
+      res.json({
+        success: true,
+        evaluationCriteria: tryout.evaluationCriteria,
+        evaluators: tryout.evaluators,
+      });
+    } catch (error) {
+      sendEvaluationError(res, error, 'Failed to save evaluation setup');
+    }
+  },
+);
+
+// ============================================
+// EVALUATORS
+// ============================================
+
+router.get(
+  '/:eventId/players',
+  authenticate,
+  [eventIdValidator],
+  async (req, res) => {
+    if (sendValidationErrors(req, res)) return;
+
+    try {
+      const tryout = await loadTryoutForEvaluator(req, res);
+      if (!tryout) return;
+
+      res.json({
+        success: true,
+        criteria: tryout.evaluationCriteria,
+        players: await evaluationSheet(tryout, req.user._id || req.user.id),
+      });
+    } catch (error) {
+      sendEvaluationError(res, error, 'Failed to fetch evaluation sheet');
+    }
+  },
+);
+
+router.put(
+  '/:eventId/players/:playerId',
+  authenticate,
+  [
+    eventIdValidator,
+    param('playerId').isMongoId().withMessage('Invalid player ID'),
+    body('scores').isArray().withMessage('Scores must be an array'),
+    body('scores.*.criterion')
+      .trim()
+      .notEmpty()
+      .withMessage('Each score needs a criterion'),
+    body('scores.*.score')
+      .isFloat({ min: 0 })
+      .withMessage('Scores must be zero or more')
+      .toFloat(),
+    body('notes').optional().isString().isLength({ max: 2000 }),
+  ],
+  async (req, res) => {
+    if (sendValidationErrors(req, res)) return;
+
+    try {
+      const tryout = await loadTryoutForEvaluator(req, res);
+      if (!tryout) return;
+
+      const player = await Player.findById(req.params.playerId).select(
+        'seasons',
+      );
+      if (!player) {
+        return res.status(404).json({
+          success: false,
+          error: 'Player not found',
+        });
+      }
+
+      const evaluation = await saveEvaluation({
+        tryout,
+        player,
+        evaluatorId: req.user._id || req.user.id,
+        scores: req.body.scores,
+        notes: req.body.notes,
+      });
+
+      res.json({ success: true, evaluation });
+    } catch (error) {
+      sendEvaluationError(res, error, 'Failed to save evaluation');
+    }
+  },
+);
+
+// ============================================
+// RANKINGS AND PLACEMENTS
+// ============================================
+
+router.get(
+  '/:eventId/rankings',
+  authenticate,
+  isAdmin,
+  [eventIdValidator],
+  async (req, res) => {
+    if (sendValidationErrors(req, res)) return;
+
+    try {
+      const tryout = await findTryout(req.params.eventId);
+      res.json({
+        success: true,
+        criteria: tryout.evaluationCriteria,
+        groups: await rankPlayers(tryout),
+      });
+    } catch (error) {
+      sendEvaluationError(res, error, 'Failed to rank players');
+    }
+  },
+);
+
+router.get(
+  '/:eventId/placements',
+  authenticate,
+  isAdmin,
+  [
+    eventIdValidator,
+    query('status')
+      .optional()
+      .isIn(['suggested', 'offered', 'accepted', 'declined', 'expired']),
+  ],
+  async (req, res) => {
+    if (sendValidationErrors(req, res)) return;
+
+    try {
+      const tryout = await findTryout(req.params.eventId);
+      const filter = { tryout: tryout._id };
+      if (req.query.status) filter.status = req.query.status;
+
+      const placements = await TeamPlacement.find(filter)
+        .populate('team', 'name grade gender')
+        .populate('player', 'fullName grade gender')
+        .populate('parent', 'fullName email phone')
+        .sort({ team: 1, rank: 1 });
+
+      res.json({ success: true, placements });
+    } catch (error) {
+      sendEvaluationError(res, error, 'Failed to fetch placements');
+    }
+  },
+);
+
+router.post(
+  '/:eventId/placements/generate',
+  authenticate,
+  isAdmin,
+  [
+    eventIdValidator,
+    body('rosterSize')
+      .optional()
+      .isInt({ min: 1, max: 30 })
+      .withMessage('Roster size must be between 1 and 30')
+      .toInt(),
+    body('teamIds').optional().isArray(),
+    body('teamIds.*')
+      .custom((value) => mongoose.Types.ObjectId.isValid(value))
+      .withMessage('Valid team IDs are required'),
+  ],
+  async (req, res) => {
+    if (sendValidationErrors(req, res)) return;
+
+    try {
+      const tryout = await findTryout(req.params.eventId);
+      const placements = await generatePlacements(tryout, {
+        teamIds: req.body.teamIds,
+        rosterSize: req.body.rosterSize || 10,
+      });
+
+      res.status(201).json({
+        success: true,
+        count: placements.length,
+        placements,
+      });
+    } catch (error) {
+      sendEvaluationError(res, error, 'Failed to generate placements');
+    }
+  },
+);
+
+// Admins adjust a suggestion before offering it: move it to another team or
+// drop it
+router.patch(
+  '/placements/:placementId',
+  authenticate,
+  isAdmin,
+  [
+    param('placementId').isMongoId().withMessage('Invalid placement ID'),
+    body('teamId').isMongoId().withMessage('Valid team ID is required'),
+  ],
+  async (req, res) => {
+    if (sendValidationErrors(req, res)) return;
+
+    try {
+      const [placement, team] = await Promise.all([
+        TeamPlacement.findById(req.params.placementId),
+        InternalTeam.findById(req.body.teamId).select('_id'),
+      ]);
+      if (!placement || !team) {
+        return res.status(404).json({
+          success: false,
+          error: 'Placement or team not found',
+        });
+      }
+      if (placement.status !== 'suggested') {
+        return res.status(409).json({
+          success: false,
+          error: `Placement has already been ${placement.status}`,
+        });
+      }
+
+      placement.team = team._id;
+      await placement.save();
+      res.json({ success: true, placement });
+    } catch (error) {
+      sendEvaluationError(res, error, 'Failed to update placement');
+    }
+  },
+);
+
+router.delete(
+  '/placements/:placementId',
+  authenticate,
+  isAdmin,
+  [param('placementId').isMongoId().withMessage('Invalid placement ID')],
+  async (req, res) => {
+    if (sendValidationErrors(req, res)) return;
+
+    try {
+      const placement = await TeamPlacement.findOneAndDelete({
+        _id: req.params.placementId,
+        status: 'suggested',
+      });
+      if (!placement) {
+        return res.status(404).json({
+          success: false,
+          error: 'Suggested placement not found',
+        });
+      }
+
+      res.json({ success: true });
+    } catch (error) {
+      sendEvaluationError(res, error, 'Failed to remove placement');
+    }
+  },
+);
+
+// Email acceptance offers for suggested placements, all of the tryout's or
+// just those listed
+router.post(
+  '/:eventId/placements/offer',
+  authenticate,
+  isAdmin,
+  [
+    eventIdValidator,
+    body('placementIds').optional().isArray(),
+    body('placementIds.*').isMongoId().withMessage('Invalid placement ID'),
+    body('paymentType')
+      .isIn(['square', 'zelle', 'both'])
+      .withMessage('paymentType must be square, zelle, or both'),
+    body('squareLink')
+      .if(body('paymentType').isIn(['square', 'both']))
+      .notEmpty()
+      .withMessage('squareLink is required for Square payments'),
+    body('zelleInfo')
+      .if(body('paymentType').isIn(['zelle', 'both']))
+      .notEmpty()
+      .withMessage('zelleInfo is required for Zelle payments'),
+    body('paymentDeadlineHours').optional().isInt({ min: 1 }).toInt(),
+    body('additionalInfo').optional().isString(),
+  ],
+  async (req, res) => {
+    if (sendValidationErrors(req, res)) return;
+
+    try {
+      const tryout = await findTryout(req.params.eventId);
+      const filter = { tryout: tryout._id, status: 'suggested' };
+      if (req.body.placementIds) filter._id = { $in: req.body.placementIds };
+
+      const placements = await TeamPlacement.find(filter);
+      const { offered, failures } = await offerPlacements(placements, {
+        offeredBy: req.user._id || req.user.id,
+        paymentType: req.body.paymentType,
+        squareLink: req.body.squareLink,
+        zelleInfo: req.body.zelleInfo,
+        paymentDeadlineHours: req.body.paymentDeadlineHours,
+        additionalInfo: req.body.additionalInfo,
+      });
+
+      res.json({
+        success: true,
+        offeredCount: offered.length,
+        failedCount: failures.length,
+        failures,
+      });
+    } catch (error) {
+      sendEvaluationError(res, error, 'Failed to send placement offers');
+    }
+  },
+);
+
+module.exports = router;
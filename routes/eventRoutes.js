@@ -405,22 +405,25 @@ router.post('/payments/process', authenticate, async (req, res) => {
       cardDetails,
       playerId,
       playerCount,
+      savedCardId,
     } = req.body;
 
     const parent = await Parent.findOne({ userId: req.user._id });
     if (!parent) throw new Error('Parent account not found');
-    if (!token) throw new Error('Payment token is required');
+    if (!token && !savedCardId) throw new Error('Payment token is required');
     if (!amount || isNaN(amount)) throw new Error('Valid amount is required');
     if (!eventId) throw new Error('Event ID is required');
     if (!formId) throw new Error('Form ID is required');
     if (!buyerEmail) throw new Error('Buyer email is required');
-    if (!cardDetails?.last_4) throw new Error('Card details are incomplete');
+    if (!savedCardId && !cardDetails?.last_4)
+      throw new Error('Card details are incomplete');
 
     const result = await submitPayment(token, amount, {
       parentId: parent._id,
       playerId: playerId || null,
       playerCount: playerCount || null,
       cardDetails,
+      savedCardId,
       locationId: process.env.SQUARE_LOCATION_ID,
       buyerEmailAddress: buyerEmail,
       buyerName: buyerName || '',
@@ -15,6 +15,7 @@ const {
   sendFormPaymentReceiptEmail,
   sendFormOwnerNotificationEmail,
 } = require('../utils/email');
+const { buildAdmissionTickets } = require('../utils/ticketTokens');
 
 // Simple UUID v4 generator (replaces the uuid package)
 function uuidv4() {
@@ -1225,8 +1226,15 @@ router.post(
         processedAt: new Date(),
         ipAddress: req.ip,
         userAgent: req.get('User-Agent'),
+        venueIndex: submission.tournamentInfo?.selectedVenueIndex ?? undefined,
       });
 
+      const usesQrCheckIn =
+        (form.tournamentSettings?.ticketCheckMethod || 'qr') === 'qr';
+      if (usesQrCheckIn) {
+        ticketPurchase.issueAdmissions();
+      }
+
       await ticketPurchase.save({ session });
 
       // 7. Update FormSubmission
@@ -1267,6 +1275,15 @@ router.post(
       // 8. Send payment confirmation email
       if (email) {
         try {
+          let admissionTickets = [];
+          if (usesQrCheckIn) {
+            try {
+              admissionTickets = await buildAdmissionTickets(ticketPurchase);
+            } catch (qrError) {
+              console.error('Error generating ticket QR codes:', qrError);
+            }
+          }
+
           // Prepare the data for the receipt email
           const formData = {
             formTitle: form.title,
@@ -1281,6 +1298,7 @@ router.post(
             tournamentInfo: form.tournamentSettings,
             venues: form.tournamentSettings?.venues || [],
             formData: submission.data.toObject(),
+            admissionTickets,
           };
 
           const submissionData = {
@@ -125,13 +125,19 @@ router.post(
     body('squareConfig.environment').optional().isIn(['sandbox', 'production']),
     body('squareConfig.locationId').optional().isString(),
     body('squareConfig.webhookSignatureKey').optional().isString(),
+    body('squareConfig.webhookNotificationUrl').optional().isURL(),
     // Clover validation
     body('cloverConfig.merchantId').optional().isString(),
     body('cloverConfig.accessToken').optional().isString(),
     body('cloverConfig.environment').optional().isIn(['sandbox', 'production']),
+    body('cloverConfig.webhookSecret').optional().isString(),
+    // Webhook validation
+    body('stripeConfig.webhookSecret').optional().isString(),
+    body('paypalConfig.webhookId').optional().isString(),
     // Settings validation
     body('settings.currency').optional().isIn(['USD', 'CAD', 'EUR', 'GBP']),
     body('settings.taxRate').optional().isFloat({ min: 0, max: 100 }),
+    body('settings.refundApprovalThreshold').optional().isFloat({ min: 0 }),
   ],
   async (req, res) => {
     const errors = validationResult(req);
@@ -265,11 +271,16 @@ router.put(
     body('squareConfig.environment').optional().isIn(['sandbox', 'production']),
     body('squareConfig.locationId').optional().isString(),
     body('squareConfig.webhookSignatureKey').optional().isString(),
+    body('squareConfig.webhookNotificationUrl').optional().isURL(),
     body('cloverConfig.merchantId').optional().isString(),
     body('cloverConfig.accessToken').optional().isString(),
     body('cloverConfig.environment').optional().isIn(['sandbox', 'production']),
+    body('cloverConfig.webhookSecret').optional().isString(),
+    body('stripeConfig.webhookSecret').optional().isString(),
+    body('paypalConfig.webhookId').optional().isString(),
     body('settings.currency').optional().isIn(['USD', 'CAD', 'EUR', 'GBP']),
     body('settings.taxRate').optional().isFloat({ min: 0, max: 100 }),
+    body('settings.refundApprovalThreshold').optional().isFloat({ min: 0 }),
   ],
   async (req, res) => {
     const errors = validationResult(req);
@@ -1,7 +1,6 @@
 const express = require('express');
-const { authenticate } = require('../utils/auth');
+const { authenticate, isAdmin } = require('../utils/auth');
 const Payment = require('../models/Payment');
-const PaymentConfiguration = require('../models/PaymentConfiguration');
 const PaymentServiceFactory = require('../services/payment-service-factory');
 const router = express.Router();
 const mongoose = require('mongoose');
@@ -9,12 +8,39 @@ const Parent = require('../models/Parent');
 const Player = require('../models/Player');
 const Registration = require('../models/Registration');
 const Team = require('../models/Team');
+const PaymentPlan = require('../models/PaymentPlan');
+const TeamFeeSplit = require('../models/TeamFeeSplit');
+const {
+  startPaymentPlan,
+  cancelPaymentPlan,
+} = require('../services/paymentPlans');
+const {
+  priceCheckout,
+  reserveDiscounts,
+  releaseDiscounts,
+  discountRecord,
+} = require('../services/pricing');
+const { settleWaivedSeasons } = require('../services/scholarships');
+const {
+  claimSpots,
+  releaseSpots,
+  confirmSpots,
+} = require('../services/capacity');
+const {
+  signUpForSessions,
+  releaseSessionSignups,
+} = require('../services/tryoutSessions');
+const {
+  saveCardForParent,
+  findSavedCard,
+  chargeSavedCard,
+} = require('../services/savedCards');
 const {
   sendTournamentRegistrationEmail,
   sendEmail,
 } = require('../utils/email');
 const crypto = require('crypto');
-const { body, validationResult } = require('express-validator');
+const { body, param, validationResult } = require('express-validator');
 
 // ============================================
 // DUPLICATE PAYMENT PREVENTION SYSTEM
@@ -75,13 +101,6 @@ async function getPaymentService(paymentSystem = null) {
   return await PaymentServiceFactory.getService(paymentSystem);
 }
 
-async function getActivePaymentConfig() {
-  return await PaymentConfiguration.findOne({ isActive: true }).sort({
-    isDefault: -1,
-    updatedAt: -1,
-  });
-}
-
 function validateConfigForPayment(config, paymentType = 'tournament') {
   console.log('validateConfigForPayment called with:', {
     hasConfig: !!config,
@@ -129,6 +148,26 @@ function validateConfigForPayment(config, paymentType = 'tournament') {
   return true;
 }
 
+// Checkouts may send `savedCardId` to pay with a card on file, or
+// `saveCard: true` to keep the card they were given. Saving spends the
+// single-use token, so both cases are charged through the saved card.
+async function resolveSavedCard(paymentService, parent, body) {
+  const { savedCardId, saveCard, token, sourceId, cardDetails } = body;
+
+  if (savedCardId) {
+    return findSavedCard(parent, savedCardId, paymentService);
+  }
+  if (saveCard === true || saveCard === 'true') {
+    return saveCardForParent({
+      parent,
+      paymentService,
+      sourceId: sourceId || token,
+      cardDetails,
+    });
+  }
+  return null;
+}
+
 function createPaymentData(paymentService, paymentResult, baseData) {
   const paymentData = {
     ...baseData,
@@ -146,6 +185,133 @@ function createPaymentData(paymentService, paymentResult, baseData) {
   return paymentData;
 }
 
+// Shared by /tryout and /training; a card on file stands in for the token
+// and card details
+const savedCardValidators = [
+  body('savedCardId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid saved card ID'),
+  body('saveCard')
+    .optional()
+    .isBoolean()
+    .withMessage('saveCard must be a boolean'),
+];
+
+const withoutSavedCard = () => body('savedCardId').not().exists();
+
+// Shared by /tryout and /training when the family picked an installment
+// plan: the card is saved and only the first installment is charged now
+const installmentPlanValidators = [
+  body('installmentPlan')
+    .optional()
+    .isObject()
+    .withMessage('Installment plan must be an object'),
+  body('installmentPlan.eventId')
+    .if(body('installmentPlan').exists())
+    .notEmpty()
+    .withMessage('Installment plan eventId is required'),
+  body('installmentPlan.packageId')
+    .if(body('installmentPlan').exists())
+    .notEmpty()
+    .withMessage('Installment plan packageId is required'),
+  body('installmentPlan.planId')
+    .if(body('installmentPlan').exists())
+    .notEmpty()
+    .withMessage('Installment plan planId is required'),
+];
+
+async function startInstallmentCheckout(req, res, paymentType) {
+  const {
+    token,
+    sourceId,
+    email,
+    players,
+    cardDetails = {},
+    paymentSystem,
+    installmentPlan,
+    promoCode,
+  } = req.body;
+
+  let spots;
+  let sessionSignups;
+  try {
+    const paymentService = await getPaymentService(paymentSystem);
+    validateConfigForPayment(paymentService.configuration, paymentType);
+
+    const parent = await Parent.findById(req.user.id);
+    if (!parent) {
+      throw new Error('Parent not found');
+    }
+
+    const unauthorized = players.filter(
+      (p) =>
+        !parent.players.some((pid) => pid.toString() === p.playerId) &&
+        req.user.role !== 'admin',
+    );
+    if (unauthorized.length > 0) {
+      return res.status(403).json({
+        success: false,
+        error: 'Unauthorized access to player',
+        playerIds: unauthorized.map((p) => p.playerId),
+      });
+    }
+
+    spots = await claimSpots({
+      programType: paymentType,
+      parent,
+      players,
+      email,
+    });
+    if (paymentType === 'tryout') {
+      sessionSignups = await signUpForSessions({ parent, players });
+    }
+
+    const { plan, payment } = await startPaymentPlan({
+      parent,
+      paymentService,
+      cardOnFile: await resolveSavedCard(paymentService, parent, req.body),
+      sourceId: sourceId || token,
+      email,
+      players,
+      paymentType,
+      cardDetails,
+      promoCode,
+      ...installmentPlan,
+    });
+    await confirmSpots(spots, payment.paymentId);
+
+    res.status(200).json({
+      success: true,
+      paymentId: payment._id,
+      externalPaymentId: payment.paymentId,
+      paymentSystem: paymentService.type,
+      paymentPlan: plan,
+      amountPaid: plan.amountPaid,
+      amountRemaining: plan.amountRemaining,
+      discount: plan.discount,
+      nextInstallment: plan.nextInstallment,
+      status: 'processed',
+      receiptUrl: payment.receiptUrl,
+    });
+  } catch (error) {
+    // A kept plan will be charged later, so the family keeps their spots
+    if (error.plan) {
+      await confirmSpots(spots, error.plan.installments[0].externalPaymentId);
+    } else {
+      await releaseSpots(spots);
+      await releaseSessionSignups(sessionSignups);
+    }
+    console.error(`${paymentType} installment plan error:`, error);
+    res.status(error.statusCode || 400).json({
+      success: false,
+      error: 'Installment plan setup failed',
+      message: error.message,
+      ...(error.waitlist && { waitlist: error.waitlist }),
+    });
+  }
+}
+
 // ============================================
 // TOURNAMENT TEAM PAYMENT - SINGLE TEAM
 // ============================================
@@ -156,6 +322,7 @@ router.post('/tournament-team', authenticate, async (req, res) => {
   const session = await mongoose.startSession();
   session.startTransaction();
 
+  let pricing;
   try {
     const {
       token,
@@ -169,13 +336,15 @@ router.post('/tournament-team', authenticate, async (req, res) => {
       paymentSystem,
       isAdmin = false,
       idempotencyKey,
+      promoCode,
+      savedCardId,
     } = req.body;
 
     const parentId = req.user.id;
-    const cardLastFour = cardDetails?.last_4 || req.body.cardLastFour || 'N/A';
-    const cardBrand = cardDetails?.card_brand || req.body.cardBrand || 'N/A';
-    const cardExpMonth = cardDetails?.exp_month || req.body.cardExpMonth || '0';
-    const cardExpYear = cardDetails?.exp_year || req.body.cardExpYear || '0';
+    let cardLastFour = cardDetails?.last_4 || req.body.cardLastFour || 'N/A';
+    let cardBrand = cardDetails?.card_brand || req.body.cardBrand || 'N/A';
+    let cardExpMonth = cardDetails?.exp_month || req.body.cardExpMonth || '0';
+    let cardExpYear = cardDetails?.exp_year || req.body.cardExpYear || '0';
 
     // Generate unique request key for duplicate detection
     const requestKey = generateRequestKey(parentId, amount, [teamId], null);
@@ -267,7 +436,7 @@ router.post('/tournament-team', authenticate, async (req, res) => {
       });
     }
 
-    if (!token && !sourceId) {
+    if (!token && !sourceId && !savedCardId) {
       requestTracker.delete(requestKey);
       return res.status(400).json({
         success: false,
@@ -298,6 +467,21 @@ router.post('/tournament-team', authenticate, async (req, res) => {
 
     console.log('Team found:', team.name);
 
+    // A fee being split among the roster is paid through the share links
+    const splitting = await TeamFeeSplit.exists({
+      team: team._id,
+      tournament,
+      year: parseInt(year),
+      status: 'collecting',
+    });
+    if (splitting) {
+      requestTracker.delete(requestKey);
+      return res.status(409).json({
+        success: false,
+        error: 'This tournament fee is being split among the roster',
+      });
+    }
+
     // Check if tournament already paid
     const existingTournament = team.tournaments?.find(
       (t) =>
@@ -324,6 +508,15 @@ router.post('/tournament-team', authenticate, async (req, res) => {
       });
     }
 
+    // Cards on file are charged by reference rather than by token
+    const savedCard = await resolveSavedCard(paymentService, parent, req.body);
+    if (savedCard) {
+      cardLastFour = savedCard.last4 || cardLastFour;
+      cardBrand = savedCard.brand || cardBrand;
+      cardExpMonth = savedCard.expMonth || cardExpMonth;
+      cardExpYear = savedCard.expYear || cardExpYear;
+    }
+
     // Use existing customer ID or create new one
     let customerId;
     const customerField = `${paymentService.type}CustomerId`;
@@ -350,12 +543,31 @@ router.post('/tournament-team', authenticate, async (req, res) => {
       }
     }
 
+    // List price less any early-bird, sibling or promo discount
+    pricing = await priceCheckout({
+      paymentType: 'tournament',
+      subtotal: amount / 100,
+      parent,
+      tournament,
+      year: parseInt(year),
+      promoCode,
+    });
+    await reserveDiscounts(pricing);
+
     // Process payment with the service
     let paymentResult;
-    const amountInCents = parseInt(amount);
+    const amountInCents = Math.round(pricing.total * 100);
     const finalIdempotencyKey = idempotencyKey || crypto.randomUUID();
 
-    if (paymentService.type === 'square') {
+    if (savedCard) {
+      paymentResult = await chargeSavedCard(paymentService, savedCard, {
+        amount: amountInCents,
+        email: buyerEmailAddress,
+        referenceId: `t:${teamId.slice(-12)}:${year}`,
+        note: `Tournament registration: ${tournament} ${year} - Team: ${team.name}`,
+        idempotencyKey: finalIdempotencyKey,
+      });
+    } else if (paymentService.type === 'square') {
       const paymentRequest = {
         sourceId: sourceId || token,
         amountMoney: {
@@ -421,7 +633,7 @@ router.post('/tournament-team', authenticate, async (req, res) => {
       registrationDate: new Date(),
       paymentStatus: 'paid',
       paymentComplete: true,
-      amountPaid: amount / 100,
+      amountPaid: pricing.total,
       paymentId: paymentResult.id,
       paymentMethod: 'card',
       cardLast4: cardLastFour,
@@ -460,7 +672,7 @@ router.post('/tournament-team', authenticate, async (req, res) => {
       cardBrand: cardBrand,
       cardExpMonth: cardExpMonth,
       cardExpYear: cardExpYear,
-      amount: amount / 100,
+      amount: pricing.total,
       currency: paymentService.settings?.currency || 'USD',
       status: 'completed',
       processedAt: new Date(),
@@ -470,6 +682,7 @@ router.post('/tournament-team', authenticate, async (req, res) => {
       year: parseInt(year),
       paymentType: 'tournament',
       idempotencyKey: finalIdempotencyKey,
+      discount: discountRecord(pricing),
     };
 
     const payment = new Payment(
@@ -491,7 +704,7 @@ router.post('/tournament-team', authenticate, async (req, res) => {
         [teamId],
         tournament,
         year,
-        amount / 100,
+        pricing.total,
       );
       console.log('Tournament confirmation email sent successfully');
     } catch (emailError) {
@@ -513,7 +726,8 @@ router.post('/tournament-team', authenticate, async (req, res) => {
       },
       payment: {
         paymentId: paymentResult.id,
-        amountPaid: amount / 100,
+        amountPaid: pricing.total,
+        discount: payment.discount,
         receiptUrl: paymentResult.receiptUrl || paymentResult.receipt_url,
         status: 'completed',
       },
@@ -521,6 +735,7 @@ router.post('/tournament-team', authenticate, async (req, res) => {
     });
   } catch (error) {
     await session.abortTransaction();
+    await releaseDiscounts(pricing);
     console.error('Tournament team payment error:', {
       message: error.message,
       stack: error.stack,
@@ -540,7 +755,7 @@ router.post('/tournament-team', authenticate, async (req, res) => {
       requestTracker.delete(requestKey);
     }
 
-    res.status(400).json({
+    res.status(error.statusCode || 400).json({
       success: false,
       error: 'Payment processing failed',
       message: error.message,
@@ -561,6 +776,7 @@ router.post('/tournament-teams', authenticate, async (req, res) => {
   const session = await mongoose.startSession();
   session.startTransaction();
 
+  let pricing;
   try {
     const {
       token,
@@ -574,13 +790,15 @@ router.post('/tournament-teams', authenticate, async (req, res) => {
       paymentSystem,
       isAdmin = false,
       idempotencyKey,
+      promoCode,
+      savedCardId,
     } = req.body;
 
     const parentId = req.user.id;
-    const cardLastFour = cardDetails?.last_4 || req.body.cardLastFour || 'N/A';
-    const cardBrand = cardDetails?.card_brand || req.body.cardBrand || 'N/A';
-    const cardExpMonth = cardDetails?.exp_month || req.body.cardExpMonth || '0';
-    const cardExpYear = cardDetails?.exp_year || req.body.cardExpYear || '0';
+    let cardLastFour = cardDetails?.last_4 || req.body.cardLastFour || 'N/A';
+    let cardBrand = cardDetails?.card_brand || req.body.cardBrand || 'N/A';
+    let cardExpMonth = cardDetails?.exp_month || req.body.cardExpMonth || '0';
+    let cardExpYear = cardDetails?.exp_year || req.body.cardExpYear || '0';
 
     // Generate unique request key for duplicate detection
     const requestKey = generateRequestKey(parentId, amount, teamIds, null);
@@ -671,7 +889,7 @@ router.post('/tournament-teams', authenticate, async (req, res) => {
       });
     }
 
-    if (!token && !sourceId) {
+    if (!token && !sourceId && !savedCardId) {
       requestTracker.delete(requestKey);
       return res.status(400).json({
         success: false,
@@ -679,6 +897,21 @@ router.post('/tournament-teams', authenticate, async (req, res) => {
       });
     }
 
+    // Fees being split among a roster are paid through the share links
+    const splitting = await TeamFeeSplit.exists({
+      team: { $in: teamIds },
+      tournament,
+      year: parseInt(year),
+      status: 'collecting',
+    });
+    if (splitting) {
+      requestTracker.delete(requestKey);
+      return res.status(409).json({
+        success: false,
+        error: 'One of these teams is splitting its fee among the roster',
+      });
+    }
+
     // Get payment service dynamically
     const paymentService = await getPaymentService(paymentSystem);
     console.log(
@@ -699,6 +932,15 @@ router.post('/tournament-teams', authenticate, async (req, res) => {
       });
     }
 
+    // Cards on file are charged by reference rather than by token
+    const savedCard = await resolveSavedCard(paymentService, parent, req.body);
+    if (savedCard) {
+      cardLastFour = savedCard.last4 || cardLastFour;
+      cardBrand = savedCard.brand || cardBrand;
+      cardExpMonth = savedCard.expMonth || cardExpMonth;
+      cardExpYear = savedCard.expYear || cardExpYear;
+    }
+
     // Use existing customer ID or create new one
     let customerId;
     const customerField = `${paymentService.type}CustomerId`;
@@ -707,11 +949,30 @@ router.post('/tournament-teams', authenticate, async (req, res) => {
     // Generate a unique idempotency key if not provided
     const finalIdempotencyKey = idempotencyKey || crypto.randomUUID();
 
+    // List price less any early-bird, sibling or promo discount
+    pricing = await priceCheckout({
+      paymentType: 'tournament',
+      subtotal: amount / 100,
+      parent,
+      tournament,
+      year: parseInt(year),
+      promoCode,
+    });
+    await reserveDiscounts(pricing);
+
     // Process payment
     let paymentResult;
-    const amountInCents = parseInt(amount);
+    const amountInCents = Math.round(pricing.total * 100);
 
-    if (paymentService.type === 'square') {
+    if (savedCard) {
+      paymentResult = await chargeSavedCard(paymentService, savedCard, {
+        amount: amountInCents,
+        email: buyerEmailAddress,
+        referenceId: `t:${parentId.slice(-12)}:${year}`,
+        note: `Tournament registration: ${tournament} ${year} - ${teamIds.length} team(s)`,
+        idempotencyKey: finalIdempotencyKey,
+      });
+    } else if (paymentService.type === 'square') {
       const paymentRequest = {
         sourceId: sourceId || token,
         amountMoney: {
@@ -760,7 +1021,7 @@ router.post('/tournament-teams', authenticate, async (req, res) => {
     // Process each team
     const updatedTeams = [];
     const teamCount = teamIds.length;
-    const amountPerTeam = amount / 100 / teamCount;
+    const amountPerTeam = pricing.total / teamCount;
     const invalidTeams = [];
 
     for (const teamId of teamIds) {
@@ -819,6 +1080,7 @@ router.post('/tournament-teams', authenticate, async (req, res) => {
     if (updatedTeams.length === 0) {
       requestTracker.delete(requestKey);
       await session.abortTransaction();
+      await releaseDiscounts(pricing);
       return res.status(400).json({
         success: false,
         error: 'No teams processed',
@@ -836,7 +1098,7 @@ router.post('/tournament-teams', authenticate, async (req, res) => {
       cardBrand: cardBrand,
       cardExpMonth: cardExpMonth,
       cardExpYear: cardExpYear,
-      amount: amount / 100,
+      amount: pricing.total,
       currency: paymentService.settings?.currency || 'USD',
       status: 'completed',
       processedAt: new Date(),
@@ -846,6 +1108,7 @@ router.post('/tournament-teams', authenticate, async (req, res) => {
       year: parseInt(year),
       paymentType: 'tournament',
       idempotencyKey: finalIdempotencyKey,
+      discount: discountRecord(pricing),
       metadata: {
         teamCount: teamIds.length,
         tournament,
@@ -874,7 +1137,7 @@ router.post('/tournament-teams', authenticate, async (req, res) => {
         updatedTeams.map((team) => team._id),
         tournament,
         year,
-        amount / 100,
+        pricing.total,
       );
     } catch (emailError) {
       console.error('Failed to send email:', emailError);
@@ -894,7 +1157,8 @@ router.post('/tournament-teams', authenticate, async (req, res) => {
       })),
       payment: {
         paymentId: paymentResult.id,
-        amountPaid: amount / 100,
+        amountPaid: pricing.total,
+        discount: payment.discount,
         receiptUrl: paymentResult.receiptUrl || paymentResult.receipt_url,
         status: 'completed',
       },
@@ -902,6 +1166,7 @@ router.post('/tournament-teams', authenticate, async (req, res) => {
     });
   } catch (error) {
     await session.abortTransaction();
+    await releaseDiscounts(pricing);
     console.error('Multiple teams tournament payment error:', error);
 
     // Clean up request tracker on error
@@ -916,7 +1181,7 @@ router.post('/tournament-teams', authenticate, async (req, res) => {
       requestTracker.delete(requestKey);
     }
 
-    res.status(400).json({
+    res.status(error.statusCode || 400).json({
       success: false,
       error: 'Payment processing failed',
       message: error.message,
@@ -934,7 +1199,10 @@ router.post(
   '/tryout',
   authenticate,
   [
-    body('token').notEmpty().withMessage('Payment token is required'),
+    body('token')
+      .if(withoutSavedCard())
+      .notEmpty()
+      .withMessage('Payment token is required'),
     body('amount')
       .isInt({ min: 1 })
       .withMessage('Amount must be a positive integer'),
@@ -954,17 +1222,28 @@ router.post(
       .notEmpty()
       .isString()
       .withMessage('Tryout ID is required'),
-    body('cardDetails').isObject().withMessage('Card details are required'),
+    body('players.*.sessionId')
+      .optional()
+      .isString()
+      .withMessage('Session ID must be a string'),
+    body('cardDetails')
+      .if(withoutSavedCard())
+      .isObject()
+      .withMessage('Card details are required'),
     body('cardDetails.last_4')
+      .if(withoutSavedCard())
       .isLength({ min: 4, max: 4 })
       .withMessage('Invalid card last 4 digits'),
     body('cardDetails.card_brand')
+      .if(withoutSavedCard())
       .notEmpty()
       .withMessage('Card brand is required'),
     body('cardDetails.exp_month')
+      .if(withoutSavedCard())
       .isInt({ min: 1, max: 12 })
       .withMessage('Invalid expiration month'),
     body('cardDetails.exp_year')
+      .if(withoutSavedCard())
       .isInt({ min: new Date().getFullYear() })
       .withMessage('Invalid expiration year'),
     body('paymentSystem')
@@ -975,6 +1254,13 @@ router.post(
       .optional()
       .isString()
       .withMessage('idempotencyKey must be a string'),
+    body('promoCode')
+      .optional()
+      .isString()
+      .isLength({ max: 50 })
+      .withMessage('Promo code must be a string'),
+    ...savedCardValidators,
+    ...installmentPlanValidators,
   ],
   async (req, res) => {
     const errors = validationResult(req);
@@ -990,6 +1276,10 @@ router.post(
       });
     }
 
+    if (req.body.installmentPlan) {
+      return startInstallmentCheckout(req, res, 'tryout');
+    }
+
     const {
       token,
       sourceId,
@@ -999,18 +1289,21 @@ router.post(
       cardDetails,
       paymentSystem,
       idempotencyKey,
+      promoCode,
     } = req.body;
 
-    const perPlayerAmount = amount / 100 / players.length;
     const parentId = req.user.id;
-    const cardLastFour = cardDetails?.last_4 || '';
-    const cardBrand = cardDetails?.card_brand || '';
-    const cardExpMonth = cardDetails?.exp_month || 0;
-    const cardExpYear = cardDetails?.exp_year || 0;
+    let cardLastFour = cardDetails?.last_4 || '';
+    let cardBrand = cardDetails?.card_brand || '';
+    let cardExpMonth = cardDetails?.exp_month || 0;
+    let cardExpYear = cardDetails?.exp_year || 0;
 
     const session = await mongoose.startSession();
     session.startTransaction();
 
+    let pricing;
+    let spots;
+    let sessionSignups;
     try {
       // Generate unique request key for duplicate detection
       const requestKey = generateRequestKey(parentId, amount, null, players);
@@ -1082,14 +1375,58 @@ router.post(
         throw new Error('Parent not found');
       }
 
+      // Hold a place in a limited-spot tryout before charging; a full
+      // tryout puts the players on its waitlist instead
+      spots = await claimSpots({
+        programType: 'tryout',
+        parent,
+        players,
+        email,
+      });
+      // Players who picked a session are signed up for it now, so a full
+      // or wrong-grade session is refused before the card is charged
+      sessionSignups = await signUpForSessions({ parent, players });
+
+      // Cards on file are charged by reference rather than by token
+      const savedCard = await resolveSavedCard(
+        paymentService,
+        parent,
+        req.body,
+      );
+      if (savedCard) {
+        cardLastFour = savedCard.last4 || cardLastFour;
+        cardBrand = savedCard.brand || cardBrand;
+        cardExpMonth = savedCard.expMonth || cardExpMonth;
+        cardExpYear = savedCard.expYear || cardExpYear;
+      }
+
       // Generate a unique idempotency key if not provided
       const finalIdempotencyKey = idempotencyKey || crypto.randomUUID();
 
+      // List price less any early-bird, sibling or promo discount
+      pricing = await priceCheckout({
+        paymentType: 'tryout',
+        subtotal: amount / 100,
+        parent,
+        players,
+        promoCode,
+      });
+      await reserveDiscounts(pricing);
+      const perPlayerAmount = pricing.total / players.length;
+
       // Process payment
       let paymentResult;
-      const amountInCents = parseInt(amount);
+      const amountInCents = Math.round(pricing.total * 100);
 
-      if (paymentService.type === 'square') {
+      if (savedCard) {
+        paymentResult = await chargeSavedCard(paymentService, savedCard, {
+          amount: amountInCents,
+          email: email,
+          referenceId: `parent:${parent._id}`,
+          note: `Tryout payment for ${players.length} player(s)`,
+          idempotencyKey: finalIdempotencyKey,
+        });
+      } else if (paymentService.type === 'square') {
         const paymentRequest = {
           sourceId: sourceId || token,
           amountMoney: {
@@ -1140,7 +1477,7 @@ router.post(
         cardBrand: cardBrand,
         cardExpMonth: cardExpMonth,
         cardExpYear: cardExpYear,
-        amount: amount / 100,
+        amount: pricing.total,
         currency: paymentService.settings?.currency || 'USD',
         status: 'completed',
         processedAt: new Date(),
@@ -1153,6 +1490,7 @@ router.post(
         })),
         paymentType: 'tryout',
         idempotencyKey: finalIdempotencyKey,
+        discount: discountRecord(pricing),
       };
 
       const payment = new Payment(
@@ -1301,7 +1639,7 @@ router.post(
                 <div style="background: #f8f9fa; padding: 15px; border-radius: 5px; margin: 15px 0; border-left: 4px solid #506ee4;">
                   <h3 style="margin-top: 0; color: rgba(0, 0, 0, .7);">Payment Details</h3>
                   <p style="margin: 8px 0;"><strong>Number of Players:</strong> ${players.length}</p>
-                  <p style="margin: 8px 0;"><strong>Total Amount Paid:</strong> $${amount / 100}</p>
+                  <p style="margin: 8px 0;"><strong>Total Amount Paid:</strong> $${pricing.total}</p>
                   <p style="margin: 8px 0;"><strong>Payment ID:</strong> ${paymentResult.id}</p>
                   <p style="margin: 8px 0;"><strong>Players Registered:</strong></p>
                   <ul style="margin: 8px 0;">
@@ -1319,6 +1657,7 @@ router.post(
       }
 
       await session.commitTransaction();
+      await confirmSpots(spots, paymentResult.id);
 
       res.status(200).json({
         success: true,
@@ -1345,10 +1684,14 @@ router.post(
           })),
         })),
         status: 'processed',
+        discount: payment.discount,
         receiptUrl: paymentResult.receiptUrl || paymentResult.receipt_url,
       });
     } catch (error) {
       await session.abortTransaction();
+      await releaseDiscounts(pricing);
+      await releaseSpots(spots);
+      await releaseSessionSignups(sessionSignups);
       console.error('Payment processing error:', error);
 
       // Clean up request tracker on error
@@ -1363,9 +1706,12 @@ router.post(
         requestTracker.delete(requestKey);
       }
 
-      res.status(400).json({
+      res.status(error.statusCode || 400).json({
         success: false,
         error: 'Tryout payment processing failed',
+        // Pricing rejections, e.g. an expired promo code, are safe to show
+        ...(error.statusCode && { message: error.message }),
+        ...(error.waitlist && { waitlist: error.waitlist }),
         details:
           process.env.NODE_ENV === 'development' ? error.message : undefined,
       });
@@ -1392,8 +1738,10 @@ router.post(
       .notEmpty()
       .withMessage('Payment sourceId is required if token is not provided'),
     body().custom((value, { req }) => {
-      if (!req.body.token && !req.body.sourceId) {
-        throw new Error('Either token or sourceId must be provided');
+      if (!req.body.token && !req.body.sourceId && !req.body.savedCardId) {
+        throw new Error(
+          'Either token, sourceId or savedCardId must be provided',
+        );
       }
       return true;
     }),
@@ -1444,6 +1792,13 @@ router.post(
       .optional()
       .isString()
       .withMessage('idempotencyKey must be a string'),
+    body('promoCode')
+      .optional()
+      .isString()
+      .isLength({ max: 50 })
+      .withMessage('Promo code must be a string'),
+    ...savedCardValidators,
+    ...installmentPlanValidators,
   ],
   async (req, res) => {
     const errors = validationResult(req);
@@ -1459,6 +1814,10 @@ router.post(
       });
     }
 
+    if (req.body.installmentPlan) {
+      return startInstallmentCheckout(req, res, 'training');
+    }
+
     const {
       token,
       sourceId,
@@ -1468,18 +1827,20 @@ router.post(
       cardDetails = {},
       paymentSystem,
       idempotencyKey,
+      promoCode,
     } = req.body;
 
-    const perPlayerAmount = amount / 100 / players.length;
     const parentId = req.user.id;
-    const cardLastFour = cardDetails?.last_4 || '';
-    const cardBrand = cardDetails?.card_brand || '';
-    const cardExpMonth = cardDetails?.exp_month || 0;
-    const cardExpYear = cardDetails?.exp_year || 0;
+    let cardLastFour = cardDetails?.last_4 || '';
+    let cardBrand = cardDetails?.card_brand || '';
+    let cardExpMonth = cardDetails?.exp_month || 0;
+    let cardExpYear = cardDetails?.exp_year || 0;
 
     const session = await mongoose.startSession();
     session.startTransaction();
 
+    let pricing;
+    let spots;
     try {
       // Generate unique request key for duplicate detection
       const requestKey = generateRequestKey(parentId, amount, null, players);
@@ -1541,12 +1902,53 @@ router.post(
         throw new Error('Parent not found');
       }
 
+      // Hold a place in a limited-spot program before charging; a full
+      // program puts the players on its waitlist instead
+      spots = await claimSpots({
+        programType: 'training',
+        parent,
+        players,
+        email,
+      });
+
+      // Cards on file are charged by reference rather than by token
+      const savedCard = await resolveSavedCard(
+        paymentService,
+        parent,
+        req.body,
+      );
+      if (savedCard) {
+        cardLastFour = savedCard.last4 || cardLastFour;
+        cardBrand = savedCard.brand || cardBrand;
+        cardExpMonth = savedCard.expMonth || cardExpMonth;
+        cardExpYear = savedCard.expYear || cardExpYear;
+      }
+
       const finalIdempotencyKey = idempotencyKey || crypto.randomUUID();
 
+      // List price less any early-bird, sibling or promo discount
+      pricing = await priceCheckout({
+        paymentType: 'training',
+        subtotal: amount / 100,
+        parent,
+        players,
+        promoCode,
+      });
+      await reserveDiscounts(pricing);
+      const perPlayerAmount = pricing.total / players.length;
+
       let paymentResult;
-      const amountInCents = parseInt(amount);
+      const amountInCents = Math.round(pricing.total * 100);
 
-      if (paymentService.type === 'square') {
+      if (savedCard) {
+        paymentResult = await chargeSavedCard(paymentService, savedCard, {
+          amount: amountInCents,
+          email: email,
+          referenceId: `training:${parent._id}:${Date.now()}`,
+          note: `Training payment for ${players.length} player(s)`,
+          idempotencyKey: finalIdempotencyKey,
+        });
+      } else if (paymentService.type === 'square') {
         const shortRefId =
           `tr:${parent._id.toString().slice(-12)}:${Date.now().toString().slice(-8)}`.slice(
             0,
@@ -1602,7 +2004,7 @@ router.post(
         cardBrand: cardBrand,
         cardExpMonth: cardExpMonth,
         cardExpYear: cardExpYear,
-        amount: amount / 100,
+        amount: pricing.total,
         currency: paymentService.settings?.currency || 'USD',
         status: 'completed',
         processedAt: new Date(),
@@ -1615,6 +2017,7 @@ router.post(
         })),
         paymentType: 'training',
         idempotencyKey: finalIdempotencyKey,
+        discount: discountRecord(pricing),
       };
 
       const payment = new Payment(
@@ -1761,7 +2164,7 @@ router.post(
                 <div style="background: #f8f9fa; padding: 15px; border-radius: 5px; margin: 15px 0; border-left: 4px solid #506ee4;">
                   <h3 style="margin-top: 0; color: rgba(0, 0, 0, .7);">Training Payment Details</h3>
                   <p style="margin: 8px 0;"><strong>Number of Players:</strong> ${players.length}</p>
-                  <p style="margin: 8px 0;"><strong>Total Amount Paid:</strong> $${amount / 100}</p>
+                  <p style="margin: 8px 0;"><strong>Total Amount Paid:</strong> $${pricing.total}</p>
                   <p style="margin: 8px 0;"><strong>Payment ID:</strong> ${paymentResult.id}</p>
                   <p style="margin: 8px 0;"><strong>Players Registered:</strong></p>
                   <ul style="margin: 8px 0;">
@@ -1782,6 +2185,7 @@ router.post(
       }
 
       await session.commitTransaction();
+      await confirmSpots(spots, paymentResult.id);
 
       res.status(200).json({
         success: true,
@@ -1805,11 +2209,14 @@ router.post(
           ),
         })),
         status: 'processed',
+        discount: payment.discount,
         receiptUrl: paymentResult.receiptUrl || paymentResult.receipt_url,
         message: 'Training payment processed successfully',
       });
     } catch (error) {
       await session.abortTransaction();
+      await releaseDiscounts(pricing);
+      await releaseSpots(spots);
       console.error('Training payment processing error:', error);
 
       const parentId = req.user?.id;
@@ -1823,10 +2230,11 @@ router.post(
         requestTracker.delete(requestKey);
       }
 
-      res.status(400).json({
+      res.status(error.statusCode || 400).json({
         success: false,
         error: 'Training payment processing failed',
         message: error.message,
+        ...(error.waitlist && { waitlist: error.waitlist }),
         details:
           process.env.NODE_ENV === 'development' ? error.stack : undefined,
       });
@@ -1836,6 +2244,132 @@ router.post(
   },
 );
 
+// ============================================
+// SCHOLARSHIP WAIVED REGISTRATION
+// ============================================
+
+// Completes a tryout or training registration without a card when an
+// awarded scholarship covers everything left after other discounts
+router.post(
+  '/scholarship',
+  authenticate,
+  [
+    body('paymentType')
+      .isIn(['tryout', 'training'])
+      .withMessage('Payment type must be tryout or training'),
+    body('amount')
+      .isInt({ min: 1 })
+      .withMessage('Amount must be a positive integer'),
+    body('players')
+      .isArray({ min: 1 })
+      .withMessage('At least one player is required'),
+    body('players.*.playerId')
+      .notEmpty()
+      .custom((value) => mongoose.Types.ObjectId.isValid(value))
+      .withMessage('Valid playerId is required'),
+    body('players.*.season').notEmpty().withMessage('Season is required'),
+    body('players.*.year')
+      .isInt({ min: 2020, max: 2030 })
+      .withMessage('Year must be between 2020 and 2030'),
+    body('players.*.tryoutId')
+      .optional()
+      .isString()
+      .withMessage('Tryout ID must be a string'),
+    body('players.*.sessionId')
+      .optional()
+      .isString()
+      .withMessage('Session ID must be a string'),
+    body('promoCode')
+      .optional()
+      .isString()
+      .isLength({ max: 50 })
+      .withMessage('Promo code must be a string'),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    const { paymentType, amount, players, promoCode } = req.body;
+    let pricing;
+    let spots;
+    let sessionSignups;
+
+    try {
+      const parent = await Parent.findById(req.user.id);
+      if (!parent) {
+        return res.status(404).json({
+          success: false,
+          error: 'Parent not found',
+        });
+      }
+
+      const unauthorized = players.filter(
+        (p) =>
+          !parent.players.some((pid) => pid.toString() === p.playerId) &&
+          req.user.role !== 'admin',
+      );
+      if (unauthorized.length > 0) {
+        return res.status(403).json({
+          success: false,
+          error: 'Unauthorized access to player',
+          playerIds: unauthorized.map((p) => p.playerId),
+        });
+      }
+
+      pricing = await priceCheckout({
+        paymentType,
+        subtotal: amount / 100,
+        parent,
+        players,
+        promoCode,
+        allowWaived: true,
+      });
+      if (pricing.total > 0) {
+        return res.status(400).json({
+          success: false,
+          error: 'Scholarship does not cover the full amount',
+          pricing,
+        });
+      }
+
+      spots = await claimSpots({ programType: paymentType, parent, players });
+      if (paymentType === 'tryout') {
+        sessionSignups = await signUpForSessions({ parent, players });
+      }
+      await reserveDiscounts(pricing);
+      const updatedPlayers = await settleWaivedSeasons({
+        parent,
+        players,
+        paymentType,
+        pricing,
+      });
+      // Waived spots have no payment that could later be refunded
+      await confirmSpots(spots);
+
+      res.json({
+        success: true,
+        paymentMethod: 'scholarship',
+        discount: discountRecord(pricing),
+        playerIds: updatedPlayers.map((p) => p._id.toString()),
+        status: 'processed',
+      });
+    } catch (error) {
+      await releaseDiscounts(pricing);
+      await releaseSpots(spots);
+      await releaseSessionSignups(sessionSignups);
+      console.error('Scholarship registration error:', error);
+      res.status(error.statusCode || 400).json({
+        success: false,
+        error: 'Scholarship registration failed',
+        message: error.message,
+        ...(error.waitlist && { waitlist: error.waitlist }),
+      });
+    }
+  },
+);
+
 // ============================================
 // GENERAL PAYMENT PROCESS
 // ============================================
@@ -1846,6 +2380,7 @@ router.post('/process', authenticate, async (req, res) => {
   const session = await mongoose.startSession();
   session.startTransaction();
 
+  let pricing;
   try {
     const {
       token,
@@ -1856,13 +2391,15 @@ router.post('/process', authenticate, async (req, res) => {
       cardDetails,
       paymentSystem,
       idempotencyKey,
+      promoCode,
+      savedCardId,
     } = req.body;
 
     const parentId = req.user.id;
-    const cardLastFour = cardDetails?.last_4 || req.body.cardLastFour || 'N/A';
-    const cardBrand = cardDetails?.card_brand || req.body.cardBrand || 'N/A';
-    const cardExpMonth = cardDetails?.exp_month || req.body.cardExpMonth || '0';
-    const cardExpYear = cardDetails?.exp_year || req.body.cardExpYear || '0';
+    let cardLastFour = cardDetails?.last_4 || req.body.cardLastFour || 'N/A';
+    let cardBrand = cardDetails?.card_brand || req.body.cardBrand || 'N/A';
+    let cardExpMonth = cardDetails?.exp_month || req.body.cardExpMonth || '0';
+    let cardExpYear = cardDetails?.exp_year || req.body.cardExpYear || '0';
 
     // Generate unique request key for duplicate detection
     const requestKey = generateRequestKey(parentId, amount, null, players);
@@ -1929,7 +2466,7 @@ router.post('/process', authenticate, async (req, res) => {
       });
     }
 
-    if (!token && !sourceId) {
+    if (!token && !sourceId && !savedCardId) {
       requestTracker.delete(requestKey);
       return res.status(400).json({
         success: false,
@@ -1954,16 +2491,43 @@ router.post('/process', authenticate, async (req, res) => {
       });
     }
 
+    // Cards on file are charged by reference rather than by token
+    const savedCard = await resolveSavedCard(paymentService, parent, req.body);
+    if (savedCard) {
+      cardLastFour = savedCard.last4 || cardLastFour;
+      cardBrand = savedCard.brand || cardBrand;
+      cardExpMonth = savedCard.expMonth || cardExpMonth;
+      cardExpYear = savedCard.expYear || cardExpYear;
+    }
+
     let customerId;
     const customerField = `${paymentService.type}CustomerId`;
     customerId = parent[customerField];
 
+    // List price less any early-bird, sibling or promo discount
+    pricing = await priceCheckout({
+      paymentType: 'general',
+      subtotal: amount / 100,
+      parent,
+      players,
+      promoCode,
+    });
+    await reserveDiscounts(pricing);
+
     let paymentResult;
-    const amountInCents = parseInt(amount);
-    const perPlayerAmount = amount / 100 / players.length;
+    const amountInCents = Math.round(pricing.total * 100);
+    const perPlayerAmount = pricing.total / players.length;
     const finalIdempotencyKey = idempotencyKey || crypto.randomUUID();
 
-    if (paymentService.type === 'square') {
+    if (savedCard) {
+      paymentResult = await chargeSavedCard(paymentService, savedCard, {
+        amount: amountInCents,
+        email: buyerEmailAddress,
+        referenceId: `parent:${parent._id}`,
+        note: `Payment for ${players.length} player(s)`,
+        idempotencyKey: finalIdempotencyKey,
+      });
+    } else if (paymentService.type === 'square') {
       const paymentRequest = {
         sourceId: sourceId || token,
         amountMoney: {
@@ -2095,13 +2659,14 @@ router.post('/process', authenticate, async (req, res) => {
       buyerEmail: buyerEmailAddress,
       cardLastFour: cardLastFour,
       cardBrand: cardBrand,
-      amount: amount / 100,
+      amount: pricing.total,
       currency: paymentService.settings?.currency || 'USD',
       status: 'completed',
       processedAt: new Date(),
       receiptUrl: paymentResult.receiptUrl || paymentResult.receipt_url,
       paymentType: 'general',
       idempotencyKey: finalIdempotencyKey,
+      discount: discountRecord(pricing),
     };
 
     const payment = new Payment(
@@ -2133,7 +2698,7 @@ router.post('/process', authenticate, async (req, res) => {
               <div style="background: #f8f9fa; padding: 15px; border-radius: 5px; margin: 15px 0; border-left: 4px solid #506ee4;">
                 <h3 style="margin-top: 0; color: rgba(0, 0, 0, .7);">Payment Details</h3>
                 <p style="margin: 8px 0;"><strong>Number of Players:</strong> ${players.length}</p>
-                <p style="margin: 8px 0;"><strong>Total Amount Paid:</strong> $${amount / 100}</p>
+                <p style="margin: 8px 0;"><strong>Total Amount Paid:</strong> $${pricing.total}</p>
                 <p style="margin: 8px 0;"><strong>Payment ID:</strong> ${paymentResult.id}</p>
                 <p style="margin: 8px 0;"><strong>Players Registered:</strong></p>
                 <ul style="margin: 8px 0;">
@@ -2158,11 +2723,14 @@ router.post('/process', authenticate, async (req, res) => {
       externalPaymentId: paymentResult.id,
       paymentSystem: paymentService.type,
       players: updatedPlayers,
+      amountPaid: pricing.total,
+      discount: payment.discount,
       receiptUrl: paymentResult.receiptUrl || paymentResult.receipt_url,
       message: 'Payment processed successfully',
     });
   } catch (error) {
     await session.abortTransaction();
+    await releaseDiscounts(pricing);
     console.error('Payment processing error:', error);
 
     const parentId = req.user?.id;
@@ -2176,7 +2744,7 @@ router.post('/process', authenticate, async (req, res) => {
       requestTracker.delete(requestKey);
     }
 
-    res.status(400).json({
+    res.status(error.statusCode || 400).json({
       success: false,
       error: 'Payment processing failed',
       message: error.message,
@@ -2231,146 +2799,6 @@ router.get('/verify/:paymentId', authenticate, async (req, res) => {
   }
 });
 
-// ============================================
-// WEBHOOKS
-// ============================================
-
-router.post('/clover/webhook', express.json(), async (req, res) => {
-  try {
-    const { type, data, merchantId } = req.body;
-
-    console.log('🔔 Clover webhook received:', {
-      type,
-      merchantId,
-      data: data
-        ? {
-            paymentId: data.paymentId,
-            orderId: data.orderId,
-            amount: data.amount,
-          }
-        : 'No data',
-    });
-
-    const config = await getActivePaymentConfig();
-    if (!config || config.paymentSystem !== 'clover') {
-      console.warn('⚠️ Clover webhook received but Clover is not active');
-      return res.status(400).send('Clover not configured');
-    }
-
-    if (config.cloverConfig?.merchantId !== merchantId) {
-      console.warn('⚠️ Merchant ID mismatch:', {
-        received: merchantId,
-        configured: config.cloverConfig?.merchantId,
-      });
-      return res.status(400).send('Invalid merchant ID');
-    }
-
-    switch (type) {
-      case 'PAYMENT_PAID':
-      case 'ORDER_PAID':
-        if (data.paymentId) {
-          await Payment.findOneAndUpdate(
-            { paymentId: data.paymentId },
-            {
-              $set: {
-                status: 'paid',
-                processedAt: new Date(),
-                updatedAt: new Date(),
-              },
-            },
-          );
-          console.log(`✅ Updated payment ${data.paymentId} to paid`);
-        }
-        break;
-
-      case 'PAYMENT_REFUNDED':
-      case 'REFUND_SUCCEEDED':
-        if (data.paymentId && data.refundId) {
-          await Payment.findOneAndUpdate(
-            { paymentId: data.paymentId },
-            {
-              $set: {
-                refundStatus: 'refunded',
-                updatedAt: new Date(),
-              },
-              $push: {
-                refunds: {
-                  refundId: data.refundId,
-                  amount: data.amount ? data.amount / 100 : 0,
-                  reason: data.reason || 'Customer request',
-                  processedAt: new Date(),
-                },
-              },
-            },
-          );
-          console.log(`✅ Updated refund for payment ${data.paymentId}`);
-        }
-        break;
-
-      case 'PAYMENT_FAILED':
-        if (data.paymentId) {
-          await Payment.findOneAndUpdate(
-            { paymentId: data.paymentId },
-            {
-              $set: {
-                status: 'failed',
-                updatedAt: new Date(),
-              },
-            },
-          );
-          console.log(`⚠️ Updated payment ${data.paymentId} to failed`);
-        }
-        break;
-
-      default:
-        console.log(`ℹ️ Unhandled webhook type: ${type}`);
-    }
-
-    res.status(200).json({ success: true, message: 'Webhook processed' });
-  } catch (error) {
-    console.error('❌ Clover webhook processing error:', error);
-    res.status(400).json({
-      success: false,
-      error: 'Webhook processing failed',
-      message: error.message,
-    });
-  }
-});
-
-router.post('/square/webhook', express.json(), async (req, res) => {
-  try {
-    const body = req.body;
-
-    console.log('🔔 Square webhook received:', {
-      type: body?.type,
-      eventId: body?.event_id,
-    });
-
-    if (body.type === 'payment.created' || body.type === 'payment.updated') {
-      const paymentId = body.data?.id;
-      const status = body.data?.object?.payment?.status;
-
-      if (paymentId && status) {
-        await Payment.findOneAndUpdate(
-          { paymentId: paymentId },
-          {
-            $set: {
-              status: status.toLowerCase(),
-              updatedAt: new Date(),
-            },
-          },
-        );
-        console.log(`✅ Updated Square payment ${paymentId} to ${status}`);
-      }
-    }
-
-    res.status(200).send('Webhook received');
-  } catch (error) {
-    console.error('❌ Square webhook error:', error);
-    res.status(400).send('Webhook processing failed');
-  }
-});
-
 // ============================================
 // CLOVER RECEIPT
 // ============================================
@@ -2431,4 +2859,117 @@ router.get('/clover/receipt/:orderId', authenticate, async (req, res) => {
   }
 });
 
+// ============================================
+// INSTALLMENT PAYMENT PLANS
+// ============================================
+
+// Plans for the signed-in family (admins may look up any parent)
+router.get('/payment-plans', authenticate, async (req, res) => {
+  try {
+    const parentId =
+      req.user.role === 'admin' && req.query.parentId
+        ? req.query.parentId
+        : req.user.id;
+
+    const filter = { parent: parentId };
+    if (req.user.role === 'admin' && req.query.all === 'true') {
+      delete filter.parent;
+    }
+    if (req.query.status) filter.status = req.query.status;
+
+    const plans = await PaymentPlan.find(filter)
+      .populate('players.playerId', 'fullName')
+      .populate('parent', 'fullName email')
+      .sort({ createdAt: -1 });
+
+    res.json({ success: true, paymentPlans: plans });
+  } catch (error) {
+    console.error('Error fetching payment plans:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch payment plans',
+    });
+  }
+});
+
+router.get(
+  '/payment-plans/:planId',
+  authenticate,
+  [param('planId').isMongoId().withMessage('Invalid payment plan ID')],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    try {
+      const plan = await PaymentPlan.findById(req.params.planId)
+        .populate('players.playerId', 'fullName')
+        .populate('installments.payment', 'paymentId receiptUrl amount');
+
+      if (
+        !plan ||
+        (plan.parent.toString() !== req.user.id && req.user.role !== 'admin')
+      ) {
+        return res.status(404).json({
+          success: false,
+          error: 'Payment plan not found',
+        });
+      }
+
+      res.json({ success: true, paymentPlan: plan });
+    } catch (error) {
+      console.error('Error fetching payment plan:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to fetch payment plan',
+      });
+    }
+  },
+);
+
+router.post(
+  '/payment-plans/:planId/cancel',
+  authenticate,
+  isAdmin,
+  [param('planId').isMongoId().withMessage('Invalid payment plan ID')],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    try {
+      const plan = await PaymentPlan.findById(req.params.planId);
+      if (!plan) {
+        return res.status(404).json({
+          success: false,
+          error: 'Payment plan not found',
+        });
+      }
+
+      if (['completed', 'cancelled'].includes(plan.status)) {
+        return res.status(400).json({
+          success: false,
+          error: `Payment plan is already ${plan.status}`,
+        });
+      }
+
+      await cancelPaymentPlan(plan, req.user._id);
+
+      res.json({
+        success: true,
+        message: 'Payment plan cancelled',
+        paymentPlan: plan,
+      });
+    } catch (error) {
+      console.error('Error cancelling payment plan:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to cancel payment plan',
+      });
+    }
+  },
+);
+
 module.exports = router;
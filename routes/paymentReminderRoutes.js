@@ -0,0 +1,217 @@
+// paymentReminderRoutes.js
+const express = require('express');
+const router = express.Router();
+const PaymentReminder = require('../models/PaymentReminder');
+const { authenticate, isAdmin } = require('../utils/auth');
+const {
+  sendReminder,
+  runDunning,
+  reminderSummary,
+} = require('../services/dunning');
+const { body, param, query, validationResult } = require('express-validator');
+
+const sendValidationErrors = (req, res) => {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) return false;
+  res.status(400).json({ success: false, errors: errors.array() });
+  return true;
+};
+
+const sendReminderError = (res, error, fallback) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({
+      success: false,
+      error: error.message,
+    });
+  }
+  console.error(`${fallback}:`, error);
+  res.status(500).json({ success: false, error: fallback });
+};
+
+const reminderIdValidator = param('reminderId')
+  .isMongoId()
+  .withMessage('Invalid reminder ID');
+
+// ============================================
+// ADMIN DASHBOARD
+// ============================================
+
+router.get(
+  '/',
+  authenticate,
+  isAdmin,
+  [
+    query('status')
+      .optional()
+      .isIn(['active', 'paused', 'resolved', 'exhausted']),
+    query('kind').optional().isIn(['season', 'tournament']),
+    query('stage').optional().isInt({ min: 0 }).toInt(),
+    query('parentId').optional().isMongoId(),
+    query('page').optional().isInt({ min: 1 }).toInt(),
+    query('limit').optional().isInt({ min: 1, max: 100 }).toInt(),
+  ],
+  async (req, res) => {
+    if (sendValidationErrors(req, res)) return;
+
+    try {
+      const { status, kind, stage, parentId, page = 1, limit = 50 } = req.query;
+      const filter = {};
+      if (status) filter.status = status;
+      if (kind) filter.kind = kind;
+      if (stage !== undefined) filter.stage = stage;
+      if (parentId) filter.parent = parentId;
+
+      const [reminders, total] = await Promise.all([
+        PaymentReminder.find(filter)
+          .populate('parent', 'fullName email phone')
+          .populate('player', 'fullName')
+          .populate('team', 'name')
+          .sort({ lastRemindedAt: -1, registeredAt: 1 })
+          .skip((page - 1) * limit)
+          .limit(limit),
+        PaymentReminder.countDocuments(filter),
+      ]);
+
+      res.json({
+        success: true,
+        reminders,
+        pagination: { page, limit, total, pages: Math.ceil(total / limit) },
+      });
+    } catch (error) {
+      sendReminderError(res, error, 'Failed to fetch payment reminders');
+    }
+  },
+);
+
+router.get(
+  '/summary',
+  authenticate,
+  isAdmin,
+  [query('days').optional().isInt({ min: 1, max: 365 }).toInt()],
+  async (req, res) => {
+    if (sendValidationErrors(req, res)) return;
+
+    try {
+      const summary = await reminderSummary(req.query.days);
+      res.json({ success: true, summary });
+    } catch (error) {
+      sendReminderError(res, error, 'Failed to summarize payment reminders');
+    }
+  },
+);
+
+router.post('/run', authenticate, isAdmin, async (req, res) => {
+  try {
+    const summary = await runDunning({ triggeredBy: 'admin' });
+    res.json({ success: true, summary });
+  } catch (error) {
+    sendReminderError(res, error, 'Failed to run payment reminders');
+  }
+});
+
+router.post(
+  '/:reminderId/send',
+  authenticate,
+  isAdmin,
+  [reminderIdValidator],
+  async (req, res) => {
+    if (sendValidationErrors(req, res)) return;
+
+    try {
+      const reminder = await PaymentReminder.findById(req.params.reminderId);
+      if (!reminder) {
+        return res.status(404).json({
+          success: false,
+          error: 'Reminder not found',
+        });
+      }
+
+      const entry = await sendReminder(reminder, { triggeredBy: 'admin' });
+      res.json({ success: true, entry, reminder });
+    } catch (error) {
+      sendReminderError(res, error, 'Failed to send payment reminder');
+    }
+  },
+);
+
+router.patch(
+  '/:reminderId/status',
+  authenticate,
+  isAdmin,
+  [
+    reminderIdValidator,
+    body('status')
+      .isIn(['active', 'paused'])
+      .withMessage('Status must be active or paused'),
+  ],
+  async (req, res) => {
+    if (sendValidationErrors(req, res)) return;
+
+    try {
+      const reminder = await PaymentReminder.findById(req.params.reminderId);
+      if (!reminder) {
+        return res.status(404).json({
+          success: false,
+          error: 'Reminder not found',
+        });
+      }
+      if (!['active', 'paused'].includes(reminder.status)) {
+        return res.status(400).json({
+          success: false,
+          error: `Reminder is already ${reminder.status}`,
+        });
+      }
+
+      reminder.status = req.body.status;
+      reminder.pausedBy =
+        req.body.status === 'paused' ? req.user._id || req.user.id : undefined;
+      await reminder.save();
+
+      res.json({ success: true, reminder });
+    } catch (error) {
+      sendReminderError(res, error, 'Failed to update payment reminder');
+    }
+  },
+);
+
+// ============================================
+// PAY-NOW LINKS
+// ============================================
+
+// Reminder emails link to /pay/:reminderId; the page looks the item up here
+router.get(
+  '/:reminderId',
+  authenticate,
+  [reminderIdValidator],
+  async (req, res) => {
+    if (sendValidationErrors(req, res)) return;
+
+    try {
+      const reminder = await PaymentReminder.findById(req.params.reminderId)
+        .select('-log -pausedBy')
+        .populate('player', 'fullName grade')
+        .populate('team', 'name grade levelOfCompetition');
+
+      const userId = (req.user._id || req.user.id).toString();
+      if (
+        !reminder ||
+        (req.user.role !== 'admin' && reminder.parent.toString() !== userId)
+      ) {
+        return res.status(404).json({
+          success: false,
+          error: 'Reminder not found',
+        });
+      }
+
+      res.json({
+        success: true,
+        paid: reminder.status === 'resolved',
+        reminder,
+      });
+    } catch (error) {
+      sendReminderError(res, error, 'Failed to fetch payment reminder');
+    }
+  },
+);
+
+module.exports = router;
@@ -19,6 +19,14 @@ const {
 } = require('../services/syncRefunds');
 const { sendEmail } = require('../utils/email');
 const PaymentServiceFactory = require('../services/payment-service-factory');
+const {
+  buildInvoice,
+  buildStatement,
+  renderInvoicePdf,
+  renderStatementPdf,
+  emailInvoice,
+  emailStatement,
+} = require('../services/invoices');
 
 // ============================================
 // HELPER
@@ -615,6 +623,113 @@ router.get(
   },
 );
 
+// ============================================
+// INVOICES & STATEMENTS
+// ============================================
+
+const sendInvoiceError = (res, error, fallback) => {
+  if (error.statusCode) {
+    return res
+      .status(error.statusCode)
+      .json({ success: false, error: error.message });
+  }
+  console.error(`${fallback}:`, error);
+  res.status(500).json({ success: false, error: fallback });
+};
+
+// Statements cover a calendar year; the current one unless ?year= or
+// body.year says otherwise
+const statementYear = (value) => {
+  const year = value === undefined ? new Date().getFullYear() : Number(value);
+  return Number.isInteger(year) && year >= 2020 && year <= 2100 ? year : null;
+};
+
+router.get(
+  '/:paymentId/invoice',
+  authenticate,
+  canAccessPayment,
+  async (req, res) => {
+    try {
+      const invoice = await buildInvoice(req.params.paymentId);
+      const pdf = await renderInvoicePdf(invoice);
+
+      res.type('application/pdf');
+      res.attachment(`${invoice.number}.pdf`);
+      res.send(pdf);
+    } catch (error) {
+      sendInvoiceError(res, error, 'Failed to generate invoice');
+    }
+  },
+);
+
+router.post(
+  '/:paymentId/invoice/email',
+  authenticate,
+  canAccessPayment,
+  async (req, res) => {
+    try {
+      const invoice = await buildInvoice(req.params.paymentId);
+      const pdf = await renderInvoicePdf(invoice);
+      await emailInvoice(invoice, pdf);
+
+      res.json({
+        success: true,
+        message: `Invoice ${invoice.number} sent`,
+      });
+    } catch (error) {
+      sendInvoiceError(res, error, 'Failed to email invoice');
+    }
+  },
+);
+
+router.get(
+  '/parent/:parentId/statement',
+  authenticate,
+  canAccessParentData,
+  async (req, res) => {
+    const year = statementYear(req.query.year);
+    if (!year) {
+      return res.status(400).json({ success: false, error: 'Invalid year' });
+    }
+
+    try {
+      const statement = await buildStatement(req.params.parentId, year);
+      const pdf = await renderStatementPdf(statement);
+
+      res.type('application/pdf');
+      res.attachment(`statement-${year}.pdf`);
+      res.send(pdf);
+    } catch (error) {
+      sendInvoiceError(res, error, 'Failed to generate statement');
+    }
+  },
+);
+
+router.post(
+  '/parent/:parentId/statement/email',
+  authenticate,
+  canAccessParentData,
+  async (req, res) => {
+    const year = statementYear(req.body.year);
+    if (!year) {
+      return res.status(400).json({ success: false, error: 'Invalid year' });
+    }
+
+    try {
+      const statement = await buildStatement(req.params.parentId, year);
+      const pdf = await renderStatementPdf(statement);
+      await emailStatement(statement, pdf);
+
+      res.json({
+        success: true,
+        message: `${year} statement sent to ${statement.parent.email}`,
+      });
+    } catch (error) {
+      sendInvoiceError(res, error, 'Failed to email statement');
+    }
+  },
+);
+
 // ============================================
 // ALL PAYMENTS (ADMIN)
 // ============================================
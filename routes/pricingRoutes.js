@@ -0,0 +1,289 @@
+// pricingRoutes.js
+const express = require('express');
+const router = express.Router();
+const PricingRule = require('../models/PricingRule');
+const Parent = require('../models/Parent');
+const { authenticate, isAdmin } = require('../utils/auth');
+const { priceCheckout } = require('../services/pricing');
+const { body, param, query, validationResult } = require('express-validator');
+
+const RULE_TYPES = ['promo_code', 'sibling', 'early_bird'];
+const PAYMENT_TYPES = ['tryout', 'training', 'tournament', 'general'];
+
+const EDITABLE_FIELDS = [
+  'name',
+  'code',
+  'description',
+  'discountType',
+  'value',
+  'minPlayers',
+  'appliesTo',
+  'startsAt',
+  'expiresAt',
+  'maxUses',
+  'maxUsesPerParent',
+  'isActive',
+];
+
+// Shared by create and update; create additionally requires the core fields
+const ruleValidators = [
+  body('name').optional().isString().trim().notEmpty(),
+  body('code')
+    .optional()
+    .isString()
+    .trim()
+    .matches(/^[A-Za-z0-9_-]{3,50}$/)
+    .withMessage('Promo code must be 3-50 letters, numbers, - or _'),
+  body('description').optional().isString(),
+  body('discountType').optional().isIn(['percent', 'fixed']),
+  body('value')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Discount value must be a positive number'),
+  body('value')
+    .if(body('discountType').equals('percent'))
+    .optional()
+    .isFloat({ max: 100 })
+    .withMessage('Percent discounts cannot exceed 100'),
+  body('minPlayers').optional().isInt({ min: 2 }),
+  body('appliesTo.paymentTypes').optional().isArray(),
+  body('appliesTo.paymentTypes.*').isIn(PAYMENT_TYPES),
+  body('appliesTo.season').optional().isString(),
+  body('appliesTo.year').optional().isInt({ min: 2020, max: 2100 }),
+  body('appliesTo.tryoutId').optional().isString(),
+  body('appliesTo.tournament').optional().isString(),
+  body('startsAt').optional({ nullable: true }).isISO8601(),
+  body('expiresAt').optional({ nullable: true }).isISO8601(),
+  body('maxUses').optional({ nullable: true }).isInt({ min: 1 }),
+  body('maxUsesPerParent').optional({ nullable: true }).isInt({ min: 1 }),
+  body('isActive').optional().isBoolean(),
+];
+
+const sendValidationErrors = (req, res) => {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) return false;
+  res.status(400).json({ success: false, errors: errors.array() });
+  return true;
+};
+
+// Mongo's duplicate key error means the promo code is taken
+const sendRuleSaveError = (res, error, fallback) => {
+  if (error.code === 11000) {
+    return res.status(409).json({
+      success: false,
+      error: 'A promo code with this code already exists',
+    });
+  }
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({ success: false, error: error.message });
+  }
+  console.error(`${fallback}:`, error);
+  res.status(500).json({ success: false, error: fallback });
+};
+
+// ============================================
+// CHECKOUT QUOTE
+// ============================================
+
+// What a checkout would cost, so families see their discounts before paying.
+// `amount` is the list price in cents, as sent to the payment routes.
+router.post(
+  '/quote',
+  authenticate,
+  [
+    body('paymentType').isIn(PAYMENT_TYPES),
+    body('amount')
+      .isInt({ min: 1 })
+      .withMessage('Amount must be a positive integer'),
+    body('players').optional().isArray(),
+    body('players.*.playerId').optional().isMongoId(),
+    body('tournament').optional().isString(),
+    body('year').optional().isInt(),
+    body('promoCode').optional().isString().isLength({ max: 50 }),
+  ],
+  async (req, res) => {
+    if (sendValidationErrors(req, res)) return;
+
+    try {
+      const { paymentType, amount, players, tournament, year, promoCode } =
+        req.body;
+      const parent = await Parent.findById(req.user._id || req.user.id);
+
+      const pricing = await priceCheckout({
+        paymentType,
+        subtotal: amount / 100,
+        parent,
+        players,
+        tournament,
+        year,
+        promoCode,
+      });
+
+      res.json({ success: true, pricing });
+    } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({
+          success: false,
+          error: error.message,
+        });
+      }
+      console.error('Error pricing checkout:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to price checkout',
+      });
+    }
+  },
+);
+
+// ============================================
+// ADMIN: PRICING RULES
+// ============================================
+
+router.get(
+  '/rules',
+  authenticate,
+  isAdmin,
+  [
+    query('type').optional().isIn(RULE_TYPES),
+    query('isActive').optional().isBoolean().toBoolean(),
+  ],
+  async (req, res) => {
+    if (sendValidationErrors(req, res)) return;
+
+    try {
+      const filter = {};
+      if (req.query.type) filter.type = req.query.type;
+      if (req.query.isActive !== undefined) {
+        filter.isActive = req.query.isActive;
+      }
+
+      const rules = await PricingRule.find(filter).sort({ createdAt: -1 });
+      res.json({ success: true, rules });
+    } catch (error) {
+      console.error('Error fetching pricing rules:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to fetch pricing rules',
+      });
+    }
+  },
+);
+
+router.post(
+  '/rules',
+  authenticate,
+  isAdmin,
+  [
+    body('name').isString().trim().notEmpty().withMessage('Name is required'),
+    body('type').isIn(RULE_TYPES).withMessage('Invalid rule type'),
+    body('discountType')
+      .isIn(['percent', 'fixed'])
+      .withMessage('Discount type must be percent or fixed'),
+    body('value').isFloat({ min: 0 }).withMessage('Discount value is required'),
+    body('code')
+      .if(body('type').equals('promo_code'))
+      .notEmpty()
+      .withMessage('Promo codes need a code'),
+    body('expiresAt')
+      .if(body('type').equals('early_bird'))
+      .notEmpty()
+      .withMessage('Early-bird pricing needs an end date'),
+    ...ruleValidators,
+  ],
+  async (req, res) => {
+    if (sendValidationErrors(req, res)) return;
+
+    try {
+      const rule = new PricingRule({
+        type: req.body.type,
+        createdBy: req.user._id || req.user.id,
+      });
+      EDITABLE_FIELDS.forEach((field) => {
+        if (req.body[field] !== undefined) rule[field] = req.body[field];
+      });
+      if (rule.type !== 'promo_code') rule.code = undefined;
+
+      await rule.save();
+      res.status(201).json({ success: true, rule });
+    } catch (error) {
+      sendRuleSaveError(res, error, 'Failed to create pricing rule');
+    }
+  },
+);
+
+router.put(
+  '/rules/:ruleId',
+  authenticate,
+  isAdmin,
+  [
+    param('ruleId').isMongoId().withMessage('Invalid rule ID'),
+    ...ruleValidators,
+  ],
+  async (req, res) => {
+    if (sendValidationErrors(req, res)) return;
+
+    try {
+      const rule = await PricingRule.findById(req.params.ruleId);
+      if (!rule) {
+        return res.status(404).json({
+          success: false,
+          error: 'Pricing rule not found',
+        });
+      }
+
+      EDITABLE_FIELDS.forEach((field) => {
+        if (req.body[field] !== undefined) rule[field] = req.body[field];
+      });
+      if (rule.type !== 'promo_code') rule.code = undefined;
+
+      await rule.save();
+      res.json({ success: true, rule });
+    } catch (error) {
+      sendRuleSaveError(res, error, 'Failed to update pricing rule');
+    }
+  },
+);
+
+// Rules that were already used are deactivated rather than deleted; payments
+// keep a copy of the discount either way
+router.delete(
+  '/rules/:ruleId',
+  authenticate,
+  isAdmin,
+  [param('ruleId').isMongoId().withMessage('Invalid rule ID')],
+  async (req, res) => {
+    if (sendValidationErrors(req, res)) return;
+
+    try {
+      const rule = await PricingRule.findById(req.params.ruleId);
+      if (!rule) {
+        return res.status(404).json({
+          success: false,
+          error: 'Pricing rule not found',
+        });
+      }
+
+      if (rule.usedCount > 0) {
+        rule.isActive = false;
+        await rule.save();
+        return res.json({
+          success: true,
+          message: 'Pricing rule has been used and was deactivated instead',
+          rule,
+        });
+      }
+
+      await rule.deleteOne();
+      res.json({ success: true, message: 'Pricing rule deleted' });
+    } catch (error) {
+      console.error('Error deleting pricing rule:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to delete pricing rule',
+      });
+    }
+  },
+);
+
+module.exports = router;
@@ -4,6 +4,8 @@ const router = express.Router();
 const Tournament = require('../models/Tournament');
 const Match = require('../models/Match');
 const Team = require('../models/Team');
+const mongoose = require('mongoose');
+const liveScores = require('../services/liveScores');
 
 // Public tournament listing
 router.get('/tournaments/public', async (req, res) => {
@@ -326,6 +328,35 @@ router.get('/matches/live', async (req, res) => {
   }
 });
 
+// Live score stream (server-sent events). Narrow it with ?tournamentId=
+// and/or ?teamId=; without either it carries every tournament.
+router.get('/matches/live/stream', async (req, res) => {
+  const { tournamentId, teamId } = req.query;
+
+  const invalidId = [tournamentId, teamId].some(
+    (id) => id && !mongoose.Types.ObjectId.isValid(id)
+  );
+  if (invalidId) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid tournament or team ID',
+    });
+  }
+
+  try {
+    await liveScores.subscribe(req, res, { tournamentId, teamId });
+  } catch (error) {
+    console.error('Error opening live score stream:', error);
+    if (!res.headersSent) {
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to open live score stream',
+      });
+    }
+    res.end();
+  }
+});
+
 router.get('/tournaments/:id/matches', async (req, res) => {
   try {
     const matches = await Match.find({
@@ -0,0 +1,168 @@
+// savedCardRoutes.js
+const express = require('express');
+const router = express.Router();
+const Parent = require('../models/Parent');
+const PaymentServiceFactory = require('../services/payment-service-factory');
+const { authenticate } = require('../utils/auth');
+const {
+  isUsableWith,
+  saveCardForParent,
+  setDefaultCard,
+  removeSavedCard,
+} = require('../services/savedCards');
+const { body, param, query, validationResult } = require('express-validator');
+
+const sendValidationErrors = (req, res) => {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) return false;
+  res.status(400).json({ success: false, errors: errors.array() });
+  return true;
+};
+
+const sendCardError = (res, error, fallback) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({
+      success: false,
+      error: error.message,
+    });
+  }
+  console.error(`${fallback}:`, error);
+  res.status(500).json({ success: false, error: fallback });
+};
+
+const loadParent = async (req, res) => {
+  const parent = await Parent.findById(req.user._id || req.user.id);
+  if (!parent) {
+    res.status(404).json({ success: false, error: 'Parent not found' });
+  }
+  return parent;
+};
+
+// Checkout only needs the saved card's _id; `usable` says whether the active
+// payment configuration can charge it
+const publicCard = (card, paymentService) => ({
+  _id: card._id,
+  paymentSystem: card.paymentSystem,
+  last4: card.last4,
+  brand: card.brand,
+  expMonth: card.expMonth,
+  expYear: card.expYear,
+  isDefault: card.isDefault,
+  lastUsedAt: card.lastUsedAt,
+  createdAt: card.createdAt,
+  ...(paymentService && { usable: isUsableWith(card, paymentService) }),
+});
+
+router.get(
+  '/',
+  authenticate,
+  [query('paymentSystem').optional().isIn(['square', 'clover', 'stripe'])],
+  async (req, res) => {
+    if (sendValidationErrors(req, res)) return;
+
+    try {
+      const parent = await loadParent(req, res);
+      if (!parent) return;
+
+      const paymentService = await PaymentServiceFactory.getService(
+        req.query.paymentSystem,
+      ).catch(() => null);
+
+      res.json({
+        success: true,
+        paymentSystem: paymentService?.type,
+        cards: (parent.savedCards || []).map((card) =>
+          publicCard(card, paymentService),
+        ),
+      });
+    } catch (error) {
+      sendCardError(res, error, 'Failed to fetch saved cards');
+    }
+  },
+);
+
+router.post(
+  '/',
+  authenticate,
+  [
+    body('token').optional().notEmpty(),
+    body('sourceId').optional().notEmpty(),
+    body().custom((value, { req }) => {
+      if (!req.body.token && !req.body.sourceId) {
+        throw new Error('Either token or sourceId must be provided');
+      }
+      return true;
+    }),
+    body('cardDetails').optional().isObject(),
+    body('paymentSystem').optional().isIn(['square', 'clover', 'stripe']),
+    body('makeDefault').optional().isBoolean().toBoolean(),
+  ],
+  async (req, res) => {
+    if (sendValidationErrors(req, res)) return;
+
+    try {
+      const parent = await loadParent(req, res);
+      if (!parent) return;
+
+      const { token, sourceId, cardDetails, paymentSystem, makeDefault } =
+        req.body;
+      const paymentService =
+        await PaymentServiceFactory.getService(paymentSystem);
+
+      const card = await saveCardForParent({
+        parent,
+        paymentService,
+        sourceId: sourceId || token,
+        cardDetails,
+        makeDefault,
+      });
+
+      res.status(201).json({
+        success: true,
+        card: publicCard(card, paymentService),
+      });
+    } catch (error) {
+      sendCardError(res, error, 'Failed to save card');
+    }
+  },
+);
+
+router.patch(
+  '/:cardId/default',
+  authenticate,
+  [param('cardId').isMongoId().withMessage('Invalid card ID')],
+  async (req, res) => {
+    if (sendValidationErrors(req, res)) return;
+
+    try {
+      const parent = await loadParent(req, res);
+      if (!parent) return;
+
+      const card = await setDefaultCard(parent, req.params.cardId);
+      res.json({ success: true, card: publicCard(card) });
+    } catch (error) {
+      sendCardError(res, error, 'Failed to update saved card');
+    }
+  },
+);
+
+router.delete(
+  '/:cardId',
+  authenticate,
+  [param('cardId').isMongoId().withMessage('Invalid card ID')],
+  async (req, res) => {
+    if (sendValidationErrors(req, res)) return;
+
+    try {
+      const parent = await loadParent(req, res);
+      if (!parent) return;
+
+      await removeSavedCard(parent, req.params.cardId);
+      res.json({ success: true, message: 'Card removed' });
+    } catch (error) {
+      sendCardError(res, error, 'Failed to remove card');
+    }
+  },
+);
+
+module.exports = router;
@@ -0,0 +1,323 @@
+// scholarshipRoutes.js
+const express = require('express');
+const router = express.Router();
+const multer = require('multer');
+const mongoose = require('mongoose');
+const ScholarshipApplication = require('../models/ScholarshipApplication');
+const Parent = require('../models/Parent');
+const { authenticate, isAdmin } = require('../utils/auth');
+const { uploadToR2, getSignedR2Url } = require('../utils/r2');
+const {
+  submitApplication,
+  reviewApplication,
+} = require('../services/scholarships');
+const { body, param, query, validationResult } = require('express-validator');
+
+// Supporting documents: tax forms, benefit letters and the like
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 10 * 1024 * 1024, files: 5 },
+  fileFilter: (req, file, cb) => {
+    const allowedMimes = [
+      'application/pdf',
+      'image/jpeg',
+      'image/jpg',
+      'image/png',
+    ];
+    if (allowedMimes.includes(file.mimetype)) {
+      cb(null, true);
+    } else {
+      cb(new Error('Only PDF, JPEG and PNG documents are allowed'), false);
+    }
+  },
+});
+
+// Multipart forms send the player list as JSON or as repeated fields
+const parsePlayers = (value) => {
+  if (typeof value === 'string') {
+    try {
+      return JSON.parse(value);
+    } catch (error) {
+      return [value];
+    }
+  }
+  return value;
+};
+
+const sendValidationErrors = (req, res) => {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) return false;
+  res.status(400).json({ success: false, errors: errors.array() });
+  return true;
+};
+
+const sendScholarshipError = (res, error, fallback) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({
+      success: false,
+      error: error.message,
+    });
+  }
+  console.error(`${fallback}:`, error);
+  res.status(500).json({ success: false, error: fallback });
+};
+
+const isOwnerOrAdmin = (application, user) => {
+  const parentId = application.parent?._id || application.parent;
+  return (
+    user.role === 'admin' ||
+    parentId.toString() === (user._id || user.id).toString()
+  );
+};
+
+// Documents are private; hand out links that expire after an hour
+const withDocumentLinks = async (application) => {
+  const data = application.toObject();
+  data.documents = await Promise.all(
+    data.documents.map(async (document) => ({
+      ...document,
+      url: await getSignedR2Url(document.key).catch(() => null),
+    })),
+  );
+  return data;
+};
+
+// ============================================
+// FAMILIES
+// ============================================
+
+router.post(
+  '/',
+  authenticate,
+  upload.array('documents', 5),
+  [
+    body('players')
+      .customSanitizer(parsePlayers)
+      .isArray({ min: 1 })
+      .withMessage('At least one player is required'),
+    body('players.*')
+      .custom((value) => mongoose.Types.ObjectId.isValid(value))
+      .withMessage('Valid player IDs are required'),
+    body('season').trim().notEmpty().withMessage('Season is required'),
+    body('year')
+      .isInt({ min: 2020, max: 2030 })
+      .withMessage('Year must be between 2020 and 2030')
+      .toInt(),
+    body('needStatement')
+      .trim()
+      .isLength({ min: 20, max: 5000 })
+      .withMessage('Please describe your need in 20 to 5000 characters'),
+    body('householdSize').optional().isInt({ min: 1, max: 30 }).toInt(),
+  ],
+  async (req, res) => {
+    if (sendValidationErrors(req, res)) return;
+
+    try {
+      const parent = await Parent.findById(req.user._id || req.user.id);
+      if (!parent) {
+        return res.status(404).json({
+          success: false,
+          error: 'Parent not found',
+        });
+      }
+
+      const documents = [];
+      for (const file of req.files || []) {
+        const { key } = await uploadToR2(
+          file.buffer,
+          'scholarships',
+          file.originalname,
+          file.mimetype,
+        );
+        documents.push({
+          key,
+          name: file.originalname,
+          mimeType: file.mimetype,
+          size: file.size,
+        });
+      }
+
+      const application = await submitApplication(parent, req.body, documents);
+      res.status(201).json({ success: true, application });
+    } catch (error) {
+      sendScholarshipError(res, error, 'Failed to submit application');
+    }
+  },
+);
+
+router.get('/mine', authenticate, async (req, res) => {
+  try {
+    const applications = await ScholarshipApplication.find({
+      parent: req.user._id || req.user.id,
+    })
+      .select('-documents.key -award.redemptions')
+      .populate('players', 'fullName')
+      .sort({ createdAt: -1 });
+
+    res.json({ success: true, applications });
+  } catch (error) {
+    console.error('Error fetching scholarship applications:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch scholarship applications',
+    });
+  }
+});
+
+router.post(
+  '/:applicationId/withdraw',
+  authenticate,
+  [param('applicationId').isMongoId().withMessage('Invalid application ID')],
+  async (req, res) => {
+    if (sendValidationErrors(req, res)) return;
+
+    try {
+      const application = await ScholarshipApplication.findById(
+        req.params.applicationId,
+      );
+      if (!application || !isOwnerOrAdmin(application, req.user)) {
+        return res.status(404).json({
+          success: false,
+          error: 'Application not found',
+        });
+      }
+      if (application.status !== 'pending') {
+        return res.status(400).json({
+          success: false,
+          error: `Application has already been ${application.status}`,
+        });
+      }
+
+      application.status = 'withdrawn';
+      await application.save();
+      res.json({ success: true, application });
+    } catch (error) {
+      sendScholarshipError(res, error, 'Failed to withdraw application');
+    }
+  },
+);
+
+// ============================================
+// ADMIN REVIEW
+// ============================================
+
+router.get(
+  '/',
+  authenticate,
+  isAdmin,
+  [
+    query('status')
+      .optional()
+      .isIn(['pending', 'awarded', 'denied', 'withdrawn']),
+    query('season').optional().isString(),
+    query('year').optional().isInt().toInt(),
+    query('page').optional().isInt({ min: 1 }).toInt(),
+    query('limit').optional().isInt({ min: 1, max: 100 }).toInt(),
+  ],
+  async (req, res) => {
+    if (sendValidationErrors(req, res)) return;
+
+    try {
+      const { status, season, year, page = 1, limit = 50 } = req.query;
+      const filter = {};
+      if (status) filter.status = status;
+      if (season) filter.season = season;
+      if (year) filter.year = year;
+
+      const [applications, total] = await Promise.all([
+        ScholarshipApplication.find(filter)
+          .select('-needStatement -award.redemptions')
+          .populate('parent', 'fullName email')
+          .populate('players', 'fullName')
+          .sort({ createdAt: -1 })
+          .skip((page - 1) * limit)
+          .limit(limit),
+        ScholarshipApplication.countDocuments(filter),
+      ]);
+
+      res.json({
+        success: true,
+        applications,
+        pagination: { page, limit, total, pages: Math.ceil(total / limit) },
+      });
+    } catch (error) {
+      console.error('Error fetching scholarship applications:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to fetch scholarship applications',
+      });
+    }
+  },
+);
+
+router.get(
+  '/:applicationId',
+  authenticate,
+  [param('applicationId').isMongoId().withMessage('Invalid application ID')],
+  async (req, res) => {
+    if (sendValidationErrors(req, res)) return;
+
+    try {
+      const application = await ScholarshipApplication.findById(
+        req.params.applicationId,
+      )
+        .populate('parent', 'fullName email phone')
+        .populate('players', 'fullName grade');
+
+      if (!application || !isOwnerOrAdmin(application, req.user)) {
+        return res.status(404).json({
+          success: false,
+          error: 'Application not found',
+        });
+      }
+
+      res.json({
+        success: true,
+        application: await withDocumentLinks(application),
+      });
+    } catch (error) {
+      sendScholarshipError(res, error, 'Failed to fetch application');
+    }
+  },
+);
+
+router.patch(
+  '/:applicationId/review',
+  authenticate,
+  isAdmin,
+  [
+    param('applicationId').isMongoId().withMessage('Invalid application ID'),
+    body('decision')
+      .isIn(['award', 'deny'])
+      .withMessage('Decision must be award or deny'),
+    body('coverage')
+      .if(body('decision').equals('award'))
+      .isIn(['full', 'partial'])
+      .withMessage('Coverage must be full or partial'),
+    body('percent').optional().isFloat({ min: 1, max: 100 }).toFloat(),
+    body('amount').optional().isFloat({ min: 0.01 }).toFloat(),
+    body('notes').optional().isString().isLength({ max: 2000 }),
+  ],
+  async (req, res) => {
+    if (sendValidationErrors(req, res)) return;
+
+    try {
+      const application = await ScholarshipApplication.findById(
+        req.params.applicationId,
+      );
+      if (!application) {
+        return res.status(404).json({
+          success: false,
+          error: 'Application not found',
+        });
+      }
+
+      await reviewApplication(application, req.body, req.user);
+      res.json({ success: true, application });
+    } catch (error) {
+      sendScholarshipError(res, error, 'Failed to review application');
+    }
+  },
+);
+
+module.exports = router;
@@ -0,0 +1,101 @@
+// seasonRolloverRoutes.js
+const express = require('express');
+const router = express.Router();
+const { authenticate, isAdmin } = require('../utils/auth');
+const { planRollover, applyRollover } = require('../services/seasonRollover');
+const { body, validationResult } = require('express-validator');
+
+const sendValidationErrors = (req, res) => {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) return false;
+  res.status(400).json({ success: false, errors: errors.array() });
+  return true;
+};
+
+const sendRolloverError = (res, error, fallback) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({
+      success: false,
+      error: error.message,
+    });
+  }
+  console.error(`${fallback}:`, error);
+  res.status(500).json({ success: false, error: fallback });
+};
+
+const rolloverValidators = [
+  body('fromEventId')
+    .trim()
+    .notEmpty()
+    .withMessage('The season event to roll over is required'),
+  body('eventId').optional().trim().notEmpty(),
+  body('season').optional().trim().notEmpty(),
+  body('year')
+    .optional()
+    .isInt({ min: 2020, max: 2030 })
+    .withMessage('Year must be between 2020 and 2030')
+    .toInt(),
+  body('startDate').optional().isISO8601().toDate(),
+  body('endDate').optional().isISO8601().toDate(),
+  body('description').optional().isString(),
+];
+
+const rolloverOptions = (req) => ({
+  fromEventId: req.body.fromEventId,
+  eventId: req.body.eventId,
+  season: req.body.season,
+  year: req.body.year,
+  startDate: req.body.startDate,
+  endDate: req.body.endDate,
+  description: req.body.description,
+});
+
+// Always preview first: the same body sent to /apply carries it out
+router.post(
+  '/preview',
+  authenticate,
+  isAdmin,
+  rolloverValidators,
+  async (req, res) => {
+    if (sendValidationErrors(req, res)) return;
+
+    try {
+      res.json({
+        success: true,
+        ...(await planRollover(rolloverOptions(req))),
+      });
+    } catch (error) {
+      sendRolloverError(res, error, 'Failed to preview season rollover');
+    }
+  },
+);
+
+router.post(
+  '/apply',
+  authenticate,
+  isAdmin,
+  [
+    ...rolloverValidators,
+    body('sendInvites').optional().isBoolean().toBoolean(),
+  ],
+  async (req, res) => {
+    if (sendValidationErrors(req, res)) return;
+
+    try {
+      const result = await applyRollover({
+        ...rolloverOptions(req),
+        sendInvites: req.body.sendInvites,
+      });
+
+      res.status(201).json({
+        success: true,
+        message: `Rolled over to ${result.next.season} ${result.next.year}`,
+        ...result,
+      });
+    } catch (error) {
+      sendRolloverError(res, error, 'Failed to apply season rollover');
+    }
+  },
+);
+
+module.exports = router;
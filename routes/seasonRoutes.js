@@ -0,0 +1,218 @@
+// seasonRoutes.js
+const express = require('express');
+const router = express.Router();
+const Season = require('../models/Season');
+const { authenticate, isAdmin } = require('../utils/auth');
+const {
+  findSeason,
+  currentSeasons,
+  openSeasons,
+} = require('../services/seasons');
+const { body, param, query, validationResult } = require('express-validator');
+
+const sendValidationErrors = (req, res) => {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) return false;
+  res.status(400).json({ success: false, errors: errors.array() });
+  return true;
+};
+
+const sendSeasonError = (res, error, fallback) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({
+      success: false,
+      error: error.message,
+    });
+  }
+  if (error.code === 11000) {
+    return res.status(409).json({
+      success: false,
+      error: 'Another season already uses this event ID',
+    });
+  }
+  console.error(`${fallback}:`, error);
+  res.status(500).json({ success: false, error: fallback });
+};
+
+const SEASON_TYPES = ['tryout', 'training', 'tournament'];
+
+const EDITABLE_FIELDS = [
+  'name',
+  'type',
+  'year',
+  'eventId',
+  'description',
+  'startDate',
+  'endDate',
+  'registrationOpensAt',
+  'registrationClosesAt',
+  'aliases',
+];
+
+const seasonIdValidator = param('seasonId')
+  .isMongoId()
+  .withMessage('Invalid season ID');
+
+const typeQueryValidator = query('type')
+  .optional()
+  .isIn(SEASON_TYPES)
+  .withMessage('Type must be tryout, training or tournament');
+
+// Required on create, optional on update
+const seasonValidators = (creating) => {
+  const field = (chain) => (creating ? chain : chain.optional());
+  return [
+    field(body('name')).trim().notEmpty().withMessage('Name is required'),
+    field(body('type'))
+      .isIn(SEASON_TYPES)
+      .withMessage('Type must be tryout, training or tournament'),
+    field(body('year'))
+      .isInt({ min: 2020, max: 2030 })
+      .withMessage('Year must be between 2020 and 2030')
+      .toInt(),
+    body('eventId').optional().trim().notEmpty(),
+    body('description').optional().isString(),
+    ...[
+      'startDate',
+      'endDate',
+      'registrationOpensAt',
+      'registrationClosesAt',
+    ].map((name) =>
+      body(name)
+        .optional({ values: 'null' })
+        .isISO8601()
+        .withMessage(`${name} must be a date`)
+        .toDate(),
+    ),
+    body('aliases').optional().isArray(),
+    body('aliases.*').isString().trim().notEmpty(),
+  ];
+};
+
+const checkDates = (season) => {
+  if (season.startDate && season.endDate && season.endDate < season.startDate) {
+    return 'The season cannot end before it starts';
+  }
+  if (
+    season.registrationOpensAt &&
+    season.registrationClosesAt &&
+    season.registrationClosesAt < season.registrationOpensAt
+  ) {
+    return 'Registration cannot close before it opens';
+  }
+  return null;
+};
+
+const pickFields = (source) =>
+  Object.fromEntries(
+    EDITABLE_FIELDS.filter((key) => source[key] !== undefined).map((key) => [
+      key,
+      source[key],
+    ]),
+  );
+
+// ============================================
+// PUBLIC
+// ============================================
+
+router.get(
+  '/',
+  [
+    typeQueryValidator,
+    query('year').optional().isInt().toInt(),
+    query('open').optional().isBoolean().toBoolean(),
+  ],
+  async (req, res) => {
+    if (sendValidationErrors(req, res)) return;
+
+    try {
+      const { type, year, open } = req.query;
+      const seasons = open
+        ? await openSeasons({ type, year })
+        : await Season.find({
+            ...(type && { type }),
+            ...(year && { year }),
+          }).sort({ year: -1, startDate: -1, name: 1 });
+
+      res.json({ success: true, seasons });
+    } catch (error) {
+      sendSeasonError(res, error, 'Failed to fetch seasons');
+    }
+  },
+);
+
+router.get('/current', [typeQueryValidator], async (req, res) => {
+  if (sendValidationErrors(req, res)) return;
+
+  try {
+    res.json({
+      success: true,
+      seasons: await currentSeasons({ type: req.query.type }),
+    });
+  } catch (error) {
+    sendSeasonError(res, error, 'Failed to fetch current seasons');
+  }
+});
+
+router.get('/:seasonId', [seasonIdValidator], async (req, res) => {
+  if (sendValidationErrors(req, res)) return;
+
+  try {
+    res.json({ success: true, season: await findSeason(req.params.seasonId) });
+  } catch (error) {
+    sendSeasonError(res, error, 'Failed to fetch season');
+  }
+});
+
+// ============================================
+// ADMIN
+// ============================================
+
+router.post(
+  '/',
+  authenticate,
+  isAdmin,
+  seasonValidators(true),
+  async (req, res) => {
+    if (sendValidationErrors(req, res)) return;
+
+    try {
+      const season = new Season(pickFields(req.body));
+      const dateError = checkDates(season);
+      if (dateError) {
+        return res.status(400).json({ success: false, error: dateError });
+      }
+
+      await season.save();
+      res.status(201).json({ success: true, season });
+    } catch (error) {
+      sendSeasonError(res, error, 'Failed to create season');
+    }
+  },
+);
+
+router.put(
+  '/:seasonId',
+  authenticate,
+  isAdmin,
+  [seasonIdValidator, ...seasonValidators(false)],
+  async (req, res) => {
+    if (sendValidationErrors(req, res)) return;
+
+    try {
+      const season = await findSeason(req.params.seasonId);
+      season.set(pickFields(req.body));
+      const dateError = checkDates(season);
+      if (dateError) {
+        return res.status(400).json({ success: false, error: dateError });
+      }
+
+      await season.save();
+      res.json({ success: true, season });
+    } catch (error) {
+      sendSeasonError(res, error, 'Failed to update season');
+    }
+  },
+);
+
+module.exports = router;
@@ -0,0 +1,294 @@
+// teamFeeRoutes.js
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const Team = require('../models/Team');
+const TeamFeeSplit = require('../models/TeamFeeSplit');
+const { authenticate, isAdmin } = require('../utils/auth');
+const {
+  startFeeSplit,
+  payShare,
+  resolveShare,
+  describeShare,
+  cancelFeeSplit,
+} = require('../services/teamFeeSplits');
+const { body, param, validationResult } = require('express-validator');
+
+const sendValidationErrors = (req, res) => {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) return false;
+  res.status(400).json({ success: false, errors: errors.array() });
+  return true;
+};
+
+const sendSplitError = (res, error, fallback) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({
+      success: false,
+      error: error.message,
+    });
+  }
+  console.error(`${fallback}:`, error);
+  res.status(500).json({ success: false, error: fallback });
+};
+
+const userId = (user) => (user._id || user.id).toString();
+
+const isCoachOrAdmin = (split, user) =>
+  user.role === 'admin' ||
+  (split.coach._id || split.coach).toString() === userId(user);
+
+const shareTokenValidator = param('shareToken')
+  .isHexadecimal()
+  .isLength({ min: 48, max: 48 })
+  .withMessage('Invalid payment link');
+
+// ============================================
+// COACHES
+// ============================================
+
+router.post(
+  '/',
+  authenticate,
+  [
+    body('teamId').isMongoId().withMessage('Valid team ID is required'),
+    body('tournament')
+      .trim()
+      .notEmpty()
+      .withMessage('Tournament name is required'),
+    body('year').isInt({ min: 2020, max: 2030 }).toInt(),
+    body('amount')
+      .isInt({ min: 1 })
+      .withMessage('Amount must be a positive number of cents')
+      .toInt(),
+    body('deadline')
+      .isISO8601()
+      .withMessage('Deadline must be a valid date')
+      .toDate(),
+    body('playerIds')
+      .isArray({ min: 1 })
+      .withMessage('At least one roster player is required'),
+    body('playerIds.*')
+      .custom((value) => mongoose.Types.ObjectId.isValid(value))
+      .withMessage('Valid player IDs are required'),
+  ],
+  async (req, res) => {
+    if (sendValidationErrors(req, res)) return;
+
+    try {
+      const { teamId, tournament, year, amount, deadline, playerIds } =
+        req.body;
+
+      const team = await Team.findOne({
+        _id: teamId,
+        ...(req.user.role !== 'admin' && { coachIds: userId(req.user) }),
+      });
+      if (!team) {
+        return res.status(404).json({
+          success: false,
+          error: 'Team not found or unauthorized',
+        });
+      }
+
+      // Unpaid shares fall back to the team's coach, even when an admin
+      // started the split for them
+      const split = await startFeeSplit({
+        team,
+        coachId:
+          (req.user.role === 'admin' && team.coachIds[0]) ||
+          req.user._id ||
+          req.user.id,
+        tournament,
+        year,
+        amount: amount / 100,
+        deadline,
+        playerIds,
+      });
+
+      res.status(201).json({ success: true, split });
+    } catch (error) {
+      sendSplitError(res, error, 'Failed to start team fee split');
+    }
+  },
+);
+
+router.get(
+  '/team/:teamId',
+  authenticate,
+  [param('teamId').isMongoId().withMessage('Invalid team ID')],
+  async (req, res) => {
+    if (sendValidationErrors(req, res)) return;
+
+    try {
+      const team = await Team.findOne({
+        _id: req.params.teamId,
+        ...(req.user.role !== 'admin' && { coachIds: userId(req.user) }),
+      }).select('_id');
+      if (!team) {
+        return res.status(404).json({
+          success: false,
+          error: 'Team not found or unauthorized',
+        });
+      }
+
+      const splits = await TeamFeeSplit.find({ team: team._id })
+        .populate('shares.parent', 'fullName email')
+        .populate('shares.players', 'fullName')
+        .sort({ createdAt: -1 });
+
+      res.json({ success: true, splits });
+    } catch (error) {
+      sendSplitError(res, error, 'Failed to fetch team fee splits');
+    }
+  },
+);
+
+router.get(
+  '/:splitId',
+  authenticate,
+  [param('splitId').isMongoId().withMessage('Invalid split ID')],
+  async (req, res) => {
+    if (sendValidationErrors(req, res)) return;
+
+    try {
+      const split = await TeamFeeSplit.findById(req.params.splitId)
+        .populate('team', 'name grade levelOfCompetition')
+        .populate('shares.parent', 'fullName email')
+        .populate('shares.players', 'fullName');
+
+      if (!split || !isCoachOrAdmin(split, req.user)) {
+        return res.status(404).json({
+          success: false,
+          error: 'Team fee split not found',
+        });
+      }
+
+      res.json({ success: true, split });
+    } catch (error) {
+      sendSplitError(res, error, 'Failed to fetch team fee split');
+    }
+  },
+);
+
+router.post(
+  '/:splitId/cancel',
+  authenticate,
+  [param('splitId').isMongoId().withMessage('Invalid split ID')],
+  async (req, res) => {
+    if (sendValidationErrors(req, res)) return;
+
+    try {
+      const split = await TeamFeeSplit.findById(req.params.splitId);
+      if (!split || !isCoachOrAdmin(split, req.user)) {
+        return res.status(404).json({
+          success: false,
+          error: 'Team fee split not found',
+        });
+      }
+
+      await cancelFeeSplit(split);
+      res.json({ success: true, split });
+    } catch (error) {
+      sendSplitError(res, error, 'Failed to cancel team fee split');
+    }
+  },
+);
+
+// Settle a share whose charge could not be confirmed, after checking the
+// provider: pass the provider's payment id if it went through
+router.post(
+  '/:splitId/shares/:shareId/resolve',
+  authenticate,
+  isAdmin,
+  [
+    param('splitId').isMongoId().withMessage('Invalid split ID'),
+    param('shareId').isMongoId().withMessage('Invalid share ID'),
+    body('externalPaymentId').optional().isString().trim().notEmpty(),
+  ],
+  async (req, res) => {
+    if (sendValidationErrors(req, res)) return;
+
+    try {
+      const split = await TeamFeeSplit.findById(req.params.splitId);
+      if (!split) {
+        return res.status(404).json({
+          success: false,
+          error: 'Team fee split not found',
+        });
+      }
+
+      const resolved = await resolveShare(split, req.params.shareId, {
+        externalPaymentId: req.body.externalPaymentId,
+      });
+      res.json({ success: true, split: resolved });
+    } catch (error) {
+      sendSplitError(res, error, 'Failed to resolve team fee share');
+    }
+  },
+);
+
+// ============================================
+// PERSONAL PAYMENT LINKS
+// ============================================
+
+// The emailed token is the credential, so families pay without logging in
+router.get('/shares/:shareToken', [shareTokenValidator], async (req, res) => {
+  if (sendValidationErrors(req, res)) return;
+
+  try {
+    const share = await describeShare(req.params.shareToken);
+    res.json({ success: true, share });
+  } catch (error) {
+    sendSplitError(res, error, 'Failed to fetch team fee share');
+  }
+});
+
+router.post(
+  '/shares/:shareToken/pay',
+  [
+    shareTokenValidator,
+    body('token').optional().notEmpty(),
+    body('sourceId').optional().notEmpty(),
+    body().custom((value, { req }) => {
+      if (!req.body.token && !req.body.sourceId) {
+        throw new Error('Either token or sourceId must be provided');
+      }
+      return true;
+    }),
+    body('email').optional().isEmail().normalizeEmail(),
+    body('cardDetails').optional().isObject(),
+    body('paymentSystem').optional().isIn(['square', 'clover', 'stripe']),
+  ],
+  async (req, res) => {
+    if (sendValidationErrors(req, res)) return;
+
+    try {
+      const { token, sourceId, email, cardDetails, paymentSystem } = req.body;
+      const { split, share, payment } = await payShare({
+        token: req.params.shareToken,
+        sourceId: sourceId || token,
+        email,
+        cardDetails,
+        paymentSystem,
+      });
+
+      res.json({
+        success: true,
+        paymentId: payment._id,
+        externalPaymentId: payment.paymentId,
+        amountPaid: share.amount,
+        receiptUrl: payment.receiptUrl,
+        teamFee: {
+          status: split.status,
+          totalAmount: split.totalAmount,
+          amountCollected: split.amountCollected,
+          amountRemaining: split.amountRemaining,
+        },
+      });
+    } catch (error) {
+      sendSplitError(res, error, 'Failed to pay team fee share');
+    }
+  },
+);
+
+module.exports = router;
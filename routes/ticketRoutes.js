@@ -1,6 +1,7 @@
 // backend/routes/ticketRoutes.js
 const express = require('express');
 const router = express.Router();
+const mongoose = require('mongoose');
 const TicketPurchase = require('../models/TicketPurchase');
 const Form = require('../models/Form');
 const FormSubmission = require('../models/FormSubmission');
@@ -397,4 +398,68 @@ router.get(
   }
 );
 
+// Report admissions redeemed more than once across offline door devices
+router.get(
+  '/ticket-purchases/check-in-conflicts',
+  [authenticate, isAdmin],
+  async (req, res) => {
+    try {
+      const { formId } = req.query;
+
+      const match = { 'admissions.conflicts.0': { $exists: true } };
+      if (formId) {
+        if (!mongoose.Types.ObjectId.isValid(formId)) {
+          return res.status(400).json({ error: 'Invalid form ID' });
+        }
+        match.formId = new mongoose.Types.ObjectId(formId);
+      }
+
+      const conflicts = await TicketPurchase.aggregate([
+        { $match: match },
+        { $unwind: '$admissions' },
+        { $match: { 'admissions.conflicts.0': { $exists: true } } },
+        {
+          $lookup: {
+            from: 'forms',
+            localField: 'formId',
+            foreignField: '_id',
+            as: 'form',
+          },
+        },
+        {
+          $project: {
+            _id: 0,
+            ticketPurchaseId: '$_id',
+            formId: 1,
+            formTitle: { $arrayElemAt: ['$form.title', 0] },
+            customerName: 1,
+            customerEmail: 1,
+            packageName: 1,
+            admissionNumber: '$admissions.admissionNumber',
+            tokenId: '$admissions.tokenId',
+            redeemedAt: '$admissions.redeemedAt',
+            redeemedBy: '$admissions.redeemedBy',
+            redeemedDeviceId: '$admissions.redeemedDeviceId',
+            redeemedVenueIndex: '$admissions.redeemedVenueIndex',
+            conflicts: '$admissions.conflicts',
+          },
+        },
+        { $sort: { redeemedAt: -1 } },
+      ]);
+
+      res.json({
+        conflicts,
+        total: conflicts.length,
+        totalDuplicateScans: conflicts.reduce(
+          (sum, c) => sum + c.conflicts.length,
+          0
+        ),
+      });
+    } catch (error) {
+      console.error('Error fetching check-in conflicts:', error);
+      res.status(500).json({ error: 'Failed to fetch check-in conflicts' });
+    }
+  }
+);
+
 module.exports = router;
@@ -4,6 +4,12 @@ const FormSubmission = require('../models/FormSubmission');
 const Form = require('../models/Form');
 const TicketPurchase = require('../models/TicketPurchase');
 const { sendEmail } = require('../utils/email');
+const { authenticate, isCoach } = require('../utils/auth');
+const { verifyAdmissionToken } = require('../utils/ticketTokens');
+const {
+  buildCheckInRoster,
+  mergeRedemptionLog,
+} = require('../services/ticketCheckIn');
 
 // Get tickets by email - UPDATED
 router.get('/email/:email', async (req, res) => {
@@ -402,4 +408,227 @@ router.post('/email-receipt', async (req, res) => {
   }
 });
 
+// Explain why a scanned admission could not be redeemed
+const describeRejectedAdmission = async (ticket) => {
+  const purchase = await TicketPurchase.findById(ticket.purchaseId).lean();
+
+  if (!purchase) {
+    return { status: 404, result: 'not_found', error: 'Ticket not found' };
+  }
+
+  if (purchase.status !== 'completed') {
+    return {
+      status: 409,
+      result: purchase.status === 'refunded' ? 'refunded' : 'not_paid',
+      error: `Ticket purchase is ${purchase.status}`,
+    };
+  }
+
+  const admission = (purchase.admissions || []).find(
+    (a) => a.tokenId === ticket.tokenId,
+  );
+
+  if (!admission || admission.status === 'void') {
+    return { status: 409, result: 'void', error: 'Ticket has been voided' };
+  }
+
+  if (admission.status === 'redeemed') {
+    return {
+      status: 409,
+      result: 'duplicate',
+      error: 'Ticket has already been scanned',
+      redeemedAt: admission.redeemedAt,
+      redeemedVenueIndex: admission.redeemedVenueIndex,
+    };
+  }
+
+  return { status: 409, result: 'rejected', error: 'Ticket is not valid' };
+};
+
+// Scan a QR ticket at the gate and mark the admission as redeemed
+router.post('/scan', [authenticate, isCoach], async (req, res) => {
+  try {
+    const { token, formId, venueIndex } = req.body;
+
+    if (!token) {
+      return res.status(400).json({
+        success: false,
+        result: 'invalid',
+        error: 'Ticket token is required',
+      });
+    }
+
+    let ticket;
+    try {
+      ticket = verifyAdmissionToken(token);
+    } catch (tokenError) {
+      return res.status(400).json({
+        success: false,
+        result: 'invalid',
+        error: 'Invalid ticket',
+      });
+    }
+
+    if (formId && ticket.formId !== formId.toString()) {
+      return res.status(409).json({
+        success: false,
+        result: 'wrong_event',
+        error: 'Ticket is for a different event',
+      });
+    }
+
+    const scanVenueIndex =
+      venueIndex !== undefined && venueIndex !== null && venueIndex !== ''
+        ? parseInt(venueIndex)
+        : null;
+
+    if (
+      ticket.venueIndex !== null &&
+      scanVenueIndex !== null &&
+      ticket.venueIndex !== scanVenueIndex
+    ) {
+      return res.status(409).json({
+        success: false,
+        result: 'wrong_venue',
+        error: 'Ticket is for a different venue',
+        ticketVenueIndex: ticket.venueIndex,
+      });
+    }
+
+    const redemption = {
+      'admissions.$.status': 'redeemed',
+      'admissions.$.redeemedAt': new Date(),
+      'admissions.$.redeemedBy': req.user._id,
+    };
+    if (scanVenueIndex !== null) {
+      redemption['admissions.$.redeemedVenueIndex'] = scanVenueIndex;
+    }
+
+    // Atomically flip the admission from valid to redeemed so two gates
+    // scanning the same code at once cannot both admit it
+    const purchase = await TicketPurchase.findOneAndUpdate(
+      {
+        _id: ticket.purchaseId,
+        status: 'completed',
+        admissions: {
+          $elemMatch: { tokenId: ticket.tokenId, status: 'valid' },
+        },
+      },
+      { $set: redemption },
+      { new: true },
+    )
+      .populate('formId', 'title')
+      .lean();
+
+    if (!purchase) {
+      const { status, ...rejection } = await describeRejectedAdmission(ticket);
+      return res.status(status).json({ success: false, ...rejection });
+    }
+
+    const redeemedCount = purchase.admissions.filter(
+      (a) => a.status === 'redeemed',
+    ).length;
+
+    res.json({
+      success: true,
+      result: 'admitted',
+      data: {
+        ticketPurchaseId: purchase._id,
+        formTitle: purchase.formId?.title,
+        customerName: purchase.customerName,
+        packageName: purchase.packageName,
+        admissionNumber: ticket.admissionNumber,
+        quantity: purchase.admissions.length,
+        redeemedCount,
+      },
+    });
+  } catch (err) {
+    console.error('Error scanning ticket:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to scan ticket',
+    });
+  }
+});
+
+// Download a signed roster of valid tickets for offline door check-in
+router.get('/check-in/roster', [authenticate, isCoach], async (req, res) => {
+  try {
+    const { formId, venueIndex, date } = req.query;
+
+    if (!formId) {
+      return res.status(400).json({
+        success: false,
+        error: 'Form ID is required',
+      });
+    }
+
+    const form = await Form.findById(formId).lean();
+    if (!form) {
+      return res.status(404).json({
+        success: false,
+        error: 'Form not found',
+      });
+    }
+
+    if (date && isNaN(new Date(date).getTime())) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid date',
+      });
+    }
+
+    const roster = await buildCheckInRoster(form, {
+      venueIndex,
+      date,
+      generatedBy: req.user._id,
+    });
+
+    res.json({
+      success: true,
+      data: roster,
+    });
+  } catch (err) {
+    console.error('Error building check-in roster:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to build check-in roster',
+    });
+  }
+});
+
+// Upload a device's offline redemption log and merge it
+router.post('/check-in/sync', [authenticate, isCoach], async (req, res) => {
+  try {
+    const { roster, signature, deviceId, redemptions } = req.body;
+
+    if (!roster || !signature || !deviceId || !Array.isArray(redemptions)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Roster, signature, device ID and redemptions are required',
+      });
+    }
+
+    const result = await mergeRedemptionLog({
+      roster,
+      signature,
+      deviceId,
+      redemptions,
+      user: req.user,
+    });
+
+    if (!result.success) {
+      return res.status(400).json(result);
+    }
+
+    res.json(result);
+  } catch (err) {
+    console.error('Error syncing redemption log:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to sync redemption log',
+    });
+  }
+});
+
 module.exports = router;
@@ -12,10 +12,15 @@ const Match = require('../models/Match');
 const tournamentController = require('../controllers/tournamentController');
 
 // Import middleware
-const { requireAuth, requireAdmin } = require('../middleware/auth');
+const {
+  requireAuth,
+  requireAdmin,
+  requireMatchScorer,
+} = require('../middleware/auth');
 
 // Import utility functions
 const tournamentUtils = require('../utils/tournamentUtils');
+const { TIEBREAKER_RULES } = require('../utils/standingsTiebreakers');
 
 // Validation middleware
 const validateTournament = [
@@ -37,6 +42,8 @@ const validateTournament = [
       'double-elimination',
       'round-robin',
       'group-stage',
+      'pool-to-bracket',
+      'swiss',
     ])
     .withMessage('Valid format is required'),
   body('maxTeams')
@@ -47,6 +54,21 @@ const validateTournament = [
     .optional()
     .isInt({ min: 2 })
     .withMessage('Min teams must be at least 2'),
+  body('settings.tiebreakers')
+    .optional()
+    .isArray()
+    .withMessage('Tiebreakers must be a list'),
+  body('settings.tiebreakers.*')
+    .isIn(TIEBREAKER_RULES)
+    .withMessage(`Tiebreakers must be one of: ${TIEBREAKER_RULES.join(', ')}`),
+  body('settings.pointDifferentialCap')
+    .optional({ nullable: true })
+    .isInt({ min: 1 })
+    .withMessage('Point differential cap must be a positive integer'),
+  body('settings.seeding')
+    .optional()
+    .isIn(['registration', 'historical'])
+    .withMessage('Seeding must be registration or historical'),
 ];
 
 const validateMatchUpdate = [
@@ -301,6 +323,13 @@ router.get(
   }
 );
 
+// Matches the signed-in scorekeeper can score
+router.get(
+  '/scorekeeper/assignments',
+  requireAuth,
+  tournamentController.getMyScorekeeperAssignments
+);
+
 // ============================================
 // REGULAR ROUTES (AFTER SPECIAL ROUTES)
 // ============================================
@@ -341,6 +370,45 @@ router.delete(
   tournamentController.deleteTournament
 );
 
+// Scorekeeper assignments
+router.get(
+  '/:tournamentId/scorekeepers',
+  requireAuth,
+  requireAdmin,
+  [param('tournamentId').isMongoId().withMessage('Invalid tournament ID')],
+  tournamentController.getScorekeepers
+);
+
+router.put(
+  '/:tournamentId/scorekeepers/:parentId',
+  requireAuth,
+  requireAdmin,
+  [
+    param('tournamentId').isMongoId().withMessage('Invalid tournament ID'),
+    param('parentId').isMongoId().withMessage('Invalid parent ID'),
+    body('courts')
+      .isArray({ min: 1 })
+      .withMessage('At least one court is required'),
+    body('courts.*')
+      .isString()
+      .trim()
+      .notEmpty()
+      .withMessage('Court names must be non-empty strings'),
+  ],
+  tournamentController.assignScorekeeper
+);
+
+router.delete(
+  '/:tournamentId/scorekeepers/:parentId',
+  requireAuth,
+  requireAdmin,
+  [
+    param('tournamentId').isMongoId().withMessage('Invalid tournament ID'),
+    param('parentId').isMongoId().withMessage('Invalid parent ID'),
+  ],
+  tournamentController.removeScorekeeper
+);
+
 // Team management
 router.post(
   '/:tournamentId/teams/:teamId',
@@ -413,12 +481,43 @@ router.post(
         'double-elimination',
         'round-robin',
         'group-stage',
+        'pool-to-bracket',
+        'swiss',
       ])
       .withMessage('Invalid tournament format'),
+    body('seeding')
+      .optional()
+      .isIn(['registration', 'historical'])
+      .withMessage('Seeding must be registration or historical'),
   ],
   tournamentController.generateBrackets
 );
 
+// Historical seeding preview and admin seed overrides
+router.get(
+  '/:tournamentId/seeding',
+  requireAuth,
+  requireAdmin,
+  [param('tournamentId').isMongoId().withMessage('Invalid tournament ID')],
+  tournamentController.getSeeding
+);
+
+router.put(
+  '/:tournamentId/seeding/overrides',
+  requireAuth,
+  requireAdmin,
+  [
+    param('tournamentId').isMongoId().withMessage('Invalid tournament ID'),
+    body('overrides').isArray().withMessage('Overrides must be a list'),
+    body('overrides.*.team').isMongoId().withMessage('Valid team ID required'),
+    body('overrides.*.seed')
+      .isInt({ min: 1 })
+      .withMessage('Seed must be a positive integer')
+      .toInt(),
+  ],
+  tournamentController.updateSeedOverrides
+);
+
 router.post(
   '/:tournamentId/generate-schedule',
   requireAuth,
@@ -482,9 +581,9 @@ router.delete(
 router.put(
   '/match/:matchId',
   requireAuth,
-  requireAdmin,
   [param('matchId').isMongoId().withMessage('Invalid match ID')],
   validateMatchUpdate,
+  requireMatchScorer,
   tournamentController.updateMatch
 );
 
@@ -620,6 +719,28 @@ router.post(
     })
 );
 
+// Match audit trail
+router.get(
+  '/match/:matchId/history',
+  requireAuth,
+  requireAdmin,
+  [param('matchId').isMongoId().withMessage('Invalid match ID')],
+  tournamentController.getMatchHistory
+);
+
+router.post(
+  '/match/:matchId/revert',
+  requireAuth,
+  requireAdmin,
+  [
+    param('matchId').isMongoId().withMessage('Invalid match ID'),
+    body('version')
+      .isInt({ min: 1 })
+      .withMessage('Version must be a positive integer'),
+  ],
+  tournamentController.revertMatch
+);
+
 // Quick declare winner
 router.post(
   '/match/:matchId/quick-declare-winner',
@@ -670,6 +791,39 @@ router.get(
   tournamentController.getSchedule
 );
 
+// Printable exports
+router.get(
+  '/:tournamentId/export/bracket',
+  requireAuth,
+  [
+    param('tournamentId').isMongoId().withMessage('Invalid tournament ID'),
+    query('format')
+      .optional()
+      .isIn(['pdf', 'svg'])
+      .withMessage('Format must be pdf or svg'),
+    query('paper')
+      .optional()
+      .isIn(['letter', 'legal', 'tabloid'])
+      .withMessage('Paper must be letter, legal or tabloid'),
+  ],
+  tournamentController.exportBracket
+);
+
+router.get(
+  '/:tournamentId/export/schedule',
+  requireAuth,
+  [
+    param('tournamentId').isMongoId().withMessage('Invalid tournament ID'),
+    query('date').optional().isISO8601().withMessage('Valid date required'),
+    query('court').optional().isString().withMessage('Court must be string'),
+    query('status')
+      .optional()
+      .isIn(['scheduled', 'in-progress', 'completed', 'cancelled'])
+      .withMessage('Invalid status'),
+  ],
+  tournamentController.exportSchedule
+);
+
 // Schedule management routes
 router.post(
   '/:tournamentId/schedule/generate',
@@ -680,12 +834,22 @@ router.post(
     body('startDate').isISO8601().withMessage('Valid start date is required'),
     body('endDate').isISO8601().withMessage('Valid end date is required'),
     body('startTime')
+      .optional()
       .matches(/^([01]?[0-9]|2[0-3]):[0-5][0-9]$/)
       .withMessage('Valid start time is required'),
     body('endTime')
+      .optional()
       .matches(/^([01]?[0-9]|2[0-3]):[0-5][0-9]$/)
       .withMessage('Valid end time is required'),
-    body('courts').isArray().withMessage('Courts must be an array'),
+    body('courts').optional().isArray().withMessage('Courts must be an array'),
+    body('venues').optional().isArray().withMessage('Venues must be an array'),
+    body('venues.*.courts')
+      .isArray({ min: 1 })
+      .withMessage('Each venue needs at least one court'),
+    body(['venues.*.openTime', 'venues.*.closeTime'])
+      .optional()
+      .matches(/^([01]?[0-9]|2[0-3]):[0-5][0-9]$/)
+      .withMessage('Venue hours must be HH:MM'),
     body('matchDuration')
       .optional()
       .isInt({ min: 10, max: 120 })
@@ -694,6 +858,25 @@ router.post(
       .optional()
       .isInt({ min: 0, max: 60 })
       .withMessage('Break duration must be between 0 and 60 minutes'),
+    body('minRestMinutes')
+      .optional()
+      .isInt({ min: 0, max: 600 })
+      .withMessage('Minimum rest must be between 0 and 600 minutes'),
+    body('teamRequests')
+      .optional()
+      .isArray()
+      .withMessage('Team requests must be an array'),
+    body('teamRequests.*.team')
+      .isMongoId()
+      .withMessage('Team request needs a valid team ID'),
+    body('teamRequests.*.notBefore')
+      .matches(/^([01]?[0-9]|2[0-3]):[0-5][0-9]$/)
+      .withMessage('Team request time must be HH:MM'),
+    body('dryRun')
+      .optional()
+      .isBoolean()
+      .withMessage('dryRun must be a boolean')
+      .toBoolean(),
   ],
   tournamentController.generateTournamentSchedule
 );
@@ -806,16 +989,36 @@ router.post(
         'double-elimination',
         'round-robin',
         'group-stage',
+        'pool-to-bracket',
+        'swiss',
       ])
       .withMessage('Invalid tournament format'),
     body('seeding')
       .optional()
-      .isIn(['random', 'ranked', 'manual'])
+      .isIn(['random', 'ranked', 'manual', 'historical'])
       .withMessage('Invalid seeding type'),
   ],
   tournamentController.recreateBracket
 );
 
+// Pool play: seed the knockout bracket from final pool ranks
+router.post(
+  '/:tournamentId/pools/seed-bracket',
+  requireAuth,
+  requireAdmin,
+  [param('tournamentId').isMongoId().withMessage('Invalid tournament ID')],
+  tournamentController.seedBracketFromPools
+);
+
+// Swiss: pair the next round
+router.post(
+  '/:tournamentId/swiss/next-round',
+  requireAuth,
+  requireAdmin,
+  [param('tournamentId').isMongoId().withMessage('Invalid tournament ID')],
+  tournamentController.generateNextSwissRound
+);
+
 // Bulk schedule matches
 router.post(
   '/:tournamentId/schedule/bulk',
@@ -0,0 +1,222 @@
+// tryoutSessionRoutes.js
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const Parent = require('../models/Parent');
+const Player = require('../models/Player');
+const { authenticate, isAdmin } = require('../utils/auth');
+const {
+  findTryout,
+  isRegistered,
+  signUp,
+  describeSessions,
+  sessionRoster,
+} = require('../services/tryoutSessions');
+const { body, param, query, validationResult } = require('express-validator');
+
+const sendValidationErrors = (req, res) => {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) return false;
+  res.status(400).json({ success: false, errors: errors.array() });
+  return true;
+};
+
+const sendSessionError = (res, error, fallback) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({
+      success: false,
+      error: error.message,
+    });
+  }
+  console.error(`${fallback}:`, error);
+  res.status(500).json({ success: false, error: fallback });
+};
+
+const userId = (user) => (user._id || user.id).toString();
+
+const eventIdValidator = param('eventId')
+  .trim()
+  .notEmpty()
+  .withMessage('Tryout event ID is required');
+
+const sessionIdValidator = param('sessionId')
+  .trim()
+  .notEmpty()
+  .withMessage('Session ID is required');
+
+const playerIdValidator = (field) =>
+  field
+    .custom((value) => mongoose.Types.ObjectId.isValid(value))
+    .withMessage('Valid playerId is required');
+
+// Parents may only act for their own players
+const loadPlayer = async (playerId, user) => {
+  const player = await Player.findById(playerId);
+  if (!player) return null;
+  if (user.role === 'admin') return player;
+
+  const parent = await Parent.findById(userId(user)).select('players');
+  const owns = parent?.players.some((pid) => pid.toString() === playerId);
+  return owns ? player : null;
+};
+
+// ============================================
+// FAMILIES
+// ============================================
+
+router.get(
+  '/:eventId',
+  authenticate,
+  [eventIdValidator, playerIdValidator(query('playerId').optional())],
+  async (req, res) => {
+    if (sendValidationErrors(req, res)) return;
+
+    try {
+      const tryout = await findTryout(req.params.eventId);
+
+      let player;
+      if (req.query.playerId) {
+        player = await loadPlayer(req.query.playerId, req.user);
+        if (!player) {
+          return res.status(404).json({
+            success: false,
+            error: 'Player not found',
+          });
+        }
+      }
+
+      res.json({
+        success: true,
+        tryout: {
+          eventId: tryout.eventId,
+          tryoutName: tryout.tryoutName,
+          displayName: tryout.displayName,
+          season: tryout.season,
+          year: tryout.tryoutYear,
+        },
+        sessions: await describeSessions(tryout, player),
+      });
+    } catch (error) {
+      sendSessionError(res, error, 'Failed to fetch tryout sessions');
+    }
+  },
+);
+
+// Pick or change the session for a player already registered for the tryout
+router.post(
+  '/:eventId/sessions/:sessionId/signup',
+  authenticate,
+  [eventIdValidator, sessionIdValidator, playerIdValidator(body('playerId'))],
+  async (req, res) => {
+    if (sendValidationErrors(req, res)) return;
+
+    try {
+      const tryout = await findTryout(req.params.eventId);
+      const player = await loadPlayer(req.body.playerId, req.user);
+      if (!player) {
+        return res.status(404).json({
+          success: false,
+          error: 'Player not found',
+        });
+      }
+      if (!isRegistered(player, tryout.eventId)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Player is not registered for this tryout',
+        });
+      }
+
+      const { session, previous } = await signUp({
+        tryout,
+        sessionId: req.params.sessionId,
+        player,
+      });
+
+      res.json({
+        success: true,
+        sessionId: session.id,
+        previousSessionId: previous?.sessionId,
+        sessions: await describeSessions(tryout, player),
+      });
+    } catch (error) {
+      sendSessionError(res, error, 'Failed to sign up for tryout session');
+    }
+  },
+);
+
+// ============================================
+// ADMIN
+// ============================================
+
+router.get(
+  '/:eventId/sessions/:sessionId/roster',
+  authenticate,
+  isAdmin,
+  [eventIdValidator, sessionIdValidator],
+  async (req, res) => {
+    if (sendValidationErrors(req, res)) return;
+
+    try {
+      const tryout = await findTryout(req.params.eventId);
+      const { session, players } = await sessionRoster(
+        tryout,
+        req.params.sessionId,
+      );
+
+      res.json({
+        success: true,
+        session,
+        count: players.length,
+        players,
+      });
+    } catch (error) {
+      sendSessionError(res, error, 'Failed to fetch tryout session roster');
+    }
+  },
+);
+
+// Move a player to another session; admins may waive the grade check
+router.post(
+  '/:eventId/move',
+  authenticate,
+  isAdmin,
+  [
+    eventIdValidator,
+    playerIdValidator(body('playerId')),
+    body('sessionId').trim().notEmpty().withMessage('Session ID is required'),
+    body('ignoreGrade').optional().isBoolean().toBoolean(),
+  ],
+  async (req, res) => {
+    if (sendValidationErrors(req, res)) return;
+
+    try {
+      const tryout = await findTryout(req.params.eventId);
+      const player = await Player.findById(req.body.playerId);
+      if (!player || !isRegistered(player, tryout.eventId)) {
+        return res.status(404).json({
+          success: false,
+          error: 'Player is not registered for this tryout',
+        });
+      }
+
+      const { session, previous } = await signUp({
+        tryout,
+        sessionId: req.body.sessionId,
+        player,
+        movedBy: req.user._id || req.user.id,
+        ignoreGrade: req.body.ignoreGrade,
+      });
+
+      res.json({
+        success: true,
+        playerId: player._id,
+        sessionId: session.id,
+        previousSessionId: previous?.sessionId,
+      });
+    } catch (error) {
+      sendSessionError(res, error, 'Failed to move player');
+    }
+  },
+);
+
+module.exports = router;
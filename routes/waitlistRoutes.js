@@ -0,0 +1,307 @@
+// waitlistRoutes.js
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const Parent = require('../models/Parent');
+const ProgramCapacity = require('../models/ProgramCapacity');
+const WaitlistEntry = require('../models/WaitlistEntry');
+const { authenticate, isAdmin } = require('../utils/auth');
+const {
+  waitlistPosition,
+  offerNextSpots,
+  expireOffers,
+  withdrawEntry,
+  withdrawPlayer,
+} = require('../services/capacity');
+const { leaveSessions } = require('../services/tryoutSessions');
+const { body, param, query, validationResult } = require('express-validator');
+
+const sendValidationErrors = (req, res) => {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) return false;
+  res.status(400).json({ success: false, errors: errors.array() });
+  return true;
+};
+
+const sendWaitlistError = (res, error, fallback) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({
+      success: false,
+      error: error.message,
+    });
+  }
+  console.error(`${fallback}:`, error);
+  res.status(500).json({ success: false, error: fallback });
+};
+
+const userId = (user) => (user._id || user.id).toString();
+
+const ownsEntry = (entry, user) =>
+  user.role === 'admin' ||
+  (entry.parent._id || entry.parent).toString() === userId(user);
+
+const entryIdValidator = param('entryId')
+  .isMongoId()
+  .withMessage('Invalid waitlist entry ID');
+
+const withPosition = async (entry) => ({
+  ...entry.toJSON(),
+  position: await waitlistPosition(entry),
+});
+
+// ============================================
+// FAMILIES
+// ============================================
+
+router.get('/mine', authenticate, async (req, res) => {
+  try {
+    const entries = await WaitlistEntry.find({ parent: userId(req.user) })
+      .populate('player', 'fullName')
+      .populate('program', 'programType season year capacity')
+      .sort({ joinedAt: -1 });
+
+    res.json({
+      success: true,
+      entries: await Promise.all(entries.map(withPosition)),
+    });
+  } catch (error) {
+    sendWaitlistError(res, error, 'Failed to fetch waitlist entries');
+  }
+});
+
+// Offer emails link to /waitlist/offer/:entryId; the page loads the offer
+// here and checks out through the usual tryout or training payment route
+router.get(
+  '/offers/:entryId',
+  authenticate,
+  [entryIdValidator],
+  async (req, res) => {
+    if (sendValidationErrors(req, res)) return;
+
+    try {
+      const entry = await WaitlistEntry.findById(req.params.entryId)
+        .populate('player', 'fullName grade')
+        .populate('program', 'programType eventId season year');
+      if (!entry || !ownsEntry(entry, req.user)) {
+        return res.status(404).json({
+          success: false,
+          error: 'Waitlist entry not found',
+        });
+      }
+
+      res.json({
+        success: true,
+        entry: await withPosition(entry),
+        offerOpen:
+          entry.status === 'offered' && entry.offerExpiresAt > new Date(),
+        checkout: {
+          paymentType: entry.program.programType,
+          players: [
+            {
+              playerId: entry.player._id,
+              season: entry.season,
+              year: entry.year,
+              tryoutId: entry.tryoutId,
+            },
+          ],
+        },
+      });
+    } catch (error) {
+      sendWaitlistError(res, error, 'Failed to fetch waitlist offer');
+    }
+  },
+);
+
+router.post(
+  '/:entryId/withdraw',
+  authenticate,
+  [entryIdValidator],
+  async (req, res) => {
+    if (sendValidationErrors(req, res)) return;
+
+    try {
+      const entry = await WaitlistEntry.findById(req.params.entryId);
+      if (!entry || !ownsEntry(entry, req.user)) {
+        return res.status(404).json({
+          success: false,
+          error: 'Waitlist entry not found',
+        });
+      }
+
+      await withdrawEntry(entry);
+      res.json({ success: true, entry });
+    } catch (error) {
+      sendWaitlistError(res, error, 'Failed to leave the waitlist');
+    }
+  },
+);
+
+// Withdraw a registered player so their spot goes to the waitlist
+router.post(
+  '/withdraw',
+  authenticate,
+  [
+    body('programType')
+      .isIn(['tryout', 'training'])
+      .withMessage('Program type must be tryout or training'),
+    body('playerId')
+      .custom((value) => mongoose.Types.ObjectId.isValid(value))
+      .withMessage('Valid playerId is required'),
+    body('season').trim().notEmpty().withMessage('Season is required'),
+    body('year').isInt({ min: 2020, max: 2030 }).toInt(),
+    body('tryoutId').optional().isString().trim(),
+  ],
+  async (req, res) => {
+    if (sendValidationErrors(req, res)) return;
+
+    try {
+      const { programType, playerId, season, year, tryoutId } = req.body;
+
+      if (req.user.role !== 'admin') {
+        const parent = await Parent.findById(userId(req.user)).select(
+          'players',
+        );
+        if (!parent?.players.some((pid) => pid.toString() === playerId)) {
+          return res.status(403).json({
+            success: false,
+            error: 'Unauthorized access to player',
+          });
+        }
+      }
+
+      const { program, offers } = await withdrawPlayer({
+        programType,
+        playerData: { playerId, season, year, tryoutId },
+      });
+      if (programType === 'tryout' && tryoutId) {
+        await leaveSessions(playerId, [tryoutId]);
+      }
+
+      res.json({
+        success: true,
+        programId: program._id,
+        offersSent: offers.length,
+      });
+    } catch (error) {
+      sendWaitlistError(res, error, 'Failed to withdraw player');
+    }
+  },
+);
+
+// ============================================
+// ADMIN
+// ============================================
+
+router.get(
+  '/',
+  authenticate,
+  isAdmin,
+  [
+    query('programId').optional().isMongoId(),
+    query('status')
+      .optional()
+      .isIn(['waiting', 'offered', 'accepted', 'expired', 'withdrawn']),
+    query('page').optional().isInt({ min: 1 }).toInt(),
+    query('limit').optional().isInt({ min: 1, max: 100 }).toInt(),
+  ],
+  async (req, res) => {
+    if (sendValidationErrors(req, res)) return;
+
+    try {
+      const { programId, status, page = 1, limit = 50 } = req.query;
+      const filter = {};
+      if (programId) filter.program = programId;
+      if (status) filter.status = status;
+
+      const [entries, total] = await Promise.all([
+        WaitlistEntry.find(filter)
+          .populate('parent', 'fullName email phone')
+          .populate('player', 'fullName grade')
+          .populate('program', 'programType season year')
+          .sort({ joinedAt: 1 })
+          .skip((page - 1) * limit)
+          .limit(limit),
+        WaitlistEntry.countDocuments(filter),
+      ]);
+
+      res.json({
+        success: true,
+        entries,
+        pagination: { page, limit, total, pages: Math.ceil(total / limit) },
+      });
+    } catch (error) {
+      sendWaitlistError(res, error, 'Failed to fetch waitlist');
+    }
+  },
+);
+
+router.get('/programs', authenticate, isAdmin, async (req, res) => {
+  try {
+    const [programs, counts] = await Promise.all([
+      ProgramCapacity.find().sort({ year: -1, season: 1 }),
+      WaitlistEntry.aggregate([
+        { $match: { status: { $in: ['waiting', 'offered'] } } },
+        {
+          $group: {
+            _id: { program: '$program', status: '$status' },
+            count: { $sum: 1 },
+          },
+        },
+      ]),
+    ]);
+
+    const countFor = (program, status) =>
+      counts.find(
+        (c) => c._id.program.equals(program._id) && c._id.status === status,
+      )?.count || 0;
+
+    res.json({
+      success: true,
+      programs: programs.map((program) => ({
+        _id: program._id,
+        programType: program.programType,
+        eventId: program.eventId,
+        season: program.season,
+        year: program.year,
+        capacity: program.capacity,
+        confirmed: program.claims.filter((c) => c.status === 'confirmed')
+          .length,
+        held: program.claims.filter((c) => c.status === 'held').length,
+        spotsLeft: program.spotsLeft,
+        waiting: countFor(program, 'waiting'),
+        offered: countFor(program, 'offered'),
+      })),
+    });
+  } catch (error) {
+    sendWaitlistError(res, error, 'Failed to fetch program capacity');
+  }
+});
+
+// Offer any free spots now rather than waiting for the next refund or job run
+router.post(
+  '/programs/:programId/offer',
+  authenticate,
+  isAdmin,
+  [param('programId').isMongoId().withMessage('Invalid program ID')],
+  async (req, res) => {
+    if (sendValidationErrors(req, res)) return;
+
+    try {
+      const offers = await offerNextSpots(req.params.programId);
+      res.json({ success: true, offers });
+    } catch (error) {
+      sendWaitlistError(res, error, 'Failed to offer waitlist spots');
+    }
+  },
+);
+
+router.post('/expire', authenticate, isAdmin, async (req, res) => {
+  try {
+    const summary = await expireOffers();
+    res.json({ success: true, summary });
+  } catch (error) {
+    sendWaitlistError(res, error, 'Failed to expire waitlist offers');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,195 @@
+const express = require('express');
+const { authenticate, isAdmin } = require('../utils/auth');
+const WebhookEvent = require('../models/WebhookEvent');
+const {
+  PROVIDERS,
+  ingestWebhook,
+  processEvent,
+} = require('../services/webhooks');
+const { param, query, validationResult } = require('express-validator');
+
+const router = express.Router();
+
+// The URL the provider posted to, which Square signs. Behind a TLS-terminating
+// proxy req.protocol says http, so the proxy's forwarded scheme wins.
+const requestUrl = (req) => {
+  const protocol =
+    req.get('x-forwarded-proto')?.split(',')[0].trim() || req.protocol;
+  return `${protocol}://${req.get('host')}${req.originalUrl}`;
+};
+
+// Mounted ahead of express.json(): req.body is the raw Buffer the provider
+// signed
+const receiveWebhook = (provider) => async (req, res) => {
+  try {
+    const result = await ingestWebhook({
+      provider,
+      rawBody: req.body,
+      headers: req.headers,
+      url: requestUrl(req),
+    });
+
+    if (result.verificationCode) {
+      console.log(`🔔 Clover webhook verification code received`);
+      return res.status(200).json({ success: true });
+    }
+
+    const { event, duplicate } = result;
+    console.log(`🔔 ${provider} webhook ${event.type}:`, {
+      eventId: event.eventId,
+      normalizedType: event.normalizedType,
+      status: event.status,
+      duplicate,
+    });
+
+    // A failed event answers 500 so the provider retries the delivery
+    if (event.status === 'failed') {
+      return res.status(500).json({
+        success: false,
+        error: 'Webhook processing failed',
+      });
+    }
+
+    res.status(200).json({ success: true, status: event.status, duplicate });
+  } catch (error) {
+    console.error(`❌ ${provider} webhook rejected:`, error.message);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.statusCode ? error.message : 'Webhook processing failed',
+    });
+  }
+};
+
+// ============================================
+// ADMIN
+// ============================================
+
+router.get(
+  '/events',
+  authenticate,
+  isAdmin,
+  [
+    query('provider').optional().isIn(PROVIDERS),
+    query('status')
+      .optional()
+      .isIn(['received', 'processed', 'ignored', 'failed']),
+    query('page').optional().isInt({ min: 1 }).toInt(),
+    query('limit').optional().isInt({ min: 1, max: 100 }).toInt(),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    try {
+      const { provider, status, page = 1, limit = 50 } = req.query;
+      const filter = {};
+      if (provider) filter.provider = provider;
+      if (status) filter.status = status;
+      if (req.query.paymentId) filter['data.paymentIds'] = req.query.paymentId;
+
+      const [events, total] = await Promise.all([
+        WebhookEvent.find(filter)
+          .select('-payload')
+          .sort({ createdAt: -1 })
+          .skip((page - 1) * limit)
+          .limit(limit),
+        WebhookEvent.countDocuments(filter),
+      ]);
+
+      res.json({
+        success: true,
+        events,
+        pagination: { page, limit, total, pages: Math.ceil(total / limit) },
+      });
+    } catch (error) {
+      console.error('Error fetching webhook events:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to fetch webhook events',
+      });
+    }
+  },
+);
+
+router.get(
+  '/events/:eventId',
+  authenticate,
+  isAdmin,
+  [param('eventId').isMongoId().withMessage('Invalid webhook event ID')],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    try {
+      const event = await WebhookEvent.findById(req.params.eventId);
+      if (!event) {
+        return res.status(404).json({
+          success: false,
+          error: 'Webhook event not found',
+        });
+      }
+
+      res.json({ success: true, event });
+    } catch (error) {
+      console.error('Error fetching webhook event:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to fetch webhook event',
+      });
+    }
+  },
+);
+
+// Re-apply an event that failed, e.g. after fixing the record it referenced
+router.post(
+  '/events/:eventId/retry',
+  authenticate,
+  isAdmin,
+  [param('eventId').isMongoId().withMessage('Invalid webhook event ID')],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    try {
+      const event = await WebhookEvent.findById(req.params.eventId);
+      if (!event) {
+        return res.status(404).json({
+          success: false,
+          error: 'Webhook event not found',
+        });
+      }
+      if (event.status !== 'failed') {
+        return res.status(400).json({
+          success: false,
+          error: `Only failed events can be retried (event is ${event.status})`,
+        });
+      }
+
+      await processEvent(event);
+      res.json({ success: event.status !== 'failed', event });
+    } catch (error) {
+      console.error('Error retrying webhook event:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to retry webhook event',
+      });
+    }
+  },
+);
+
+// ============================================
+// PROVIDER DELIVERIES
+// ============================================
+
+router.post('/:provider', (req, res) =>
+  receiveWebhook(req.params.provider)(req, res),
+);
+
+module.exports = router;
+module.exports.receiveWebhook = receiveWebhook;
@@ -0,0 +1,231 @@
+// scripts/migrateSeasons.js
+//
+// Builds Season records from the existing season events, tryout and
+// tournament configs, then links every player season, registration, payment
+// and season notification that only carries a season string to its Season.
+// Strings no config accounts for get a Season of their own. Safe to re-run;
+// only unlinked records are touched.
+//
+//   node scripts/migrateSeasons.js            # migrate
+//   node scripts/migrateSeasons.js --dry-run  # report only
+const mongoose = require('mongoose');
+const Season = require('../models/Season');
+const SeasonEvent = require('../models/SeasonEvent');
+const TryoutConfig = require('../models/TryoutConfig');
+const TournamentConfig = require('../models/TournamentConfig');
+const Player = require('../models/Player');
+const Registration = require('../models/Registration');
+const Payment = require('../models/Payment');
+const Notification = require('../models/Notification');
+const {
+  syncSeasonEvent,
+  syncTryoutConfig,
+  syncTournamentConfig,
+  seasonForLegacy,
+} = require('../services/seasons');
+require('dotenv').config();
+
+const dryRun = process.argv.includes('--dry-run');
+
+// Look each distinct season string up once; in a dry run nothing is created
+const createLookup = () => {
+  const cache = new Map();
+  const unmatched = new Set();
+
+  return {
+    unmatched,
+    async seasonId({ eventId, name, year, type }) {
+      const key = JSON.stringify([
+        eventId || null,
+        Season.nameKey(name),
+        year || null,
+        type || null,
+      ]);
+      if (!cache.has(key)) {
+        const season = dryRun
+          ? await Season.resolve({ eventId, name, year, type })
+          : await seasonForLegacy({ eventId, name, year, type });
+        if (!season && name) unmatched.add(`${name} ${year || ''}`.trim());
+        cache.set(key, season?._id || null);
+      }
+      return cache.get(key);
+    },
+  };
+};
+
+// $set paths for the array entries that still need a season id
+const arrayUpdates = async (entries, field, lookup, toLookup) => {
+  const update = {};
+  for (const [index, entry] of entries.entries()) {
+    if (entry.seasonId) continue;
+    const seasonId = await lookup.seasonId(toLookup(entry));
+    if (seasonId) update[`${field}.${index}.seasonId`] = seasonId;
+  }
+  return update;
+};
+
+async function syncConfigs() {
+  // Tryout configs before season events, so events with a tryout are typed
+  // as tryouts when their season is first created
+  const sources = [
+    [TryoutConfig, syncTryoutConfig],
+    [SeasonEvent, syncSeasonEvent],
+    [TournamentConfig, syncTournamentConfig],
+  ];
+
+  for (const [Model, sync] of sources) {
+    const records = await Model.find({});
+    if (!dryRun) {
+      for (const record of records) await sync(record);
+    }
+    console.log(
+      `${Model.modelName}: ${records.length} ${dryRun ? 'found' : 'synced'}`,
+    );
+  }
+}
+
+async function linkPlayers(lookup) {
+  const players = await Player.find({
+    seasons: { $elemMatch: { seasonId: { $exists: false } } },
+  })
+    .select('seasons')
+    .lean();
+
+  let linked = 0;
+  for (const player of players) {
+    const update = await arrayUpdates(
+      player.seasons,
+      'seasons',
+      lookup,
+      (s) => ({
+        eventId: s.tryoutId,
+        name: s.season,
+        year: s.year,
+      }),
+    );
+    if (!Object.keys(update).length) continue;
+
+    linked++;
+    // updateOne skips the player save hooks, which would re-sort seasons
+    if (!dryRun) await Player.updateOne({ _id: player._id }, { $set: update });
+  }
+  console.log(`Players: ${linked} of ${players.length} linked`);
+}
+
+async function linkRegistrations(lookup) {
+  const registrations = await Registration.find({
+    seasonId: { $exists: false },
+  })
+    .select('season tournament year tryoutId')
+    .lean();
+
+  let linked = 0;
+  for (const registration of registrations) {
+    const seasonId = await lookup.seasonId({
+      eventId: registration.tryoutId,
+      name: registration.season || registration.tournament,
+      year: registration.year,
+      ...(!registration.season &&
+        registration.tournament && { type: 'tournament' }),
+    });
+    if (!seasonId) continue;
+
+    linked++;
+    if (!dryRun) {
+      await Registration.updateOne(
+        { _id: registration._id },
+        { $set: { seasonId } },
+      );
+    }
+  }
+  console.log(`Registrations: ${linked} of ${registrations.length} linked`);
+}
+
+async function linkPayments(lookup) {
+  const payments = await Payment.find({
+    players: {
+      $elemMatch: { season: { $ne: null }, seasonId: { $exists: false } },
+    },
+  })
+    .select('players')
+    .lean();
+
+  let linked = 0;
+  for (const payment of payments) {
+    const update = await arrayUpdates(
+      payment.players,
+      'players',
+      lookup,
+      (p) => ({
+        eventId: p.tryoutId,
+        name: p.season,
+        year: p.year,
+      }),
+    );
+    if (!Object.keys(update).length) continue;
+
+    linked++;
+    if (!dryRun) {
+      await Payment.updateOne({ _id: payment._id }, { $set: update });
+    }
+  }
+  console.log(`Payments: ${linked} of ${payments.length} linked`);
+}
+
+async function linkNotifications(lookup) {
+  const notifications = await Notification.find({
+    targetType: 'season',
+    targetSeasonId: { $exists: false },
+  })
+    .select('targetSeason seasonName targetYear')
+    .lean();
+
+  let linked = 0;
+  for (const notification of notifications) {
+    const name = notification.targetSeason || notification.seasonName;
+    // Without a year a notification only links to a season that exists
+    const seasonId = notification.targetYear
+      ? await lookup.seasonId({ name, year: notification.targetYear })
+      : (await Season.resolve({ name }))?._id;
+    if (!seasonId) continue;
+
+    linked++;
+    if (!dryRun) {
+      await Notification.updateOne(
+        { _id: notification._id },
+        { $set: { targetSeasonId: seasonId } },
+      );
+    }
+  }
+  console.log(`Notifications: ${linked} of ${notifications.length} linked`);
+}
+
+async function migrateSeasons() {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log(`Connected to MongoDB${dryRun ? ' (dry run)' : ''}`);
+
+    await syncConfigs();
+
+    const lookup = createLookup();
+    await linkPlayers(lookup);
+    await linkRegistrations(lookup);
+    await linkPayments(lookup);
+    await linkNotifications(lookup);
+
+    if (lookup.unmatched.size) {
+      console.log(
+        `${dryRun ? 'No season yet for' : 'Could not link'}:`,
+        [...lookup.unmatched].join(', '),
+      );
+    }
+
+    console.log('Season migration complete.');
+    process.exit(0);
+  } catch (error) {
+    console.error('Season migration failed:', error);
+    process.exit(1);
+  }
+}
+
+migrateSeasons();
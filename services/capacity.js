@@ -0,0 +1,623 @@
+// services/capacity.js
+const ProgramCapacity = require('../models/ProgramCapacity');
+const WaitlistEntry = require('../models/WaitlistEntry');
+const TryoutConfig = require('../models/TryoutConfig');
+const RegistrationFormConfig = require('../models/RegistrationFormConfig');
+const Player = require('../models/Player');
+const { sendEmail } = require('../utils/email');
+
+// Rejections carry the HTTP status the route should answer with
+const capacityError = (message, statusCode = 400) =>
+  Object.assign(new Error(message), { statusCode });
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+// How long a family has to pay for a spot offered from the waitlist
+const OFFER_HOURS = Number(process.env.WAITLIST_OFFER_HOURS) || 48;
+
+// Spots held by a checkout that never finished are freed after this
+const HOLD_MINUTES = 30;
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const sameText = (value) =>
+  new RegExp(`^${escapeRegex(String(value || '').trim())}$`, 'i');
+
+const samePlayer = (a, b) => a.toString() === b.toString();
+
+// ============================================
+// PROGRAMS
+// ============================================
+
+/**
+ * The tryout or training config a registration counts against, when that
+ * config limits its spots. Tryouts are matched by event ID; training by
+ * event ID, or by season and year for registrations made without one.
+ */
+const findLimitedConfig = async (programType, { season, year, tryoutId }) => {
+  const eventId = tryoutId?.trim();
+  let config;
+  let details;
+
+  if (programType === 'tryout') {
+    config = eventId && (await TryoutConfig.findOne({ eventId }));
+    details = config?.tryoutDetails;
+  } else {
+    config =
+      (eventId &&
+        eventId !== 'training' &&
+        (await RegistrationFormConfig.findOne({ eventId }))) ||
+      (await RegistrationFormConfig.findOne({
+        season: sameText(season),
+        year,
+      }));
+    details = config?.trainingDetails;
+  }
+
+  if (!config || !details?.hasLimitedSpots || !(details.maxParticipants > 0)) {
+    return null;
+  }
+  return { config, capacity: details.maxParticipants };
+};
+
+// Players who paid before capacity was tracked still count against it
+const existingClaims = async (programType, config) => {
+  const tryoutIds = [config.eventId];
+  if (programType === 'training') tryoutIds.push('training');
+
+  const players = await Player.find({
+    seasons: {
+      $elemMatch: {
+        season: sameText(config.season),
+        year: config.tryoutYear || config.year,
+        tryoutId: { $in: tryoutIds },
+        paymentStatus: { $in: ['paid', 'partial'] },
+      },
+    },
+  }).select('parentId seasons');
+
+  return players.map((player) => {
+    const season = player.seasons.find(
+      (s) =>
+        tryoutIds.includes(s.tryoutId) &&
+        ['paid', 'partial'].includes(s.paymentStatus),
+    );
+    return {
+      player: player._id,
+      parent: player.parentId,
+      status: 'confirmed',
+      paymentId: season?.paymentId,
+    };
+  });
+};
+
+/**
+ * Capacity record for the program a player is registering for, created on
+ * first use and kept in step with the config's maxParticipants. Null when
+ * the program has no spot limit.
+ */
+const loadProgram = async (programType, playerData) => {
+  const limited = await findLimitedConfig(programType, playerData);
+  if (!limited) return null;
+
+  const { config, capacity } = limited;
+  const key = `${programType}:${config._id}`;
+
+  let program = await ProgramCapacity.findOne({ key });
+  if (!program) {
+    try {
+      program = await ProgramCapacity.create({
+        key,
+        programType,
+        config: config._id,
+        eventId: config.eventId,
+        season: config.season,
+        year: config.tryoutYear || config.year,
+        capacity,
+        claims: await existingClaims(programType, config),
+      });
+    } catch (error) {
+      // Another registration created it first
+      if (error.code !== 11000) throw error;
+      program = await ProgramCapacity.findOne({ key });
+    }
+  }
+
+  if (program.capacity !== capacity) {
+    await ProgramCapacity.updateOne({ _id: program._id }, { capacity });
+    program.capacity = capacity;
+  }
+  return program;
+};
+
+// e.g. "Spring 2026 tryout", or "Basketball Training 2026"
+const programName = (program) =>
+  new RegExp(program.programType, 'i').test(program.season)
+    ? `${program.season} ${program.year}`
+    : `${program.season} ${program.year} ${program.programType}`;
+
+// ============================================
+// WAITLIST EMAILS
+// ============================================
+
+const offerLink = (entry) =>
+  `${process.env.FRONTEND_URL || 'https://bothellselect.com'}/waitlist/offer/${entry._id}`;
+
+const formatDateTime = (date) =>
+  new Date(date).toLocaleString('en-US', {
+    month: 'long',
+    day: 'numeric',
+    year: 'numeric',
+    hour: 'numeric',
+    minute: '2-digit',
+  });
+
+const sendWaitlistEmail = async (
+  entry,
+  program,
+  { subject, heading, body },
+) => {
+  try {
+    await sendEmail({
+      to: entry.email,
+      subject,
+      html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: auto; padding: 20px;">
+          <h2 style="color: #506ee4;">${heading}</h2>
+          <p style="font-size: 16px;">Dear [parent.fullName],</p>
+          ${body}
+          <p style="font-size: 14px; color: #555;">If you have any questions, please contact us at bothellselect@proton.me</p>
+        </div>
+      `,
+      parentId: entry.parent,
+      playerId: entry.player,
+      emailType: 'transactional',
+    });
+  } catch (error) {
+    console.error(
+      `Failed to send waitlist email for ${programName(program)}:`,
+      error.message,
+    );
+  }
+};
+
+const sendJoinedEmail = (entry, program, position) =>
+  sendWaitlistEmail(entry, program, {
+    subject: 'You are on the waitlist - Bothell Select Basketball',
+    heading: 'Added to the waitlist',
+    body: `
+      <p style="font-size: 16px;">The ${programName(program)} is full, so [player.fullName] has been added to the waitlist at position ${position}. You have not been charged.</p>
+      <p style="font-size: 16px;">If a spot opens up we will email you a link to claim it.</p>
+    `,
+  });
+
+const sendOfferEmail = (entry, program) =>
+  sendWaitlistEmail(entry, program, {
+    subject: 'A spot has opened up - Bothell Select Basketball',
+    heading: 'A spot is available!',
+    body: `
+      <p style="font-size: 16px;">A spot in the ${programName(program)} has opened up for [player.fullName]. We are holding it for you until <strong>${formatDateTime(entry.offerExpiresAt)}</strong>.</p>
+      <p style="text-align: center; margin: 30px 0;">
+        <a href="${offerLink(entry)}" style="background: #506ee4; color: white; padding: 12px 24px; border-radius: 5px; text-decoration: none; font-weight: bold;">Claim your spot</a>
+      </p>
+      <p style="font-size: 16px;">If payment is not completed by then, the spot will be offered to the next family on the waitlist.</p>
+    `,
+  });
+
+// ============================================
+// WAITLIST
+// ============================================
+
+// 1-based place in line; offered entries are at the front
+const waitlistPosition = async (entry) => {
+  if (entry.status === 'offered') return 0;
+  if (entry.status !== 'waiting') return null;
+
+  return WaitlistEntry.countDocuments({
+    program: entry.program._id || entry.program,
+    status: 'waiting',
+    joinedAt: { $lte: entry.joinedAt },
+  });
+};
+
+const joinWaitlist = async ({ program, parent, playerData, email }) => {
+  const existing = await WaitlistEntry.findOne({
+    program: program._id,
+    player: playerData.playerId,
+    status: { $in: ['waiting', 'offered'] },
+  });
+  if (existing) return existing;
+
+  const entry = await WaitlistEntry.create({
+    program: program._id,
+    parent: parent._id,
+    player: playerData.playerId,
+    email: email || parent.email,
+    season: playerData.season.trim(),
+    year: playerData.year,
+    tryoutId: playerData.tryoutId?.trim() || undefined,
+  });
+  await sendJoinedEmail(entry, program, await waitlistPosition(entry));
+  return entry;
+};
+
+/**
+ * Offer each free spot in a program to the next waiting family: hold the
+ * spot for their player and email them a time-limited link to pay for it.
+ */
+const offerNextSpots = async (programId, now = new Date()) => {
+  const offers = [];
+
+  for (;;) {
+    const program = await ProgramCapacity.findById(programId);
+    if (!program || program.claims.length >= program.capacity) break;
+
+    const entry = await WaitlistEntry.findOne({
+      program: program._id,
+      status: 'waiting',
+    }).sort({ joinedAt: 1 });
+    if (!entry) break;
+
+    // Registered some other way since joining the waitlist
+    if (
+      program.claims.some((claim) => samePlayer(claim.player, entry.player))
+    ) {
+      await WaitlistEntry.updateOne(
+        { _id: entry._id, status: 'waiting' },
+        { status: 'accepted', acceptedAt: now },
+      );
+      continue;
+    }
+
+    const held = await ProgramCapacity.updateOne(
+      {
+        _id: program._id,
+        'claims.player': { $ne: entry.player },
+        $expr: { $lt: [{ $size: '$claims' }, '$capacity'] },
+      },
+      {
+        $push: {
+          claims: {
+            player: entry.player,
+            parent: entry.parent,
+            waitlistEntry: entry._id,
+            claimedAt: now,
+          },
+        },
+      },
+    );
+    // Someone else took the spot first; look again
+    if (held.modifiedCount === 0) continue;
+
+    const offered = await WaitlistEntry.findOneAndUpdate(
+      { _id: entry._id, status: 'waiting' },
+      {
+        status: 'offered',
+        offeredAt: now,
+        offerExpiresAt: new Date(now.getTime() + OFFER_HOURS * HOUR),
+      },
+      { new: true },
+    );
+    if (!offered) {
+      // Withdrawn while the spot was being held
+      await ProgramCapacity.updateOne(
+        { _id: program._id },
+        { $pull: { claims: { waitlistEntry: entry._id, status: 'held' } } },
+      );
+      continue;
+    }
+
+    await sendOfferEmail(offered, program);
+    offers.push(offered);
+  }
+
+  return offers;
+};
+
+/**
+ * Roll expired waitlist offers on to the next family, and free spots held
+ * by checkouts that were abandoned partway through.
+ */
+const expireOffers = async (now = new Date()) => {
+  const programIds = new Set();
+
+  const offers = await WaitlistEntry.find({
+    status: 'offered',
+    offerExpiresAt: { $lte: now },
+  }).select('_id program');
+
+  let expired = 0;
+  for (const entry of offers) {
+    const result = await WaitlistEntry.updateOne(
+      { _id: entry._id, status: 'offered' },
+      { status: 'expired', expiredAt: now },
+    );
+    if (result.modifiedCount === 0) continue;
+
+    expired++;
+    await ProgramCapacity.updateOne(
+      { _id: entry.program },
+      { $pull: { claims: { waitlistEntry: entry._id, status: 'held' } } },
+    );
+    programIds.add(entry.program.toString());
+  }
+
+  const abandoned = {
+    status: 'held',
+    waitlistEntry: { $exists: false },
+    claimedAt: { $lte: new Date(now.getTime() - HOLD_MINUTES * MINUTE) },
+  };
+  const stale = await ProgramCapacity.find({
+    claims: { $elemMatch: abandoned },
+  }).select('_id');
+  for (const program of stale) {
+    await ProgramCapacity.updateOne(
+      { _id: program._id },
+      { $pull: { claims: abandoned } },
+    );
+    programIds.add(program._id.toString());
+  }
+
+  let offered = 0;
+  for (const programId of programIds) {
+    offered += (await offerNextSpots(programId, now)).length;
+  }
+
+  return { expired, staleHolds: stale.length, offered };
+};
+
+// ============================================
+// CHECKOUT
+// ============================================
+
+/**
+ * Hold a spot for each player registering for a limited program, before
+ * the card is charged. Players who already hold one, such as a family
+ * taking up a waitlist offer, keep it. When a program is full nothing is
+ * held: its players join the waitlist and a 409 listing their places is
+ * thrown. Returns the holds to pass to confirmSpots or releaseSpots.
+ */
+const claimSpots = async ({ programType, parent, players, email }) => {
+  const holds = { claimed: [], kept: [] };
+
+  const groups = new Map();
+  for (const playerData of players) {
+    const program = await loadProgram(programType, playerData);
+    if (!program) continue;
+
+    const group = groups.get(program.key) || { program, players: [] };
+    group.players.push(playerData);
+    groups.set(program.key, group);
+  }
+
+  for (const { program, players: programPlayers } of groups.values()) {
+    const fresh = [];
+    for (const playerData of programPlayers) {
+      const hold = { program: program._id, player: playerData.playerId };
+      const hasSpot = program.claims.some((claim) =>
+        samePlayer(claim.player, playerData.playerId),
+      );
+      if (hasSpot) holds.kept.push(hold);
+      else fresh.push(hold);
+    }
+    if (!fresh.length) continue;
+
+    const freshIds = fresh.map((hold) => hold.player);
+    const claimed = await ProgramCapacity.updateOne(
+      {
+        _id: program._id,
+        'claims.player': { $nin: freshIds },
+        $expr: {
+          $lte: [{ $add: [{ $size: '$claims' }, fresh.length] }, '$capacity'],
+        },
+      },
+      {
+        $push: {
+          claims: {
+            $each: freshIds.map((player) => ({ player, parent: parent._id })),
+          },
+        },
+      },
+    );
+    if (claimed.modifiedCount > 0) {
+      holds.claimed.push(...fresh);
+      continue;
+    }
+
+    await releaseSpots(holds);
+
+    const current = await ProgramCapacity.findById(program._id);
+    if (current.claims.length + fresh.length <= current.capacity) {
+      throw capacityError(
+        'A registration for this player is already in progress',
+        409,
+      );
+    }
+
+    const waitlist = [];
+    for (const playerData of programPlayers) {
+      if (!freshIds.includes(playerData.playerId)) continue;
+      const entry = await joinWaitlist({ program, parent, playerData, email });
+      waitlist.push({
+        entryId: entry._id,
+        playerId: entry.player,
+        status: entry.status,
+        position: await waitlistPosition(entry),
+      });
+    }
+
+    throw Object.assign(
+      capacityError(
+        `The ${programName(program)} is full. You have been added to the waitlist and have not been charged.`,
+        409,
+      ),
+      { waitlist },
+    );
+  }
+
+  return holds;
+};
+
+// Hand back spots held for a checkout that didn't go through. Spots kept
+// from a waitlist offer stay held until the offer expires.
+const releaseSpots = async (holds) => {
+  if (!holds?.claimed.length) return;
+  const claimed = holds.claimed;
+  holds.claimed = [];
+
+  for (const hold of claimed) {
+    await ProgramCapacity.updateOne(
+      { _id: hold.program },
+      { $pull: { claims: { player: hold.player, status: 'held' } } },
+    ).catch((error) =>
+      console.error('Failed to release program spot:', error.message),
+    );
+  }
+};
+
+/**
+ * Mark a checkout's spots as paid for. Runs after the registration is
+ * committed, so failures are logged rather than thrown.
+ */
+const confirmSpots = async (holds, paymentId, now = new Date()) => {
+  if (!holds) return;
+
+  for (const hold of [...holds.claimed, ...holds.kept]) {
+    try {
+      const confirmed = await ProgramCapacity.updateOne(
+        { _id: hold.program, 'claims.player': hold.player },
+        {
+          $set: {
+            'claims.$.status': 'confirmed',
+            'claims.$.paymentId': paymentId,
+          },
+        },
+      );
+      // The hold lapsed mid-checkout; the family has paid, so count them
+      if (confirmed.matchedCount === 0) {
+        await ProgramCapacity.updateOne(
+          { _id: hold.program, 'claims.player': { $ne: hold.player } },
+          {
+            $push: {
+              claims: {
+                player: hold.player,
+                status: 'confirmed',
+                paymentId,
+                claimedAt: now,
+              },
+            },
+          },
+        );
+      }
+
+      await WaitlistEntry.updateMany(
+        {
+          program: hold.program,
+          player: hold.player,
+          status: { $in: ['waiting', 'offered'] },
+        },
+        { status: 'accepted', acceptedAt: now },
+      );
+    } catch (error) {
+      console.error('Failed to confirm program spot:', error.message);
+    }
+  }
+};
+
+// ============================================
+// RELEASING SPOTS
+// ============================================
+
+/**
+ * Free the spots paid for with a refunded payment and offer them to the
+ * waitlist. Passing `playerIds` limits it to those players.
+ */
+const releasePaidSpots = async (paymentId, { playerIds } = {}) => {
+  const claimFilter = { paymentId };
+  if (playerIds) claimFilter.player = { $in: playerIds };
+
+  const programs = await ProgramCapacity.find({
+    claims: { $elemMatch: claimFilter },
+  }).select('_id');
+
+  let offered = 0;
+  for (const program of programs) {
+    await ProgramCapacity.updateOne(
+      { _id: program._id },
+      { $pull: { claims: claimFilter } },
+    );
+    offered += (await offerNextSpots(program._id)).length;
+  }
+
+  return { programs: programs.length, offered };
+};
+
+// A family leaving the waitlist; an open offer passes to the next in line
+const withdrawEntry = async (entry, now = new Date()) => {
+  if (!['waiting', 'offered'].includes(entry.status)) {
+    throw capacityError(`Waitlist entry is already ${entry.status}`);
+  }
+
+  const wasOffered = entry.status === 'offered';
+  entry.status = 'withdrawn';
+  entry.withdrawnAt = now;
+  await entry.save();
+
+  if (wasOffered) {
+    await ProgramCapacity.updateOne(
+      { _id: entry.program },
+      { $pull: { claims: { waitlistEntry: entry._id, status: 'held' } } },
+    );
+    await offerNextSpots(entry.program, now);
+  }
+  return entry;
+};
+
+/**
+ * Give up a registered player's spot so the next waitlisted family is
+ * offered it. Any refund is handled separately.
+ */
+const withdrawPlayer = async (
+  { programType, playerData },
+  now = new Date(),
+) => {
+  const program = await loadProgram(programType, playerData);
+  if (!program) {
+    throw capacityError('This program does not have limited spots');
+  }
+
+  const released = await ProgramCapacity.updateOne(
+    { _id: program._id },
+    { $pull: { claims: { player: playerData.playerId } } },
+  );
+  if (released.modifiedCount === 0) {
+    throw capacityError('Player does not hold a spot in this program', 404);
+  }
+
+  await WaitlistEntry.updateMany(
+    {
+      program: program._id,
+      player: playerData.playerId,
+      status: { $in: ['waiting', 'offered'] },
+    },
+    { status: 'withdrawn', withdrawnAt: now },
+  );
+
+  const offers = await offerNextSpots(program._id, now);
+  return { program, offers };
+};
+
+module.exports = {
+  OFFER_HOURS,
+  loadProgram,
+  waitlistPosition,
+  offerNextSpots,
+  expireOffers,
+  claimSpots,
+  releaseSpots,
+  confirmSpots,
+  releasePaidSpots,
+  withdrawEntry,
+  withdrawPlayer,
+};
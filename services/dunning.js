@@ -0,0 +1,508 @@
+// services/dunning.js
+const PaymentReminder = require('../models/PaymentReminder');
+const Parent = require('../models/Parent');
+const Player = require('../models/Player');
+const Team = require('../models/Team');
+const TeamFeeSplit = require('../models/TeamFeeSplit');
+const Registration = require('../models/Registration');
+const EmailTemplate = require('../models/EmailTemplate');
+const { sendEmail } = require('../utils/email');
+
+// Rejections carry the HTTP status the route should answer with
+const dunningError = (message, statusCode = 400) =>
+  Object.assign(new Error(message), { statusCode });
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Days after registering before the first reminder goes out
+const GRACE_DAYS = Number(process.env.DUNNING_GRACE_DAYS) || 3;
+
+// Reminders escalate through these stages, each sent `afterDays` past the
+// grace period. Admins can reword a stage by creating an email template with
+// its title; the built-in copy below is used until they do.
+const STAGES = [
+  {
+    stage: 1,
+    afterDays: 0,
+    template: 'Payment Reminder',
+    subject: 'Payment Reminder - Bothell Select Basketball',
+    heading: 'Friendly reminder: payment due',
+    message:
+      'We noticed that payment for [reminder.item] has not been completed yet. Your spot is not confirmed until payment is received.',
+  },
+  {
+    stage: 2,
+    afterDays: 7,
+    template: 'Payment Reminder - Second Notice',
+    subject: 'Second Notice: Payment Due - Bothell Select Basketball',
+    heading: 'Second notice: payment still due',
+    message:
+      'Payment for [reminder.item] is still outstanding. Please complete it as soon as possible so we can hold your spot.',
+  },
+  {
+    stage: 3,
+    afterDays: 14,
+    template: 'Payment Reminder - Final Notice',
+    subject: 'Final Notice: Payment Due - Bothell Select Basketball',
+    heading: 'Final notice: payment required',
+    message:
+      'This is our final reminder about the unpaid balance for [reminder.item]. If payment is not received soon your spot may be released to another family.',
+  },
+];
+
+const OUTSTANDING_STATUSES = ['pending', 'failed'];
+
+const addDays = (date, days) => new Date(new Date(date).getTime() + days * DAY);
+
+const normalize = (value) => (value || '').toString().trim().toLowerCase();
+
+const seasonKey = (playerId, { season, year, tryoutId }) =>
+  `season:${playerId}:${normalize(season)}:${year}:${tryoutId || ''}`;
+
+const tournamentKey = (teamId, tournament, year) =>
+  `tournament:${teamId}:${normalize(tournament)}:${year}`;
+
+// ============================================
+// DISCOVERY
+// ============================================
+
+/**
+ * Everything still unpaid once the grace period has passed, keyed so the
+ * Player season, its Registration and a team's tournament entry on both the
+ * Team and its Registration collapse into one item each. Fees on an
+ * installment plan are chased by services/paymentPlans.js instead, and
+ * tournament fees being split among the roster by services/teamFeeSplits.js.
+ */
+const findOutstandingItems = async (now = new Date()) => {
+  const cutoff = addDays(now, -GRACE_DAYS);
+  const items = new Map();
+
+  const players = await Player.find({
+    seasons: {
+      $elemMatch: {
+        paymentStatus: { $in: OUTSTANDING_STATUSES },
+        registrationDate: { $lte: cutoff },
+      },
+    },
+  }).select('parentId seasons');
+
+  for (const player of players) {
+    for (const season of player.seasons) {
+      if (
+        !OUTSTANDING_STATUSES.includes(season.paymentStatus) ||
+        season.paymentPlan ||
+        !season.registrationDate ||
+        season.registrationDate > cutoff
+      ) {
+        continue;
+      }
+      const key = seasonKey(player._id, season);
+      items.set(key, {
+        key,
+        kind: 'season',
+        parent: player.parentId,
+        player: player._id,
+        label: season.season.trim(),
+        year: season.year,
+        tryoutId: season.tryoutId || undefined,
+        registeredAt: season.registrationDate,
+      });
+    }
+  }
+
+  const registrations = await Registration.find({
+    paymentStatus: { $in: OUTSTANDING_STATUSES },
+    paymentPlan: { $exists: false },
+    createdAt: { $lte: cutoff },
+  }).select('parent player team season tournament year tryoutId createdAt');
+
+  for (const registration of registrations) {
+    let item;
+    if (registration.player && registration.season) {
+      item = {
+        key: seasonKey(registration.player, registration),
+        kind: 'season',
+        player: registration.player,
+        label: registration.season.trim(),
+        tryoutId: registration.tryoutId || undefined,
+      };
+    } else if (registration.team && registration.tournament) {
+      item = {
+        key: tournamentKey(
+          registration.team,
+          registration.tournament,
+          registration.year,
+        ),
+        kind: 'tournament',
+        team: registration.team,
+        label: registration.tournament.trim(),
+      };
+    } else {
+      continue;
+    }
+
+    const existing = items.get(item.key);
+    if (existing) {
+      existing.registration = registration._id;
+      continue;
+    }
+    // The player's own season record wins when the two disagree
+    if (item.kind === 'season') {
+      const settled = await Player.exists({
+        _id: registration.player,
+        seasons: {
+          $elemMatch: {
+            season: registration.season,
+            year: registration.year,
+            tryoutId: registration.tryoutId || null,
+            paymentStatus: { $nin: OUTSTANDING_STATUSES },
+          },
+        },
+      });
+      if (settled) continue;
+    }
+    items.set(item.key, {
+      ...item,
+      parent: registration.parent,
+      registration: registration._id,
+      year: registration.year,
+      registeredAt: registration.createdAt,
+    });
+  }
+
+  const teams = await Team.find({
+    isActive: true,
+    tournaments: {
+      $elemMatch: {
+        paymentStatus: { $in: OUTSTANDING_STATUSES },
+        registrationDate: { $lte: cutoff },
+      },
+    },
+  }).select('coachIds tournaments');
+
+  const collecting = new Set(
+    (await TeamFeeSplit.distinct('_id', { status: 'collecting' })).map((id) =>
+      id.toString(),
+    ),
+  );
+
+  for (const team of teams) {
+    for (const entry of team.tournaments) {
+      if (
+        !entry.tournament ||
+        !OUTSTANDING_STATUSES.includes(entry.paymentStatus) ||
+        entry.registrationDate > cutoff
+      ) {
+        continue;
+      }
+      const key = tournamentKey(team._id, entry.tournament, entry.year);
+      // Families are still paying their shares; after the deadline the
+      // coach is sent a link for the rest by services/teamFeeSplits.js
+      if (entry.feeSplit && collecting.has(entry.feeSplit.toString())) {
+        items.delete(key);
+        continue;
+      }
+      // Without a registering coach there is nobody to remind
+      if (items.has(key) || !team.coachIds?.length) continue;
+      items.set(key, {
+        key,
+        kind: 'tournament',
+        parent: team.coachIds[0],
+        team: team._id,
+        label: entry.tournament.trim(),
+        year: entry.year,
+        registeredAt: entry.registrationDate,
+      });
+    }
+  }
+
+  return items;
+};
+
+// ============================================
+// REMINDER EMAILS
+// ============================================
+
+const payLink = (reminder) =>
+  `${process.env.FRONTEND_URL || 'https://bothellselect.com'}/pay/${reminder._id}`;
+
+const describeItem = async (reminder) => {
+  const period = [reminder.label, reminder.year].filter(Boolean).join(' ');
+
+  if (reminder.kind === 'tournament') {
+    const team = await Team.findById(reminder.team).select('name');
+    return `${team?.name || 'your team'}'s ${period} tournament entry`;
+  }
+
+  const player = await Player.findById(reminder.player).select('fullName');
+  const program =
+    reminder.tryoutId === 'training'
+      ? 'training'
+      : reminder.tryoutId
+        ? 'tryout'
+        : 'registration';
+  return `${player?.fullName || 'your player'}'s ${period} ${program}`;
+};
+
+// [reminder.*] placeholders, alongside the [parent.*], [player.*] and
+// [team.*] ones sendEmail fills in
+const fillReminderVariables = (text, variables) =>
+  Object.entries(variables).reduce(
+    (result, [name, value]) =>
+      result.replace(new RegExp(`\\[reminder\\.${name}\\]`, 'g'), value),
+    text,
+  );
+
+const defaultReminderHtml = (stage) => `
+  <div style="font-family: Arial, sans-serif; max-width: 600px; margin: auto; padding: 20px;">
+    <h2 style="color: ${stage.stage === STAGES.length ? '#dc2626' : '#506ee4'};">${stage.heading}</h2>
+    <p style="font-size: 16px;">Dear [parent.fullName],</p>
+    <p style="font-size: 16px;">${stage.message}</p>
+    <p style="font-size: 16px;">Registered on [reminder.registeredOn].</p>
+    <p style="text-align: center; margin: 30px 0;">
+      <a href="[reminder.payLink]" style="background: #506ee4; color: white; padding: 12px 24px; border-radius: 5px; text-decoration: none; font-weight: bold;">Pay now</a>
+    </p>
+    <p style="font-size: 14px; color: #555;">Already paid? Please disregard this email. If you have any questions, please contact us at bothellselect@proton.me</p>
+  </div>
+`;
+
+const buildReminderEmail = async (reminder, stage) => {
+  const variables = {
+    item: await describeItem(reminder),
+    payLink: payLink(reminder),
+    registeredOn: new Date(reminder.registeredAt).toLocaleDateString('en-US', {
+      month: 'long',
+      day: 'numeric',
+      year: 'numeric',
+    }),
+    stage: String(stage.stage),
+  };
+
+  const template = await EmailTemplate.findOne({
+    title: stage.template,
+    status: true,
+  });
+  if (!template) {
+    return {
+      subject: stage.subject,
+      html: fillReminderVariables(defaultReminderHtml(stage), variables),
+      attachments: [],
+    };
+  }
+
+  // Fill the placeholders before wrapping so the signature and footer are
+  // added exactly as the template editor previews them. Never saved.
+  template.subject = fillReminderVariables(template.subject, variables);
+  template.content = fillReminderVariables(template.content, variables);
+  return {
+    subject: template.subject,
+    html: template.getCompleteEmailHTML(),
+    attachments: template.attachments || [],
+  };
+};
+
+/**
+ * When the stage after `stageIndex` falls due: its own offset from the end
+ * of the grace period, but never sooner than the gap between the two stages
+ * so a family found late is not sent every stage on consecutive days.
+ */
+const nextReminderDate = (reminder, stageIndex, now) => {
+  const next = STAGES[stageIndex + 1];
+  if (!next) return null;
+
+  const scheduled = addDays(reminder.registeredAt, GRACE_DAYS + next.afterDays);
+  const spaced = addDays(now, next.afterDays - STAGES[stageIndex].afterDays);
+  return scheduled > spaced ? scheduled : spaced;
+};
+
+/**
+ * Send the next stage's reminder. Families who opted out of transactional
+ * email are skipped by sendEmail; the stage still advances so the log shows
+ * it. A delivery failure keeps the stage so the next run retries it.
+ */
+const sendReminder = async (
+  reminder,
+  { now = new Date(), triggeredBy = 'schedule' } = {},
+) => {
+  const stageIndex = reminder.stage;
+  const stage = STAGES[stageIndex];
+  if (!stage) throw dunningError('Every reminder stage has already been sent');
+  if (reminder.status === 'resolved') {
+    throw dunningError('This balance has already been paid');
+  }
+
+  const entry = { stage: stage.stage, triggeredBy, at: now };
+  const parent = await Parent.findById(reminder.parent).select('email');
+
+  if (!parent?.email) {
+    Object.assign(entry, { status: 'skipped', reason: 'no_email' });
+  } else {
+    try {
+      const email = await buildReminderEmail(reminder, stage);
+      const result = await sendEmail({
+        to: parent.email,
+        subject: email.subject,
+        html: email.html,
+        parentId: reminder.parent,
+        playerId: reminder.player,
+        teamId: reminder.team,
+        emailType: 'transactional',
+        attachments: email.attachments,
+      });
+
+      Object.assign(
+        entry,
+        result?.skipped
+          ? { status: 'skipped', reason: result.reason }
+          : { status: 'sent', emailId: result?.id, sentTo: parent.email },
+      );
+    } catch (error) {
+      Object.assign(entry, { status: 'failed', reason: error.message });
+    }
+  }
+
+  reminder.log.push(entry);
+  if (entry.status !== 'failed') {
+    reminder.stage = stage.stage;
+    reminder.nextReminderAt = nextReminderDate(reminder, stageIndex, now);
+    if (!reminder.nextReminderAt) reminder.status = 'exhausted';
+  }
+  if (entry.status === 'sent') reminder.lastRemindedAt = now;
+
+  await reminder.save();
+  return entry;
+};
+
+// ============================================
+// SCHEDULED RUN
+// ============================================
+
+/**
+ * Sync reminders with what is still unpaid, close the ones that have been
+ * settled and send every reminder that has come due. Run daily from
+ * services/scheduledJobs.js; admins can also trigger it by hand.
+ */
+const runDunning = async ({
+  now = new Date(),
+  triggeredBy = 'schedule',
+} = {}) => {
+  const items = await findOutstandingItems(now);
+  const summary = {
+    outstanding: items.size,
+    started: 0,
+    resolved: 0,
+    sent: 0,
+    skipped: 0,
+    failed: 0,
+  };
+
+  for (const item of items.values()) {
+    const existing = await PaymentReminder.findOne({ key: item.key });
+    if (!existing) {
+      await PaymentReminder.create({
+        ...item,
+        nextReminderAt: addDays(item.registeredAt, GRACE_DAYS),
+      });
+      summary.started++;
+      continue;
+    }
+
+    if (item.registration && !existing.registration) {
+      existing.registration = item.registration;
+    }
+    // Unpaid again after being settled, e.g. a payment that later failed
+    if (existing.status === 'resolved') {
+      Object.assign(existing, {
+        status: 'active',
+        stage: 0,
+        resolvedAt: undefined,
+        nextReminderAt: now,
+      });
+    }
+    if (existing.isModified()) await existing.save();
+  }
+
+  const resolved = await PaymentReminder.updateMany(
+    {
+      status: { $in: ['active', 'paused', 'exhausted'] },
+      key: { $nin: [...items.keys()] },
+    },
+    { $set: { status: 'resolved', resolvedAt: now, nextReminderAt: null } },
+  );
+  summary.resolved = resolved.modifiedCount || 0;
+
+  const due = await PaymentReminder.find({
+    status: 'active',
+    nextReminderAt: { $lte: now },
+  });
+
+  for (const reminder of due) {
+    try {
+      const entry = await sendReminder(reminder, { now, triggeredBy });
+      summary[entry.status]++;
+    } catch (error) {
+      console.error(`Payment reminder ${reminder._id} failed:`, error.message);
+      summary.failed++;
+    }
+  }
+
+  return summary;
+};
+
+// ============================================
+// REPORTING
+// ============================================
+
+/**
+ * Counts for the admin dashboard: reminders by status, open balances by the
+ * stage they have reached and delivery results over the last `days` days.
+ */
+const reminderSummary = async (days = 30, now = new Date()) => {
+  const since = addDays(now, -days);
+
+  const [byStatus, byStage, deliveries] = await Promise.all([
+    PaymentReminder.aggregate([
+      { $group: { _id: '$status', count: { $sum: 1 } } },
+    ]),
+    PaymentReminder.aggregate([
+      { $match: { status: { $in: ['active', 'paused', 'exhausted'] } } },
+      { $group: { _id: '$stage', count: { $sum: 1 } } },
+    ]),
+    PaymentReminder.aggregate([
+      { $match: { 'log.at': { $gte: since } } },
+      { $unwind: '$log' },
+      { $match: { 'log.at': { $gte: since } } },
+      { $group: { _id: '$log.status', count: { $sum: 1 } } },
+    ]),
+  ]);
+
+  const toCounts = (rows) =>
+    Object.fromEntries(rows.map((row) => [row._id, row.count]));
+
+  return {
+    graceDays: GRACE_DAYS,
+    stages: STAGES.map(({ stage, afterDays, template }) => ({
+      stage,
+      sendsAfterDays: GRACE_DAYS + afterDays,
+      template,
+    })),
+    byStatus: {
+      active: 0,
+      paused: 0,
+      exhausted: 0,
+      resolved: 0,
+      ...toCounts(byStatus),
+    },
+    openByStage: toCounts(byStage),
+    lastDays: { days, sent: 0, skipped: 0, failed: 0, ...toCounts(deliveries) },
+  };
+};
+
+module.exports = {
+  GRACE_DAYS,
+  STAGES,
+  findOutstandingItems,
+  sendReminder,
+  runDunning,
+  reminderSummary,
+};
@@ -0,0 +1,403 @@
+// services/evaluations.js
+const crypto = require('crypto');
+const TryoutEvaluation = require('../models/TryoutEvaluation');
+const TeamPlacement = require('../models/TeamPlacement');
+const InternalTeam = require('../models/InternalTeam');
+const Player = require('../models/Player');
+const Parent = require('../models/Parent');
+const { isGradeInRange, parseGradeRange } = require('../utils/gradeUtils');
+const { sendAcceptanceEmail } = require('../utils/email');
+const {
+  REGISTERED_STATUSES,
+  playerGrade,
+  isRegistered,
+} = require('./tryoutSessions');
+
+// Rejections carry the HTTP status the route should answer with
+const evaluationError = (message, statusCode = 400) =>
+  Object.assign(new Error(message), { statusCode });
+
+const HOUR = 60 * 60 * 1000;
+
+const round = (value, places = 1) =>
+  Math.round(value * 10 ** places) / 10 ** places;
+
+const average = (values) =>
+  values.length ? values.reduce((sum, v) => sum + v, 0) / values.length : null;
+
+// PK before K before 1-12; anything unparseable last
+const gradeOrder = (grade) => parseGradeRange(grade)[0] ?? 99;
+
+const userId = (user) => (user._id || user.id).toString();
+
+// ============================================
+// EVALUATORS
+// ============================================
+
+const isEvaluator = (tryout, user) =>
+  user.role === 'admin' ||
+  (tryout.evaluators || []).some((id) => id.toString() === userId(user));
+
+const registrants = (tryout) =>
+  Player.find({
+    seasons: {
+      $elemMatch: {
+        tryoutId: tryout.eventId,
+        paymentStatus: { $in: REGISTERED_STATUSES },
+      },
+    },
+  }).select('fullName gender dob grade isGradeOverridden parentId');
+
+/**
+ * Weighted score out of 100 over the criteria that were scored, so a sheet
+ * an evaluator only partly filled in still compares fairly.
+ */
+const overallScore = (tryout, scores) => {
+  let weighted = 0;
+  let totalWeight = 0;
+
+  for (const { criterion, score } of scores) {
+    const definition = tryout.evaluationCriteria.find(
+      (c) => c.key === criterion,
+    );
+    weighted += (score / definition.maxScore) * definition.weight;
+    totalWeight += definition.weight;
+  }
+
+  return totalWeight > 0 ? round((weighted / totalWeight) * 100) : undefined;
+};
+
+const validateScores = (tryout, scores) => {
+  if (!tryout.evaluationCriteria?.length) {
+    throw evaluationError('This tryout has no evaluation criteria yet');
+  }
+
+  const seen = new Set();
+  for (const { criterion, score } of scores) {
+    const definition = tryout.evaluationCriteria.find(
+      (c) => c.key === criterion,
+    );
+    if (!definition) {
+      throw evaluationError(`Unknown evaluation criterion: ${criterion}`);
+    }
+    if (seen.has(criterion)) {
+      throw evaluationError(`${definition.label} was scored more than once`);
+    }
+    if (score < 0 || score > definition.maxScore) {
+      throw evaluationError(
+        `${definition.label} must be scored between 0 and ${definition.maxScore}`,
+      );
+    }
+    seen.add(criterion);
+  }
+};
+
+// An evaluator's sheet for one player; saving again replaces it
+const saveEvaluation = async ({
+  tryout,
+  player,
+  evaluatorId,
+  scores,
+  notes,
+}) => {
+  validateScores(tryout, scores);
+
+  if (!isRegistered(player, tryout.eventId)) {
+    throw evaluationError('Player is not registered for this tryout', 404);
+  }
+
+  return TryoutEvaluation.findOneAndUpdate(
+    { tryout: tryout._id, player: player._id, evaluator: evaluatorId },
+    {
+      eventId: tryout.eventId,
+      scores,
+      overall: overallScore(tryout, scores),
+      ...(notes !== undefined && { notes }),
+    },
+    { upsert: true, new: true, runValidators: true },
+  );
+};
+
+// Every registrant, with the scores this evaluator has given so far
+const evaluationSheet = async (tryout, evaluatorId) => {
+  const [players, evaluations] = await Promise.all([
+    registrants(tryout),
+    TryoutEvaluation.find({ tryout: tryout._id, evaluator: evaluatorId }),
+  ]);
+
+  return players
+    .map((player) => {
+      const evaluation = evaluations.find((e) => e.player.equals(player._id));
+      return {
+        player: {
+          _id: player._id,
+          fullName: player.fullName,
+          gender: player.gender,
+          grade: playerGrade(player, tryout.tryoutYear),
+        },
+        scores: evaluation?.scores || [],
+        overall: evaluation?.overall,
+        notes: evaluation?.notes || '',
+      };
+    })
+    .sort((a, b) => a.player.fullName.localeCompare(b.player.fullName));
+};
+
+// ============================================
+// RANKINGS
+// ============================================
+
+/**
+ * Registrants ranked within each grade and gender on the average of their
+ * evaluators' overall scores. Players nobody has scored yet come last,
+ * unranked.
+ */
+const rankPlayers = async (tryout) => {
+  const [players, evaluations] = await Promise.all([
+    registrants(tryout),
+    TryoutEvaluation.find({ tryout: tryout._id }),
+  ]);
+
+  const groups = new Map();
+  for (const player of players) {
+    const playerEvaluations = evaluations.filter(
+      (e) => e.player.equals(player._id) && e.overall !== undefined,
+    );
+    const score = average(playerEvaluations.map((e) => e.overall));
+
+    const criteria = {};
+    for (const { key } of tryout.evaluationCriteria || []) {
+      const criterionScores = playerEvaluations
+        .flatMap((e) => e.scores)
+        .filter((s) => s.criterion === key)
+        .map((s) => s.score);
+      criteria[key] = criterionScores.length
+        ? round(average(criterionScores), 2)
+        : null;
+    }
+
+    const grade = playerGrade(player, tryout.tryoutYear);
+    const key = `${grade}|${player.gender}`;
+    const group = groups.get(key) || {
+      grade,
+      gender: player.gender,
+      players: [],
+    };
+    group.players.push({
+      player: player._id,
+      parent: player.parentId,
+      fullName: player.fullName,
+      score: score === null ? null : round(score),
+      evaluations: playerEvaluations.length,
+      criteria,
+    });
+    groups.set(key, group);
+  }
+
+  return [...groups.values()]
+    .map((group) => {
+      group.players.sort((a, b) => (b.score ?? -1) - (a.score ?? -1));
+      group.players.forEach((entry, index) => {
+        entry.rank = entry.score === null ? null : index + 1;
+      });
+      return group;
+    })
+    .sort(
+      (a, b) =>
+        gradeOrder(a.grade) - gradeOrder(b.grade) ||
+        a.gender.localeCompare(b.gender),
+    );
+};
+
+// ============================================
+// PLACEMENTS
+// ============================================
+
+/**
+ * Suggest placements by filling each of the tryout year's internal teams
+ * with the highest-ranked players of its grade and gender, in the order the
+ * teams are given (by name when none are). Earlier suggestions are replaced;
+ * players already offered, placed or on a team are left where they are.
+ */
+const generatePlacements = async (tryout, { teamIds, rosterSize }) => {
+  const teams = teamIds?.length
+    ? await InternalTeam.find({ _id: { $in: teamIds } })
+    : await InternalTeam.find({
+        tryoutYear: tryout.tryoutYear,
+        status: 'active',
+      }).sort({ name: 1 });
+  if (teamIds?.length) {
+    teams.sort(
+      (a, b) =>
+        teamIds.indexOf(a._id.toString()) - teamIds.indexOf(b._id.toString()),
+    );
+  }
+  if (!teams.length) {
+    throw evaluationError('No internal teams to place players on', 404);
+  }
+
+  await TeamPlacement.deleteMany({ tryout: tryout._id, status: 'suggested' });
+
+  const [groups, placements, yearTeams] = await Promise.all([
+    rankPlayers(tryout),
+    TeamPlacement.find({
+      tryout: tryout._id,
+      status: { $in: ['offered', 'accepted', 'declined'] },
+    }),
+    InternalTeam.find({ year: teams[0].year }).select('playerIds'),
+  ]);
+
+  const unavailable = new Set([
+    ...placements.map((p) => p.player.toString()),
+    ...yearTeams.flatMap((t) => t.playerIds.map((id) => id.toString())),
+  ]);
+
+  const suggestions = [];
+  for (const team of teams) {
+    const pending = placements.filter(
+      (p) => p.team.equals(team._id) && p.status === 'offered',
+    ).length;
+    let openSpots = rosterSize - team.playerIds.length - pending;
+
+    const candidates = groups
+      .filter(
+        (group) =>
+          group.gender === team.gender &&
+          isGradeInRange(group.grade, team.grade),
+      )
+      .flatMap((group) => group.players)
+      .filter((entry) => entry.rank !== null)
+      .sort((a, b) => b.score - a.score);
+
+    for (const entry of candidates) {
+      if (openSpots <= 0) break;
+      if (unavailable.has(entry.player.toString())) continue;
+
+      unavailable.add(entry.player.toString());
+      openSpots--;
+      suggestions.push({
+        tryout: tryout._id,
+        eventId: tryout.eventId,
+        team: team._id,
+        player: entry.player,
+        parent: entry.parent,
+        rank: entry.rank,
+        score: entry.score,
+      });
+    }
+  }
+
+  return TeamPlacement.insertMany(suggestions);
+};
+
+const responseLink = (placement, response) =>
+  `${process.env.FRONTEND_URL || 'https://bothellselect.com'}/placement/${placement.token}?response=${response}`;
+
+/**
+ * Email each suggested placement's family an acceptance offer with accept
+ * and decline links. Returns { offered, failures }.
+ */
+const offerPlacements = async (
+  placements,
+  { offeredBy, paymentDeadlineHours = 24, ...payment },
+  now = new Date(),
+) => {
+  const offered = [];
+  const failures = [];
+
+  for (const placement of placements) {
+    if (placement.status !== 'suggested') continue;
+
+    const [player, parent, team] = await Promise.all([
+      Player.findById(placement.player).select('fullName'),
+      Parent.findById(placement.parent).select('fullName email'),
+      InternalTeam.findById(placement.team).select('name'),
+    ]);
+    if (!player || !parent?.email || !team) {
+      failures.push({
+        placementId: placement._id,
+        error: 'Player, parent email or team not found',
+      });
+      continue;
+    }
+
+    placement.token = crypto.randomBytes(24).toString('hex');
+    try {
+      await sendAcceptanceEmail({
+        to: parent.email,
+        playerName: player.fullName,
+        parentName: parent.fullName,
+        teamName: team.name,
+        paymentDeadlineHours,
+        ...payment,
+        acceptUrl: responseLink(placement, 'accept'),
+        declineUrl: responseLink(placement, 'decline'),
+      });
+    } catch (error) {
+      failures.push({ placementId: placement._id, error: error.message });
+      continue;
+    }
+
+    placement.status = 'offered';
+    placement.offeredAt = now;
+    placement.respondBy = new Date(now.getTime() + paymentDeadlineHours * HOUR);
+    placement.offeredBy = offeredBy;
+    await placement.save();
+    offered.push(placement);
+  }
+
+  return { offered, failures };
+};
+
+const findOffer = async (token) => {
+  const placement = await TeamPlacement.findOne({ token })
+    .populate('player', 'fullName')
+    .populate('team', 'name grade gender year');
+  if (!placement) throw evaluationError('Placement offer not found', 404);
+  return placement;
+};
+
+/**
+ * A family accepting or declining their offer. Accepting puts the player on
+ * the team's roster.
+ */
+const respondToOffer = async (token, response, now = new Date()) => {
+  const placement = await findOffer(token);
+
+  if (placement.status === 'offered' && placement.respondBy < now) {
+    placement.status = 'expired';
+    await placement.save();
+  }
+  if (placement.status !== 'offered') {
+    throw evaluationError(
+      placement.status === 'expired'
+        ? 'This offer has expired'
+        : `This offer has already been ${placement.status}`,
+      409,
+    );
+  }
+
+  placement.status = response === 'accept' ? 'accepted' : 'declined';
+  placement.respondedAt = now;
+  await placement.save();
+
+  if (placement.status === 'accepted') {
+    await InternalTeam.updateOne(
+      { _id: placement.team._id },
+      { $addToSet: { playerIds: placement.player._id } },
+    );
+  }
+
+  return placement;
+};
+
+module.exports = {
+  isEvaluator,
+  saveEvaluation,
+  evaluationSheet,
+  rankPlayers,
+  generatePlacements,
+  offerPlacements,
+  findOffer,
+  respondToOffer,
+};
@@ -0,0 +1,560 @@
+// services/invoices.js
+const PDFDocument = require('pdfkit');
+const EmailTemplate = require('../models/EmailTemplate');
+const Parent = require('../models/Parent');
+const Payment = require('../models/Payment');
+const PaymentPlan = require('../models/PaymentPlan');
+const Player = require('../models/Player');
+const { sendEmail } = require('../utils/email');
+
+// Rejections carry the HTTP status the route should answer with
+const invoiceError = (message, statusCode = 400) =>
+  Object.assign(new Error(message), { statusCode });
+
+const MARGIN = 50;
+
+const formatAmount = (amount) =>
+  `${amount < 0 ? '-' : ''}$${Math.abs(Number(amount) || 0).toFixed(2)}`;
+
+const formatDate = (date) =>
+  new Date(date).toLocaleDateString('en-US', {
+    month: 'short',
+    day: 'numeric',
+    year: 'numeric',
+  });
+
+const capitalize = (value) =>
+  value ? value.charAt(0).toUpperCase() + value.slice(1) : '';
+
+const invoiceNumber = (payment) =>
+  `INV-${payment._id.toString().slice(-8).toUpperCase()}`;
+
+// ============================================
+// DATA
+// ============================================
+
+/**
+ * Organization details printed on invoices, taken from the email signature
+ * admins already maintain. Falls back to the signature defaults.
+ */
+const getOrganization = async () => {
+  const template = await EmailTemplate.findOne({
+    includeSignature: true,
+    'signatureConfig.organizationName': { $nin: [null, ''] },
+  })
+    .sort({ updatedAt: -1 })
+    .select('signatureConfig')
+    .lean();
+
+  const signature = template?.signatureConfig || {};
+  return {
+    name: signature.organizationName || 'Bothell Select',
+    contactName: signature.fullName,
+    title: signature.title,
+    phone: signature.phone,
+    email: signature.email,
+    website: signature.website || 'https://bothellselect.com',
+    additionalInfo: signature.additionalInfo,
+  };
+};
+
+const describePayment = (payment) => {
+  const names = (payment.playerIds || [])
+    .map((player) => player?.fullName)
+    .filter(Boolean);
+  const season = payment.players?.[0];
+
+  let description;
+  if (payment.paymentType === 'tournament' || payment.tournamentName) {
+    description = `Tournament registration - ${
+      payment.tournamentName || payment.metadata?.tournament || ''
+    } ${payment.year || payment.metadata?.year || ''}`.trim();
+  } else if (season?.season) {
+    description = `${capitalize(payment.paymentType) || 'Registration'} - ${
+      season.season
+    } ${season.year || ''}`.trim();
+  } else {
+    description = payment.note || 'Registration payment';
+  }
+
+  if (payment.installmentNumber) {
+    description += ` (installment ${payment.installmentNumber})`;
+  }
+  if (names.length) description += `\nPlayers: ${names.join(', ')}`;
+  return description;
+};
+
+const completedRefunds = (payment) =>
+  (payment.refunds || []).filter((refund) => refund.status === 'completed');
+
+/**
+ * Everything the invoice PDF needs for one payment
+ */
+const buildInvoice = async (paymentId) => {
+  const payment = await Payment.findById(paymentId)
+    .populate('playerIds', 'fullName')
+    .lean();
+  if (!payment) throw invoiceError('Payment not found', 404);
+  if (!['completed', 'refunded'].includes(payment.status)) {
+    throw invoiceError('Invoices are only available for completed payments');
+  }
+
+  const [parent, organization] = await Promise.all([
+    Parent.findById(payment.parentId).select('fullName email address').lean(),
+    getOrganization(),
+  ]);
+
+  const refunds = completedRefunds(payment);
+  return {
+    number: invoiceNumber(payment),
+    date: payment.processedAt || payment.createdAt,
+    organization,
+    parent: parent || { fullName: '', email: payment.buyerEmail },
+    payment,
+    lines: [
+      {
+        description: describePayment(payment),
+        amount: payment.discount?.subtotal ?? payment.amount,
+      },
+      ...(payment.discount?.applied || []).map((discount) => ({
+        description: discount.name || capitalize(discount.type),
+        amount: -discount.amount,
+      })),
+    ],
+    refunds: refunds.map((refund) => ({
+      date: refund.processedAt || refund.requestedAt,
+      description: refund.reason ? `Refund - ${refund.reason}` : 'Refund',
+      amount: -refund.amount,
+    })),
+    totals: {
+      paid: payment.amount,
+      refunded: payment.refundedAmount || 0,
+      net: payment.amount - (payment.refundedAmount || 0),
+    },
+  };
+};
+
+const inRange = (date, start, end) =>
+  date && new Date(date) >= start && new Date(date) < end;
+
+/**
+ * A parent's payments, refunds and open balances for one calendar year
+ */
+const buildStatement = async (parentId, year) => {
+  const start = new Date(year, 0, 1);
+  const end = new Date(year + 1, 0, 1);
+
+  const parent = await Parent.findById(parentId)
+    .select('fullName email address players')
+    .lean();
+  if (!parent) throw invoiceError('Parent not found', 404);
+
+  const [payments, plans, players, organization] = await Promise.all([
+    Payment.find({
+      parentId,
+      status: { $in: ['completed', 'refunded'] },
+      $or: [
+        { createdAt: { $gte: start, $lt: end } },
+        { 'refunds.processedAt': { $gte: start, $lt: end } },
+      ],
+    })
+      .populate('playerIds', 'fullName')
+      .sort({ createdAt: 1 })
+      .lean(),
+    PaymentPlan.find({
+      parent: parentId,
+      status: { $in: ['active', 'past-due'] },
+    }).lean(),
+    Player.find({ _id: { $in: parent.players || [] } })
+      .select('fullName seasons')
+      .lean(),
+    getOrganization(),
+  ]);
+
+  const entries = [];
+  payments.forEach((payment) => {
+    if (inRange(payment.createdAt, start, end)) {
+      entries.push({
+        date: payment.processedAt || payment.createdAt,
+        description: describePayment(payment),
+        reference: invoiceNumber(payment),
+        charged: payment.amount,
+        refunded: 0,
+      });
+    }
+    completedRefunds(payment)
+      .filter((refund) =>
+        inRange(refund.processedAt || refund.requestedAt, start, end),
+      )
+      .forEach((refund) =>
+        entries.push({
+          date: refund.processedAt || refund.requestedAt,
+          description: `Refund - ${describePayment(payment).split('\n')[0]}`,
+          reference: invoiceNumber(payment),
+          charged: 0,
+          refunded: refund.amount,
+        }),
+      );
+  });
+  entries.sort((a, b) => new Date(a.date) - new Date(b.date));
+
+  const outstanding = plans.map((plan) => ({
+    description: `${plan.planName || 'Installment plan'} (${
+      plan.status === 'past-due' ? 'past due' : 'active'
+    })`,
+    nextDueDate: plan.installments?.find((i) => i.status !== 'paid')?.dueDate,
+    amount: plan.amountRemaining,
+  }));
+
+  // Registrations with no payment on file; the price isn't known here
+  const unpaidRegistrations = players.flatMap((player) =>
+    (player.seasons || [])
+      .filter(
+        (season) =>
+          season.year === year &&
+          ['pending', 'failed'].includes(season.paymentStatus),
+      )
+      .map((season) => ({
+        player: player.fullName,
+        season: season.season,
+        year: season.year,
+      })),
+  );
+
+  const paid = entries.reduce((sum, entry) => sum + entry.charged, 0);
+  const refunded = entries.reduce((sum, entry) => sum + entry.refunded, 0);
+  return {
+    year,
+    generatedAt: new Date(),
+    organization,
+    parent,
+    entries,
+    outstanding,
+    unpaidRegistrations,
+    totals: {
+      paid,
+      refunded,
+      net: paid - refunded,
+      outstanding: outstanding.reduce((sum, line) => sum + line.amount, 0),
+    },
+  };
+};
+
+// ============================================
+// PDF RENDERING
+// ============================================
+
+const collectPdf = (doc) =>
+  new Promise((resolve, reject) => {
+    const chunks = [];
+    doc.on('data', (chunk) => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+    doc.end();
+  });
+
+const drawHeader = (doc, organization, title, details) => {
+  const contact = [
+    organization.website,
+    organization.email,
+    organization.phone,
+    organization.additionalInfo,
+  ].filter(Boolean);
+
+  doc
+    .font('Helvetica-Bold')
+    .fontSize(18)
+    .fillColor('#000000')
+    .text(organization.name, MARGIN, MARGIN);
+  doc.font('Helvetica').fontSize(9).fillColor('#555555');
+  contact.forEach((line) => doc.text(line));
+  const bottom = doc.y;
+
+  doc
+    .font('Helvetica-Bold')
+    .fontSize(20)
+    .fillColor('#000000')
+    .text(title, MARGIN, MARGIN, { align: 'right' });
+  doc.font('Helvetica').fontSize(10);
+  details.forEach((line) => doc.text(line, { align: 'right' }));
+
+  doc.y = Math.max(bottom, doc.y) + 24;
+};
+
+const drawBillTo = (doc, parent) => {
+  const { street, street2, city, state, zip } = parent.address || {};
+  const lines = [
+    parent.fullName,
+    parent.email,
+    street,
+    street2,
+    [city, state, zip].filter(Boolean).join(', '),
+  ].filter(Boolean);
+
+  doc
+    .font('Helvetica-Bold')
+    .fontSize(10)
+    .fillColor('#555555')
+    .text('BILL TO', MARGIN);
+  doc.font('Helvetica').fillColor('#000000');
+  lines.forEach((line) => doc.text(line));
+  doc.moveDown(1.5);
+};
+
+/**
+ * Rows of text in fixed-width columns, starting a new page (and repeating
+ * the header row) when the page fills up
+ */
+const drawTable = (doc, columns, rows) => {
+  const width = doc.page.width - MARGIN * 2;
+  const header = columns.map((column) => column.label);
+  const cellWidth = (index) => columns[index].width * width - 6;
+
+  const drawRow = (cells, font) => {
+    const height =
+      Math.max(
+        ...cells.map((cell, index) =>
+          doc
+            .font(font)
+            .fontSize(10)
+            .heightOfString(String(cell), { width: cellWidth(index) }),
+        ),
+      ) + 8;
+    if (doc.y + height > doc.page.height - MARGIN) {
+      doc.addPage();
+      if (cells !== header) drawRow(header, 'Helvetica-Bold');
+    }
+
+    const y = doc.y;
+    let x = MARGIN;
+    cells.forEach((cell, index) => {
+      doc
+        .font(font)
+        .fillColor('#000000')
+        .text(String(cell), x, y + 4, {
+          width: cellWidth(index),
+          align: columns[index].align || 'left',
+        });
+      x += columns[index].width * width;
+    });
+    doc.y = y + height;
+    doc
+      .strokeColor('#dddddd')
+      .moveTo(MARGIN, doc.y)
+      .lineTo(MARGIN + width, doc.y)
+      .stroke();
+  };
+
+  drawRow(header, 'Helvetica-Bold');
+  rows.forEach((row) => drawRow(row, 'Helvetica'));
+  doc.moveDown();
+};
+
+const drawTotals = (doc, totals) => {
+  totals.forEach(([label, amount], index) => {
+    const font = index === totals.length - 1 ? 'Helvetica-Bold' : 'Helvetica';
+    const y = doc.y;
+    doc
+      .font(font)
+      .fontSize(11)
+      .text(label, MARGIN, y, {
+        width: doc.page.width - MARGIN * 2 - 100,
+        align: 'right',
+      });
+    doc.text(formatAmount(amount), doc.page.width - MARGIN - 100, y, {
+      width: 100,
+      align: 'right',
+    });
+  });
+  doc.moveDown();
+};
+
+const renderInvoicePdf = (invoice) => {
+  const { payment } = invoice;
+  const doc = new PDFDocument({
+    size: 'LETTER',
+    margin: MARGIN,
+    info: { Title: `Invoice ${invoice.number}` },
+  });
+
+  drawHeader(doc, invoice.organization, 'INVOICE', [
+    invoice.number,
+    `Date: ${formatDate(invoice.date)}`,
+    payment.refundStatus === 'full' ? 'Status: Refunded' : 'Status: Paid',
+  ]);
+  drawBillTo(doc, invoice.parent);
+
+  drawTable(
+    doc,
+    [
+      { label: 'Description', width: 0.8 },
+      { label: 'Amount', width: 0.2, align: 'right' },
+    ],
+    invoice.lines.map((line) => [line.description, formatAmount(line.amount)]),
+  );
+  drawTotals(doc, [['Total paid', invoice.totals.paid]]);
+
+  if (invoice.refunds.length) {
+    drawTable(
+      doc,
+      [
+        { label: 'Date', width: 0.2 },
+        { label: 'Refund', width: 0.6 },
+        { label: 'Amount', width: 0.2, align: 'right' },
+      ],
+      invoice.refunds.map((refund) => [
+        refund.date ? formatDate(refund.date) : '',
+        refund.description,
+        formatAmount(refund.amount),
+      ]),
+    );
+    drawTotals(doc, [
+      ['Refunded', -invoice.totals.refunded],
+      ['Net paid', invoice.totals.net],
+    ]);
+  }
+
+  const card = payment.cardBrand && payment.cardLastFour;
+  doc
+    .font('Helvetica')
+    .fontSize(9)
+    .fillColor('#555555')
+    .text(
+      [
+        card
+          ? `Paid by ${payment.cardBrand} ending in ${payment.cardLastFour}`
+          : null,
+        `Payment reference: ${payment.paymentId}`,
+      ]
+        .filter(Boolean)
+        .join('    '),
+      MARGIN,
+    );
+
+  return collectPdf(doc);
+};
+
+const renderStatementPdf = (statement) => {
+  const doc = new PDFDocument({
+    size: 'LETTER',
+    margin: MARGIN,
+    info: { Title: `${statement.year} Account Statement` },
+  });
+
+  drawHeader(doc, statement.organization, 'ACCOUNT STATEMENT', [
+    `January 1 - December 31, ${statement.year}`,
+    `Issued ${formatDate(statement.generatedAt)}`,
+  ]);
+  drawBillTo(doc, statement.parent);
+
+  drawTable(
+    doc,
+    [
+      { label: 'Date', width: 0.16 },
+      { label: 'Description', width: 0.44 },
+      { label: 'Invoice', width: 0.16 },
+      { label: 'Paid', width: 0.12, align: 'right' },
+      { label: 'Refunded', width: 0.12, align: 'right' },
+    ],
+    statement.entries.length
+      ? statement.entries.map((entry) => [
+          formatDate(entry.date),
+          entry.description,
+          entry.reference,
+          entry.charged ? formatAmount(entry.charged) : '',
+          entry.refunded ? formatAmount(entry.refunded) : '',
+        ])
+      : [['', `No payments in ${statement.year}`, '', '', '']],
+  );
+  drawTotals(doc, [
+    ['Total paid', statement.totals.paid],
+    ['Total refunded', -statement.totals.refunded],
+    ['Net paid', statement.totals.net],
+  ]);
+
+  if (statement.outstanding.length) {
+    doc
+      .font('Helvetica-Bold')
+      .fontSize(12)
+      .text('Outstanding balances', MARGIN);
+    doc.moveDown(0.5);
+    drawTable(
+      doc,
+      [
+        { label: 'Plan', width: 0.6 },
+        { label: 'Next due', width: 0.2 },
+        { label: 'Balance', width: 0.2, align: 'right' },
+      ],
+      statement.outstanding.map((line) => [
+        line.description,
+        line.nextDueDate ? formatDate(line.nextDueDate) : '',
+        formatAmount(line.amount),
+      ]),
+    );
+    drawTotals(doc, [['Total outstanding', statement.totals.outstanding]]);
+  }
+
+  if (statement.unpaidRegistrations.length) {
+    doc
+      .font('Helvetica-Bold')
+      .fontSize(12)
+      .text('Registrations awaiting payment', MARGIN);
+    doc.font('Helvetica').fontSize(10);
+    statement.unpaidRegistrations.forEach((registration) =>
+      doc.text(
+        `${registration.player} - ${registration.season} ${registration.year}`,
+      ),
+    );
+  }
+
+  return collectPdf(doc);
+};
+
+// ============================================
+// EMAIL
+// ============================================
+
+const emailPdf = ({ to, parentId, subject, message, filename, pdf }) =>
+  sendEmail({
+    to,
+    parentId,
+    subject,
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: auto;">
+        <p style="font-size: 16px;">${message}</p>
+        <p style="font-size: 14px; color: #555;">If you have any questions, please contact us at bothellselect@proton.me</p>
+      </div>
+    `,
+    attachments: [{ filename, content: pdf, mimeType: 'application/pdf' }],
+  });
+
+const emailInvoice = (invoice, pdf) =>
+  emailPdf({
+    to: invoice.parent.email || invoice.payment.buyerEmail,
+    parentId: invoice.payment.parentId,
+    subject: `Invoice ${invoice.number} - ${invoice.organization.name}`,
+    message: `Attached is invoice ${invoice.number} for your payment of ${formatAmount(
+      invoice.totals.paid,
+    )} on ${formatDate(invoice.date)}.`,
+    filename: `${invoice.number}.pdf`,
+    pdf,
+  });
+
+const emailStatement = (statement, pdf) =>
+  emailPdf({
+    to: statement.parent.email,
+    parentId: statement.parent._id,
+    subject: `${statement.year} Account Statement - ${statement.organization.name}`,
+    message: `Attached is your account statement for ${statement.year}.`,
+    filename: `statement-${statement.year}.pdf`,
+    pdf,
+  });
+
+module.exports = {
+  buildInvoice,
+  buildStatement,
+  renderInvoicePdf,
+  renderStatementPdf,
+  emailInvoice,
+  emailStatement,
+};
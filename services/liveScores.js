@@ -0,0 +1,167 @@
+// services/liveScores.js
+const { Match, Standing } = require('../models');
+
+// Open SSE connections for this process. Every API instance keeps its own
+// set, so a match updated on one instance only reaches clients connected to
+// that instance.
+const clients = new Set();
+
+const HEARTBEAT_MS = 25000;
+
+const idOf = (ref) => (ref?._id || ref)?.toString();
+
+const send = (client, event, data) => {
+  client.res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+};
+
+const wants = (client, tournamentId, teamIds) => {
+  if (client.tournamentId && client.tournamentId !== tournamentId) {
+    return false;
+  }
+  if (client.teamId && !teamIds.includes(client.teamId)) return false;
+  return true;
+};
+
+const publish = (event, data, tournamentId, teamIds) => {
+  clients.forEach((client) => {
+    if (!wants(client, tournamentId, teamIds)) return;
+    try {
+      send(client, event, data);
+    } catch (error) {
+      console.error('Error writing live score event:', error);
+      clients.delete(client);
+    }
+  });
+};
+
+const toMatchEvent = (match) => ({
+  matchId: match._id,
+  tournamentId: idOf(match.tournament),
+  tournamentName: match.tournament?.name,
+  round: match.round,
+  matchNumber: match.matchNumber,
+  group: match.group,
+  court: match.court,
+  scheduledTime: match.scheduledTime,
+  status: match.status,
+  team1: match.team1 ? { _id: match.team1._id, name: match.team1.name } : null,
+  team2: match.team2 ? { _id: match.team2._id, name: match.team2.name } : null,
+  team1Score: match.team1Score,
+  team2Score: match.team2Score,
+  winner: match.winner
+    ? { _id: match.winner._id, name: match.winner.name }
+    : null,
+  updatedAt: match.updatedAt,
+});
+
+/**
+ * Open an SSE stream on `res`, optionally narrowed to one tournament and/or
+ * one team. The stream starts with a snapshot of the matches in progress.
+ */
+const subscribe = async (req, res, { tournamentId, teamId } = {}) => {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no',
+  });
+  res.flushHeaders();
+  res.write('retry: 5000\n\n');
+
+  const client = { res, tournamentId, teamId, closed: false };
+  let heartbeat;
+
+  req.on('close', () => {
+    client.closed = true;
+    clearInterval(heartbeat);
+    clients.delete(client);
+  });
+
+  const filter = { status: 'in-progress' };
+  if (tournamentId) filter.tournament = tournamentId;
+  if (teamId) filter.$or = [{ team1: teamId }, { team2: teamId }];
+
+  const matches = await Match.find(filter)
+    .populate('tournament', 'name')
+    .populate('team1 team2 winner', 'name')
+    .sort({ scheduledTime: 1 })
+    .lean();
+  if (client.closed) return;
+  send(client, 'snapshot', { matches: matches.map(toMatchEvent) });
+
+  clients.add(client);
+  heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_MS);
+};
+
+/**
+ * Broadcast the current state of one or more matches. `action` says what
+ * changed them (updated, winner-declared, reset, advanced).
+ */
+const publishMatches = async (matchIds, action) => {
+  if (clients.size === 0) return;
+
+  try {
+    const matches = await Match.find({
+      _id: { $in: matchIds.filter(Boolean) },
+    })
+      .populate('tournament', 'name')
+      .populate('team1 team2 winner', 'name')
+      .lean();
+
+    matches.forEach((match) => {
+      publish(
+        'match',
+        { action, match: toMatchEvent(match) },
+        idOf(match.tournament),
+        [idOf(match.team1), idOf(match.team2)].filter(Boolean)
+      );
+    });
+  } catch (error) {
+    console.error('Error publishing live match update:', error);
+  }
+};
+
+/**
+ * Broadcast a group's standings after they were recalculated
+ */
+const publishStandings = async (tournamentId, group) => {
+  if (clients.size === 0) return;
+
+  try {
+    const standings = await Standing.find({ tournament: tournamentId, group })
+      .populate('team', 'name')
+      .sort({ rank: 1 })
+      .lean();
+
+    publish(
+      'standings',
+      {
+        tournamentId: tournamentId.toString(),
+        group,
+        standings: standings.map((standing) => ({
+          team: { _id: standing.team._id, name: standing.team.name },
+          rank: standing.rank,
+          played: standing.played,
+          wins: standing.wins,
+          losses: standing.losses,
+          draws: standing.draws,
+          pointsFor: standing.pointsFor,
+          pointsAgainst: standing.pointsAgainst,
+          pointsDifference: standing.pointsDifference,
+          points: standing.points,
+          tiebreaker: standing.tiebreaker,
+        })),
+      },
+      tournamentId.toString(),
+      standings.map((standing) => idOf(standing.team))
+    );
+  } catch (error) {
+    console.error('Error publishing live standings update:', error);
+  }
+};
+
+module.exports = {
+  subscribe,
+  publishMatches,
+  publishStandings,
+};
@@ -0,0 +1,102 @@
+// services/matchHistory.js
+const { MatchHistory } = require('../models');
+
+const TRACKED_FIELDS = [
+  'team1',
+  'team2',
+  'team1Score',
+  'team2Score',
+  'winner',
+  'loser',
+  'status',
+  'walkoverReason',
+];
+
+const ID_FIELDS = ['team1', 'team2', 'winner', 'loser'];
+
+const idOf = (ref) => (ref?._id || ref)?.toString();
+
+/**
+ * Plain copy of the tracked fields of a match, with team references
+ * reduced to id strings so snapshots compare cleanly
+ */
+const snapshotMatch = (match) =>
+  TRACKED_FIELDS.reduce((snapshot, field) => {
+    const value = match[field];
+    snapshot[field] = ID_FIELDS.includes(field)
+      ? idOf(value) || null
+      : value ?? null;
+    return snapshot;
+  }, {});
+
+const diffSnapshots = (before, after) =>
+  TRACKED_FIELDS.filter((field) => before[field] !== after[field]).map(
+    (field) => ({ field, from: before[field], to: after[field] })
+  );
+
+const actorRoleOf = (req) => {
+  if (!req?.user) return 'system';
+  return req.scorekeeper ? 'scorekeeper' : req.user.role;
+};
+
+/**
+ * Append a version to a match's history after it was saved. `before` is the
+ * snapshotMatch() taken before the change. The first recorded change also
+ * stores the untouched state as version 1 so every version can be reverted
+ * to. Returns the new entry, or null when nothing tracked changed.
+ */
+const recordMatchChange = async (
+  match,
+  before,
+  { action, req, revertedToVersion }
+) => {
+  const after = snapshotMatch(match);
+  const changes = diffSnapshots(before, after);
+
+  if (changes.length === 0 && action !== 'revert') {
+    return null;
+  }
+
+  const entry = {
+    match: match._id,
+    tournament: idOf(match.tournament),
+    action,
+    actor: req?.user?._id,
+    actorRole: actorRoleOf(req),
+    snapshot: after,
+    changes,
+    revertedToVersion,
+  };
+
+  // Two writers can race for the same version number; retry once
+  for (let attempt = 0; attempt < 2; attempt++) {
+    try {
+      const latest = await MatchHistory.findOne({ match: match._id })
+        .sort({ version: -1 })
+        .select('version');
+
+      let version = latest?.version || 0;
+
+      if (!latest) {
+        await MatchHistory.create({
+          match: match._id,
+          tournament: idOf(match.tournament),
+          version: 1,
+          action: 'baseline',
+          snapshot: before,
+          changes: [],
+        });
+        version = 1;
+      }
+
+      return await MatchHistory.create({ ...entry, version: version + 1 });
+    } catch (error) {
+      if (error.code !== 11000 || attempt === 1) throw error;
+    }
+  }
+};
+
+module.exports = {
+  snapshotMatch,
+  recordMatchChange,
+};
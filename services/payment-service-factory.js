@@ -2,6 +2,145 @@
 const PaymentConfiguration = require('../models/PaymentConfiguration');
 const cloverTokenManager = require('./cloverTokenManager');
 
+// Clover keeps cards on file as customers; the customer id is then accepted
+// as the `source` of a charge
+const createCloverCustomer = async (
+  ecomBase,
+  accessToken,
+  { sourceId, email, name },
+) => {
+  const axios = require('axios');
+
+  let response;
+  try {
+    response = await axios.post(
+      `${ecomBase}/v1/customers`,
+      { ecomind: 'ecom', email, firstName: name, source: sourceId },
+      {
+        headers: {
+          Authorization: `Bearer ${accessToken}`,
+          'Content-Type': 'application/json',
+        },
+      },
+    );
+  } catch (axiosError) {
+    const cloverMessage =
+      axiosError.response?.data?.message ||
+      axiosError.response?.data?.error?.message ||
+      axiosError.message;
+    throw new Error(`Clover card save failed: ${cloverMessage}`);
+  }
+
+  const customer = response.data;
+  const card = customer.sources?.data?.[0] || {};
+  return {
+    customerId: customer.id,
+    cardId: card.id || customer.id,
+    last4: card.last4,
+    brand: card.brand,
+    expMonth: Number(card.exp_month),
+    expYear: Number(card.exp_year),
+  };
+};
+
+// Removing a Clover card on file means deleting the customer it was saved as
+const deleteCloverCustomer = async (
+  apiBaseUrl,
+  merchantId,
+  accessToken,
+  customerId,
+) => {
+  const axios = require('axios');
+  const baseUrl = apiBaseUrl || 'https://sandbox.dev.clover.com/v3';
+
+  try {
+    await axios.delete(
+      `${baseUrl}/merchants/${merchantId}/customers/${customerId}`,
+      { headers: { Authorization: `Bearer ${accessToken}` } },
+    );
+  } catch (axiosError) {
+    // Already gone on Clover's side is as good as removed
+    if (axiosError.response?.status === 404) return;
+    const cloverMessage =
+      axiosError.response?.data?.message || axiosError.message;
+    throw new Error(`Clover card removal failed: ${cloverMessage}`);
+  }
+};
+
+// Provider transactions for reconciliation share one shape: amounts in
+// dollars and status one of completed, pending or failed
+const transactionStatus = (status, { completed, failed }) => {
+  const value = String(status || '').toUpperCase();
+  if (completed.includes(value)) return 'completed';
+  if (failed.includes(value)) return 'failed';
+  return 'pending';
+};
+
+// Payments and refunds recorded by the merchant's Clover account, from the
+// platform REST API
+const listCloverTransactions = async (
+  apiBaseUrl,
+  merchantId,
+  accessToken,
+  { begin, end },
+) => {
+  const axios = require('axios');
+  const baseUrl = apiBaseUrl || 'https://sandbox.dev.clover.com/v3';
+
+  const listAll = async (resource) => {
+    const elements = [];
+    const limit = 1000;
+    for (let offset = 0; ; offset += limit) {
+      const params = new URLSearchParams({ limit, offset });
+      params.append('filter', `createdTime>=${begin.getTime()}`);
+      params.append('filter', `createdTime<${end.getTime()}`);
+
+      let response;
+      try {
+        response = await axios.get(
+          `${baseUrl}/merchants/${merchantId}/${resource}?${params}`,
+          { headers: { Authorization: `Bearer ${accessToken}` } },
+        );
+      } catch (axiosError) {
+        const cloverMessage =
+          axiosError.response?.data?.message || axiosError.message;
+        throw new Error(`Clover ${resource} listing failed: ${cloverMessage}`);
+      }
+
+      const page = response.data?.elements || [];
+      elements.push(...page);
+      if (page.length < limit) return elements;
+    }
+  };
+
+  const [payments, refunds] = await Promise.all([
+    listAll('payments'),
+    listAll('refunds'),
+  ]);
+
+  return {
+    payments: payments.map((payment) => ({
+      id: payment.id,
+      amount: payment.amount / 100,
+      status: transactionStatus(payment.result, {
+        completed: ['SUCCESS'],
+        failed: ['FAIL', 'VOIDED'],
+      }),
+      createdAt: new Date(payment.createdTime),
+    })),
+    refunds: refunds.map((refund) => ({
+      id: refund.id,
+      paymentId: refund.payment?.id,
+      amount: refund.amount / 100,
+      status: transactionStatus(refund.status || 'SUCCESS', {
+        completed: ['SUCCESS'],
+        failed: ['FAIL'],
+      }),
+      createdAt: new Date(refund.createdTime),
+    })),
+  };
+};
+
 class PaymentServiceFactory {
   constructor() {
     this.services = new Map();
@@ -104,9 +243,9 @@ class PaymentServiceFactory {
       async processPayment(paymentData) {
         const { paymentsApi } = this.client;
         const paymentRequest = {
-          idempotencyKey: `payment_${Date.now()}_${Math.random()
-            .toString(36)
-            .substr(2, 9)}`,
+          idempotencyKey:
+            paymentData.idempotencyKey ||
+            `payment_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
           sourceId: paymentData.sourceId,
           amountMoney: {
             amount: paymentData.amount,
@@ -145,6 +284,123 @@ class PaymentServiceFactory {
         const { result } = await paymentsApi.getPayment(paymentId);
         return result.payment;
       },
+
+      // Store a card on file so it can be charged later without the buyer
+      async saveCard({ sourceId, email, name, referenceId, customerId }) {
+        const { customersApi, cardsApi } = this.client;
+
+        let squareCustomerId = customerId;
+        if (!squareCustomerId) {
+          const { result } = await customersApi.createCustomer({
+            idempotencyKey: `customer_${Date.now()}_${Math.random()
+              .toString(36)
+              .substr(2, 9)}`,
+            emailAddress: email,
+            givenName: name,
+            referenceId,
+          });
+          squareCustomerId = result.customer.id;
+        }
+
+        const { result } = await cardsApi.createCard({
+          idempotencyKey: `card_${Date.now()}_${Math.random()
+            .toString(36)
+            .substr(2, 9)}`,
+          sourceId,
+          card: { customerId: squareCustomerId, referenceId },
+        });
+
+        return {
+          customerId: squareCustomerId,
+          cardId: result.card.id,
+          last4: result.card.last4,
+          brand: result.card.cardBrand,
+          expMonth: Number(result.card.expMonth),
+          expYear: Number(result.card.expYear),
+        };
+      },
+
+      async chargeCard(chargeData) {
+        const { paymentsApi } = this.client;
+        const { result } = await paymentsApi.createPayment({
+          idempotencyKey:
+            chargeData.idempotencyKey ||
+            `payment_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+          sourceId: chargeData.cardId,
+          customerId: chargeData.customerId,
+          amountMoney: {
+            amount: chargeData.amount,
+            currency: this.settings.currency || 'USD',
+          },
+          locationId: this.config.locationId,
+          autocomplete: true,
+          referenceId: chargeData.referenceId,
+          note: chargeData.note || this.settings.defaultPaymentDescription,
+          buyerEmailAddress: chargeData.email,
+        });
+        return result.payment;
+      },
+
+      async removeCard({ cardId }) {
+        const { cardsApi } = this.client;
+        await cardsApi.disableCard(cardId);
+      },
+
+      async listTransactions({ begin, end }) {
+        const { paymentsApi, refundsApi } = this.client;
+        const beginTime = begin.toISOString();
+        const endTime = end.toISOString();
+        const locationId = this.config.locationId;
+
+        const payments = [];
+        let cursor;
+        do {
+          const { result } = await paymentsApi.listPayments(
+            beginTime,
+            endTime,
+            'ASC',
+            cursor,
+            locationId,
+          );
+          payments.push(...(result.payments || []));
+          cursor = result.cursor;
+        } while (cursor);
+
+        const refunds = [];
+        do {
+          const { result } = await refundsApi.listPaymentRefunds(
+            beginTime,
+            endTime,
+            'ASC',
+            cursor,
+            locationId,
+          );
+          refunds.push(...(result.refunds || []));
+          cursor = result.cursor;
+        } while (cursor);
+
+        return {
+          payments: payments.map((payment) => ({
+            id: payment.id,
+            amount: Number(payment.amountMoney?.amount || 0) / 100,
+            status: transactionStatus(payment.status, {
+              completed: ['COMPLETED'],
+              failed: ['FAILED', 'CANCELED'],
+            }),
+            createdAt: new Date(payment.createdAt),
+          })),
+          refunds: refunds.map((refund) => ({
+            id: refund.id,
+            paymentId: refund.paymentId,
+            amount: Number(refund.amountMoney?.amount || 0) / 100,
+            status: transactionStatus(refund.status, {
+              completed: ['COMPLETED'],
+              failed: ['FAILED', 'REJECTED'],
+            }),
+            createdAt: new Date(refund.createdAt),
+          })),
+        };
+      },
     };
   }
 
@@ -222,6 +478,9 @@ class PaymentServiceFactory {
                 headers: {
                   Authorization: `Bearer ${privateKey}`,
                   'Content-Type': 'application/json',
+                  ...(paymentData.idempotencyKey && {
+                    'idempotency-key': paymentData.idempotencyKey,
+                  }),
                 },
                 validateStatus: (status) => status >= 200 && status < 300,
               },
@@ -231,7 +490,12 @@ class PaymentServiceFactory {
               axiosError.response?.data?.message ||
               axiosError.response?.data?.error?.message ||
               axiosError.message;
-            throw new Error(`Clover charge failed: ${cloverMessage}`);
+            // Keep the HTTP status so callers can tell a decline from an
+            // outage
+            throw Object.assign(
+              new Error(`Clover charge failed: ${cloverMessage}`),
+              { statusCode: axiosError.response?.status },
+            );
           }
 
           console.log('🔍 Clover charge response status:', response.status);
@@ -528,6 +792,39 @@ class PaymentServiceFactory {
 
           return response.data;
         },
+
+        async saveCard({ sourceId, email, name }) {
+          return createCloverCustomer(this.ecomBase, this.config.accessToken, {
+            sourceId,
+            email,
+            name,
+          });
+        },
+
+        async chargeCard(chargeData) {
+          return this.processPayment({
+            ...chargeData,
+            sourceId: chargeData.customerId,
+          });
+        },
+
+        async removeCard({ customerId }) {
+          return deleteCloverCustomer(
+            this.config.apiBaseUrl,
+            this.config.merchantId,
+            this.config.accessToken,
+            customerId,
+          );
+        },
+
+        async listTransactions(range) {
+          return listCloverTransactions(
+            this.config.apiBaseUrl,
+            this.config.merchantId,
+            this.config.accessToken,
+            range,
+          );
+        },
       };
     }
 
@@ -582,6 +879,9 @@ class PaymentServiceFactory {
               headers: {
                 Authorization: `Bearer ${validToken}`,
                 'Content-Type': 'application/json',
+                ...(paymentData.idempotencyKey && {
+                  'idempotency-key': paymentData.idempotencyKey,
+                }),
               },
             },
           );
@@ -590,7 +890,10 @@ class PaymentServiceFactory {
             axiosError.response?.data?.message ||
             axiosError.response?.data?.error?.message ||
             axiosError.message;
-          throw new Error(`Clover charge failed: ${cloverMessage}`);
+          throw Object.assign(
+            new Error(`Clover charge failed: ${cloverMessage}`),
+            { statusCode: axiosError.response?.status },
+          );
         }
 
         const result = response.data;
@@ -872,6 +1175,72 @@ class PaymentServiceFactory {
 
         return response.data;
       },
+
+      async saveCard({ sourceId, email, name }) {
+        let validToken;
+        try {
+          validToken = await cloverTokenManager.getValidAccessToken(
+            this.configurationId,
+          );
+        } catch (tokenError) {
+          throw new Error(
+            'Clover authentication failed. Please check configuration.',
+          );
+        }
+
+        return createCloverCustomer(this.ecomBase, validToken, {
+          sourceId,
+          email,
+          name,
+        });
+      },
+
+      async chargeCard(chargeData) {
+        return this.processPayment({
+          ...chargeData,
+          sourceId: chargeData.customerId,
+        });
+      },
+
+      async removeCard({ customerId }) {
+        let validToken;
+        try {
+          validToken = await cloverTokenManager.getValidAccessToken(
+            this.configurationId,
+          );
+        } catch (tokenError) {
+          throw new Error(
+            'Clover authentication failed. Please check configuration.',
+          );
+        }
+
+        return deleteCloverCustomer(
+          this.config.apiBaseUrl,
+          this.config.merchantId,
+          validToken,
+          customerId,
+        );
+      },
+
+      async listTransactions(range) {
+        let validToken;
+        try {
+          validToken = await cloverTokenManager.getValidAccessToken(
+            this.configurationId,
+          );
+        } catch (tokenError) {
+          throw new Error(
+            'Clover authentication failed. Please check configuration.',
+          );
+        }
+
+        return listCloverTransactions(
+          this.config.apiBaseUrl,
+          this.config.merchantId,
+          validToken,
+          range,
+        );
+      },
     };
   }
 
@@ -889,17 +1258,22 @@ class PaymentServiceFactory {
       settings: config.settings,
 
       async processPayment(paymentData) {
-        const paymentIntent = await stripe.paymentIntents.create({
-          amount: paymentData.amount,
-          currency: this.settings.currency || 'USD',
-          payment_method: paymentData.sourceId,
-          confirmation_method: 'automatic',
-          confirm: true,
-          description:
-            paymentData.note || this.settings.defaultPaymentDescription,
-          metadata: { referenceId: paymentData.referenceId },
-          receipt_email: paymentData.email,
-        });
+        const paymentIntent = await stripe.paymentIntents.create(
+          {
+            amount: paymentData.amount,
+            currency: this.settings.currency || 'USD',
+            payment_method: paymentData.sourceId,
+            confirmation_method: 'automatic',
+            confirm: true,
+            description:
+              paymentData.note || this.settings.defaultPaymentDescription,
+            metadata: { referenceId: paymentData.referenceId },
+            receipt_email: paymentData.email,
+          },
+          paymentData.idempotencyKey
+            ? { idempotencyKey: paymentData.idempotencyKey }
+            : undefined,
+        );
         return paymentIntent;
       },
 
@@ -915,6 +1289,104 @@ class PaymentServiceFactory {
       async getPaymentDetails(paymentId) {
         return await stripe.paymentIntents.retrieve(paymentId);
       },
+
+      async saveCard({ sourceId, email, name, referenceId, customerId }) {
+        const customer =
+          customerId ||
+          (
+            await stripe.customers.create({
+              email,
+              name,
+              metadata: { referenceId },
+            })
+          ).id;
+
+        const paymentMethod = await stripe.paymentMethods.attach(sourceId, {
+          customer,
+        });
+
+        return {
+          customerId: customer,
+          cardId: paymentMethod.id,
+          last4: paymentMethod.card?.last4,
+          brand: paymentMethod.card?.brand,
+          expMonth: paymentMethod.card?.exp_month,
+          expYear: paymentMethod.card?.exp_year,
+        };
+      },
+
+      async chargeCard(chargeData) {
+        const paymentIntent = await stripe.paymentIntents.create(
+          {
+            amount: chargeData.amount,
+            currency: this.settings.currency || 'USD',
+            customer: chargeData.customerId,
+            payment_method: chargeData.cardId,
+            off_session: true,
+            confirm: true,
+            description:
+              chargeData.note || this.settings.defaultPaymentDescription,
+            metadata: { referenceId: chargeData.referenceId },
+            receipt_email: chargeData.email,
+          },
+          chargeData.idempotencyKey
+            ? { idempotencyKey: chargeData.idempotencyKey }
+            : undefined,
+        );
+        return {
+          ...paymentIntent,
+          status:
+            paymentIntent.status === 'succeeded'
+              ? 'COMPLETED'
+              : paymentIntent.status.toUpperCase(),
+        };
+      },
+
+      async removeCard({ cardId }) {
+        await stripe.paymentMethods.detach(cardId);
+      },
+
+      async listTransactions({ begin, end }) {
+        const created = {
+          gte: Math.floor(begin.getTime() / 1000),
+          lt: Math.floor(end.getTime() / 1000),
+        };
+
+        const payments = [];
+        for await (const intent of stripe.paymentIntents.list({
+          created,
+          limit: 100,
+        })) {
+          payments.push({
+            id: intent.id,
+            amount: (intent.amount_received || intent.amount) / 100,
+            status: transactionStatus(intent.status, {
+              completed: ['SUCCEEDED'],
+              failed: ['CANCELED'],
+            }),
+            createdAt: new Date(intent.created * 1000),
+          });
+        }
+
+        const refunds = [];
+        for await (const refund of stripe.refunds.list({
+          created,
+          limit: 100,
+        })) {
+          refunds.push({
+            id: refund.id,
+            paymentId: refund.payment_intent,
+            amount: refund.amount / 100,
+            status: transactionStatus(refund.status, {
+              completed: ['SUCCEEDED'],
+              failed: ['FAILED', 'CANCELED'],
+            }),
+            createdAt: new Date(refund.created * 1000),
+          });
+        }
+
+        return { payments, refunds };
+      },
     };
   }
 
@@ -994,9 +1466,101 @@ class PaymentServiceFactory {
         const response = await client.execute(request);
         return response.result;
       },
+
+      async saveCard() {
+        throw new Error('Saved cards are not supported with PayPal');
+      },
+
+      async chargeCard() {
+        throw new Error('Saved cards are not supported with PayPal');
+      },
+
+      async removeCard() {
+        throw new Error('Saved cards are not supported with PayPal');
+      },
+
+      // Transaction search reports captures (T00xx) and refunds (T11xx) by
+      // capture ID; it only accepts ranges of up to 31 days
+      async listTransactions({ begin, end }) {
+        const maxRangeMs = 31 * 24 * 60 * 60 * 1000;
+        const transactions = [];
+
+        let from = begin;
+        while (from < end) {
+          const to = new Date(Math.min(from.getTime() + maxRangeMs, end));
+          for (let page = 1, totalPages = 1; page <= totalPages; page++) {
+            const params = new URLSearchParams({
+              start_date: from.toISOString(),
+              end_date: to.toISOString(),
+              fields: 'transaction_info',
+              page_size: 500,
+              page,
+            });
+            const response = await client.execute({
+              path: `/v1/reporting/transactions?${params}`,
+              verb: 'GET',
+              headers: { 'Content-Type': 'application/json' },
+            });
+            transactions.push(
+              ...(response.result.transaction_details || []).map(
+                (detail) => detail.transaction_info,
+              ),
+            );
+            totalPages = response.result.total_pages || 1;
+          }
+          from = to;
+        }
+
+        const toTransaction = (info) => ({
+          id: info.transaction_id,
+          amount: Math.abs(Number(info.transaction_amount?.value || 0)),
+          status: transactionStatus(info.transaction_status, {
+            completed: ['S'],
+            failed: ['D', 'V'],
+          }),
+          createdAt: new Date(info.transaction_initiation_date),
+        });
+
+        return {
+          payments: transactions
+            .filter((info) => info.transaction_event_code?.startsWith('T00'))
+            .map(toTransaction),
+          refunds: transactions
+            .filter((info) => info.transaction_event_code?.startsWith('T11'))
+            .map((info) => ({
+              ...toTransaction(info),
+              paymentId: info.paypal_reference_id,
+            })),
+        };
+      },
     };
   }
 
+  // ──────────────────────────────────────────────────────────────────────────
+  // CHARGE ERRORS
+  // ──────────────────────────────────────────────────────────────────────────
+
+  /**
+   * Whether a failed charge was answered and refused by the provider. Timeouts,
+   * outages, rate limits and idempotency key conflicts leave the outcome
+   * unknown: the charge may have gone through.
+   */
+  isDeclined(error) {
+    const squareCodes = (error.errors || []).map((e) => e.code);
+    if (
+      error.type === 'StripeIdempotencyError' ||
+      squareCodes.includes('IDEMPOTENCY_KEY_REUSED')
+    ) {
+      return false;
+    }
+    return (
+      error.type === 'StripeCardError' ||
+      (error.statusCode >= 400 &&
+        error.statusCode < 500 &&
+        ![408, 409, 429].includes(error.statusCode))
+    );
+  }
+
   // ──────────────────────────────────────────────────────────────────────────
   // CACHE HELPERS
   // ──────────────────────────────────────────────────────────────────────────
@@ -6,6 +6,7 @@ const Parent = require('../models/Parent');
 const Player = require('../models/Player');
 const Registration = require('../models/Registration');
 const { sendEmail } = require('../utils/email');
+const { findSavedCard, chargeSavedCard } = require('./savedCards');
 
 async function submitPayment(sourceId, amount, options = {}) {
   const session = await mongoose.startSession();
@@ -19,7 +20,8 @@ async function submitPayment(sourceId, amount, options = {}) {
     });
 
     // Validate
-    if (!sourceId) throw new Error('Source ID is required');
+    if (!sourceId && !options.savedCardId)
+      throw new Error('Source ID is required');
     if (!amount || isNaN(amount)) throw new Error('Valid amount is required');
     if (!options.parentId) throw new Error('Parent ID is required');
     if (!options.buyerEmailAddress)
@@ -29,6 +31,22 @@ async function submitPayment(sourceId, amount, options = {}) {
     const paymentService = await PaymentServiceFactory.getService();
     console.log(`Using payment system: ${paymentService.type}`);
 
+    // options.savedCardId pays with one of the parent's cards on file
+    let savedCard = null;
+    if (options.savedCardId) {
+      const parent = await Parent.findById(options.parentId);
+      if (!parent) throw new Error('Parent not found');
+      savedCard = findSavedCard(parent, options.savedCardId, paymentService);
+    }
+    const cardDetails = savedCard
+      ? {
+          last_4: savedCard.last4,
+          card_brand: savedCard.brand,
+          exp_month: savedCard.expMonth,
+          exp_year: savedCard.expYear,
+        }
+      : options.cardDetails;
+
     // Convert amount to cents
     const amountInCents = Math.round(amount * 100);
 
@@ -45,7 +63,13 @@ async function submitPayment(sourceId, amount, options = {}) {
     // Process payment
     let processedPayment;
 
-    if (paymentService.type === 'clover') {
+    if (savedCard) {
+      processedPayment = await chargeSavedCard(
+        paymentService,
+        savedCard,
+        paymentData,
+      );
+    } else if (paymentService.type === 'clover') {
       // Clover requires special handling (order creation)
       const clover = require('clover-sdk');
       const cloverClient = paymentService.client;
@@ -100,7 +124,12 @@ async function submitPayment(sourceId, amount, options = {}) {
 
     // Check payment status
     let paymentStatus;
-    if (paymentService.type === 'square') {
+    if (savedCard) {
+      // chargeCard reports every provider's status in Square's terms
+      paymentStatus = ['COMPLETED', 'PAID'].includes(processedPayment.status)
+        ? 'paid'
+        : 'failed';
+    } else if (paymentService.type === 'square') {
       paymentStatus =
         processedPayment.status === 'COMPLETED' ? 'paid' : 'failed';
     } else if (paymentService.type === 'clover') {
@@ -127,13 +156,11 @@ async function submitPayment(sourceId, amount, options = {}) {
       amount: amount / 100, // Convert cents to dollars
       status: paymentStatus,
       cardLastFour:
-        options.cardDetails?.last_4 || processedPayment.card?.last4 || '1111',
+        cardDetails?.last_4 || processedPayment.card?.last4 || '1111',
       cardBrand:
-        options.cardDetails?.card_brand ||
-        processedPayment.card?.type ||
-        'UNKNOWN',
-      cardExpMonth: options.cardDetails?.exp_month || '00',
-      cardExpYear: options.cardDetails?.exp_year || '00',
+        cardDetails?.card_brand || processedPayment.card?.type || 'UNKNOWN',
+      cardExpMonth: cardDetails?.exp_month || '00',
+      cardExpYear: cardDetails?.exp_year || '00',
       buyerEmail: options.buyerEmailAddress,
       players: (options.playerIds || []).map((id) => ({
         playerId: id,
@@ -170,6 +197,9 @@ async function submitPayment(sourceId, amount, options = {}) {
 
     // Update players if specified
     if (options.playerIds && options.playerIds.length > 0) {
+      // updateMany skips the Player hook that links seasons; saving the
+      // payment has already looked the season up
+      const seasonId = paymentRecord.players[0]?.seasonId;
       await Promise.all([
         Player.updateMany(
           { _id: { $in: options.playerIds } },
@@ -183,6 +213,7 @@ async function submitPayment(sourceId, amount, options = {}) {
                 season: options.season,
                 year: options.year,
                 tryoutId: options.tryoutId,
+                seasonId,
                 paymentStatus: 'paid',
                 paymentDate: new Date(),
                 paymentId: paymentRecord._id,
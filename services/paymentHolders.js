@@ -0,0 +1,87 @@
+// services/paymentHolders.js
+const Player = require('../models/Player');
+const Team = require('../models/Team');
+const { releasePaidSpots } = require('./capacity');
+const { leaveSessions } = require('./tryoutSessions');
+
+/**
+ * Apply a payment outcome to the player seasons and team tournament entries
+ * that were paid with it. Seasons on an installment plan are left to the
+ * plan, which tracks partial payment itself. Passing `playerIds` limits the
+ * update to those players' seasons and leaves teams alone. Refunded seasons
+ * give up their spot in a limited tryout or training program and their
+ * tryout session.
+ */
+const updatePaymentHolders = async (
+  paymentId,
+  status,
+  fromStatuses,
+  { playerIds } = {},
+) => {
+  const playerFilter = { 'seasons.paymentId': paymentId };
+  if (playerIds) playerFilter._id = { $in: playerIds };
+
+  const players = await Player.find(playerFilter);
+  const updatedPlayerIds = [];
+  for (const player of players) {
+    const changedTryoutIds = [];
+    player.seasons.forEach((season) => {
+      if (
+        season.paymentId === paymentId &&
+        !season.paymentPlan &&
+        fromStatuses.includes(season.paymentStatus)
+      ) {
+        season.paymentStatus = status;
+        season.paymentComplete = status === 'paid';
+        changedTryoutIds.push(season.tryoutId);
+      }
+    });
+    if (!changedTryoutIds.length) continue;
+
+    if (
+      status !== 'paid' &&
+      !player.seasons.some((s) => s.paymentStatus === 'paid')
+    ) {
+      player.paymentStatus = status;
+    }
+    player.markModified('seasons');
+    await player.save();
+    updatedPlayerIds.push(player._id);
+
+    if (status === 'refunded') {
+      await leaveSessions(player._id, changedTryoutIds.filter(Boolean));
+    }
+  }
+
+  if (status === 'refunded' && updatedPlayerIds.length) {
+    await releasePaidSpots(paymentId, { playerIds: updatedPlayerIds });
+  }
+
+  const teams = playerIds
+    ? []
+    : await Team.find({ 'tournaments.paymentId': paymentId });
+  for (const team of teams) {
+    let changed = false;
+    team.tournaments.forEach((entry) => {
+      if (
+        entry.paymentId === paymentId &&
+        fromStatuses.includes(entry.paymentStatus)
+      ) {
+        entry.paymentStatus = status;
+        entry.paymentComplete = status === 'paid';
+        changed = true;
+      }
+    });
+    if (!changed) continue;
+
+    const anyPaid = team.tournaments.some((t) => t.paymentStatus === 'paid');
+    team.paymentStatus = anyPaid ? 'paid' : status;
+    team.paymentComplete = anyPaid;
+    team.markModified('tournaments');
+    await team.save();
+  }
+
+  return { players: players.length, teams: teams.length };
+};
+
+module.exports = { updatePaymentHolders };
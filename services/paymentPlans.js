@@ -0,0 +1,528 @@
+// services/paymentPlans.js
+const PaymentPlan = require('../models/PaymentPlan');
+const Payment = require('../models/Payment');
+const Player = require('../models/Player');
+const Registration = require('../models/Registration');
+const RegistrationFormConfig = require('../models/RegistrationFormConfig');
+const PaymentServiceFactory = require('./payment-service-factory');
+const {
+  priceCheckout,
+  reserveDiscounts,
+  releaseDiscounts,
+  discountRecord,
+} = require('./pricing');
+const { sendEmail } = require('../utils/email');
+
+// A failed installment is retried on the next daily run until this many
+// attempts have failed, after which the plan is marked past-due
+const MAX_ATTEMPTS = 3;
+
+const OPEN_STATUSES = ['scheduled', 'failed'];
+
+const PAID_STATUSES = ['COMPLETED', 'PAID'];
+
+const toCents = (dollars) => Math.round(dollars * 100);
+
+const addInterval = (date, frequency, count) => {
+  const result = new Date(date);
+  if (frequency === 'weekly' || frequency === 'biweekly') {
+    const days = frequency === 'weekly' ? 7 : 14;
+    result.setDate(result.getDate() + days * count);
+    return result;
+  }
+
+  // Monthly: keep the day of month, clamped so Jan 31 is followed by Feb 28
+  const day = result.getDate();
+  result.setDate(1);
+  result.setMonth(result.getMonth() + count);
+  const lastDay = new Date(
+    result.getFullYear(),
+    result.getMonth() + 1,
+    0,
+  ).getDate();
+  result.setDate(Math.min(day, lastDay));
+  return result;
+};
+
+/**
+ * Split a total into equal installments, the first one absorbing any
+ * leftover cents, due one interval apart starting on `startDate`
+ */
+const buildInstallments = (totalCents, count, frequency, startDate) => {
+  const base = Math.floor(totalCents / count);
+  const remainder = totalCents - base * count;
+
+  return Array.from({ length: count }, (_, index) => ({
+    number: index + 1,
+    amount: (base + (index === 0 ? remainder : 0)) / 100,
+    dueDate: addInterval(startDate, frequency, index),
+    status: 'scheduled',
+  }));
+};
+
+/**
+ * Find the installment plan option an admin defined on a pricing package
+ */
+const findPlanOption = async (eventId, packageId, planId) => {
+  const formConfig = await RegistrationFormConfig.findOne({ eventId });
+  if (!formConfig) {
+    throw new Error('Registration form configuration not found');
+  }
+
+  const pricingPackage = formConfig.pricing?.packages?.find(
+    (pkg) => pkg.id === packageId,
+  );
+  if (!pricingPackage) {
+    throw new Error('Pricing package not found');
+  }
+
+  const option = pricingPackage.installmentPlans?.find(
+    (plan) => plan.id === planId,
+  );
+  if (!option) {
+    throw new Error('Installment plan is not offered for this package');
+  }
+
+  return { formConfig, pricingPackage, option };
+};
+
+const isSameSeason = (season, planPlayer) =>
+  season.season?.trim().toLowerCase() ===
+    planPlayer.season.trim().toLowerCase() &&
+  season.year === planPlayer.year &&
+  (season.tryoutId || null) === (planPlayer.tryoutId || null);
+
+/**
+ * Mirror a plan's progress onto each player's season and registration:
+ * partial while money is still owed, paid once the last installment clears
+ */
+const syncPlayerRecords = async (plan, payment) => {
+  const playerCount = plan.players.length;
+  const isPaid = plan.amountRemaining <= 0;
+  const status = isPaid ? 'paid' : 'partial';
+  const amountPaid = plan.amountPaid / playerCount;
+  const amountRemaining = plan.amountRemaining / playerCount;
+
+  for (const planPlayer of plan.players) {
+    const player = await Player.findById(planPlayer.playerId);
+    if (!player) continue;
+
+    const seasonData = {
+      season: planPlayer.season,
+      year: planPlayer.year,
+      tryoutId: planPlayer.tryoutId,
+      paymentStatus: status,
+      paymentComplete: isPaid,
+      paymentId: payment?.paymentId,
+      paymentMethod: 'installments',
+      amountPaid,
+      amountRemaining,
+      paymentPlan: plan._id,
+      ...(plan.card?.last4 && { cardLast4: plan.card.last4 }),
+      cardBrand: plan.card?.brand,
+      paymentDate: new Date(),
+    };
+
+    const index = player.seasons.findIndex((season) =>
+      isSameSeason(season, planPlayer),
+    );
+    if (index >= 0) {
+      player.seasons[index] = {
+        ...player.seasons[index].toObject(),
+        ...seasonData,
+      };
+    } else {
+      player.seasons.push({ ...seasonData, registrationDate: new Date() });
+    }
+
+    player.registrationComplete = true;
+    if (isPaid) player.lastPaymentDate = new Date();
+    player.markModified('seasons');
+    await player.save();
+
+    await Registration.findOneAndUpdate(
+      {
+        player: player._id,
+        season: planPlayer.season,
+        year: planPlayer.year,
+        tryoutId: planPlayer.tryoutId,
+        parent: plan.parent,
+      },
+      {
+        $set: {
+          paymentStatus: status,
+          paymentComplete: isPaid,
+          paymentPlan: plan._id,
+          'paymentDetails.amountPaid': amountPaid,
+          'paymentDetails.amountRemaining': amountRemaining,
+          'paymentDetails.paymentId': payment?.paymentId,
+          'paymentDetails.paymentMethod': 'installments',
+          'paymentDetails.cardLast4': plan.card?.last4,
+          'paymentDetails.cardBrand': plan.card?.brand,
+          'paymentDetails.paymentDate': new Date(),
+          registrationComplete: true,
+        },
+      },
+      { upsert: true, new: true },
+    );
+  }
+};
+
+// One key per installment, so a charge whose outcome was never seen can be
+// retried without going through twice. Providers replay a stored decline for
+// a reused key, so the key only moves on once a charge has been declined.
+const chargeKey = (plan, installment) =>
+  installment.attempts
+    ? `plan_${plan._id}_${installment.number}_retry${installment.attempts}`
+    : `plan_${plan._id}_${installment.number}`;
+
+const recordDecline = (installment, error) => {
+  installment.attempts += 1;
+  installment.status = 'failed';
+  error.declined = true;
+};
+
+/**
+ * Charge one installment against the plan's card on file. A successful
+ * charge is recorded on the installment and the plan saved before the
+ * Payment record is created, so nothing that fails afterwards can get it
+ * charged again. Declines mark the installment failed and are rethrown with
+ * `declined` set; any other error leaves it open to retry under the same key.
+ */
+const chargeInstallment = async (
+  plan,
+  installment,
+  paymentService,
+  { discount } = {},
+) => {
+  installment.lastAttemptAt = new Date();
+
+  let result;
+  try {
+    result = await paymentService.chargeCard({
+      customerId: plan.card.customerId,
+      cardId: plan.card.cardId,
+      amount: toCents(installment.amount),
+      email: plan.buyerEmail,
+      referenceId: `plan:${plan._id.toString().slice(-12)}:${installment.number}`,
+      note: `${plan.planName || 'Installment plan'} - payment ${
+        installment.number
+      } of ${plan.installments.length}`,
+      idempotencyKey: chargeKey(plan, installment),
+    });
+  } catch (error) {
+    installment.lastError = error.message;
+    if (PaymentServiceFactory.isDeclined(error)) {
+      recordDecline(installment, error);
+    }
+    throw error;
+  }
+
+  if (!PAID_STATUSES.includes(result?.status)) {
+    const error = new Error(`Payment failed with status: ${result?.status}`);
+    installment.lastError = error.message;
+    recordDecline(installment, error);
+    throw error;
+  }
+
+  installment.status = 'paid';
+  installment.paidAt = new Date();
+  installment.lastError = undefined;
+  installment.externalPaymentId = result.id;
+
+  plan.amountPaid = toCents(plan.amountPaid + installment.amount) / 100;
+  plan.amountRemaining = Math.max(
+    0,
+    toCents(plan.totalAmount - plan.amountPaid) / 100,
+  );
+  if (plan.installments.every((i) => i.status === 'paid')) {
+    plan.status = 'completed';
+  } else if (plan.status === 'pending') {
+    plan.status = 'active';
+  }
+  await plan.save();
+
+  const payment = await Payment.create({
+    parentId: plan.parent,
+    playerIds: plan.players.map((p) => p.playerId),
+    paymentId: result.id,
+    paymentSystem: paymentService.type,
+    configurationId: paymentService.configurationId,
+    ...(paymentService.type === 'square' && {
+      locationId: paymentService.config.locationId,
+    }),
+    ...(paymentService.type === 'clover' && {
+      merchantId: paymentService.config.merchantId,
+      orderId: result.orderId || result.id,
+    }),
+    buyerEmail: plan.buyerEmail,
+    cardLastFour: plan.card.last4,
+    cardBrand: plan.card.brand,
+    cardExpMonth: String(plan.card.expMonth || ''),
+    cardExpYear: String(plan.card.expYear || ''),
+    amount: installment.amount,
+    currency: plan.currency,
+    status: 'completed',
+    processedAt: new Date(),
+    receiptUrl: result.receiptUrl || result.receipt_url,
+    players: plan.players,
+    paymentType: plan.paymentType,
+    paymentPlan: plan._id,
+    installmentNumber: installment.number,
+    discount,
+    note: `Installment ${installment.number} of ${plan.installments.length}`,
+  });
+
+  installment.payment = payment._id;
+  await plan.save();
+
+  return payment;
+};
+
+/**
+ * Enrol a family in an installment plan: save their card with the provider
+ * (or use `cardOnFile`, one of the parent's saved cards), charge the first
+ * installment now and schedule the rest. The plan is saved as pending before
+ * the first charge: a decline removes it again, while a charge that could
+ * not be confirmed leaves it for the daily run to retry under the same key.
+ */
+const startPaymentPlan = async ({
+  parent,
+  paymentService,
+  cardOnFile,
+  sourceId,
+  email,
+  players,
+  paymentType,
+  cardDetails = {},
+  promoCode,
+  eventId,
+  packageId,
+  planId,
+}) => {
+  const { pricingPackage, option } = await findPlanOption(
+    eventId,
+    packageId,
+    planId,
+  );
+
+  // Discounts come off the plan total before it is split into installments
+  const pricing = await priceCheckout({
+    paymentType,
+    subtotal: (toCents(pricingPackage.price) * players.length) / 100,
+    parent,
+    players,
+    promoCode,
+  });
+  const totalCents = toCents(pricing.total);
+  const discount = discountRecord(pricing);
+
+  const savedCard =
+    cardOnFile ||
+    (await paymentService.saveCard({
+      sourceId,
+      email,
+      name: parent.fullName,
+      referenceId: `parent:${parent._id}`,
+    }));
+  // Not every provider echoes the card back; fall back to what checkout sent
+  const card = {
+    customerId: savedCard.customerId,
+    cardId: savedCard.cardId,
+    last4: savedCard.last4 || cardDetails.last_4,
+    brand: savedCard.brand || cardDetails.card_brand,
+    expMonth: savedCard.expMonth || cardDetails.exp_month,
+    expYear: savedCard.expYear || cardDetails.exp_year,
+  };
+
+  const plan = new PaymentPlan({
+    parent: parent._id,
+    paymentType,
+    eventId,
+    packageId,
+    planId,
+    planName: option.name,
+    frequency: option.frequency,
+    players: players.map((p) => ({
+      playerId: p.playerId,
+      season: p.season.trim(),
+      year: p.year,
+      tryoutId:
+        p.tryoutId?.trim() || (paymentType === 'training' ? 'training' : null),
+    })),
+    totalAmount: totalCents / 100,
+    amountRemaining: totalCents / 100,
+    currency: paymentService.settings?.currency || 'USD',
+    discount,
+    paymentSystem: paymentService.type,
+    configurationId: paymentService.configurationId,
+    card,
+    buyerEmail: email,
+    status: 'pending',
+    installments: buildInstallments(
+      totalCents,
+      option.installments,
+      option.frequency,
+      new Date(),
+    ),
+  });
+
+  await reserveDiscounts(pricing);
+  try {
+    await plan.save();
+  } catch (error) {
+    await releaseDiscounts(pricing);
+    throw error;
+  }
+
+  const firstInstallment = plan.installments[0];
+  let payment;
+  try {
+    payment = await chargeInstallment(plan, firstInstallment, paymentService, {
+      discount,
+    });
+  } catch (error) {
+    if (error.declined) {
+      await PaymentPlan.deleteOne({ _id: plan._id });
+      await releaseDiscounts(pricing);
+      throw error;
+    }
+    // The plan is kept either way, so the caller must not give up the
+    // family's spots: the charge went through, or the next run retries it
+    if (firstInstallment.status !== 'paid') {
+      await plan.save();
+      throw Object.assign(
+        new Error(
+          'The first payment could not be confirmed. It will be retried automatically, so please do not pay again.',
+        ),
+        { statusCode: 502, plan },
+      );
+    }
+    throw Object.assign(error, { plan });
+  }
+  await syncPlayerRecords(plan, payment);
+
+  return { plan, payment };
+};
+
+const sendInstallmentFailedEmail = async (plan, installment) => {
+  try {
+    await sendEmail({
+      to: plan.buyerEmail,
+      parentId: plan.parent,
+      subject: 'Installment Payment Failed - Bothell Select Basketball',
+      html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: auto; padding: 20px;">
+          <p style="font-size: 16px;">We could not charge installment ${installment.number} of ${plan.installments.length} ($${installment.amount.toFixed(2)}) for ${plan.planName || 'your payment plan'} to the ${plan.card?.brand || ''} card ending in ${plan.card?.last4 || '----'}.</p>
+          <p style="font-size: 16px;">${
+            installment.attempts >= MAX_ATTEMPTS
+              ? 'We will not retry this payment automatically. Please contact us to settle the remaining balance.'
+              : 'We will try again tomorrow.'
+          }</p>
+          <p style="font-size: 14px; color: #555;">Remaining balance: $${plan.amountRemaining.toFixed(2)}. If you have any questions, please contact us at bothellselect@proton.me</p>
+        </div>
+      `,
+    });
+  } catch (emailError) {
+    console.error('Failed to send installment failure email:', emailError);
+  }
+};
+
+/**
+ * Charge every installment that has come due. Run daily from
+ * services/scheduledJobs.js. Each plan charges at most one installment per
+ * run, oldest first, including pending plans whose first charge could not be
+ * confirmed. Past-due plans are left for an admin to settle.
+ */
+const chargeDueInstallments = async (now = new Date()) => {
+  const plans = await PaymentPlan.find({
+    status: { $in: ['pending', 'active'] },
+    installments: {
+      $elemMatch: {
+        dueDate: { $lte: now },
+        status: { $in: OPEN_STATUSES },
+        attempts: { $lt: MAX_ATTEMPTS },
+      },
+    },
+  });
+
+  const summary = {
+    plans: plans.length,
+    charged: 0,
+    failed: 0,
+    unconfirmed: 0,
+  };
+
+  for (const plan of plans) {
+    const installment = plan.installments.find(
+      (i) =>
+        OPEN_STATUSES.includes(i.status) &&
+        i.dueDate <= now &&
+        i.attempts < MAX_ATTEMPTS,
+    );
+    if (!installment) continue;
+
+    try {
+      const paymentService = await PaymentServiceFactory.getService(
+        plan.paymentSystem,
+      );
+      const payment = await chargeInstallment(
+        plan,
+        installment,
+        paymentService,
+      );
+      await syncPlayerRecords(plan, payment);
+      summary.charged++;
+    } catch (error) {
+      console.error(
+        `Installment ${installment.number} of plan ${plan._id} failed:`,
+        error.message,
+      );
+      // Charged and saved on the plan; only the local records are missing
+      if (installment.status === 'paid') {
+        summary.charged++;
+        continue;
+      }
+      // The charge may have gone through, so the family is not told it
+      // failed; the next run retries it under the same key
+      if (!error.declined) {
+        await plan.save();
+        summary.unconfirmed++;
+        continue;
+      }
+      if (installment.attempts >= MAX_ATTEMPTS) {
+        plan.status = 'past-due';
+      }
+      await plan.save();
+      await sendInstallmentFailedEmail(plan, installment);
+      summary.failed++;
+    }
+  }
+
+  return summary;
+};
+
+/**
+ * Stop charging a plan. Paid installments stay paid; seasons keep their
+ * partial status until the balance is settled some other way.
+ */
+const cancelPaymentPlan = async (plan, cancelledBy) => {
+  plan.installments.forEach((installment) => {
+    if (OPEN_STATUSES.includes(installment.status)) {
+      installment.status = 'cancelled';
+    }
+  });
+  plan.status = 'cancelled';
+  plan.cancelledAt = new Date();
+  plan.cancelledBy = cancelledBy;
+  await plan.save();
+  return plan;
+};
+
+module.exports = {
+  MAX_ATTEMPTS,
+  buildInstallments,
+  startPaymentPlan,
+  chargeDueInstallments,
+  cancelPaymentPlan,
+};
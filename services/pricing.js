@@ -0,0 +1,465 @@
+// services/pricing.js
+const mongoose = require('mongoose');
+const PricingRule = require('../models/PricingRule');
+const ScholarshipApplication = require('../models/ScholarshipApplication');
+const Player = require('../models/Player');
+
+// Rejections carry the HTTP status the route should answer with
+const pricingError = (message, statusCode = 400) =>
+  Object.assign(new Error(message), { statusCode });
+
+const toCents = (dollars) => Math.round(dollars * 100);
+
+const sameText = (a, b) =>
+  String(a || '')
+    .trim()
+    .toLowerCase() ===
+  String(b || '')
+    .trim()
+    .toLowerCase();
+
+const isWithinWindow = (rule, now) =>
+  (!rule.startsAt || rule.startsAt <= now) &&
+  (!rule.expiresAt || rule.expiresAt > now);
+
+const hasUsesLeft = (rule) => !rule.maxUses || rule.usedCount < rule.maxUses;
+
+const parentUseCount = (rule, parentId) =>
+  rule.parentUses?.find((use) => use.parent.equals(parentId))?.count || 0;
+
+/**
+ * Whether a rule's season/tryout/tournament restrictions cover the checkout.
+ * Player checkouts must match for every player.
+ */
+const appliesTo = (rule, checkout) => {
+  const scope = rule.appliesTo || {};
+
+  if (
+    scope.paymentTypes?.length &&
+    !scope.paymentTypes.includes(checkout.paymentType)
+  ) {
+    return false;
+  }
+  if (scope.tournament && !sameText(scope.tournament, checkout.tournament)) {
+    return false;
+  }
+  if (
+    scope.year &&
+    checkout.year !== undefined &&
+    Number(checkout.year) !== scope.year
+  ) {
+    return false;
+  }
+
+  return checkout.players.every(
+    (player) =>
+      (!scope.season || sameText(scope.season, player.season)) &&
+      (!scope.year || Number(player.year) === scope.year) &&
+      (!scope.tryoutId || sameText(scope.tryoutId, player.tryoutId)),
+  );
+};
+
+const discountFor = (rule, amount) =>
+  rule.discountType === 'percent'
+    ? (amount * Math.min(rule.value, 100)) / 100
+    : Math.min(rule.value, amount);
+
+// Pick the automatic rule of a type that saves the family the most
+const bestRule = (rules, amountFor) =>
+  rules.reduce(
+    (best, rule) => {
+      const amount = amountFor(rule);
+      return amount > best.amount ? { rule, amount } : best;
+    },
+    { rule: null, amount: 0 },
+  );
+
+/**
+ * Siblings the parent already paid for in the same season count towards
+ * the sibling discount, so registering players one at a time still gets it
+ */
+const countPaidSiblings = async (parent, players) => {
+  if (!parent?.players?.length || !players.length) return 0;
+
+  const inCheckout = players.map((p) => p.playerId.toString());
+  const { season, year } = players[0];
+  const siblings = await Player.find({
+    _id: {
+      $in: parent.players.filter((id) => !inCheckout.includes(id.toString())),
+    },
+  }).select('seasons');
+
+  return siblings.filter((sibling) =>
+    sibling.seasons?.some(
+      (s) =>
+        sameText(s.season, season) &&
+        s.year === Number(year) &&
+        ['paid', 'partial'].includes(s.paymentStatus),
+    ),
+  ).length;
+};
+
+const findPromoRule = async (promoCode, checkout, parent, now) => {
+  const rule = await PricingRule.findOne({
+    type: 'promo_code',
+    code: promoCode.trim().toUpperCase(),
+    isActive: true,
+  });
+
+  if (!rule || !isWithinWindow(rule, now) || !appliesTo(rule, checkout)) {
+    throw pricingError('Promo code is not valid for this registration');
+  }
+  if (!hasUsesLeft(rule)) {
+    throw pricingError('Promo code has reached its usage limit', 409);
+  }
+
+  if (
+    rule.maxUsesPerParent &&
+    parent &&
+    parentUseCount(rule, parent._id) >= rule.maxUsesPerParent
+  ) {
+    throw pricingError('You have already used this promo code', 409);
+  }
+
+  return rule;
+};
+
+/**
+ * Scholarship waivers awarded to the family for the checkout's season. Each
+ * award covers the share of the checkout for its own players.
+ */
+const scholarshipDiscounts = async (parent, players, remaining) => {
+  if (!parent || !players.length) return [];
+
+  const awards = await ScholarshipApplication.find({
+    parent: parent._id,
+    status: 'awarded',
+  });
+
+  const perPlayer = remaining / players.length;
+  const covered = new Set();
+  const discounts = [];
+
+  for (const award of awards) {
+    const awardPlayers = players.filter(
+      (player) =>
+        !covered.has(player.playerId.toString()) &&
+        award.players.some(
+          (id) => id.toString() === player.playerId.toString(),
+        ) &&
+        sameText(award.season, player.season) &&
+        award.year === Number(player.year),
+    );
+    if (!awardPlayers.length) continue;
+
+    const share = perPlayer * awardPlayers.length;
+    let cents = share;
+    if (award.award.coverage === 'partial' && award.award.percent) {
+      cents = (share * award.award.percent) / 100;
+    } else if (award.award.coverage === 'partial') {
+      const balance =
+        toCents(award.award.amount || 0) - toCents(award.award.amountUsed || 0);
+      cents = Math.min(share, Math.max(balance, 0));
+    }
+
+    awardPlayers.forEach((player) => covered.add(player.playerId.toString()));
+    discounts.push({
+      scholarship: award._id,
+      type: 'scholarship',
+      name: `${award.award.coverage === 'full' ? 'Full' : 'Partial'} scholarship`,
+      players: awardPlayers.map((player) => player.playerId),
+      cents,
+    });
+  }
+
+  return discounts;
+};
+
+/**
+ * Work out what a checkout costs once discounts are applied. `subtotal` is
+ * the list price in dollars. Early-bird pricing comes off first, then the
+ * sibling discount on each additional player, then the promo code, and
+ * finally any scholarship waiver on what is left.
+ *
+ * Only the scholarship checkout passes `allowWaived`; card checkouts are
+ * rejected when nothing would be left to charge.
+ *
+ * Returns { paymentType, subtotal, discounts, discountTotal, total } in
+ * dollars.
+ */
+const priceCheckout = async ({
+  paymentType,
+  subtotal,
+  parent,
+  players = [],
+  tournament,
+  year,
+  promoCode,
+  allowWaived = false,
+  now = new Date(),
+}) => {
+  const checkout = { paymentType, players, tournament, year };
+  const rules = (
+    await PricingRule.find({
+      type: { $in: ['sibling', 'early_bird'] },
+      isActive: true,
+    })
+  ).filter(
+    (rule) =>
+      isWithinWindow(rule, now) &&
+      hasUsesLeft(rule) &&
+      appliesTo(rule, checkout),
+  );
+
+  const discounts = [];
+  let remaining = toCents(subtotal);
+  const apply = (line, cents) => {
+    const applied = Math.min(Math.round(cents), remaining);
+    if (applied <= 0) return;
+    remaining -= applied;
+    discounts.push({ ...line, amount: applied / 100 });
+  };
+  const applyRule = (rule, amount) =>
+    apply(
+      {
+        rule: rule._id,
+        type: rule.type,
+        name: rule.name,
+        code: rule.code,
+        ...(rule.maxUsesPerParent &&
+          parent && { maxUsesPerParent: rule.maxUsesPerParent }),
+      },
+      toCents(amount),
+    );
+
+  const earlyBird = bestRule(
+    rules.filter((rule) => rule.type === 'early_bird'),
+    (rule) => discountFor(rule, remaining / 100),
+  );
+  if (earlyBird.rule) applyRule(earlyBird.rule, earlyBird.amount);
+
+  if (players.length) {
+    const paidSiblings = await countPaidSiblings(parent, players);
+    const familySize = players.length + paidSiblings;
+    // The first player in the family pays full price
+    const discountedPlayers = paidSiblings
+      ? players.length
+      : players.length - 1;
+    const perPlayer = remaining / 100 / players.length;
+
+    const sibling = bestRule(
+      rules.filter(
+        (rule) => rule.type === 'sibling' && familySize >= rule.minPlayers,
+      ),
+      (rule) => discountFor(rule, perPlayer) * discountedPlayers,
+    );
+    if (sibling.rule) applyRule(sibling.rule, sibling.amount);
+  }
+
+  if (promoCode?.trim()) {
+    const rule = await findPromoRule(promoCode, checkout, parent, now);
+    applyRule(rule, discountFor(rule, remaining / 100));
+  }
+
+  if (paymentType !== 'tournament') {
+    const waivers = await scholarshipDiscounts(parent, players, remaining);
+    waivers.forEach(({ cents, ...line }) => apply(line, cents));
+  }
+
+  const waived = discounts.some((discount) => discount.type === 'scholarship');
+  if (remaining <= 0 && !(waived && allowWaived)) {
+    throw waived
+      ? pricingError(
+          'Your scholarship covers the full amount; no card payment is needed',
+          409,
+        )
+      : pricingError(
+          'Discounts cover the full amount; please contact us to complete this registration',
+        );
+  }
+
+  return {
+    paymentType,
+    parent: parent?._id,
+    subtotal: toCents(subtotal) / 100,
+    discounts,
+    discountTotal: (toCents(subtotal) - remaining) / 100,
+    total: remaining / 100,
+  };
+};
+
+const reserveScholarship = (discount, pricing) =>
+  ScholarshipApplication.updateOne(
+    {
+      _id: discount.scholarship,
+      status: 'awarded',
+      // Dollar awards can't be spent twice by concurrent checkouts
+      $or: [
+        { 'award.amount': null },
+        {
+          $expr: {
+            $lte: [
+              { $add: ['$award.amountUsed', discount.amount] },
+              { $add: ['$award.amount', 0.001] },
+            ],
+          },
+        },
+      ],
+    },
+    {
+      $inc: { 'award.amountUsed': discount.amount },
+      $push: {
+        'award.redemptions': {
+          _id: discount.redemptionId,
+          amount: discount.amount,
+          paymentType: pricing.paymentType,
+          players: discount.players,
+          fullWaiver: pricing.total === 0,
+        },
+      },
+    },
+  );
+
+const usesLeft = {
+  $or: [{ maxUses: null }, { $expr: { $lt: ['$usedCount', '$maxUses'] } }],
+};
+
+/**
+ * Take a use of a rule. A rule limited per family also takes one of the
+ * family's uses in the same update; a family's first use adds its counter,
+ * and if another of its checkouts added it first the bump is tried again.
+ */
+const reserveRule = async (discount, parentId) => {
+  if (!discount.maxUsesPerParent) {
+    return PricingRule.updateOne(
+      { _id: discount.rule, ...usesLeft },
+      { $inc: { usedCount: 1 } },
+    );
+  }
+
+  const bumpFamily = () =>
+    PricingRule.updateOne(
+      {
+        _id: discount.rule,
+        ...usesLeft,
+        parentUses: {
+          $elemMatch: {
+            parent: parentId,
+            count: { $lt: discount.maxUsesPerParent },
+          },
+        },
+      },
+      { $inc: { usedCount: 1, 'parentUses.$.count': 1 } },
+    );
+  const addFamily = () =>
+    PricingRule.updateOne(
+      {
+        _id: discount.rule,
+        ...usesLeft,
+        'parentUses.parent': { $ne: parentId },
+      },
+      {
+        $inc: { usedCount: 1 },
+        $push: { parentUses: { parent: parentId, count: 1 } },
+      },
+    );
+
+  let result = await bumpFamily();
+  if (!result.modifiedCount) result = await addFamily();
+  if (!result.modifiedCount) result = await bumpFamily();
+  return result;
+};
+
+// Tell a family that used up its own uses apart from a code that ran out
+const ruleLimitError = async (discount) => {
+  const rule = await PricingRule.findById(discount.rule);
+  return discount.maxUsesPerParent && rule && hasUsesLeft(rule)
+    ? pricingError('You have already used this promo code', 409)
+    : pricingError(`${discount.name} has reached its usage limit`, 409);
+};
+
+/**
+ * Count a use against every rule and scholarship in the quote before
+ * charging, so two checkouts can't both take the last use of a promo code
+ */
+const reserveDiscounts = async (pricing) => {
+  const reserved = [];
+
+  for (const discount of pricing.discounts) {
+    let result;
+    if (discount.scholarship) {
+      discount.redemptionId = new mongoose.Types.ObjectId();
+      result = await reserveScholarship(discount, pricing);
+    } else {
+      result = await reserveRule(discount, pricing.parent);
+    }
+
+    if (result.modifiedCount === 0) {
+      await releaseDiscounts({
+        parent: pricing.parent,
+        discounts: reserved,
+        reserved: true,
+      });
+      throw discount.scholarship
+        ? pricingError('Your scholarship award has already been used', 409)
+        : await ruleLimitError(discount);
+    }
+    reserved.push(discount);
+  }
+  pricing.reserved = true;
+};
+
+// Hand uses back when the charge they were reserved for didn't go through
+const releaseDiscounts = async (pricing) => {
+  if (!pricing?.reserved || !pricing.discounts.length) return;
+  pricing.reserved = false;
+
+  for (const discount of pricing.discounts) {
+    const release = discount.scholarship
+      ? ScholarshipApplication.updateOne(
+          { _id: discount.scholarship },
+          {
+            $inc: { 'award.amountUsed': -discount.amount },
+            $pull: { 'award.redemptions': { _id: discount.redemptionId } },
+          },
+        )
+      : discount.maxUsesPerParent
+        ? PricingRule.updateOne(
+            {
+              _id: discount.rule,
+              usedCount: { $gt: 0 },
+              parentUses: {
+                $elemMatch: { parent: pricing.parent, count: { $gt: 0 } },
+              },
+            },
+            { $inc: { usedCount: -1, 'parentUses.$.count': -1 } },
+          )
+        : PricingRule.updateOne(
+            { _id: discount.rule, usedCount: { $gt: 0 } },
+            { $inc: { usedCount: -1 } },
+          );
+
+    await release.catch((error) =>
+      console.error('Failed to release discount:', error.message),
+    );
+  }
+};
+
+// What gets stored on Payment.discount; nothing when no rule applied
+const discountRecord = (pricing) => {
+  if (!pricing?.discounts?.length) return undefined;
+
+  return {
+    subtotal: pricing.subtotal,
+    amount: pricing.discountTotal,
+    code: pricing.discounts.find((discount) => discount.code)?.code,
+    applied: pricing.discounts,
+  };
+};
+
+module.exports = {
+  priceCheckout,
+  reserveDiscounts,
+  releaseDiscounts,
+  discountRecord,
+};
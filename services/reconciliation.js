@@ -0,0 +1,446 @@
+// services/reconciliation.js
+const Payment = require('../models/Payment');
+const PaymentConfiguration = require('../models/PaymentConfiguration');
+const TicketPurchase = require('../models/TicketPurchase');
+const FormSubmission = require('../models/FormSubmission');
+const ReconciliationReport = require('../models/ReconciliationReport');
+const PaymentServiceFactory = require('./payment-service-factory');
+
+// Provider and local timestamps differ slightly, so transactions are pulled
+// for a wider window than the report and only reported inside the range
+const RANGE_PADDING_MS = 24 * 60 * 60 * 1000;
+
+const AMOUNT_TOLERANCE = 0.01;
+
+const SUMMARY_KEYS = {
+  missing_local: 'missingLocal',
+  missing_remote: 'missingRemote',
+  amount_mismatch: 'amountMismatch',
+  status_drift: 'statusDrift',
+  missing_local_refund: 'missingLocalRefund',
+  refund_amount_mismatch: 'refundAmountMismatch',
+};
+
+const amountsDiffer = (a, b) =>
+  Math.abs((a || 0) - (b || 0)) > AMOUNT_TOLERANCE;
+
+const inRange = (date, { startDate, endDate }) =>
+  date >= startDate && date < endDate;
+
+const uniqueIds = (...ids) => [...new Set(ids.filter(Boolean))];
+
+// ============================================
+// LOCAL RECORDS
+// ============================================
+
+// Ticket and form payments are only ever taken through Square
+const loadLocalRecords = async (paymentSystem, remoteIds, window) => {
+  const createdAt = { $gte: window.begin, $lt: window.end };
+
+  const payments = await Payment.find({
+    $or: [
+      { paymentId: { $in: remoteIds } },
+      { orderId: { $in: remoteIds } },
+      { paymentSystem, createdAt },
+    ],
+  }).lean();
+
+  const records = payments
+    .filter((payment) => payment.paymentSystem === paymentSystem)
+    .map((payment) => ({
+      source: 'Payment',
+      localId: payment._id,
+      ids: uniqueIds(payment.paymentId, payment.orderId),
+      amount: payment.amount,
+      status: payment.status,
+      refundStatus: payment.refundStatus,
+      refunds: payment.refunds || [],
+      createdAt: payment.createdAt,
+    }));
+
+  if (paymentSystem !== 'square') return records;
+
+  const [tickets, submissions] = await Promise.all([
+    TicketPurchase.find({
+      $or: [
+        { paymentId: { $in: remoteIds } },
+        { squarePaymentId: { $in: remoteIds } },
+        { createdAt },
+      ],
+    }).lean(),
+    FormSubmission.find({
+      $or: [
+        { 'payment.id': { $in: remoteIds } },
+        { 'payment.transactionId': { $in: remoteIds } },
+        { 'payment.processedAt': createdAt },
+      ],
+    })
+      .select('payment createdAt')
+      .lean(),
+  ]);
+
+  tickets.forEach((ticket) =>
+    records.push({
+      source: 'TicketPurchase',
+      localId: ticket._id,
+      ids: uniqueIds(ticket.paymentId, ticket.squarePaymentId),
+      amount: ticket.amount,
+      status: ticket.status,
+      createdAt: ticket.createdAt,
+    }),
+  );
+
+  submissions
+    .filter((submission) => submission.payment?.id)
+    .filter((submission) =>
+      [undefined, 'square'].includes(submission.payment.gateway),
+    )
+    .forEach((submission) =>
+      records.push({
+        source: 'FormSubmission',
+        localId: submission._id,
+        ids: uniqueIds(submission.payment.id, submission.payment.transactionId),
+        amount: submission.payment.amount,
+        status: submission.payment.status,
+        createdAt: submission.payment.processedAt || submission.createdAt,
+      }),
+    );
+
+  return records;
+};
+
+// PayPal reports captures, but Payment.paymentId holds the order ID
+const addPaypalCaptureIds = async (service, records, remoteIds) => {
+  for (const record of records) {
+    if (record.ids.some((id) => remoteIds.includes(id))) continue;
+    try {
+      const order = await service.getPaymentDetails(record.ids[0]);
+      (order.purchase_units || []).forEach((unit) =>
+        (unit.payments?.captures || []).forEach((capture) =>
+          record.ids.push(capture.id),
+        ),
+      );
+    } catch (error) {
+      console.warn(`⚠️ Could not load PayPal order ${record.ids[0]}:`, error);
+    }
+  }
+};
+
+// ============================================
+// MATCHING
+// ============================================
+
+const isSameRefund = (refund, refundId) =>
+  [refund.refundId, refund.externalRefundId, refund.squareRefundId].some(
+    (id) => id && (id === refundId || id === `sq_${refundId}`),
+  );
+
+const statusDrifted = (remoteStatus, localStatus) =>
+  (remoteStatus === 'completed' &&
+    ['pending', 'failed'].includes(localStatus)) ||
+  (remoteStatus === 'failed' &&
+    ['completed', 'refunded'].includes(localStatus));
+
+/**
+ * Compare one provider's transactions with the local records that refer to
+ * them. Returns the discrepancies found and how many records matched.
+ */
+const reconcileProvider = (paymentSystem, remote, records, range) => {
+  const discrepancies = [];
+  const add = (type, fields) =>
+    discrepancies.push({ type, paymentSystem, ...fields });
+
+  const byExternalId = new Map();
+  records.forEach((record) =>
+    record.ids.forEach((id) =>
+      byExternalId.set(id, [...(byExternalId.get(id) || []), record]),
+    ),
+  );
+
+  // Remote payments in the padding still count as a match for local records
+  const matched = new Set();
+  remote.payments.forEach((payment) => {
+    const locals = byExternalId.get(payment.id) || [];
+    locals.forEach((record) => matched.add(record));
+  });
+
+  remote.payments
+    .filter((payment) => inRange(payment.createdAt, range))
+    .forEach((payment) => {
+      const locals = byExternalId.get(payment.id) || [];
+
+      if (locals.length === 0) {
+        if (payment.status === 'completed') {
+          add('missing_local', {
+            externalPaymentId: payment.id,
+            remoteAmount: payment.amount,
+            remoteStatus: payment.status,
+            occurredAt: payment.createdAt,
+            message: 'Settled with the provider but no local record exists',
+          });
+        }
+        return;
+      }
+
+      locals.forEach((record) => {
+        const fields = {
+          externalPaymentId: payment.id,
+          source: record.source,
+          localId: record.localId,
+          remoteAmount: payment.amount,
+          localAmount: record.amount,
+          remoteStatus: payment.status,
+          localStatus: record.status,
+          occurredAt: payment.createdAt,
+        };
+
+        if (
+          payment.status === 'completed' &&
+          amountsDiffer(payment.amount, record.amount)
+        ) {
+          add('amount_mismatch', {
+            ...fields,
+            message: 'Provider and local amounts differ',
+          });
+        }
+        if (statusDrifted(payment.status, record.status)) {
+          add('status_drift', {
+            ...fields,
+            message: `Provider reports ${payment.status}, local record is ${record.status}`,
+          });
+        }
+      });
+    });
+
+  records
+    .filter((record) => !matched.has(record))
+    .filter((record) => inRange(new Date(record.createdAt), range))
+    .filter((record) => ['completed', 'refunded'].includes(record.status))
+    .forEach((record) =>
+      add('missing_remote', {
+        externalPaymentId: record.ids[0],
+        source: record.source,
+        localId: record.localId,
+        localAmount: record.amount,
+        localStatus: record.status,
+        occurredAt: record.createdAt,
+        message: 'Recorded locally but not found with the provider',
+      }),
+    );
+
+  remote.refunds
+    .filter((refund) => refund.status === 'completed')
+    .filter((refund) => inRange(refund.createdAt, range))
+    .forEach((refund) => {
+      const locals = byExternalId.get(refund.paymentId) || [];
+      const fields = {
+        externalPaymentId: refund.paymentId,
+        externalRefundId: refund.id,
+        remoteAmount: refund.amount,
+        remoteStatus: refund.status,
+        occurredAt: refund.createdAt,
+      };
+
+      if (locals.length === 0) {
+        add('missing_local_refund', {
+          ...fields,
+          message:
+            'Refunded with the provider; the payment has no local record',
+        });
+        return;
+      }
+
+      locals.forEach((record) => {
+        const recordFields = {
+          ...fields,
+          source: record.source,
+          localId: record.localId,
+          localStatus: record.status,
+        };
+
+        // Ticket and form records only track a refunded status, checked
+        // against the refunded total below
+        if (record.source !== 'Payment') return;
+
+        const localRefund = record.refunds.find((r) =>
+          isSameRefund(r, refund.id),
+        );
+        if (!localRefund) {
+          add('missing_local_refund', {
+            ...recordFields,
+            message: 'Refund not recorded on the local payment',
+          });
+        } else if (amountsDiffer(localRefund.amount, refund.amount)) {
+          add('refund_amount_mismatch', {
+            ...recordFields,
+            localAmount: localRefund.amount,
+            localStatus: localRefund.status,
+            message: 'Provider and local refund amounts differ',
+          });
+        }
+      });
+    });
+
+  const refundedTotals = new Map();
+  remote.refunds
+    .filter((refund) => refund.status === 'completed')
+    .forEach((refund) =>
+      refundedTotals.set(
+        refund.paymentId,
+        (refundedTotals.get(refund.paymentId) || 0) + refund.amount,
+      ),
+    );
+
+  records
+    .filter((record) => record.source !== 'Payment')
+    .filter((record) => record.status !== 'refunded')
+    .forEach((record) => {
+      const refunded = Math.max(
+        ...record.ids.map((id) => refundedTotals.get(id) || 0),
+      );
+      if (refunded < record.amount - AMOUNT_TOLERANCE) return;
+
+      add('status_drift', {
+        externalPaymentId: record.ids[0],
+        source: record.source,
+        localId: record.localId,
+        remoteAmount: refunded,
+        localAmount: record.amount,
+        remoteStatus: 'refunded',
+        localStatus: record.status,
+        occurredAt: record.createdAt,
+        message: `Fully refunded with the provider, local record is ${record.status}`,
+      });
+    });
+
+  return { discrepancies, matched: matched.size };
+};
+
+// ============================================
+// REPORT
+// ============================================
+
+/**
+ * Pull settled payments and refunds from every active provider for
+ * [startDate, endDate) and record the discrepancies with local Payment,
+ * TicketPurchase and FormSubmission records
+ */
+const runReconciliation = async ({
+  startDate,
+  endDate,
+  triggeredBy = 'admin',
+  createdBy,
+}) => {
+  const range = { startDate: new Date(startDate), endDate: new Date(endDate) };
+  const window = {
+    begin: new Date(range.startDate.getTime() - RANGE_PADDING_MS),
+    end: new Date(range.endDate.getTime() + RANGE_PADDING_MS),
+  };
+
+  const report = await ReconciliationReport.create({
+    ...range,
+    triggeredBy,
+    createdBy,
+  });
+
+  try {
+    const configurations = await PaymentConfiguration.find({ isActive: true });
+    const paymentSystems = [
+      ...new Set(configurations.map((config) => config.paymentSystem)),
+    ];
+
+    for (const paymentSystem of paymentSystems) {
+      const provider = { paymentSystem };
+      try {
+        const service = await PaymentServiceFactory.getService(paymentSystem);
+        provider.configurationId = service.configurationId;
+
+        const remote = await service.listTransactions(window);
+        const remoteIds = [
+          ...remote.payments.map((payment) => payment.id),
+          ...remote.refunds.map((refund) => refund.paymentId),
+        ].filter(Boolean);
+
+        const records = await loadLocalRecords(
+          paymentSystem,
+          remoteIds,
+          window,
+        );
+        if (paymentSystem === 'paypal') {
+          await addPaypalCaptureIds(service, records, remoteIds);
+        }
+
+        const { discrepancies, matched } = reconcileProvider(
+          paymentSystem,
+          remote,
+          records,
+          range,
+        );
+
+        Object.assign(provider, {
+          remotePayments: remote.payments.length,
+          remoteRefunds: remote.refunds.length,
+          localRecords: records.length,
+          matched,
+        });
+        report.discrepancies.push(...discrepancies);
+      } catch (error) {
+        console.error(`❌ Reconciliation failed for ${paymentSystem}:`, error);
+        provider.error = error.message;
+      }
+      report.providers.push(provider);
+    }
+
+    const summary = { total: report.discrepancies.length };
+    Object.values(SUMMARY_KEYS).forEach((key) => {
+      summary[key] = 0;
+    });
+    report.discrepancies.forEach((discrepancy) => {
+      summary[SUMMARY_KEYS[discrepancy.type]] += 1;
+    });
+    report.summary = summary;
+    report.status = 'completed';
+  } catch (error) {
+    console.error('❌ Reconciliation failed:', error);
+    report.status = 'failed';
+    report.error = error.message;
+  }
+
+  report.completedAt = new Date();
+  await report.save();
+  return report;
+};
+
+const CSV_COLUMNS = [
+  ['Type', 'type'],
+  ['Payment System', 'paymentSystem'],
+  ['External Payment ID', 'externalPaymentId'],
+  ['External Refund ID', 'externalRefundId'],
+  ['Source', 'source'],
+  ['Local ID', 'localId'],
+  ['Remote Amount', 'remoteAmount'],
+  ['Local Amount', 'localAmount'],
+  ['Remote Status', 'remoteStatus'],
+  ['Local Status', 'localStatus'],
+  ['Occurred At', 'occurredAt'],
+  ['Message', 'message'],
+];
+
+const csvCell = (value) => {
+  if (value === undefined || value === null) return '""';
+  const text = value instanceof Date ? value.toISOString() : String(value);
+  return `"${text.replace(/"/g, '""')}"`;
+};
+
+const reportToCsv = (report, discrepancies = report.discrepancies) =>
+  [
+    CSV_COLUMNS.map(([header]) => header).join(','),
+    ...discrepancies.map((discrepancy) =>
+      CSV_COLUMNS.map(([, key]) => csvCell(discrepancy[key])).join(','),
+    ),
+  ].join('\n');
+
+module.exports = {
+  runReconciliation,
+  reportToCsv,
+};
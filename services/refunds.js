@@ -0,0 +1,389 @@
+// services/refunds.js
+const Payment = require('../models/Payment');
+const Parent = require('../models/Parent');
+const PaymentConfiguration = require('../models/PaymentConfiguration');
+const PaymentServiceFactory = require('./payment-service-factory');
+const { updatePaymentHolders } = require('./paymentHolders');
+const { sendEmail } = require('../utils/email');
+
+const OPEN_STATUSES = ['pending', 'processing'];
+
+// Rejections carry the HTTP status the route should answer with
+const refundError = (message, statusCode = 400) =>
+  Object.assign(new Error(message), { statusCode });
+
+const formatAmount = (amount) => `$${Number(amount).toFixed(2)}`;
+
+/**
+ * What is left to refund once completed refunds and requests still in the
+ * workflow are accounted for
+ */
+const refundableAmount = (payment) => {
+  const reserved = (payment.refunds || [])
+    .filter((refund) => OPEN_STATUSES.includes(refund.status))
+    .reduce((sum, refund) => sum + refund.amount, 0);
+  return payment.amount - (payment.refundedAmount || 0) - reserved;
+};
+
+const requiredApprovalsFor = async (payment, amount) => {
+  const config = await PaymentConfiguration.findById(payment.configurationId);
+  const threshold = config?.settings?.refundApprovalThreshold;
+
+  // Without a configuration to read the threshold from, play it safe
+  if (threshold === undefined || threshold === null) return 2;
+  return amount > threshold ? 2 : 1;
+};
+
+// ============================================
+// NOTIFICATIONS
+// ============================================
+
+const adminEmail = () => process.env.ADMIN_EMAIL || 'admin@bothellselect.com';
+
+const familyEmail = async (payment) => {
+  const parent = await Parent.findById(payment.parentId).select('email');
+  return parent?.email || payment.buyerEmail;
+};
+
+// Notifications never fail the refund itself
+const notify = (message) =>
+  sendEmail(message).catch((error) =>
+    console.warn('⚠️ Refund notification failed:', error.message),
+  );
+
+const emailLayout = (color, title, rows, footer) => `
+  <div style="font-family: Arial, sans-serif; max-width: 600px; margin: auto;">
+    <h2 style="color: ${color};">${title}</h2>
+    <div style="background: #f8f9fa; padding: 15px; border-radius: 5px; border-left: 4px solid ${color};">
+      ${rows.map(([label, value]) => `<p><strong>${label}:</strong> ${value}</p>`).join('')}
+    </div>
+    <p>${footer}</p>
+  </div>
+`;
+
+const reviewLink = () =>
+  `<a href="${process.env.ADMIN_URL || 'https://bothellselect.com'}/admin/refunds">Review refund requests</a>`;
+
+const notifyRequested = async (payment, refund, user) => {
+  await notify({
+    to: adminEmail(),
+    subject: 'New Refund Request - Bothell Select Basketball',
+    html: emailLayout(
+      '#dc2626',
+      '⚠️ New Refund Request',
+      [
+        ['Requested By', `${user.fullName} (${user.email})`],
+        ['Original Payment', formatAmount(payment.amount)],
+        ['Refund Amount', formatAmount(refund.amount)],
+        ['Approvals Required', refund.requiredApprovals],
+        ['Reason', refund.reason],
+        ['Notes', refund.notes || 'N/A'],
+      ],
+      reviewLink(),
+    ),
+  });
+
+  const to = await familyEmail(payment);
+  if (!to) return;
+  await notify({
+    to,
+    subject: 'Refund Request Received - Bothell Select Basketball',
+    parentId: payment.parentId,
+    html: emailLayout(
+      '#2563eb',
+      'Refund Request Received',
+      [
+        ['Refund Amount', formatAmount(refund.amount)],
+        [
+          'Original Payment',
+          `${formatAmount(payment.amount)} on ${new Date(payment.createdAt).toLocaleDateString()}`,
+        ],
+        ['Reason', refund.reason],
+      ],
+      'We will email you again once your request has been reviewed.',
+    ),
+  });
+};
+
+const notifyAwaitingApproval = (payment, refund) =>
+  notify({
+    to: adminEmail(),
+    subject: 'Refund Awaiting Second Approval - Bothell Select Basketball',
+    html: emailLayout(
+      '#d97706',
+      'Refund Awaiting Second Approval',
+      [
+        ['Refund Amount', formatAmount(refund.amount)],
+        ['Original Payment', formatAmount(payment.amount)],
+        [
+          'Approvals',
+          `${refund.approvals.length} of ${refund.requiredApprovals}`,
+        ],
+        ['Reason', refund.reason],
+      ],
+      `A different admin must approve this refund before it is issued. ${reviewLink()}`,
+    ),
+  });
+
+const notifyCompleted = async (payment, refund) => {
+  const to = await familyEmail(payment);
+  if (!to) return;
+  await notify({
+    to,
+    subject: 'Refund Processed - Bothell Select Basketball',
+    parentId: payment.parentId,
+    html: emailLayout(
+      '#059669',
+      '✅ Refund Processed',
+      [
+        ['Refund Amount', formatAmount(refund.amount)],
+        [
+          'Original Payment',
+          `${formatAmount(payment.amount)} on ${new Date(payment.createdAt).toLocaleDateString()}`,
+        ],
+        ['Processed Date', new Date(refund.processedAt).toLocaleDateString()],
+        ['Reference', refund.externalRefundId || refund._id],
+      ],
+      'The refund should appear on your original payment method within 5-10 business days.',
+    ),
+  });
+};
+
+const notifyRejected = async (payment, refund) => {
+  const to = await familyEmail(payment);
+  if (!to) return;
+  await notify({
+    to,
+    subject: 'Refund Request Update - Bothell Select Basketball',
+    parentId: payment.parentId,
+    html: emailLayout(
+      '#6b7280',
+      'Refund Request Not Approved',
+      [
+        ['Refund Amount', formatAmount(refund.amount)],
+        ['Notes', refund.notes || 'N/A'],
+      ],
+      'If you have any questions, please contact us at bothellselect@proton.me',
+    ),
+  });
+};
+
+const notifyFailed = (payment, refund) =>
+  notify({
+    to: adminEmail(),
+    subject: 'Refund Failed - Bothell Select Basketball',
+    html: emailLayout(
+      '#dc2626',
+      '❌ Refund Failed',
+      [
+        ['Payment System', payment.paymentSystem],
+        ['Payment ID', payment.paymentId],
+        ['Refund Amount', formatAmount(refund.amount)],
+        ['Error', refund.notes],
+      ],
+      reviewLink(),
+    ),
+  });
+
+// ============================================
+// WORKFLOW
+// ============================================
+
+/**
+ * Record a refund request on the payment. Requests above the configured
+ * threshold need two different admins to approve them.
+ */
+const requestRefund = async (
+  payment,
+  { amount, reason, notes, playerIds },
+  user,
+) => {
+  if (payment.status !== 'completed') {
+    throw refundError('Only completed payments can be refunded');
+  }
+
+  const available = refundableAmount(payment);
+  if (amount > available + 0.01) {
+    throw refundError(
+      `Refund amount exceeds available balance. Maximum refundable: ${formatAmount(Math.max(available, 0))}`,
+    );
+  }
+
+  if (playerIds?.length) {
+    const paidFor = (payment.players || [])
+      .map((player) => player.playerId?.toString())
+      .concat((payment.playerIds || []).map((id) => id.toString()));
+    if (playerIds.some((id) => !paidFor.includes(id.toString()))) {
+      throw refundError('Players must be covered by this payment');
+    }
+  }
+
+  payment.refunds.push({
+    amount,
+    reason: reason || 'Customer request',
+    notes,
+    playerIds,
+    status: 'pending',
+    requestedBy: user._id || user.id,
+    requestedAt: new Date(),
+    requiredApprovals: await requiredApprovalsFor(payment, amount),
+    source: user.role === 'admin' ? 'admin_dashboard' : 'web',
+  });
+  payment.refundStatus = 'processing';
+  await payment.save();
+
+  const refund = payment.refunds[payment.refunds.length - 1];
+  await notifyRequested(payment, refund, user);
+  return refund;
+};
+
+const findOpenRefund = (payment, refundId) => {
+  const refund = payment.refunds.id(refundId);
+  if (!refund) throw refundError('Refund request not found', 404);
+  if (refund.status !== 'pending') {
+    throw refundError(`Refund has already been ${refund.status}`);
+  }
+  return refund;
+};
+
+// Refund status once no request is left in the workflow
+const settledRefundStatus = (payment) => {
+  if (payment.refunds.some((r) => OPEN_STATUSES.includes(r.status))) {
+    return 'processing';
+  }
+  if (!payment.refundedAmount) return 'none';
+  return payment.refundedAmount >= payment.amount - 0.01 ? 'full' : 'partial';
+};
+
+/**
+ * Issue an approved refund through the provider that captured the payment,
+ * then roll the covered seasons back to refunded
+ */
+const executeRefund = async (payment, refund, admin) => {
+  // Claim the request so a concurrent approval can't issue it twice
+  const claim = await Payment.updateOne(
+    {
+      _id: payment._id,
+      refunds: { $elemMatch: { _id: refund._id, status: 'pending' } },
+    },
+    { $set: { 'refunds.$.status': 'processing' } },
+  );
+  if (claim.modifiedCount === 0) {
+    throw refundError('Refund is already being processed', 409);
+  }
+  refund.status = 'processing';
+
+  try {
+    const paymentService = await PaymentServiceFactory.getService(
+      payment.paymentSystem,
+    );
+
+    // PayPal refunds the capture, but we store the order ID
+    let externalPaymentId = payment.paymentId;
+    if (payment.paymentSystem === 'paypal') {
+      const order = await paymentService.getPaymentDetails(payment.paymentId);
+      externalPaymentId =
+        order.purchase_units?.[0]?.payments?.captures?.[0]?.id ||
+        payment.paymentId;
+    }
+
+    const result = await paymentService.refundPayment(
+      externalPaymentId,
+      Math.round(refund.amount * 100),
+      refund.reason,
+    );
+
+    refund.status = 'completed';
+    refund.refundId = result?.id;
+    refund.externalRefundId = result?.id;
+    refund.refundedBy = admin._id || admin.id;
+    refund.processedAt = new Date();
+    payment.refundedAmount = (payment.refundedAmount || 0) + refund.amount;
+  } catch (error) {
+    console.error('❌ Provider refund failed:', {
+      paymentSystem: payment.paymentSystem,
+      paymentId: payment.paymentId,
+      message: error.message,
+    });
+
+    refund.status = 'failed';
+    refund.processedAt = new Date();
+    refund.notes = `${payment.paymentSystem} error: ${error.message}`;
+    payment.refundStatus = settledRefundStatus(payment);
+    await payment.save();
+    await notifyFailed(payment, refund);
+
+    throw refundError(
+      `Failed to process refund with ${payment.paymentSystem}: ${error.message}`,
+      502,
+    );
+  }
+
+  payment.refundStatus = settledRefundStatus(payment);
+  await payment.save();
+
+  const isFullRefund = payment.refundedAmount >= payment.amount - 0.01;
+  if (isFullRefund || refund.playerIds?.length) {
+    await updatePaymentHolders(
+      payment.paymentId,
+      'refunded',
+      ['pending', 'partial', 'paid'],
+      isFullRefund ? {} : { playerIds: refund.playerIds },
+    );
+  }
+
+  await notifyCompleted(payment, refund);
+  return refund;
+};
+
+/**
+ * Add an admin's approval and issue the refund once enough different admins
+ * have approved it. Returns { refund, executed }.
+ */
+const approveRefund = async (payment, refundId, admin, notes) => {
+  const refund = findOpenRefund(payment, refundId);
+  const adminId = (admin._id || admin.id).toString();
+
+  if (refund.approvals.some((a) => a.admin?.toString() === adminId)) {
+    throw refundError(
+      'You have already approved this refund; a different admin must approve it',
+      409,
+    );
+  }
+
+  refund.approvals.push({ admin: adminId, approvedAt: new Date(), notes });
+  if (notes) refund.notes = notes;
+
+  if (refund.approvals.length < refund.requiredApprovals) {
+    await payment.save();
+    await notifyAwaitingApproval(payment, refund);
+    return { refund, executed: false };
+  }
+
+  await payment.save();
+  return {
+    refund: await executeRefund(payment, refund, admin),
+    executed: true,
+  };
+};
+
+const rejectRefund = async (payment, refundId, admin, notes) => {
+  const refund = findOpenRefund(payment, refundId);
+
+  refund.status = 'rejected';
+  refund.notes = notes || 'Refund rejected';
+  refund.refundedBy = admin._id || admin.id;
+  refund.processedAt = new Date();
+  payment.refundStatus = settledRefundStatus(payment);
+  await payment.save();
+
+  await notifyRejected(payment, refund);
+  return refund;
+};
+
+module.exports = {
+  refundableAmount,
+  requestRefund,
+  approveRefund,
+  rejectRefund,
+};
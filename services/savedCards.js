@@ -0,0 +1,185 @@
+// services/savedCards.js
+const mongoose = require('mongoose');
+const Parent = require('../models/Parent');
+const PaymentPlan = require('../models/PaymentPlan');
+const PaymentServiceFactory = require('./payment-service-factory');
+
+// Rejections carry the HTTP status the route should answer with
+const cardError = (message, statusCode = 400) =>
+  Object.assign(new Error(message), { statusCode });
+
+/**
+ * A card can only be charged through the payment configuration that saved
+ * it; switching providers or merchant accounts leaves it unusable.
+ */
+const isUsableWith = (card, paymentService) =>
+  card.paymentSystem === paymentService.type &&
+  card.configurationId?.toString() ===
+    paymentService.configurationId?.toString();
+
+/**
+ * Store a card with the provider and attach it to the parent. `sourceId` is
+ * the single-use token from checkout; it is spent by saving, so charge the
+ * returned card rather than the token afterwards.
+ */
+const saveCardForParent = async ({
+  parent,
+  paymentService,
+  sourceId,
+  cardDetails = {},
+  makeDefault = false,
+}) => {
+  if (!sourceId) throw cardError('Payment token is required');
+
+  const usable = (parent.savedCards || []).filter((card) =>
+    isUsableWith(card, paymentService),
+  );
+  const saved = await paymentService.saveCard({
+    sourceId,
+    email: parent.email,
+    name: parent.fullName,
+    referenceId: `parent:${parent._id}`,
+    // Square and Stripe keep all of a family's cards under one customer
+    customerId: usable.find((card) => card.customerId)?.customerId,
+  });
+
+  const existing = usable.find((card) => card.cardId === saved.cardId);
+  if (existing) return existing;
+
+  // Not every provider echoes the card back; fall back to what checkout sent
+  const card = {
+    _id: new mongoose.Types.ObjectId(),
+    paymentSystem: paymentService.type,
+    configurationId: paymentService.configurationId,
+    customerId: saved.customerId,
+    cardId: saved.cardId,
+    last4: saved.last4 || cardDetails.last_4,
+    brand: saved.brand || cardDetails.card_brand,
+    expMonth: saved.expMonth || cardDetails.exp_month,
+    expYear: saved.expYear || cardDetails.exp_year,
+    isDefault: makeDefault || !usable.length,
+    createdAt: new Date(),
+  };
+
+  if (card.isDefault) {
+    await Parent.updateOne(
+      { _id: parent._id },
+      { $set: { 'savedCards.$[].isDefault': false } },
+    );
+  }
+  await Parent.updateOne({ _id: parent._id }, { $push: { savedCards: card } });
+
+  return card;
+};
+
+/**
+ * Look up one of the parent's cards for a checkout on `paymentService`
+ */
+const findSavedCard = (parent, savedCardId, paymentService) => {
+  const card = parent.savedCards?.find(
+    (saved) => saved._id.toString() === savedCardId.toString(),
+  );
+  if (!card) throw cardError('Saved card not found', 404);
+  if (!isUsableWith(card, paymentService)) {
+    throw cardError(
+      'This card was saved with a different payment provider; please enter your card again',
+    );
+  }
+  return card;
+};
+
+/**
+ * Charge a stored card. `chargeData` takes the same amount (in cents),
+ * email, referenceId, note and idempotencyKey as processPayment.
+ */
+const chargeSavedCard = async (paymentService, card, chargeData) => {
+  const result = await paymentService.chargeCard({
+    ...chargeData,
+    customerId: card.customerId,
+    cardId: card.cardId,
+  });
+
+  await Parent.updateOne(
+    { 'savedCards._id': card._id },
+    { $set: { 'savedCards.$.lastUsedAt': new Date() } },
+  ).catch((error) =>
+    console.warn('⚠️ Could not update saved card usage:', error.message),
+  );
+
+  return result;
+};
+
+const setDefaultCard = async (parent, savedCardId) => {
+  const card = parent.savedCards?.find(
+    (saved) => saved._id.toString() === savedCardId.toString(),
+  );
+  if (!card) throw cardError('Saved card not found', 404);
+
+  await Parent.updateOne(
+    { _id: parent._id },
+    { $set: { 'savedCards.$[card].isDefault': false } },
+    { arrayFilters: [{ 'card._id': { $ne: card._id } }] },
+  );
+  await Parent.updateOne(
+    { _id: parent._id, 'savedCards._id': card._id },
+    { $set: { 'savedCards.$.isDefault': true } },
+  );
+
+  card.isDefault = true;
+  return card;
+};
+
+/**
+ * Remove a card from the provider and from the parent. Cards still paying an
+ * installment plan have to stay until the plan is finished or cancelled.
+ */
+const removeSavedCard = async (parent, savedCardId) => {
+  const card = parent.savedCards?.find(
+    (saved) => saved._id.toString() === savedCardId.toString(),
+  );
+  if (!card) throw cardError('Saved card not found', 404);
+
+  const inUse = await PaymentPlan.exists({
+    parent: parent._id,
+    'card.cardId': card.cardId,
+    status: { $in: ['pending', 'active', 'past-due'] },
+  });
+  if (inUse) {
+    throw cardError(
+      'This card is paying an installment plan and cannot be removed yet',
+      409,
+    );
+  }
+
+  // Without the configuration that saved it there is nothing to remove on
+  // the provider's side; the reference is dropped either way
+  const paymentService = await PaymentServiceFactory.getService(
+    card.paymentSystem,
+  ).catch(() => null);
+  if (paymentService && isUsableWith(card, paymentService)) {
+    await paymentService.removeCard(card);
+  }
+
+  await Parent.updateOne(
+    { _id: parent._id },
+    { $pull: { savedCards: { _id: card._id } } },
+  );
+
+  const next = card.isDefault
+    ? parent.savedCards.find(
+        (saved) =>
+          saved._id.toString() !== card._id.toString() &&
+          saved.paymentSystem === card.paymentSystem,
+      )
+    : null;
+  if (next) await setDefaultCard(parent, next._id);
+};
+
+module.exports = {
+  isUsableWith,
+  saveCardForParent,
+  findSavedCard,
+  chargeSavedCard,
+  setDefaultCard,
+  removeSavedCard,
+};
@@ -1,6 +1,11 @@
 // services/scheduledJobs.js
 const cron = require('node-cron');
 const { syncAllRefunds } = require('./syncRefunds');
+const { chargeDueInstallments } = require('./paymentPlans');
+const { runReconciliation } = require('./reconciliation');
+const { runDunning } = require('./dunning');
+const { reassignOverdueShares } = require('./teamFeeSplits');
+const { expireOffers } = require('./capacity');
 
 // Sync refunds every day at 2 AM
 cron.schedule('0 2 * * *', async () => {
@@ -13,4 +18,71 @@ cron.schedule('0 2 * * *', async () => {
   }
 });
 
+// Reconcile yesterday's payments and refunds with every provider at 3 AM
+cron.schedule('0 3 * * *', async () => {
+  console.log('Running scheduled payment reconciliation...');
+  try {
+    const endDate = new Date();
+    endDate.setHours(0, 0, 0, 0);
+    const startDate = new Date(endDate);
+    startDate.setDate(startDate.getDate() - 1);
+
+    const report = await runReconciliation({
+      startDate,
+      endDate,
+      triggeredBy: 'schedule',
+    });
+    console.log('Scheduled reconciliation completed:', report.summary);
+  } catch (error) {
+    console.error('Scheduled reconciliation failed:', error);
+  }
+});
+
+// Charge installment plan payments that have come due, every day at 6 AM
+cron.schedule('0 6 * * *', async () => {
+  console.log('Running scheduled installment charges...');
+  try {
+    const result = await chargeDueInstallments();
+    console.log('Scheduled installment charges completed:', result);
+  } catch (error) {
+    console.error('Scheduled installment charges failed:', error);
+  }
+});
+
+// Hand team fee shares still unpaid at their deadline to the coach, every day
+// at 7 AM
+cron.schedule('0 7 * * *', async () => {
+  console.log('Running scheduled team fee deadlines...');
+  try {
+    const result = await reassignOverdueShares();
+    console.log('Scheduled team fee deadlines completed:', result);
+  } catch (error) {
+    console.error('Scheduled team fee deadlines failed:', error);
+  }
+});
+
+// Remind families about balances still unpaid after the grace period, every
+// day at 10 AM
+cron.schedule('0 10 * * *', async () => {
+  console.log('Running scheduled payment reminders...');
+  try {
+    const result = await runDunning();
+    console.log('Scheduled payment reminders completed:', result);
+  } catch (error) {
+    console.error('Scheduled payment reminders failed:', error);
+  }
+});
+
+// Pass expired waitlist offers on to the next family, every hour
+cron.schedule('0 * * * *', async () => {
+  try {
+    const result = await expireOffers();
+    if (result.expired || result.staleHolds || result.offered) {
+      console.log('Scheduled waitlist offer expiry completed:', result);
+    }
+  } catch (error) {
+    console.error('Scheduled waitlist offer expiry failed:', error);
+  }
+});
+
 module.exports = { cron };
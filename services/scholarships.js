@@ -0,0 +1,312 @@
+// services/scholarships.js
+const ScholarshipApplication = require('../models/ScholarshipApplication');
+const Parent = require('../models/Parent');
+const Player = require('../models/Player');
+const Registration = require('../models/Registration');
+const { sendEmail } = require('../utils/email');
+
+// Rejections carry the HTTP status the route should answer with
+const scholarshipError = (message, statusCode = 400) =>
+  Object.assign(new Error(message), { statusCode });
+
+const formatAmount = (amount) => `$${Number(amount).toFixed(2)}`;
+
+// ============================================
+// NOTIFICATIONS
+// ============================================
+
+const adminEmail = () => process.env.ADMIN_EMAIL || 'admin@bothellselect.com';
+
+// Notifications never fail the application itself
+const notify = (message) =>
+  sendEmail(message).catch((error) =>
+    console.warn('⚠️ Scholarship notification failed:', error.message),
+  );
+
+const describeAward = (award) => {
+  if (award.coverage === 'full') return 'Full fee waiver';
+  if (award.percent) return `${award.percent}% of registration fees`;
+  return `${formatAmount(award.amount)} towards registration fees`;
+};
+
+const notifySubmitted = (application, parent) =>
+  notify({
+    to: adminEmail(),
+    subject: 'New Scholarship Application - Bothell Select Basketball',
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: auto;">
+        <h2 style="color: #2563eb;">New Scholarship Application</h2>
+        <p><strong>Family:</strong> ${parent.fullName} (${parent.email})</p>
+        <p><strong>Season:</strong> ${application.season} ${application.year}</p>
+        <p><strong>Players:</strong> ${application.players.length}</p>
+        <p><strong>Documents:</strong> ${application.documents.length}</p>
+        <p><a href="${process.env.ADMIN_URL || 'https://bothellselect.com'}/admin/scholarships">Review applications</a></p>
+      </div>
+    `,
+  });
+
+const notifyReviewed = async (application) => {
+  const parent = await Parent.findById(application.parent).select(
+    'email fullName',
+  );
+  if (!parent?.email) return;
+
+  const awarded = application.status === 'awarded';
+  await notify({
+    to: parent.email,
+    parentId: application.parent,
+    subject: 'Scholarship Application Update - Bothell Select Basketball',
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: auto;">
+        <p style="font-size: 16px;">Dear ${parent.fullName || 'Parent'},</p>
+        <p style="font-size: 16px;">${
+          awarded
+            ? `Your scholarship application for ${application.season} ${application.year} has been approved: <strong>${describeAward(application.award)}</strong>. It will be applied automatically when you complete registration.`
+            : `We were unable to award a scholarship for ${application.season} ${application.year} at this time.`
+        }</p>
+        ${application.reviewNotes ? `<p style="font-size: 14px;">${application.reviewNotes}</p>` : ''}
+        <p style="font-size: 14px; color: #555;">If you have any questions, please contact us at bothellselect@proton.me</p>
+      </div>
+    `,
+  });
+};
+
+// ============================================
+// APPLICATIONS
+// ============================================
+
+/**
+ * Record a family's application. Players must belong to the parent and may
+ * only have one open or awarded application per season.
+ */
+const submitApplication = async (
+  parent,
+  { players, season, year, needStatement, householdSize },
+  documents,
+) => {
+  const owned = players.every((id) =>
+    parent.players.some((pid) => pid.toString() === id.toString()),
+  );
+  if (!owned) {
+    throw scholarshipError('Players must belong to your account', 403);
+  }
+
+  const existing = await ScholarshipApplication.findOne({
+    parent: parent._id,
+    players: { $in: players },
+    season,
+    year,
+    status: { $in: ['pending', 'awarded'] },
+  });
+  if (existing) {
+    throw scholarshipError(
+      'A scholarship application already exists for this season',
+      409,
+    );
+  }
+
+  const application = await ScholarshipApplication.create({
+    parent: parent._id,
+    players,
+    season,
+    year,
+    needStatement,
+    householdSize,
+    documents,
+  });
+
+  await notifySubmitted(application, parent);
+  return application;
+};
+
+/**
+ * Award or deny a pending application. Partial awards need a percentage or
+ * a dollar amount.
+ */
+const reviewApplication = async (
+  application,
+  { decision, coverage, percent, amount, notes },
+  admin,
+) => {
+  if (application.status !== 'pending') {
+    throw scholarshipError(
+      `Application has already been ${application.status}`,
+    );
+  }
+
+  if (decision === 'award') {
+    if (coverage === 'partial' && !percent && !amount) {
+      throw scholarshipError('Partial awards need a percent or an amount');
+    }
+    application.status = 'awarded';
+    application.award = {
+      coverage,
+      percent: coverage === 'partial' ? percent : undefined,
+      amount: coverage === 'partial' && !percent ? amount : undefined,
+      amountUsed: 0,
+      redemptions: [],
+    };
+  } else {
+    application.status = 'denied';
+  }
+
+  application.reviewedBy = admin._id || admin.id;
+  application.reviewedAt = new Date();
+  application.reviewNotes = notes;
+  await application.save();
+
+  await notifyReviewed(application);
+  return application;
+};
+
+// ============================================
+// WAIVED CHECKOUT
+// ============================================
+
+const isSameSeason = (season, player) =>
+  season.season?.trim().toLowerCase() === player.season.trim().toLowerCase() &&
+  season.year === Number(player.year) &&
+  (season.tryoutId || null) === (player.tryoutId || null);
+
+/**
+ * Mark the players' seasons paid by scholarship once a waiver covered the
+ * whole checkout. `pricing` is the reserved quote from services/pricing.js.
+ */
+const settleWaivedSeasons = async ({
+  parent,
+  players,
+  paymentType,
+  pricing,
+}) => {
+  const updatedPlayers = [];
+
+  for (const playerData of players) {
+    const waiver = pricing.discounts.find(
+      (discount) =>
+        discount.scholarship &&
+        discount.players.some((id) => id.toString() === playerData.playerId),
+    );
+    const player = await Player.findById(playerData.playerId);
+    if (!player) {
+      throw scholarshipError(`Player not found: ${playerData.playerId}`, 404);
+    }
+
+    const tryoutId =
+      playerData.tryoutId?.trim() ||
+      (paymentType === 'training' ? 'training' : null);
+    const seasonData = {
+      season: playerData.season.trim(),
+      year: Number(playerData.year),
+      tryoutId,
+      paymentStatus: 'paid',
+      paymentComplete: true,
+      paymentMethod: 'scholarship',
+      paymentId: waiver ? `scholarship:${waiver.scholarship}` : undefined,
+      amountPaid: 0,
+      amountRemaining: 0,
+      paymentDate: new Date(),
+    };
+
+    const index = player.seasons.findIndex((season) =>
+      isSameSeason(season, { ...playerData, tryoutId }),
+    );
+    if (index >= 0) {
+      player.seasons[index] = {
+        ...player.seasons[index].toObject(),
+        ...seasonData,
+      };
+    } else {
+      player.seasons.push({ ...seasonData, registrationDate: new Date() });
+    }
+
+    player.paymentStatus = 'paid';
+    player.paymentComplete = true;
+    player.registrationComplete = true;
+    player.markModified('seasons');
+    updatedPlayers.push(await player.save());
+
+    await Registration.findOneAndUpdate(
+      {
+        player: player._id,
+        season: seasonData.season,
+        year: seasonData.year,
+        tryoutId,
+        parent: parent._id,
+      },
+      {
+        $set: {
+          paymentStatus: 'paid',
+          paymentComplete: true,
+          'paymentDetails.amountPaid': 0,
+          'paymentDetails.paymentId': seasonData.paymentId,
+          'paymentDetails.paymentMethod': 'scholarship',
+          'paymentDetails.paymentDate': new Date(),
+          registrationComplete: true,
+        },
+      },
+      { upsert: true, new: true },
+    );
+  }
+
+  await Parent.findByIdAndUpdate(parent._id, {
+    $set: { paymentComplete: true, updatedAt: new Date() },
+  });
+
+  return updatedPlayers;
+};
+
+// ============================================
+// REPORTING
+// ============================================
+
+/**
+ * Waivers redeemed between two dates, for financial analytics. Kept apart
+ * from revenue since no money changes hands.
+ */
+const scholarshipTotals = async (start, end) => {
+  const [totals] = await ScholarshipApplication.aggregate([
+    { $match: { 'award.redemptions.redeemedAt': { $gte: start, $lte: end } } },
+    { $unwind: '$award.redemptions' },
+    {
+      $match: {
+        'award.redemptions.redeemedAt': { $gte: start, $lte: end },
+      },
+    },
+    {
+      $group: {
+        _id: null,
+        waived: { $sum: '$award.redemptions.amount' },
+        redemptions: { $sum: 1 },
+        fullWaivers: {
+          $sum: { $cond: ['$award.redemptions.fullWaiver', 1, 0] },
+        },
+        families: { $addToSet: '$parent' },
+      },
+    },
+  ]);
+
+  const [fullAwards, partialAwards] = await Promise.all(
+    ['full', 'partial'].map((coverage) =>
+      ScholarshipApplication.countDocuments({
+        status: 'awarded',
+        'award.coverage': coverage,
+        reviewedAt: { $gte: start, $lte: end },
+      }),
+    ),
+  );
+
+  return {
+    waived: totals?.waived || 0,
+    redemptions: totals?.redemptions || 0,
+    fullWaivers: totals?.fullWaivers || 0,
+    families: totals?.families.length || 0,
+    awarded: { full: fullAwards, partial: partialAwards },
+  };
+};
+
+module.exports = {
+  submitApplication,
+  reviewApplication,
+  settleWaivedSeasons,
+  scholarshipTotals,
+};
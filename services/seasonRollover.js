@@ -0,0 +1,274 @@
+// services/seasonRollover.js
+const SeasonEvent = require('../models/SeasonEvent');
+const RegistrationFormConfig = require('../models/RegistrationFormConfig');
+const InternalTeam = require('../models/InternalTeam');
+const Player = require('../models/Player');
+const Parent = require('../models/Parent');
+const { calculateGradeFromDOB } = require('../utils/gradeUtils');
+const { sendEmail } = require('../utils/email');
+const { syncSeasonEvent, syncQuietly } = require('./seasons');
+
+// Rejections carry the HTTP status the route should answer with
+const rolloverError = (message, statusCode = 400) =>
+  Object.assign(new Error(message), { statusCode });
+
+// Players whose season actually went ahead count as returning
+const RETURNING_STATUSES = ['paid', 'partial'];
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// "Spring Training" + 2027 -> "spring-training-2027"
+const defaultEventId = (season, year) =>
+  `${season
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-|-$/g, '')}-${year}`;
+
+/**
+ * Work out what rolling `fromEventId` over into the next season would do,
+ * without changing anything. The next season keeps the same name a year on
+ * unless `season`/`year` say otherwise. Grades are worked out as of the next
+ * season's start date; players with an admin-set grade keep it and are listed
+ * for review instead.
+ */
+const planRollover = async ({
+  fromEventId,
+  eventId,
+  season,
+  year,
+  startDate,
+  endDate,
+  description,
+}) => {
+  const from = await SeasonEvent.findOne({ eventId: fromEventId });
+  if (!from) throw rolloverError('Season event not found', 404);
+
+  const nextSeason = (season || from.season).trim();
+  const nextYear = year || from.year + 1;
+  if (
+    nextYear < from.year ||
+    (nextYear === from.year &&
+      nextSeason.toLowerCase() === from.season.toLowerCase())
+  ) {
+    throw rolloverError('The next season must come after the current one');
+  }
+
+  const next = {
+    eventId: eventId || defaultEventId(nextSeason, nextYear),
+    season: nextSeason,
+    year: nextYear,
+    startDate,
+    endDate,
+    description: description ?? from.description,
+  };
+
+  const [existing, players, teams] = await Promise.all([
+    SeasonEvent.findOne({ eventId: next.eventId }).select('_id'),
+    Player.find({}).select(
+      'fullName dob grade isGradeOverridden parentId seasons',
+    ),
+    InternalTeam.find({ year: from.year, status: { $ne: 'archived' } }).select(
+      'name grade gender status playerIds',
+    ),
+  ]);
+
+  const referenceDate = startDate ? new Date(startDate) : new Date();
+  const gradeChanges = [];
+  const overridden = [];
+  const newGrades = new Map();
+  let missingDob = 0;
+
+  for (const player of players) {
+    const calculated =
+      player.dob &&
+      calculateGradeFromDOB(player.dob, nextYear, 'US_DEFAULT', referenceDate);
+    if (!calculated) {
+      missingDob++;
+      continue;
+    }
+
+    const entry = {
+      playerId: player._id,
+      fullName: player.fullName,
+      grade: player.grade,
+      calculated,
+    };
+    if (player.isGradeOverridden) {
+      if (calculated !== player.grade) overridden.push(entry);
+      continue;
+    }
+    if (calculated !== player.grade) {
+      gradeChanges.push(entry);
+      newGrades.set(player._id.toString(), calculated);
+    }
+  }
+
+  // Season names are free text, so match them whole rather than loosely
+  const seasonName = new RegExp(`^\\s*${escapeRegex(from.season)}\\s*$`, 'i');
+  const returning = players.filter((player) =>
+    player.seasons.some(
+      (s) =>
+        seasonName.test(s.season) &&
+        s.year === from.year &&
+        RETURNING_STATUSES.includes(s.paymentStatus),
+    ),
+  );
+
+  const parents = await Parent.find({
+    _id: { $in: [...new Set(returning.map((p) => p.parentId.toString()))] },
+  }).select('fullName email');
+
+  const families = parents.map((parent) => ({
+    parentId: parent._id,
+    fullName: parent.fullName,
+    email: parent.email,
+    players: returning
+      .filter((p) => p.parentId.equals(parent._id))
+      .map((p) => ({
+        playerId: p._id,
+        fullName: p.fullName,
+        grade: newGrades.get(p._id.toString()) || p.grade,
+      })),
+  }));
+
+  return {
+    from: { eventId: from.eventId, season: from.season, year: from.year },
+    next,
+    eventIdTaken: !!existing,
+    grades: {
+      changes: gradeChanges,
+      overridden,
+      missingDob,
+    },
+    teams: teams.map((team) => ({
+      teamId: team._id,
+      name: team.name,
+      grade: team.grade,
+      gender: team.gender,
+      status: team.status,
+      players: team.playerIds.length,
+    })),
+    families,
+  };
+};
+
+// ============================================
+// APPLY
+// ============================================
+
+const inviteLink = (eventId, players) =>
+  `${process.env.FRONTEND_URL || 'https://bothellselect.com'}/register?eventId=${encodeURIComponent(eventId)}&players=${players.map((p) => p.playerId).join(',')}`;
+
+const sendInvite = (family, next) =>
+  sendEmail({
+    to: family.email,
+    subject: `Registration is open for ${next.season} ${next.year} - Bothell Select Basketball`,
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: auto; padding: 20px;">
+        <h2 style="color: #506ee4;">${next.season} ${next.year} registration is open</h2>
+        <p style="font-size: 16px;">Dear [parent.fullName],</p>
+        <p style="font-size: 16px;">Thank you for being part of last season. Registration for ${next.season} ${next.year} is now open, and we have your players ready to go:</p>
+        <ul style="font-size: 16px;">
+          ${family.players.map((p) => `<li>${p.fullName} (grade ${p.grade})</li>`).join('')}
+        </ul>
+        <p style="text-align: center; margin: 30px 0;">
+          <a href="${inviteLink(next.eventId, family.players)}" style="background: #506ee4; color: white; padding: 12px 24px; border-radius: 5px; text-decoration: none; font-weight: bold;">Register now</a>
+        </p>
+        <p style="font-size: 14px; color: #555;">If you have any questions, please contact us at bothellselect@proton.me</p>
+      </div>
+    `,
+    parentId: family.parentId,
+    emailType: 'notification',
+  });
+
+/**
+ * Carry out a rollover planned by planRollover: open the next season (with a
+ * copy of the current registration form), close registration on the current
+ * one, update grades, archive the current year's internal teams and, unless
+ * `sendInvites` is false, invite returning families to register again.
+ */
+const applyRollover = async ({ sendInvites = true, ...options }) => {
+  const plan = await planRollover(options);
+  if (plan.eventIdTaken) {
+    throw rolloverError(
+      `A season event with ID ${plan.next.eventId} already exists`,
+      409,
+    );
+  }
+
+  const seasonEvent = await SeasonEvent.create({
+    ...plan.next,
+    registrationOpen: true,
+  });
+
+  const formConfig = await RegistrationFormConfig.findOne({
+    eventId: plan.from.eventId,
+  }).lean();
+  if (formConfig) {
+    const { _id, createdAt, updatedAt, __v, ...config } = formConfig;
+    await RegistrationFormConfig.create({
+      ...config,
+      eventId: plan.next.eventId,
+      season: plan.next.season,
+      year: plan.next.year,
+      isActive: true,
+    });
+    await RegistrationFormConfig.updateOne(
+      { _id },
+      { $set: { isActive: false } },
+    );
+  }
+
+  const previousEvent = await SeasonEvent.findOneAndUpdate(
+    { eventId: plan.from.eventId },
+    { $set: { registrationOpen: false } },
+    { new: true },
+  );
+  await syncQuietly(syncSeasonEvent, previousEvent);
+  await syncQuietly(syncSeasonEvent, seasonEvent);
+
+  if (plan.grades.changes.length) {
+    await Player.bulkWrite(
+      plan.grades.changes.map((change) => ({
+        updateOne: {
+          filter: { _id: change.playerId, isGradeOverridden: { $ne: true } },
+          update: { $set: { grade: change.calculated } },
+        },
+      })),
+    );
+  }
+
+  if (plan.teams.length) {
+    await InternalTeam.updateMany(
+      { _id: { $in: plan.teams.map((team) => team.teamId) } },
+      { $set: { status: 'archived', archivedAt: new Date() } },
+    );
+  }
+
+  const invites = { sent: 0, skipped: 0, failures: [] };
+  if (sendInvites) {
+    for (const family of plan.families) {
+      if (!family.email) {
+        invites.skipped++;
+        continue;
+      }
+      try {
+        const result = await sendInvite(family, plan.next);
+        if (result?.skipped) invites.skipped++;
+        else invites.sent++;
+      } catch (error) {
+        invites.failures.push({
+          parentId: family.parentId,
+          error: error.message,
+        });
+      }
+    }
+  }
+
+  return { ...plan, invites };
+};
+
+module.exports = {
+  planRollover,
+  applyRollover,
+};
@@ -0,0 +1,187 @@
+// services/seasons.js
+const Season = require('../models/Season');
+const TryoutConfig = require('../models/TryoutConfig');
+
+// Rejections carry the HTTP status the route should answer with
+const seasonError = (message, statusCode = 400) =>
+  Object.assign(new Error(message), { statusCode });
+
+const validDate = (value) => {
+  const date = value && new Date(value);
+  return date && !isNaN(date.getTime()) ? date : undefined;
+};
+
+const dateRange = (values) => {
+  const dates = values
+    .map(validDate)
+    .filter(Boolean)
+    .sort((a, b) => a - b);
+  return { startDate: dates[0], endDate: dates[dates.length - 1] };
+};
+
+// Best guess at what kind of season a free-text name is
+const guessType = (name) => {
+  const key = Season.nameKey(name);
+  if (key.includes('tryout')) return 'tryout';
+  if (key.includes('tournament')) return 'tournament';
+  return 'training';
+};
+
+/**
+ * Create or update the season matching `filter`. Empty fields leave what is
+ * already there alone, and aliases only ever accumulate.
+ */
+const upsertSeason = async (filter, { aliases = [], ...fields }) => {
+  const season = (await Season.findOne(filter)) || new Season(filter);
+
+  for (const [key, value] of Object.entries(fields)) {
+    if (value !== undefined && value !== null && value !== '') {
+      season[key] = value;
+    }
+  }
+  season.aliases = [...season.aliases, ...aliases.filter(Boolean)];
+
+  return season.save();
+};
+
+// SeasonEvents only have an open/closed switch; keep the window in step
+const applyRegistrationSwitch = (season, open, now = new Date()) => {
+  if (open === false && !(season.registrationClosesAt <= now)) {
+    season.registrationClosesAt = now;
+  }
+  if (open === true && season.registrationClosesAt <= now) {
+    season.registrationClosesAt = undefined;
+  }
+};
+
+// ============================================
+// SYNC FROM EVENT CONFIGS
+// ============================================
+
+const syncSeasonEvent = async (seasonEvent) => {
+  const tryout = await TryoutConfig.findOne({
+    eventId: seasonEvent.eventId,
+  }).select('_id');
+
+  const season = await upsertSeason(
+    { eventId: seasonEvent.eventId },
+    {
+      name: seasonEvent.season,
+      type: tryout ? 'tryout' : 'training',
+      year: seasonEvent.year,
+      description: seasonEvent.description,
+      startDate: seasonEvent.startDate,
+      endDate: seasonEvent.endDate,
+    },
+  );
+
+  applyRegistrationSwitch(season, seasonEvent.registrationOpen);
+  return season.isModified() ? season.save() : season;
+};
+
+const syncTryoutConfig = (tryout) =>
+  upsertSeason(
+    { eventId: tryout.eventId },
+    {
+      name: tryout.season,
+      type: 'tryout',
+      year: tryout.tryoutYear,
+      registrationClosesAt: tryout.registrationDeadline,
+      ...dateRange(
+        (tryout.tryoutDetails?.tryoutSessions || []).map((s) => s.date),
+      ),
+      aliases: [tryout.tryoutName, tryout.displayName],
+    },
+  );
+
+// Tournaments have no event id, so they are matched on name and year
+const syncTournamentConfig = (tournament) =>
+  upsertSeason(
+    {
+      type: 'tournament',
+      year: tournament.tournamentYear,
+      aliases: Season.nameKey(tournament.tournamentName),
+    },
+    {
+      name: tournament.tournamentName,
+      description: tournament.description,
+      registrationClosesAt: tournament.registrationDeadline,
+      ...dateRange(tournament.tournamentDates || []),
+      aliases: [tournament.displayName],
+    },
+  );
+
+// Config saves should not fail because the season could not be kept in step
+const syncQuietly = (sync, source) =>
+  sync(source).catch((error) =>
+    console.error('Failed to sync season:', error.message),
+  );
+
+/**
+ * The season a legacy season string belongs to, created from the string
+ * when no season matches it yet.
+ */
+const seasonForLegacy = async ({ eventId, name, year, type }) => {
+  const existing = await Season.resolve({ eventId, name, year, type });
+  if (existing || !name || !year) return existing;
+
+  const eventIdTaken =
+    eventId && (await Season.findOne({ eventId }).select('_id'));
+  return Season.create({
+    name: name.trim(),
+    type: type || guessType(name),
+    year,
+    ...(eventId && !eventIdTaken && { eventId: eventId.trim() }),
+  });
+};
+
+// ============================================
+// QUERIES
+// ============================================
+
+const findSeason = async (seasonId) => {
+  const season = await Season.findById(seasonId);
+  if (!season) throw seasonError('Season not found', 404);
+  return season;
+};
+
+// Seasons running on `date`, in place of guessing from the calendar month
+const currentSeasons = ({ type, date = new Date() } = {}) =>
+  Season.find({
+    ...(type && { type }),
+    startDate: { $lte: date },
+    $or: [{ endDate: { $gte: date } }, { endDate: null }],
+  }).sort({ startDate: 1 });
+
+const openSeasons = ({ type, year, date = new Date() } = {}) =>
+  Season.find({
+    ...(type && { type }),
+    ...(year && { year }),
+    $and: [
+      {
+        $or: [
+          { registrationOpensAt: null },
+          { registrationOpensAt: { $lte: date } },
+        ],
+      },
+      {
+        $or: [
+          { registrationClosesAt: null },
+          { registrationClosesAt: { $gte: date } },
+        ],
+      },
+      { $or: [{ endDate: null }, { endDate: { $gte: date } }] },
+    ],
+  }).sort({ startDate: 1, year: 1 });
+
+module.exports = {
+  guessType,
+  syncSeasonEvent,
+  syncTryoutConfig,
+  syncTournamentConfig,
+  syncQuietly,
+  seasonForLegacy,
+  findSeason,
+  currentSeasons,
+  openSeasons,
+};
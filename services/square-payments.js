@@ -136,6 +136,9 @@ async function submitPayment(
 
     // Update players if specified
     if (playerIds.length > 0) {
+      // updateMany skips the Player hook that links seasons; saving the
+      // payment has already looked the season up
+      const seasonId = paymentRecord.players[0]?.seasonId;
       await Promise.all([
         // Update player documents
         Player.updateMany(
@@ -150,6 +153,7 @@ async function submitPayment(
                 season,
                 year,
                 tryoutId,
+                seasonId,
                 paymentStatus: 'paid',
                 paymentDate: new Date(),
                 paymentId: paymentRecord._id,
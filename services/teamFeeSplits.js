@@ -0,0 +1,646 @@
+// services/teamFeeSplits.js
+const crypto = require('crypto');
+const TeamFeeSplit = require('../models/TeamFeeSplit');
+const Team = require('../models/Team');
+const Parent = require('../models/Parent');
+const Player = require('../models/Player');
+const Payment = require('../models/Payment');
+const PaymentServiceFactory = require('./payment-service-factory');
+const {
+  sendEmail,
+  sendTournamentRegistrationEmail,
+} = require('../utils/email');
+
+// Rejections carry the HTTP status the route should answer with
+const splitError = (message, statusCode = 400) =>
+  Object.assign(new Error(message), { statusCode });
+
+const toCents = (dollars) => Math.round(dollars * 100);
+
+const formatAmount = (amount) => `$${Number(amount).toFixed(2)}`;
+
+const newToken = () => crypto.randomBytes(24).toString('hex');
+
+const shareLink = (share) =>
+  `${process.env.FRONTEND_URL || 'https://bothellselect.com'}/team-fee/${share.token}`;
+
+const isSameEntry = (entry, tournament, year) =>
+  (entry.tournament === tournament || entry.tournamentName === tournament) &&
+  entry.year === Number(year);
+
+// ============================================
+// NOTIFICATIONS
+// ============================================
+
+// Notifications never fail the split itself
+const notify = (message) =>
+  sendEmail(message).catch((error) =>
+    console.warn('⚠️ Team fee notification failed:', error.message),
+  );
+
+const notifyShare = (split, team, share, parentName) =>
+  notify({
+    to: share.email,
+    parentId: share.parent,
+    subject: `Team Fee: ${team.name} - ${split.tournament} ${split.year}`,
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: auto; padding: 20px;">
+        <p style="font-size: 16px;">Dear ${parentName || 'Parent'},</p>
+        <p style="font-size: 16px;">${
+          share.isFallback
+            ? `The deadline for ${team.name}'s ${split.tournament} ${split.year} fee has passed. The unpaid balance of <strong>${formatAmount(share.amount)}</strong> is now due from you as coach.`
+            : `${team.name}'s ${split.tournament} ${split.year} tournament fee is being split among the team's families. Your share is <strong>${formatAmount(share.amount)}</strong>.`
+        }</p>
+        ${
+          share.isFallback
+            ? ''
+            : `<p style="font-size: 16px;">Please pay by ${split.deadline.toLocaleDateString('en-US', { month: 'long', day: 'numeric', year: 'numeric' })}; after that any unpaid shares are charged to the coach.</p>`
+        }
+        <p style="text-align: center; margin: 30px 0;">
+          <a href="${shareLink(share)}" style="background: #506ee4; color: white; padding: 12px 24px; border-radius: 5px; text-decoration: none; font-weight: bold;">Pay your share</a>
+        </p>
+        <p style="font-size: 14px; color: #555;">This link is personal to you. If you have any questions, please contact us at bothellselect@proton.me</p>
+      </div>
+    `,
+  });
+
+// ============================================
+// STARTING A SPLIT
+// ============================================
+
+/**
+ * Divide `amount` (dollars) evenly among `playerIds`, one share per parent.
+ * Cents that do not divide evenly go to the first players listed.
+ */
+const buildShares = async (amount, playerIds) => {
+  const players = await Player.find({ _id: { $in: playerIds } }).select(
+    'parentId',
+  );
+  if (players.length !== new Set(playerIds.map(String)).size) {
+    throw splitError('One or more roster players were not found', 404);
+  }
+
+  const totalCents = toCents(amount);
+  const base = Math.floor(totalCents / players.length);
+  const extra = totalCents % players.length;
+
+  const byParent = new Map();
+  players.forEach((player, index) => {
+    const key = player.parentId.toString();
+    const share = byParent.get(key) || {
+      parent: player.parentId,
+      players: [],
+      cents: 0,
+    };
+    share.players.push(player._id);
+    share.cents += base + (index < extra ? 1 : 0);
+    byParent.set(key, share);
+  });
+
+  const parents = await Parent.find({ _id: { $in: [...byParent.keys()] } })
+    .select('email fullName')
+    .lean();
+
+  return [...byParent.values()].map(({ cents, ...share }) => {
+    const parent = parents.find(
+      (p) => p._id.toString() === share.parent.toString(),
+    );
+    if (!parent?.email) {
+      throw splitError('Every roster player needs a parent with an email');
+    }
+    return {
+      ...share,
+      email: parent.email,
+      fullName: parent.fullName,
+      amount: cents / 100,
+      token: newToken(),
+    };
+  });
+};
+
+/**
+ * Start collecting a team's tournament fee from its roster families. The
+ * team's tournament entry shows the running total until it is fully paid.
+ */
+const startFeeSplit = async ({
+  team,
+  coachId,
+  tournament,
+  year,
+  amount,
+  deadline,
+  playerIds,
+}) => {
+  if (new Date(deadline) <= new Date()) {
+    throw splitError('Deadline must be in the future');
+  }
+
+  const entry = team.tournaments?.find((t) => isSameEntry(t, tournament, year));
+  if (entry?.paymentStatus === 'paid') {
+    throw splitError('This tournament is already paid for this team');
+  }
+
+  const open = await TeamFeeSplit.exists({
+    team: team._id,
+    tournament,
+    year,
+    status: 'collecting',
+  });
+  if (open) {
+    throw splitError(
+      'This tournament fee is already being split among the roster',
+      409,
+    );
+  }
+
+  const shares = await buildShares(amount, playerIds);
+  const split = await TeamFeeSplit.create({
+    team: team._id,
+    tournament,
+    year,
+    coach: coachId,
+    totalAmount: amount,
+    deadline,
+    shares: shares.map(({ fullName, ...share }) => share),
+  });
+
+  const entryData = {
+    tournament,
+    year: Number(year),
+    registrationDate: entry?.registrationDate || new Date(),
+    paymentStatus: 'pending',
+    paymentComplete: false,
+    amountPaid: 0,
+    amountDue: amount,
+    feeSplit: split._id,
+    levelOfCompetition: team.levelOfCompetition || 'Gold',
+  };
+  const index = team.tournaments.findIndex((t) =>
+    isSameEntry(t, tournament, year),
+  );
+  if (index >= 0) {
+    team.tournaments[index] = entryData;
+  } else {
+    team.tournaments.push(entryData);
+  }
+  team.markModified('tournaments');
+  await team.save();
+
+  for (const share of shares) {
+    await notifyShare(split, team, share, share.fullName);
+  }
+
+  return split;
+};
+
+// ============================================
+// PAYING A SHARE
+// ============================================
+
+/**
+ * Mirror the split's progress onto the team's tournament entry, and mark the
+ * team paid once everything has been collected.
+ */
+const syncTeamEntry = async (split) => {
+  const complete = toCents(split.amountCollected) >= toCents(split.totalAmount);
+  const status = complete
+    ? 'paid'
+    : split.amountCollected > 0
+      ? 'partial'
+      : 'pending';
+
+  await Team.updateOne(
+    { _id: split.team, 'tournaments.feeSplit': split._id },
+    {
+      $set: {
+        'tournaments.$.paymentStatus': status,
+        'tournaments.$.paymentComplete': complete,
+        // Summed dollars drift; report the total to the cent
+        'tournaments.$.amountPaid': toCents(split.amountCollected) / 100,
+        'tournaments.$.paymentMethod': 'split',
+        ...(complete && { paymentComplete: true, paymentStatus: 'paid' }),
+      },
+    },
+  );
+
+  if (!complete) return;
+
+  // Only the payment that completes the split announces it
+  const { modifiedCount } = await TeamFeeSplit.updateOne(
+    { _id: split._id, status: 'collecting' },
+    { $set: { status: 'paid', completedAt: new Date() } },
+  );
+  if (modifiedCount) {
+    split.status = 'paid';
+    await sendTournamentRegistrationEmail(
+      split.coach,
+      [split.team],
+      split.tournament,
+      split.year,
+      split.totalAmount,
+    ).catch((error) =>
+      console.error('Failed to send team fee confirmation:', error),
+    );
+  }
+};
+
+// Providers report success differently; Stripe uses its own wording
+const isPaid = (result) =>
+  ['COMPLETED', 'PAID', 'succeeded'].includes(result?.status);
+
+// A share left processing this long lost its charge somewhere between us and
+// the provider; its link may be used again under the same idempotency key
+const PROCESSING_TIMEOUT_MS = 15 * 60 * 1000;
+
+// One key per share, moved on only once the provider has declined a charge,
+// so a charge whose outcome was never seen cannot go through twice
+const chargeKey = (share) =>
+  share.attempts
+    ? `share_${share._id}_retry${share.attempts}`
+    : `share_${share._id}`;
+
+const isPayable = (share, now = new Date()) =>
+  share.status === 'pending' ||
+  (share.status === 'processing' &&
+    share.processingAt <= new Date(now - PROCESSING_TIMEOUT_MS));
+
+const shareNote = (split, team) =>
+  `Team fee share: ${split.tournament} ${split.year} - Team: ${team?.name}`;
+
+/**
+ * Count a charge that went through towards the split. Only a share still
+ * processing is counted, so the same charge is never added twice.
+ */
+const markSharePaid = async (split, share, externalPaymentId) => {
+  const updated = await TeamFeeSplit.findOneAndUpdate(
+    {
+      _id: split._id,
+      shares: { $elemMatch: { _id: share._id, status: 'processing' } },
+    },
+    {
+      $set: {
+        'shares.$.status': 'paid',
+        'shares.$.paidAt': new Date(),
+        'shares.$.externalPaymentId': externalPaymentId,
+        'shares.$.lastError': null,
+      },
+      $inc: { amountCollected: share.amount },
+    },
+    { new: true },
+  );
+  if (!updated) throw splitError('This share is no longer being paid', 409);
+
+  await syncTeamEntry(updated);
+  return updated;
+};
+
+const createSharePayment = async ({
+  split,
+  share,
+  paymentService,
+  result,
+  email,
+  cardDetails = {},
+  note,
+}) => {
+  const payment = await Payment.create({
+    parentId: share.parent,
+    teamId: split.team,
+    paymentId: result.id,
+    paymentSystem: paymentService.type,
+    configurationId: paymentService.configurationId,
+    ...(paymentService.type === 'square' && {
+      locationId: paymentService.config.locationId,
+    }),
+    ...(paymentService.type === 'clover' && {
+      merchantId: paymentService.config.merchantId,
+      orderId: result.orderId || result.id,
+    }),
+    buyerEmail: email || share.email,
+    cardLastFour: cardDetails.last_4 || 'N/A',
+    cardBrand: cardDetails.card_brand || 'N/A',
+    cardExpMonth: String(cardDetails.exp_month || '0'),
+    cardExpYear: String(cardDetails.exp_year || '0'),
+    amount: share.amount,
+    currency: split.currency,
+    status: 'completed',
+    processedAt: new Date(),
+    receiptUrl: result.receiptUrl || result.receipt_url,
+    paymentType: 'tournament',
+    tournamentName: split.tournament,
+    year: split.year,
+    feeSplit: split._id,
+    note,
+  });
+
+  await TeamFeeSplit.updateOne(
+    { _id: split._id, 'shares._id': share._id },
+    { $set: { 'shares.$.payment': payment._id } },
+  );
+  return payment;
+};
+
+/**
+ * Charge the share behind a payment link. The share is claimed first so two
+ * tabs on the same link cannot both pay it. A charge that went through is
+ * counted before its Payment record is written; one whose outcome is unknown
+ * keeps the share processing until the link is retried after
+ * PROCESSING_TIMEOUT_MS or an admin resolves it.
+ */
+const payShare = async ({
+  token,
+  sourceId,
+  email,
+  cardDetails = {},
+  paymentSystem,
+}) => {
+  const paymentService = await PaymentServiceFactory.getService(paymentSystem);
+
+  const claimed = await TeamFeeSplit.findOneAndUpdate(
+    {
+      status: 'collecting',
+      shares: {
+        $elemMatch: {
+          token,
+          $or: [
+            { status: 'pending' },
+            {
+              status: 'processing',
+              processingAt: {
+                $lte: new Date(Date.now() - PROCESSING_TIMEOUT_MS),
+              },
+            },
+          ],
+        },
+      },
+    },
+    {
+      $set: {
+        'shares.$.status': 'processing',
+        'shares.$.processingAt': new Date(),
+        'shares.$.paymentSystem': paymentService.type,
+      },
+    },
+    { new: true },
+  );
+
+  if (!claimed) {
+    const split = await TeamFeeSplit.findOne({ 'shares.token': token });
+    const share = split?.shares.find((s) => s.token === token);
+    if (!share) throw splitError('Payment link not found', 404);
+    if (share.status === 'paid') {
+      throw splitError('This share has already been paid', 409);
+    }
+    if (share.status === 'processing') {
+      throw splitError('This share is already being paid', 409);
+    }
+    throw splitError(
+      share.status === 'reassigned'
+        ? 'The deadline for this share has passed and it is now due from the coach'
+        : 'This team fee is no longer being collected',
+    );
+  }
+
+  const share = claimed.shares.find((s) => s.token === token);
+  const team = await Team.findById(claimed.team).select('name');
+  const note = shareNote(claimed, team);
+
+  let result;
+  try {
+    result = await paymentService.processPayment({
+      sourceId,
+      amount: toCents(share.amount),
+      email: email || share.email,
+      referenceId: `split:${claimed._id.toString().slice(-12)}`,
+      note,
+      idempotencyKey: chargeKey(share),
+    });
+  } catch (error) {
+    const declined = PaymentServiceFactory.isDeclined(error);
+    await TeamFeeSplit.updateOne(
+      { _id: claimed._id, 'shares._id': share._id },
+      {
+        $set: {
+          'shares.$.lastError': error.message,
+          ...(declined && { 'shares.$.status': 'pending' }),
+        },
+        ...(declined && { $inc: { 'shares.$.attempts': 1 } }),
+      },
+    );
+    if (declined) throw splitError(error.message);
+    throw splitError(
+      'Your payment could not be confirmed. Please wait 15 minutes before trying again; you will not be charged twice.',
+      502,
+    );
+  }
+
+  if (!isPaid(result)) {
+    const message = `Payment failed with status: ${result?.status}`;
+    await TeamFeeSplit.updateOne(
+      { _id: claimed._id, 'shares._id': share._id },
+      {
+        $set: { 'shares.$.status': 'pending', 'shares.$.lastError': message },
+        $inc: { 'shares.$.attempts': 1 },
+      },
+    );
+    throw splitError(message);
+  }
+
+  const split = await markSharePaid(claimed, share, result.id);
+  const payment = await createSharePayment({
+    split,
+    share,
+    paymentService,
+    result,
+    email,
+    cardDetails,
+    note,
+  });
+
+  return { split, share, payment };
+};
+
+/**
+ * Settle a share whose payment could not be confirmed, once an admin has
+ * checked the provider: with the provider's payment id the share is counted
+ * as paid, without one it becomes payable again under a fresh key.
+ */
+const resolveShare = async (split, shareId, { externalPaymentId } = {}) => {
+  const share = split.shares.find((s) => s._id.toString() === shareId);
+  if (!share) throw splitError('Share not found', 404);
+  if (share.status !== 'processing') {
+    throw splitError('This share is not waiting on a payment', 409);
+  }
+
+  if (!externalPaymentId) {
+    const { modifiedCount } = await TeamFeeSplit.updateOne(
+      {
+        _id: split._id,
+        shares: { $elemMatch: { _id: share._id, status: 'processing' } },
+      },
+      {
+        $set: { 'shares.$.status': 'pending' },
+        $inc: { 'shares.$.attempts': 1 },
+      },
+    );
+    if (!modifiedCount) {
+      throw splitError('This share is not waiting on a payment', 409);
+    }
+    return TeamFeeSplit.findById(split._id);
+  }
+
+  const paymentService = await PaymentServiceFactory.getService(
+    share.paymentSystem,
+  );
+  const team = await Team.findById(split.team).select('name');
+  const updated = await markSharePaid(split, share, externalPaymentId);
+  await createSharePayment({
+    split: updated,
+    share,
+    paymentService,
+    result: { id: externalPaymentId },
+    note: shareNote(split, team),
+  });
+
+  return TeamFeeSplit.findById(split._id);
+};
+
+/**
+ * What a payment link shows before paying: the team, the share and whether
+ * it can still be paid.
+ */
+const describeShare = async (token) => {
+  const split = await TeamFeeSplit.findOne({ 'shares.token': token })
+    .populate('team', 'name grade levelOfCompetition')
+    .populate('shares.players', 'fullName');
+  const share = split?.shares.find((s) => s.token === token);
+  if (!share) throw splitError('Payment link not found', 404);
+
+  return {
+    team: split.team,
+    tournament: split.tournament,
+    year: split.year,
+    deadline: split.deadline,
+    amount: share.amount,
+    players: share.players.map((player) => player.fullName),
+    isFallback: share.isFallback,
+    status: share.status,
+    payable: split.status === 'collecting' && isPayable(share),
+  };
+};
+
+// ============================================
+// DEADLINES
+// ============================================
+
+/**
+ * Hand every share still unpaid at the deadline to the coach as a single
+ * fallback share. Run daily from services/scheduledJobs.js.
+ */
+const reassignOverdueShares = async (now = new Date()) => {
+  const splits = await TeamFeeSplit.find({
+    status: 'collecting',
+    deadline: { $lte: now },
+    reassignedAt: { $exists: false },
+  });
+
+  const summary = { splits: splits.length, reassigned: 0, amount: 0 };
+
+  for (const split of splits) {
+    // Share by share, so one being paid right now is left alone
+    let cents = 0;
+    for (const share of split.shares) {
+      if (share.status !== 'pending' || share.isFallback) continue;
+      const { modifiedCount } = await TeamFeeSplit.updateOne(
+        {
+          _id: split._id,
+          shares: { $elemMatch: { _id: share._id, status: 'pending' } },
+        },
+        { $set: { 'shares.$.status': 'reassigned' } },
+      );
+      if (modifiedCount) cents += toCents(share.amount);
+    }
+
+    const coach = await Parent.findById(split.coach).select('email fullName');
+    const fallback = cents
+      ? {
+          parent: split.coach,
+          email: coach?.email,
+          amount: cents / 100,
+          token: newToken(),
+          isFallback: true,
+        }
+      : null;
+
+    // A share whose payment is unconfirmed keeps the split coming back here
+    // until an admin resolves it, in case it turns out to be unpaid
+    const settled = !split.shares.some(
+      (share) => share.status === 'processing',
+    );
+    if (settled || fallback) {
+      await TeamFeeSplit.updateOne(
+        { _id: split._id },
+        {
+          ...(settled && { $set: { reassignedAt: now } }),
+          ...(fallback && { $push: { shares: fallback } }),
+        },
+      );
+    }
+    if (!fallback) continue;
+
+    summary.reassigned++;
+    summary.amount += fallback.amount;
+    if (coach?.email) {
+      const team = await Team.findById(split.team).select('name');
+      await notifyShare(split, team, fallback, coach.fullName);
+    }
+  }
+
+  return summary;
+};
+
+/**
+ * Stop collecting a split nobody has paid into yet. Once money has come in
+ * the split has to run to completion or be refunded share by share.
+ */
+const cancelFeeSplit = async (split) => {
+  if (split.status !== 'collecting') {
+    throw splitError(`This team fee is already ${split.status}`);
+  }
+  if (split.shares.some((share) => share.status === 'processing')) {
+    throw splitError(
+      'A share payment has not been confirmed yet; resolve it before cancelling',
+      409,
+    );
+  }
+  if (split.amountCollected > 0) {
+    throw splitError(
+      'Shares have already been paid; this team fee can no longer be cancelled',
+      409,
+    );
+  }
+
+  split.shares.forEach((share) => {
+    if (share.status === 'pending') share.status = 'cancelled';
+  });
+  split.status = 'cancelled';
+  split.cancelledAt = new Date();
+  await split.save();
+
+  await Team.updateOne(
+    { _id: split.team, 'tournaments.feeSplit': split._id },
+    {
+      $unset: { 'tournaments.$.feeSplit': '', 'tournaments.$.amountDue': '' },
+    },
+  );
+  return split;
+};
+
+module.exports = {
+  startFeeSplit,
+  payShare,
+  resolveShare,
+  describeShare,
+  reassignOverdueShares,
+  cancelFeeSplit,
+};
@@ -0,0 +1,312 @@
+// services/ticketCheckIn.js
+const crypto = require('crypto');
+const TicketPurchase = require('../models/TicketPurchase');
+const FormSubmission = require('../models/FormSubmission');
+const { signRoster, verifyRosterSignature } = require('../utils/ticketTokens');
+
+const toDayKey = (date) => new Date(date).toISOString().split('T')[0];
+
+const hasValue = (value) =>
+  value !== undefined && value !== null && value !== '';
+
+/**
+ * Build the roster a door device downloads before going offline: every
+ * non-void admission for a form, narrowed to one venue and/or date.
+ * Tickets bound to no venue are valid everywhere and always included.
+ */
+async function buildCheckInRoster(form, { venueIndex, date, generatedBy }) {
+  const venues = form.tournamentSettings?.venues || [];
+  const rosterVenueIndex = hasValue(venueIndex) ? parseInt(venueIndex) : null;
+  const rosterVenue =
+    rosterVenueIndex !== null ? venues[rosterVenueIndex] : null;
+
+  let rosterDate = null;
+  if (hasValue(date)) {
+    rosterDate = toDayKey(date);
+  } else if (rosterVenue?.date) {
+    rosterDate = toDayKey(rosterVenue.date);
+  }
+
+  const purchases = await TicketPurchase.find({
+    formId: form._id,
+    status: 'completed',
+    'admissions.0': { $exists: true },
+  })
+    .select(
+      'submissionId customerName customerEmail packageName venueIndex admissions',
+    )
+    .lean();
+
+  const submissions = await FormSubmission.find({
+    _id: { $in: purchases.map((p) => p.submissionId) },
+  })
+    .select('tournamentInfo')
+    .lean();
+  const tournamentInfoBySubmission = new Map(
+    submissions.map((s) => [s._id.toString(), s.tournamentInfo]),
+  );
+
+  const admissions = [];
+
+  purchases.forEach((purchase) => {
+    const info = tournamentInfoBySubmission.get(
+      purchase.submissionId.toString(),
+    );
+    const ticketVenueIndex = hasValue(purchase.venueIndex)
+      ? purchase.venueIndex
+      : hasValue(info?.selectedVenueIndex)
+        ? info.selectedVenueIndex
+        : null;
+
+    if (
+      rosterVenueIndex !== null &&
+      ticketVenueIndex !== null &&
+      ticketVenueIndex !== rosterVenueIndex
+    ) {
+      return;
+    }
+
+    const ticketDate =
+      info?.venueInfo?.venueDate ||
+      (ticketVenueIndex !== null ? venues[ticketVenueIndex]?.date : null);
+
+    if (rosterDate && ticketDate && toDayKey(ticketDate) !== rosterDate) {
+      return;
+    }
+
+    purchase.admissions
+      .filter((admission) => admission.status !== 'void')
+      .forEach((admission) => {
+        admissions.push({
+          tokenId: admission.tokenId,
+          ticketPurchaseId: purchase._id,
+          admissionNumber: admission.admissionNumber,
+          quantity: purchase.admissions.length,
+          customerName: purchase.customerName,
+          customerEmail: purchase.customerEmail,
+          packageName: purchase.packageName,
+          venueIndex: ticketVenueIndex,
+          status: admission.status,
+          redeemedAt: admission.redeemedAt,
+        });
+      });
+  });
+
+  const roster = {
+    rosterId: crypto.randomUUID(),
+    formId: form._id.toString(),
+    formTitle: form.title,
+    venueIndex: rosterVenueIndex,
+    venueName: rosterVenue?.venueName || null,
+    date: rosterDate,
+    generatedAt: new Date().toISOString(),
+    generatedBy: generatedBy ? generatedBy.toString() : null,
+  };
+
+  return {
+    roster,
+    signature: signRoster(roster),
+    admissions,
+  };
+}
+
+const describeConflict = (purchase, admission, first, second) => ({
+  tokenId: admission.tokenId,
+  ticketPurchaseId: purchase._id,
+  admissionNumber: admission.admissionNumber,
+  customerName: purchase.customerName,
+  firstScannedAt: first.scannedAt,
+  firstDeviceId: first.deviceId || null,
+  secondScannedAt: second.scannedAt,
+  secondDeviceId: second.deviceId || null,
+});
+
+/**
+ * Merge one device's offline redemption log into the server's admissions.
+ * The earliest scan of an admission wins; every later scan of the same
+ * admission is kept on it as a conflict. Re-uploading a log is a no-op.
+ */
+async function mergeRedemptionLog({
+  roster,
+  signature,
+  deviceId,
+  redemptions,
+  user,
+}) {
+  if (!verifyRosterSignature(roster, signature)) {
+    return { success: false, error: 'Roster signature is invalid' };
+  }
+
+  const results = {
+    redeemed: [],
+    alreadySynced: [],
+    conflicts: [],
+    rejected: [],
+  };
+
+  const ordered = [...(redemptions || [])].sort(
+    (a, b) => new Date(a.scannedAt) - new Date(b.scannedAt),
+  );
+
+  for (const entry of ordered) {
+    const tokenId = entry.tokenId;
+    const scannedAt = new Date(entry.scannedAt);
+    const venueIndex = hasValue(entry.venueIndex)
+      ? parseInt(entry.venueIndex)
+      : roster.venueIndex;
+
+    if (!tokenId || isNaN(scannedAt.getTime())) {
+      results.rejected.push({ tokenId, reason: 'invalid_entry' });
+      continue;
+    }
+
+    const purchase = await TicketPurchase.findOne({
+      formId: roster.formId,
+      'admissions.tokenId': tokenId,
+    }).lean();
+
+    if (!purchase) {
+      results.rejected.push({ tokenId, reason: 'not_found' });
+      continue;
+    }
+
+    if (purchase.status !== 'completed') {
+      results.rejected.push({ tokenId, reason: purchase.status });
+      continue;
+    }
+
+    // Same rule as a live scan: a venue ticket only admits at that venue
+    if (
+      hasValue(purchase.venueIndex) &&
+      hasValue(venueIndex) &&
+      purchase.venueIndex !== venueIndex
+    ) {
+      results.rejected.push({ tokenId, reason: 'wrong_venue' });
+      continue;
+    }
+
+    const admission = purchase.admissions.find((a) => a.tokenId === tokenId);
+
+    if (admission.status === 'void') {
+      results.rejected.push({ tokenId, reason: 'void' });
+      continue;
+    }
+
+    if (admission.status === 'valid') {
+      const updated = await TicketPurchase.findOneAndUpdate(
+        {
+          _id: purchase._id,
+          admissions: { $elemMatch: { tokenId, status: 'valid' } },
+        },
+        {
+          $set: {
+            'admissions.$.status': 'redeemed',
+            'admissions.$.redeemedAt': scannedAt,
+            'admissions.$.redeemedBy': user._id,
+            'admissions.$.redeemedDeviceId': deviceId,
+            ...(venueIndex !== null && {
+              'admissions.$.redeemedVenueIndex': venueIndex,
+            }),
+          },
+        },
+      );
+
+      if (updated) {
+        results.redeemed.push({
+          tokenId,
+          ticketPurchaseId: purchase._id,
+          admissionNumber: admission.admissionNumber,
+        });
+        continue;
+      }
+
+      // Redeemed by a live scan between our read and write
+      const refreshed = await TicketPurchase.findById(purchase._id).lean();
+      Object.assign(
+        admission,
+        refreshed.admissions.find((a) => a.tokenId === tokenId),
+      );
+    }
+
+    const alreadyRecorded =
+      (admission.redeemedDeviceId === deviceId &&
+        admission.redeemedAt?.getTime() === scannedAt.getTime()) ||
+      (admission.conflicts || []).some(
+        (c) =>
+          c.deviceId === deviceId &&
+          c.scannedAt.getTime() === scannedAt.getTime(),
+      );
+
+    if (alreadyRecorded) {
+      results.alreadySynced.push({ tokenId });
+      continue;
+    }
+
+    const incoming = {
+      scannedAt,
+      scannedBy: user._id,
+      deviceId,
+      ...(venueIndex !== null && { venueIndex }),
+    };
+    const existing = {
+      scannedAt: admission.redeemedAt,
+      scannedBy: admission.redeemedBy,
+      deviceId: admission.redeemedDeviceId,
+      ...(hasValue(admission.redeemedVenueIndex) && {
+        venueIndex: admission.redeemedVenueIndex,
+      }),
+    };
+
+    if (scannedAt < admission.redeemedAt) {
+      // This device admitted the ticket first: it becomes the redemption of
+      // record and the previously stored scan becomes the conflict
+      await TicketPurchase.updateOne(
+        {
+          _id: purchase._id,
+          admissions: {
+            $elemMatch: { tokenId, redeemedAt: admission.redeemedAt },
+          },
+        },
+        {
+          $set: {
+            'admissions.$.redeemedAt': scannedAt,
+            'admissions.$.redeemedBy': user._id,
+            'admissions.$.redeemedDeviceId': deviceId,
+            'admissions.$.redeemedVenueIndex':
+              venueIndex !== null ? venueIndex : null,
+          },
+          $push: { 'admissions.$.conflicts': existing },
+        },
+      );
+      results.conflicts.push(
+        describeConflict(purchase, admission, incoming, existing),
+      );
+    } else {
+      await TicketPurchase.updateOne(
+        { _id: purchase._id, 'admissions.tokenId': tokenId },
+        { $push: { 'admissions.$.conflicts': incoming } },
+      );
+      results.conflicts.push(
+        describeConflict(purchase, admission, existing, incoming),
+      );
+    }
+  }
+
+  return {
+    success: true,
+    rosterId: roster.rosterId,
+    summary: {
+      received: ordered.length,
+      redeemed: results.redeemed.length,
+      alreadySynced: results.alreadySynced.length,
+      conflicts: results.conflicts.length,
+      rejected: results.rejected.length,
+    },
+    ...results,
+  };
+}
+
+module.exports = {
+  buildCheckInRoster,
+  mergeRedemptionLog,
+};
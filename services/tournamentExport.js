@@ -0,0 +1,508 @@
+// services/tournamentExport.js
+const PDFDocument = require('pdfkit');
+
+const BOX_WIDTH = 190;
+const ROW_HEIGHT = 22;
+const BOX_HEIGHT = ROW_HEIGHT * 2;
+const COLUMN_GAP = 48;
+const BOX_GAP = 16;
+const SECTION_HEADER = 36;
+const SECTION_GAP = 32;
+const PADDING = 24;
+
+const PAPER_SIZES = {
+  letter: 'LETTER',
+  legal: 'LEGAL',
+  tabloid: 'TABLOID',
+};
+
+const SECTION_TITLES = {
+  winners: 'Winners Bracket',
+  losers: 'Losers Bracket',
+  final: 'Final',
+};
+
+const SCHEDULE_COURTS_PER_PAGE = 6;
+
+const idOf = (ref) => (ref?._id || ref)?.toString();
+
+const escapeXml = (value) =>
+  String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+const truncate = (value, length) =>
+  value.length > length ? `${value.slice(0, length - 1)}…` : value;
+
+const roundLabel = (round, lastRound) => {
+  if (round === lastRound) return 'Final';
+  if (round === lastRound - 1) return 'Semifinals';
+  if (round === lastRound - 2) return 'Quarterfinals';
+  return `Round ${round}`;
+};
+
+const formatTime = (date) =>
+  new Date(date).toLocaleTimeString('en-US', {
+    hour: 'numeric',
+    minute: '2-digit',
+  });
+
+const formatDay = (date) =>
+  new Date(date).toLocaleDateString('en-US', {
+    weekday: 'long',
+    month: 'long',
+    day: 'numeric',
+    year: 'numeric',
+  });
+
+const teamRows = (match) => {
+  const showScores = ['completed', 'in-progress', 'walkover'].includes(
+    match.status
+  );
+  const winnerId = idOf(match.winner);
+
+  return ['team1', 'team2'].map((position) => {
+    const team = match[position];
+    return {
+      name: team?.name || (match.status === 'bye' ? 'BYE' : 'TBD'),
+      score: showScores && team ? match[`${position}Score`] : null,
+      isWinner: Boolean(team && winnerId && idOf(team) === winnerId),
+    };
+  });
+};
+
+/**
+ * Position every bracket match as a box in a column per round, stacked in
+ * sections for the winners, losers and final brackets. Later-round boxes are
+ * centred on the matches that feed them. Coordinates are in points.
+ */
+const buildBracketLayout = (matches) => {
+  const sectionKeys = ['winners', 'losers', 'final'].filter((key) =>
+    matches.some((m) => (m.bracketType || 'winners') === key)
+  );
+
+  const sections = [];
+  let offsetY = PADDING;
+  let width = 0;
+
+  sectionKeys.forEach((key) => {
+    const sectionMatches = matches.filter(
+      (m) => (m.bracketType || 'winners') === key
+    );
+    const rounds = [...new Set(sectionMatches.map((m) => m.round))].sort(
+      (a, b) => a - b
+    );
+    const lastRound = rounds[rounds.length - 1];
+    const positions = new Map();
+    const boxes = [];
+    const top = offsetY + SECTION_HEADER;
+
+    rounds.forEach((round, column) => {
+      const x = PADDING + column * (BOX_WIDTH + COLUMN_GAP);
+      const columnMatches = sectionMatches
+        .filter((m) => m.round === round)
+        .sort((a, b) => a.matchNumber - b.matchNumber);
+      const spacing = (BOX_HEIGHT + BOX_GAP) * 2 ** column;
+
+      const placed = columnMatches.map((match, index) => {
+        const feeders = sectionMatches.filter(
+          (m) =>
+            idOf(m.nextMatch) === idOf(match._id) && positions.has(idOf(m._id))
+        );
+        const y = feeders.length
+          ? feeders.reduce((sum, m) => sum + positions.get(idOf(m._id)).y, 0) /
+            feeders.length
+          : top + index * spacing + (spacing - BOX_HEIGHT - BOX_GAP) / 2;
+        return { match, x, y };
+      });
+
+      // Keep boxes in a column from overlapping
+      placed.sort((a, b) => a.y - b.y);
+      placed.forEach((box, index) => {
+        if (index > 0) {
+          box.y = Math.max(box.y, placed[index - 1].y + BOX_HEIGHT + BOX_GAP);
+        }
+        positions.set(idOf(box.match._id), box);
+        boxes.push(box);
+      });
+    });
+
+    const connectors = [];
+    sectionMatches.forEach((match) => {
+      const from = positions.get(idOf(match._id));
+      const to = positions.get(idOf(match.nextMatch));
+      if (!from || !to) return;
+
+      const startX = from.x + BOX_WIDTH;
+      const startY = from.y + BOX_HEIGHT / 2;
+      const endY = to.y + BOX_HEIGHT / 2;
+      const midX = startX + COLUMN_GAP / 2;
+      connectors.push([
+        [startX, startY],
+        [midX, startY],
+        [midX, endY],
+        [to.x, endY],
+      ]);
+    });
+
+    const bottom = Math.max(...boxes.map((box) => box.y + BOX_HEIGHT));
+    sections.push({
+      title: SECTION_TITLES[key],
+      y: offsetY,
+      columns: rounds.map((round, column) => ({
+        label: roundLabel(round, lastRound),
+        x: PADDING + column * (BOX_WIDTH + COLUMN_GAP),
+      })),
+      boxes,
+      connectors,
+    });
+
+    width = Math.max(
+      width,
+      PADDING * 2 + rounds.length * (BOX_WIDTH + COLUMN_GAP) - COLUMN_GAP
+    );
+    offsetY = bottom + SECTION_GAP;
+  });
+
+  return {
+    width,
+    height: offsetY - SECTION_GAP + PADDING,
+    sections,
+  };
+};
+
+/**
+ * Render bracket matches as a standalone SVG document
+ */
+const renderBracketSvg = (tournament, matches) => {
+  const layout = buildBracketLayout(matches);
+  const titleHeight = 40;
+  const width = Math.max(layout.width, 400);
+  const height = layout.height + titleHeight;
+  const parts = [];
+
+  parts.push(
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" font-family="Helvetica, Arial, sans-serif">`,
+    '<rect width="100%" height="100%" fill="#ffffff"/>',
+    `<text x="${PADDING}" y="28" font-size="18" font-weight="bold">${escapeXml(
+      tournament.name
+    )}</text>`,
+    `<g transform="translate(0 ${titleHeight})">`
+  );
+
+  layout.sections.forEach((section) => {
+    parts.push(
+      `<text x="${PADDING}" y="${
+        section.y + 12
+      }" font-size="13" font-weight="bold">${escapeXml(section.title)}</text>`
+    );
+    section.columns.forEach((column) => {
+      parts.push(
+        `<text x="${column.x}" y="${
+          section.y + 28
+        }" font-size="10" fill="#555555">${escapeXml(column.label)}</text>`
+      );
+    });
+    section.connectors.forEach((points) => {
+      parts.push(
+        `<polyline points="${points
+          .map((p) => p.join(','))
+          .join(' ')}" fill="none" stroke="#999999" stroke-width="1"/>`
+      );
+    });
+    section.boxes.forEach(({ match, x, y }) => {
+      parts.push(
+        `<rect x="${x}" y="${y}" width="${BOX_WIDTH}" height="${BOX_HEIGHT}" fill="#ffffff" stroke="#333333" stroke-width="1"/>`,
+        `<line x1="${x}" y1="${y + ROW_HEIGHT}" x2="${x + BOX_WIDTH}" y2="${
+          y + ROW_HEIGHT
+        }" stroke="#cccccc"/>`
+      );
+      teamRows(match).forEach((row, index) => {
+        const textY = y + index * ROW_HEIGHT + 15;
+        const weight = row.isWinner ? ' font-weight="bold"' : '';
+        parts.push(
+          `<text x="${x + 6}" y="${textY}" font-size="11"${weight}>${escapeXml(
+            truncate(row.name, row.score === null ? 28 : 22)
+          )}</text>`
+        );
+        if (row.score !== null) {
+          parts.push(
+            `<text x="${
+              x + BOX_WIDTH - 6
+            }" y="${textY}" font-size="11" text-anchor="end"${weight}>${
+              row.score
+            }</text>`
+          );
+        }
+      });
+    });
+  });
+
+  parts.push('</g>', '</svg>');
+  return parts.join('\n');
+};
+
+const collectPdf = (doc) =>
+  new Promise((resolve, reject) => {
+    const chunks = [];
+    doc.on('data', (chunk) => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+    doc.end();
+  });
+
+/**
+ * Render bracket matches as a one-page PDF, scaled down to fit the paper
+ */
+const renderBracketPdf = (tournament, matches, { paper = 'letter' } = {}) => {
+  const layout = buildBracketLayout(matches);
+  const doc = new PDFDocument({
+    size: PAPER_SIZES[paper] || PAPER_SIZES.letter,
+    layout: 'landscape',
+    margin: 36,
+    info: { Title: `${tournament.name} Bracket` },
+  });
+
+  doc.font('Helvetica-Bold').fontSize(16).text(tournament.name, 36, 30);
+
+  const top = 56;
+  const availableWidth = doc.page.width - 72;
+  const availableHeight = doc.page.height - top - 36;
+  const scale = Math.min(
+    1,
+    availableWidth / layout.width,
+    availableHeight / layout.height
+  );
+
+  doc.save();
+  doc.translate(36, top).scale(scale);
+
+  layout.sections.forEach((section) => {
+    doc
+      .font('Helvetica-Bold')
+      .fontSize(13)
+      .fillColor('#000000')
+      .text(section.title, PADDING, section.y, { lineBreak: false });
+    section.columns.forEach((column) => {
+      doc
+        .font('Helvetica')
+        .fontSize(10)
+        .fillColor('#555555')
+        .text(column.label, column.x, section.y + 18, { lineBreak: false });
+    });
+
+    doc.lineWidth(1).strokeColor('#999999');
+    section.connectors.forEach((points) => {
+      doc.moveTo(...points[0]);
+      points.slice(1).forEach((point) => doc.lineTo(...point));
+      doc.stroke();
+    });
+
+    section.boxes.forEach(({ match, x, y }) => {
+      doc.strokeColor('#333333').rect(x, y, BOX_WIDTH, BOX_HEIGHT).stroke();
+      doc
+        .strokeColor('#cccccc')
+        .moveTo(x, y + ROW_HEIGHT)
+        .lineTo(x + BOX_WIDTH, y + ROW_HEIGHT)
+        .stroke();
+
+      teamRows(match).forEach((row, index) => {
+        const textY = y + index * ROW_HEIGHT + 6;
+        doc
+          .font(row.isWinner ? 'Helvetica-Bold' : 'Helvetica')
+          .fontSize(11)
+          .fillColor('#000000')
+          .text(row.name, x + 6, textY, {
+            width: BOX_WIDTH - 40,
+            lineBreak: false,
+            ellipsis: true,
+          });
+        if (row.score !== null) {
+          doc.text(String(row.score), x + BOX_WIDTH - 40, textY, {
+            width: 34,
+            align: 'right',
+            lineBreak: false,
+          });
+        }
+      });
+    });
+  });
+
+  doc.restore();
+  return collectPdf(doc);
+};
+
+const naturalCompare = (a, b) =>
+  String(a).localeCompare(String(b), undefined, { numeric: true });
+
+/**
+ * Render scheduled matches as a time-by-court grid, one page per day (more
+ * when a day has more courts or time slots than fit on a page)
+ */
+const renderSchedulePdf = (tournament, matches) => {
+  const doc = new PDFDocument({
+    size: 'LETTER',
+    layout: 'landscape',
+    margin: 36,
+    autoFirstPage: false,
+    info: { Title: `${tournament.name} Schedule` },
+  });
+
+  const scheduled = matches.filter((m) => m.scheduledTime);
+  const days = new Map();
+  scheduled.forEach((match) => {
+    const key = new Date(match.scheduledTime).toDateString();
+    if (!days.has(key)) days.set(key, []);
+    days.get(key).push(match);
+  });
+
+  if (days.size === 0) {
+    doc.addPage();
+    doc
+      .font('Helvetica-Bold')
+      .fontSize(16)
+      .text(tournament.name)
+      .font('Helvetica')
+      .fontSize(12)
+      .moveDown()
+      .text('No matches have been scheduled yet.');
+    return collectPdf(doc);
+  }
+
+  const timeColumn = 70;
+  const headerHeight = 24;
+  const rowHeight = 40;
+
+  [...days.values()]
+    .sort((a, b) => new Date(a[0].scheduledTime) - new Date(b[0].scheduledTime))
+    .forEach((dayMatches) => {
+      const courts = [
+        ...new Set(dayMatches.map((m) => m.court || 'Unassigned')),
+      ].sort(naturalCompare);
+      const times = [
+        ...new Set(dayMatches.map((m) => new Date(m.scheduledTime).getTime())),
+      ].sort((a, b) => a - b);
+      const dayTitle = formatDay(dayMatches[0].scheduledTime);
+
+      for (
+        let first = 0;
+        first < courts.length;
+        first += SCHEDULE_COURTS_PER_PAGE
+      ) {
+        const pageCourts = courts.slice(
+          first,
+          first + SCHEDULE_COURTS_PER_PAGE
+        );
+        let rowIndex = 0;
+
+        while (rowIndex < times.length) {
+          doc.addPage();
+          const left = doc.page.margins.left;
+          const gridWidth = doc.page.width - left - doc.page.margins.right;
+          const courtWidth = (gridWidth - timeColumn) / pageCourts.length;
+
+          doc
+            .font('Helvetica-Bold')
+            .fontSize(16)
+            .fillColor('#000000')
+            .text(tournament.name, left, 30, { lineBreak: false });
+          doc
+            .font('Helvetica')
+            .fontSize(12)
+            .text(dayTitle, left, 50, { lineBreak: false });
+
+          let y = 74;
+          doc.rect(left, y, gridWidth, headerHeight).fill('#eeeeee');
+          doc.fillColor('#000000').font('Helvetica-Bold').fontSize(10);
+          doc.text('Time', left + 4, y + 7, {
+            width: timeColumn - 8,
+            lineBreak: false,
+          });
+          pageCourts.forEach((court, index) => {
+            doc.text(court, left + timeColumn + index * courtWidth + 4, y + 7, {
+              width: courtWidth - 8,
+              align: 'center',
+              lineBreak: false,
+              ellipsis: true,
+            });
+          });
+          y += headerHeight;
+
+          const pageBottom = doc.page.height - doc.page.margins.bottom;
+          while (rowIndex < times.length && y + rowHeight <= pageBottom) {
+            const time = times[rowIndex];
+            doc.strokeColor('#bbbbbb').lineWidth(0.5);
+            doc.rect(left, y, gridWidth, rowHeight).stroke();
+            doc
+              .font('Helvetica-Bold')
+              .fontSize(10)
+              .fillColor('#000000')
+              .text(formatTime(time), left + 4, y + 14, {
+                width: timeColumn - 8,
+                lineBreak: false,
+              });
+
+            pageCourts.forEach((court, index) => {
+              const x = left + timeColumn + index * courtWidth;
+              doc
+                .moveTo(x, y)
+                .lineTo(x, y + rowHeight)
+                .stroke();
+
+              const match = dayMatches.find(
+                (m) =>
+                  (m.court || 'Unassigned') === court &&
+                  new Date(m.scheduledTime).getTime() === time
+              );
+              if (!match) return;
+
+              const label = match.group
+                ? `Group ${match.group}`
+                : `Round ${match.round} · Match ${match.matchNumber}`;
+              doc
+                .font('Helvetica-Bold')
+                .fontSize(9)
+                .text(
+                  `${match.team1?.name || 'TBD'} vs ${
+                    match.team2?.name || 'TBD'
+                  }`,
+                  x + 4,
+                  y + 7,
+                  {
+                    width: courtWidth - 8,
+                    align: 'center',
+                    ellipsis: true,
+                    height: 22,
+                  }
+                );
+              doc
+                .font('Helvetica')
+                .fontSize(8)
+                .fillColor('#555555')
+                .text(label, x + 4, y + 28, {
+                  width: courtWidth - 8,
+                  align: 'center',
+                  lineBreak: false,
+                })
+                .fillColor('#000000');
+            });
+
+            y += rowHeight;
+            rowIndex++;
+          }
+        }
+      }
+    });
+
+  return collectPdf(doc);
+};
+
+module.exports = {
+  PAPER_SIZES,
+  buildBracketLayout,
+  renderBracketSvg,
+  renderBracketPdf,
+  renderSchedulePdf,
+};
@@ -0,0 +1,548 @@
+// services/tournamentScheduler.js
+const { Match, Team } = require('../models');
+
+const DEFAULT_MIN_REST_MINUTES = 60;
+// Upper bound on slot checks made before giving up on a complete schedule
+const SEARCH_BUDGET = 200000;
+// The search hands the event loop back this often so requests keep flowing
+const YIELD_EVERY_STEPS = 2000;
+
+const CONSTRAINT_MESSAGES = {
+  court_busy: 'court already in use',
+  min_rest: 'team would not get minimum rest',
+  coach_conflict: 'a shared coach has an overlapping game',
+  team_request: 'team asked not to play this early',
+  dependency: 'feeder match would not be finished in time',
+};
+
+const parseClock = (value) => {
+  const [hours, minutes] = value.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+const atClock = (day, clock) => {
+  const date = new Date(day);
+  date.setHours(0, 0, 0, 0);
+  date.setMinutes(parseClock(clock));
+  return date;
+};
+
+const minutesOfDay = (date) => date.getHours() * 60 + date.getMinutes();
+
+const dayKey = (date) => new Date(date).toISOString().split('T')[0];
+
+const addMinutes = (date, minutes) =>
+  new Date(date.getTime() + minutes * 60000);
+
+const overlaps = (startA, endA, startB, endB) => startA < endB && startB < endA;
+
+const idOf = (ref) => (ref?._id || ref)?.toString();
+
+const yieldToEventLoop = () => new Promise((resolve) => setImmediate(resolve));
+
+/**
+ * Every playable slot across the date range: one per court per start time,
+ * where a game fits entirely inside its venue's open hours
+ */
+const buildSlots = ({
+  startDate,
+  endDate,
+  venues,
+  matchDuration,
+  breakDuration,
+}) => {
+  const slots = [];
+  const lastDay = new Date(endDate);
+  const day = new Date(startDate);
+
+  while (day <= lastDay) {
+    venues.forEach((venue) => {
+      const open = atClock(day, venue.openTime);
+      const close = atClock(day, venue.closeTime);
+
+      venue.courts.forEach((court) => {
+        let start = open;
+        while (addMinutes(start, matchDuration) <= close) {
+          slots.push({
+            venue: venue.name,
+            court,
+            start,
+            end: addMinutes(start, matchDuration),
+          });
+          start = addMinutes(start, matchDuration + breakDuration);
+        }
+      });
+    });
+    day.setDate(day.getDate() + 1);
+  }
+
+  return slots.sort((a, b) => a.start - b.start);
+};
+
+/**
+ * Order matches so every match comes after the matches that feed it, and
+ * otherwise by round and match number
+ */
+const orderByDependencies = (matches, feedersOf) => {
+  const pending = [...matches].sort(
+    (a, b) => a.round - b.round || a.matchNumber - b.matchNumber
+  );
+  const ids = new Set(matches.map((m) => idOf(m._id)));
+  const placed = new Set();
+  const ordered = [];
+
+  while (pending.length) {
+    const index = pending.findIndex((match) =>
+      (feedersOf.get(idOf(match._id)) || []).every(
+        (feeder) => !ids.has(feeder) || placed.has(feeder)
+      )
+    );
+    // A cycle in nextMatch links; fall back to round order
+    const [next] = pending.splice(index === -1 ? 0 : index, 1);
+    placed.add(idOf(next._id));
+    ordered.push(next);
+  }
+
+  return ordered;
+};
+
+/**
+ * Place matches onto slots so that no court is double booked, every team
+ * gets `minRestMinutes` between games, teams sharing a coach never overlap,
+ * "no games before" requests are honoured and bracket matches start only
+ * after their feeder matches (plus rest) are over.
+ *
+ * Searches with backtracking under a fixed budget, yielding to the event
+ * loop as it goes. When no complete schedule is found the deepest partial
+ * schedule is returned together with the matches that could not be placed,
+ * which constraints blocked them and whether the budget ran out first.
+ */
+const solveSchedule = async ({
+  matches,
+  fixedMatches = [],
+  slots,
+  teamCoaches = new Map(),
+  teamRequests = [],
+  minRestMinutes,
+  breakDuration,
+  feedersOf = new Map(),
+}) => {
+  const teamGames = new Map();
+  const courtBusy = new Set();
+  const matchTimes = new Map();
+
+  const slotKey = (slot) =>
+    `${slot.venue}|${slot.court}|${slot.start.getTime()}`;
+
+  const addGame = (teamId, game) => {
+    if (!teamId) return;
+    if (!teamGames.has(teamId)) teamGames.set(teamId, []);
+    teamGames.get(teamId).push(game);
+  };
+
+  const removeGame = (teamId, game) => {
+    if (!teamId) return;
+    const games = teamGames.get(teamId);
+    games.splice(games.indexOf(game), 1);
+  };
+
+  // Matches already underway or finished keep their court and time
+  fixedMatches.forEach((match) => {
+    const start = new Date(match.scheduledTime);
+    const end = addMinutes(start, match.duration || 40);
+    const game = { start, end, matchId: idOf(match._id) };
+    addGame(idOf(match.team1), game);
+    addGame(idOf(match.team2), game);
+    matchTimes.set(idOf(match._id), { start, end });
+    slots
+      .filter(
+        (slot) =>
+          slot.court === match.court &&
+          (!match.venue || !slot.venue || slot.venue === match.venue) &&
+          overlaps(slot.start, slot.end, start, end)
+      )
+      .forEach((slot) => courtBusy.add(slotKey(slot)));
+  });
+
+  // teamId -> other teams that share at least one coach with it
+  const coachPartners = new Map();
+  teamCoaches.forEach((coaches, teamId) => {
+    const partners = new Set();
+    teamCoaches.forEach((otherCoaches, otherId) => {
+      if (otherId !== teamId && otherCoaches.some((c) => coaches.includes(c))) {
+        partners.add(otherId);
+      }
+    });
+    coachPartners.set(teamId, partners);
+  });
+
+  const requestsByTeam = new Map();
+  teamRequests.forEach((request) => {
+    const teamId = idOf(request.team);
+    if (!requestsByTeam.has(teamId)) requestsByTeam.set(teamId, []);
+    requestsByTeam.get(teamId).push(request);
+  });
+
+  const teamsOf = (match) =>
+    [idOf(match.team1), idOf(match.team2)].filter(Boolean);
+
+  // First constraint a slot violates for a match, or null when it fits
+  const violation = (match, slot) => {
+    if (courtBusy.has(slotKey(slot))) return 'court_busy';
+
+    for (const teamId of teamsOf(match)) {
+      const requests = requestsByTeam.get(teamId) || [];
+      const blocked = requests.some(
+        (request) =>
+          (!request.date || dayKey(request.date) === dayKey(slot.start)) &&
+          minutesOfDay(slot.start) < parseClock(request.notBefore)
+      );
+      if (blocked) return 'team_request';
+    }
+
+    for (const feederId of feedersOf.get(idOf(match._id)) || []) {
+      const feeder = matchTimes.get(feederId);
+      if (!feeder) continue;
+      if (addMinutes(feeder.end, minRestMinutes) > slot.start) {
+        return 'dependency';
+      }
+    }
+
+    for (const teamId of teamsOf(match)) {
+      const clash = (teamGames.get(teamId) || []).some((game) =>
+        overlaps(
+          slot.start,
+          addMinutes(slot.end, minRestMinutes),
+          game.start,
+          addMinutes(game.end, minRestMinutes)
+        )
+      );
+      if (clash) return 'min_rest';
+    }
+
+    for (const teamId of teamsOf(match)) {
+      for (const partnerId of coachPartners.get(teamId) || []) {
+        if (teamsOf(match).includes(partnerId)) continue;
+        const clash = (teamGames.get(partnerId) || []).some((game) =>
+          overlaps(
+            slot.start,
+            addMinutes(slot.end, breakDuration),
+            game.start,
+            addMinutes(game.end, breakDuration)
+          )
+        );
+        if (clash) return 'coach_conflict';
+      }
+    }
+
+    return null;
+  };
+
+  const place = (match, slot) => {
+    const game = { start: slot.start, end: slot.end, matchId: idOf(match._id) };
+    courtBusy.add(slotKey(slot));
+    teamsOf(match).forEach((teamId) => addGame(teamId, game));
+    matchTimes.set(idOf(match._id), { start: slot.start, end: slot.end });
+    return game;
+  };
+
+  const unplace = (match, slot, game) => {
+    courtBusy.delete(slotKey(slot));
+    teamsOf(match).forEach((teamId) => removeGame(teamId, game));
+    matchTimes.delete(idOf(match._id));
+  };
+
+  const assignment = new Map();
+  let best = new Map();
+  let steps = 0;
+
+  const search = async (index) => {
+    if (index === matches.length) return true;
+    if (assignment.size > best.size) best = new Map(assignment);
+
+    const match = matches[index];
+    for (const slot of slots) {
+      if (++steps > SEARCH_BUDGET) return false;
+      if (steps % YIELD_EVERY_STEPS === 0) await yieldToEventLoop();
+      if (violation(match, slot)) continue;
+
+      const game = place(match, slot);
+      assignment.set(idOf(match._id), slot);
+      if (await search(index + 1)) return true;
+      assignment.delete(idOf(match._id));
+      unplace(match, slot, game);
+
+      if (steps > SEARCH_BUDGET) return false;
+    }
+    return false;
+  };
+
+  if (await search(0)) {
+    return { complete: true, assignment, unplaced: [], budgetExhausted: false };
+  }
+
+  // Search backs out every placement on failure, so start again from the
+  // deepest partial schedule and place whatever else still fits
+  const final = new Map();
+  const unplaced = [];
+
+  matches.forEach((match) => {
+    const matchId = idOf(match._id);
+    let slot = best.get(matchId);
+    if (slot && violation(match, slot)) slot = null;
+    if (!slot) slot = slots.find((candidate) => !violation(match, candidate));
+
+    if (slot) {
+      place(match, slot);
+      final.set(matchId, slot);
+      return;
+    }
+
+    const blockedBy = {};
+    slots.forEach((candidate) => {
+      const constraint = violation(match, candidate);
+      blockedBy[constraint] = (blockedBy[constraint] || 0) + 1;
+    });
+    unplaced.push({ match, blockedBy });
+  });
+
+  return {
+    complete: false,
+    assignment: final,
+    unplaced,
+    budgetExhausted: steps > SEARCH_BUDGET,
+  };
+};
+
+/**
+ * Checks that make a schedule impossible before any search is attempted
+ */
+const findStaticConflicts = ({ matches, slots, teamRequests, teamNames }) => {
+  const conflicts = [];
+  if (matches.length === 0) return conflicts;
+
+  const playingTeams = new Set();
+  matches.forEach((match) => {
+    if (match.team1) playingTeams.add(idOf(match.team1));
+    if (match.team2) playingTeams.add(idOf(match.team2));
+  });
+
+  if (slots.length === 0) {
+    conflicts.push({
+      constraint: 'venue_hours',
+      message:
+        'No game fits inside the venue hours on the selected dates and courts',
+    });
+  } else if (slots.length < matches.length) {
+    conflicts.push({
+      constraint: 'capacity',
+      message: `${matches.length} matches need scheduling but only ${slots.length} court slots are available`,
+    });
+  }
+
+  teamRequests.forEach((request) => {
+    const teamId = idOf(request.team);
+    if (!playingTeams.has(teamId)) return;
+
+    const hasSlot = slots.some(
+      (slot) =>
+        (!request.date || dayKey(request.date) === dayKey(slot.start)) &&
+        minutesOfDay(slot.start) >= parseClock(request.notBefore)
+    );
+    if (!hasSlot) {
+      conflicts.push({
+        constraint: 'team_request',
+        teamId,
+        team: teamNames.get(teamId),
+        message: `${
+          teamNames.get(teamId) || 'Team'
+        } asked for no games before ${request.notBefore}${
+          request.date ? ` on ${dayKey(request.date)}` : ''
+        }, but no court slot starts that late`,
+      });
+    }
+  });
+
+  return conflicts;
+};
+
+/**
+ * Plan a schedule for every not-yet-played match of a tournament. Nothing
+ * is saved; callers decide whether to persist the returned assignments.
+ *
+ * options: startDate, endDate, startTime, endTime, courts, venues
+ * ([{ name, courts, openTime, closeTime }]), matchDuration, breakDuration,
+ * minRestMinutes and teamRequests ([{ team, notBefore, date }])
+ */
+const planSchedule = async (tournament, options) => {
+  const matchDuration =
+    options.matchDuration || tournament.settings?.matchDuration || 40;
+  const breakDuration =
+    options.breakDuration ?? tournament.settings?.breakDuration ?? 10;
+  const minRestMinutes =
+    options.minRestMinutes ??
+    tournament.settings?.minRestMinutes ??
+    DEFAULT_MIN_REST_MINUTES;
+
+  const venues = (
+    options.venues?.length
+      ? options.venues
+      : [{ name: undefined, courts: options.courts || [] }]
+  ).map((venue) => ({
+    name: venue.name,
+    courts: venue.courts || [],
+    openTime: venue.openTime || options.startTime,
+    closeTime: venue.closeTime || options.endTime,
+  }));
+
+  const teamRequests = (
+    options.teamRequests ||
+    tournament.scheduleRequests ||
+    []
+  ).filter((request) => request.team && request.notBefore);
+
+  const allMatches = await Match.find({ tournament: tournament._id })
+    .populate('team1 team2', 'name coachIds')
+    .lean();
+
+  const toSchedule = allMatches.filter((match) => match.status === 'scheduled');
+  const fixedMatches = allMatches.filter(
+    (match) =>
+      ['in-progress', 'completed', 'walkover'].includes(match.status) &&
+      match.scheduledTime
+  );
+
+  const feedersOf = new Map();
+  allMatches.forEach((match) => {
+    const nextId = idOf(match.nextMatch);
+    if (!nextId) return;
+    if (!feedersOf.has(nextId)) feedersOf.set(nextId, []);
+    feedersOf.get(nextId).push(idOf(match._id));
+  });
+
+  const teamIds = new Set();
+  allMatches.forEach((match) => {
+    if (match.team1) teamIds.add(idOf(match.team1));
+    if (match.team2) teamIds.add(idOf(match.team2));
+  });
+  (tournament.registeredTeams || []).forEach((team) => teamIds.add(idOf(team)));
+
+  const teams = await Team.find({ _id: { $in: [...teamIds] } })
+    .select('name coachIds')
+    .lean();
+  const teamNames = new Map(teams.map((t) => [idOf(t._id), t.name]));
+  const teamCoaches = new Map(
+    teams.map((t) => [idOf(t._id), (t.coachIds || []).map(idOf)])
+  );
+
+  const slots = buildSlots({
+    startDate: options.startDate,
+    endDate: options.endDate,
+    venues,
+    matchDuration,
+    breakDuration,
+  });
+
+  const ordered = orderByDependencies(toSchedule, feedersOf);
+  const conflicts = findStaticConflicts({
+    matches: ordered,
+    slots,
+    teamRequests,
+    teamNames,
+  });
+
+  const { complete, assignment, unplaced, budgetExhausted } =
+    await solveSchedule({
+      matches: ordered,
+      fixedMatches,
+      slots,
+      teamCoaches,
+      teamRequests,
+      minRestMinutes,
+      breakDuration,
+      feedersOf,
+    });
+
+  const describeTeams = (match) =>
+    `${match.team1?.name || 'TBD'} vs ${match.team2?.name || 'TBD'}`;
+
+  // Slot counts only explain a match when the search was exhaustive; when the
+  // budget ran out another arrangement might still have fitted it
+  if (budgetExhausted && unplaced.length) {
+    conflicts.push({
+      constraint: 'search_budget',
+      message: `Search budget exhausted before a complete schedule was found; ${
+        unplaced.length
+      } match${unplaced.length === 1 ? ' is' : 'es are'} left unscheduled`,
+    });
+  }
+
+  unplaced.forEach(({ match, blockedBy }) => {
+    if (budgetExhausted) {
+      conflicts.push({
+        constraint: 'unplaceable_match',
+        matchId: match._id,
+        matchNumber: match.matchNumber,
+        round: match.round,
+        teams: describeTeams(match),
+        message: `Match ${match.matchNumber} (${describeTeams(
+          match
+        )}) was not placed: search budget exhausted`,
+      });
+      return;
+    }
+
+    const reasons = Object.entries(blockedBy)
+      .sort((a, b) => b[1] - a[1])
+      .map(
+        ([constraint, count]) =>
+          `${CONSTRAINT_MESSAGES[constraint]} (${count} slot${
+            count === 1 ? '' : 's'
+          })`
+      );
+
+    conflicts.push({
+      constraint: 'unplaceable_match',
+      matchId: match._id,
+      matchNumber: match.matchNumber,
+      round: match.round,
+      teams: describeTeams(match),
+      blockedBy,
+      message: `Match ${match.matchNumber} (${describeTeams(
+        match
+      )}) cannot be placed: ${reasons.join('; ') || 'no court slots'}`,
+    });
+  });
+
+  const schedule = ordered
+    .filter((match) => assignment.has(idOf(match._id)))
+    .map((match) => {
+      const slot = assignment.get(idOf(match._id));
+      return {
+        matchId: match._id,
+        matchNumber: match.matchNumber,
+        round: match.round,
+        teams: describeTeams(match),
+        scheduledTime: slot.start,
+        venue: slot.venue,
+        court: slot.court,
+        duration: matchDuration,
+      };
+    })
+    .sort((a, b) => a.scheduledTime - b.scheduledTime);
+
+  return {
+    feasible: complete,
+    schedule,
+    conflicts,
+    totalMatches: ordered.length,
+    totalSlots: slots.length,
+    settings: { matchDuration, breakDuration, minRestMinutes },
+  };
+};
+
+module.exports = {
+  planSchedule,
+  solveSchedule,
+  buildSlots,
+};
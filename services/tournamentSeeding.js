@@ -0,0 +1,279 @@
+// services/tournamentSeeding.js
+const { Match, Standing } = require('../models');
+
+// A Gold result is worth more than the same result at Silver
+const LEVEL_WEIGHTS = { Gold: 1, Silver: 0.6, All: 0.8 };
+// A result loses half its weight for every year that has passed
+const RECENCY_HALF_LIFE_DAYS = 365;
+// A final group placement counts as much as this many games
+const STANDING_WEIGHT = 2;
+// Thin histories are pulled toward PRIOR_RATING, as if the team had this
+// many extra games at roughly a .500 record between Silver and Gold
+const PRIOR_WEIGHT = 2;
+const PRIOR_RATING = 0.4;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const FINISHED_STATUSES = ['completed', 'walkover'];
+
+const idOf = (ref) => (ref?._id || ref)?.toString();
+
+const clubOf = (team) => team?.club?.trim().toLowerCase() || null;
+
+const recencyWeight = (playedAt, asOf) => {
+  const ageDays = Math.max(0, (asOf - new Date(playedAt)) / DAY_MS);
+  return Math.pow(0.5, ageDays / RECENCY_HALF_LIFE_DAYS);
+};
+
+const levelWeight = (tournament) =>
+  LEVEL_WEIGHTS[tournament?.levelOfCompetition] ?? LEVEL_WEIGHTS.All;
+
+/**
+ * Rate teams from their results in earlier tournaments: every finished
+ * match and every final group placement, weighted by how recent it is and
+ * the level it was played at. Returns a Map of team id to
+ * { rating, games, wins, losses, draws, placements, lastPlayed }.
+ */
+const rateTeams = async (tournament, teams) => {
+  const teamIds = teams.map((team) => idOf(team));
+  const asOf = new Date(tournament.startDate || Date.now());
+
+  const history = new Map(
+    teamIds.map((id) => [
+      id,
+      {
+        weighted: 0,
+        weight: 0,
+        games: 0,
+        wins: 0,
+        losses: 0,
+        draws: 0,
+        placements: 0,
+        lastPlayed: null,
+      },
+    ])
+  );
+
+  const addResult = (teamId, value, weight, playedAt) => {
+    const entry = history.get(teamId);
+    entry.weighted += value * weight;
+    entry.weight += weight;
+    if (!entry.lastPlayed || new Date(playedAt) > entry.lastPlayed) {
+      entry.lastPlayed = new Date(playedAt);
+    }
+  };
+
+  const matches = await Match.find({
+    tournament: { $ne: tournament._id },
+    status: { $in: FINISHED_STATUSES },
+    $or: [{ team1: { $in: teamIds } }, { team2: { $in: teamIds } }],
+  })
+    .populate('tournament', 'levelOfCompetition startDate endDate')
+    .lean();
+
+  matches.forEach((match) => {
+    const playedAt =
+      match.actualEndTime ||
+      match.scheduledTime ||
+      match.tournament?.endDate ||
+      match.updatedAt;
+    if (new Date(playedAt) >= asOf) return;
+
+    const weight = recencyWeight(playedAt, asOf);
+    const level = levelWeight(match.tournament);
+    const winnerId = idOf(match.winner);
+
+    ['team1', 'team2'].forEach((position) => {
+      const teamId = idOf(match[position]);
+      if (!history.has(teamId)) return;
+
+      const entry = history.get(teamId);
+      entry.games++;
+      let value = 0.5;
+      if (!winnerId) {
+        entry.draws++;
+      } else if (winnerId === teamId) {
+        entry.wins++;
+        value = 1;
+      } else {
+        entry.losses++;
+        value = 0;
+      }
+      addResult(teamId, value * level, weight, playedAt);
+    });
+  });
+
+  const standings = await Standing.find({
+    team: { $in: teamIds },
+    tournament: { $ne: tournament._id },
+    rank: { $gt: 0 },
+  })
+    .populate('tournament', 'levelOfCompetition startDate endDate')
+    .lean();
+
+  // Group sizes are needed to turn a rank into a placement between 0 and 1
+  const groupKey = (tournamentId, group) => `${tournamentId}:${group || ''}`;
+  const groupSizes = new Map();
+  if (standings.length > 0) {
+    const tournamentIds = [
+      ...new Set(standings.map((s) => idOf(s.tournament))),
+    ];
+    const groupStandings = await Standing.find({
+      tournament: { $in: tournamentIds },
+    })
+      .select('tournament group')
+      .lean();
+    groupStandings.forEach((s) => {
+      const key = groupKey(idOf(s.tournament), s.group);
+      groupSizes.set(key, (groupSizes.get(key) || 0) + 1);
+    });
+  }
+
+  standings.forEach((standing) => {
+    const playedAt =
+      standing.tournament?.endDate ||
+      standing.tournament?.startDate ||
+      standing.updatedAt;
+    if (!standing.tournament || new Date(playedAt) >= asOf) return;
+
+    const size =
+      groupSizes.get(groupKey(idOf(standing.tournament), standing.group)) || 1;
+    const placement = size > 1 ? 1 - (standing.rank - 1) / (size - 1) : 1;
+    const teamId = idOf(standing.team);
+
+    history.get(teamId).placements++;
+    addResult(
+      teamId,
+      placement * levelWeight(standing.tournament),
+      recencyWeight(playedAt, asOf) * STANDING_WEIGHT,
+      playedAt
+    );
+  });
+
+  const ratings = new Map();
+  history.forEach((entry, teamId) => {
+    const rating =
+      (entry.weighted + PRIOR_RATING * PRIOR_WEIGHT) /
+      (entry.weight + PRIOR_WEIGHT);
+    ratings.set(teamId, {
+      rating: Math.round(rating * 1000) / 1000,
+      games: entry.games,
+      wins: entry.wins,
+      losses: entry.losses,
+      draws: entry.draws,
+      placements: entry.placements,
+      lastPlayed: entry.lastPlayed,
+    });
+  });
+
+  return ratings;
+};
+
+/**
+ * Order teams into seeds: highest rating first, more games played and then
+ * registration order breaking ties. Teams in `tournament.seedOverrides` keep
+ * the seed an admin pinned them to; everyone else fills the seeds left over.
+ * Returns [{ seed, team, override, ...rating }].
+ */
+const seedTeams = async (tournament, teams) => {
+  const ratings = await rateTeams(tournament, teams);
+
+  const ranked = teams
+    .map((team, index) => ({ team, index, ...ratings.get(idOf(team)) }))
+    .sort(
+      (a, b) => b.rating - a.rating || b.games - a.games || a.index - b.index
+    );
+
+  const seeds = new Array(teams.length).fill(null);
+  const pinned = new Set();
+
+  (tournament.seedOverrides || []).forEach(({ team, seed }) => {
+    const entry = ranked.find((r) => idOf(r.team) === idOf(team));
+    if (!entry || seed < 1 || seed > teams.length || seeds[seed - 1]) return;
+    seeds[seed - 1] = { ...entry, override: true };
+    pinned.add(idOf(team));
+  });
+
+  const remaining = ranked.filter((entry) => !pinned.has(idOf(entry.team)));
+  for (let i = 0; i < seeds.length; i++) {
+    if (!seeds[i]) seeds[i] = { ...remaining.shift(), override: false };
+  }
+
+  return seeds.map(({ index, ...entry }, i) => ({ seed: i + 1, ...entry }));
+};
+
+/**
+ * Rearrange first-round bracket slots (pairs of seed entries, null for a
+ * bye) so no two teams from the same club meet in round one. The lower seed
+ * of a clashing pair swaps with the closest seed that clears the clash
+ * without creating another one. Pinned seeds are never moved.
+ * Returns { slots, swaps, unresolved }.
+ */
+const separateClubs = (slots) => {
+  const result = [...slots];
+  const swaps = [];
+  const unresolved = [];
+
+  const partnerIndex = (index) => (index % 2 === 0 ? index + 1 : index - 1);
+  const clashes = (index) => {
+    const club = clubOf(result[index]?.team);
+    return Boolean(club && club === clubOf(result[partnerIndex(index)]?.team));
+  };
+
+  for (let pair = 0; pair < result.length; pair += 2) {
+    if (!clashes(pair)) continue;
+
+    // Prefer moving the lower seed; fall back to its partner if pinned
+    const movable = [pair, pair + 1]
+      .filter((index) => !result[index].override)
+      .sort((a, b) => result[b].seed - result[a].seed);
+
+    let swapped = false;
+    for (const from of movable) {
+      const candidates = result
+        .map((entry, index) => ({ entry, index }))
+        .filter(
+          ({ entry, index }) =>
+            entry &&
+            !entry.override &&
+            Math.floor(index / 2) !== Math.floor(from / 2)
+        )
+        .sort(
+          (a, b) =>
+            Math.abs(a.entry.seed - result[from].seed) -
+            Math.abs(b.entry.seed - result[from].seed)
+        );
+
+      for (const { index: to } of candidates) {
+        [result[from], result[to]] = [result[to], result[from]];
+        if (!clashes(from) && !clashes(to)) {
+          swaps.push({
+            team: result[to].team,
+            seed: result[to].seed,
+            swappedWith: result[from].team,
+            swappedWithSeed: result[from].seed,
+            club: result[to].team.club,
+          });
+          swapped = true;
+          break;
+        }
+        [result[from], result[to]] = [result[to], result[from]];
+      }
+      if (swapped) break;
+    }
+
+    if (!swapped) {
+      unresolved.push({
+        club: result[pair].team.club,
+        teams: [result[pair].team, result[pair + 1].team],
+      });
+    }
+  }
+
+  return { slots: result, swaps, unresolved };
+};
+
+module.exports = {
+  rateTeams,
+  seedTeams,
+  separateClubs,
+};
@@ -0,0 +1,267 @@
+// services/tryoutSessions.js
+const TryoutConfig = require('../models/TryoutConfig');
+const TryoutSessionRoster = require('../models/TryoutSessionRoster');
+const Player = require('../models/Player');
+const {
+  calculateGradeFromDOB,
+  isGradeInRange,
+} = require('../utils/gradeUtils');
+
+// Rejections carry the HTTP status the route should answer with
+const sessionError = (message, statusCode = 400) =>
+  Object.assign(new Error(message), { statusCode });
+
+// Seasons that still hold a place at the tryout
+const REGISTERED_STATUSES = ['pending', 'partial', 'paid'];
+
+const findTryout = async (eventId) => {
+  const tryout = eventId && (await TryoutConfig.findOne({ eventId }));
+  if (!tryout) throw sessionError('Tryout not found', 404);
+  return tryout;
+};
+
+const findSession = (tryout, sessionId) => {
+  const session = tryout.tryoutDetails?.tryoutSessions?.find(
+    (s) => s.id === sessionId,
+  );
+  if (!session) throw sessionError('Tryout session not found', 404);
+  return session;
+};
+
+// e.g. "Session 2 on 2026-03-07 at 6:00 PM"
+const sessionLabel = (session) =>
+  `Session ${session.number}` +
+  (session.date ? ` on ${session.date}` : '') +
+  (session.startTime ? ` at ${session.startTime}` : '');
+
+// Admin-set grades win; otherwise work it out for the tryout's school year
+const playerGrade = (player, year) =>
+  player.isGradeOverridden
+    ? player.grade
+    : calculateGradeFromDOB(player.dob, year) || player.grade;
+
+const checkEligibility = (player, session, year) => {
+  const grade = playerGrade(player, year);
+  if (!isGradeInRange(grade, session.grades)) {
+    throw sessionError(
+      `${player.fullName} (grade ${grade || 'unknown'}) is not eligible for ${sessionLabel(session)}, which is for grades ${session.grades}`,
+    );
+  }
+};
+
+const isRegistered = (player, eventId) =>
+  player.seasons.some(
+    (season) =>
+      season.tryoutId === eventId &&
+      REGISTERED_STATUSES.includes(season.paymentStatus),
+  );
+
+/**
+ * Put a player in one session of a tryout, moving them out of whichever
+ * session of it they were in. A full session is refused with a 409, and the
+ * session's grades are checked unless `ignoreGrade` is set.
+ * Returns { roster, session, joined, previous }.
+ */
+const signUp = async ({
+  tryout,
+  sessionId,
+  player,
+  parentId,
+  movedBy,
+  ignoreGrade = false,
+}) => {
+  const session = findSession(tryout, sessionId);
+  if (!ignoreGrade) checkEligibility(player, session, tryout.tryoutYear);
+
+  const previous = await TryoutSessionRoster.findOne({
+    tryout: tryout._id,
+    'players.player': player._id,
+  });
+  if (previous?.sessionId === sessionId) {
+    return { roster: previous, session, joined: false, previous: null };
+  }
+
+  await TryoutSessionRoster.updateOne(
+    { tryout: tryout._id, sessionId },
+    { $setOnInsert: { eventId: tryout.eventId } },
+    { upsert: true },
+  );
+
+  const filter = {
+    tryout: tryout._id,
+    sessionId,
+    'players.player': { $ne: player._id },
+  };
+  if (session.maxParticipants > 0) {
+    filter.$expr = { $lt: [{ $size: '$players' }, session.maxParticipants] };
+  }
+
+  const roster = await TryoutSessionRoster.findOneAndUpdate(
+    filter,
+    {
+      $push: {
+        players: {
+          player: player._id,
+          parent: parentId || player.parentId,
+          movedBy,
+          movedFrom: movedBy ? previous?.sessionId : undefined,
+        },
+      },
+    },
+    { new: true },
+  );
+  if (!roster) {
+    throw sessionError(
+      `${sessionLabel(session)} is full. Please choose another session.`,
+      409,
+    );
+  }
+
+  if (previous) {
+    await TryoutSessionRoster.updateOne(
+      { _id: previous._id },
+      { $pull: { players: { player: player._id } } },
+    );
+  }
+
+  return { roster, session, joined: true, previous };
+};
+
+// ============================================
+// CHECKOUT
+// ============================================
+
+/**
+ * Sign up the players in a tryout checkout who picked a session, before the
+ * card is charged. Returns the new sign-ups so a failed checkout can hand
+ * them back with releaseSessionSignups.
+ */
+const signUpForSessions = async ({ parent, players }) => {
+  const signups = [];
+
+  try {
+    for (const playerData of players) {
+      if (!playerData.sessionId) continue;
+
+      const tryout = await findTryout(playerData.tryoutId?.trim());
+      const player = await Player.findById(playerData.playerId);
+      if (!player) {
+        throw sessionError(`Player not found: ${playerData.playerId}`, 404);
+      }
+
+      const { roster, joined, previous } = await signUp({
+        tryout,
+        sessionId: playerData.sessionId,
+        player,
+        parentId: parent._id,
+      });
+      // Moves between sessions stand even if the payment fails
+      if (joined && !previous) {
+        signups.push({ roster: roster._id, player: player._id });
+      }
+    }
+  } catch (error) {
+    await releaseSessionSignups(signups);
+    throw error;
+  }
+
+  return signups;
+};
+
+const releaseSessionSignups = async (signups) => {
+  if (!signups?.length) return;
+
+  for (const signup of signups.splice(0)) {
+    await TryoutSessionRoster.updateOne(
+      { _id: signup.roster },
+      { $pull: { players: { player: signup.player } } },
+    ).catch((error) =>
+      console.error('Failed to release tryout session:', error.message),
+    );
+  }
+};
+
+// Refunded or withdrawn players give up their session
+const leaveSessions = async (playerId, eventIds) => {
+  if (!eventIds.length) return;
+
+  await TryoutSessionRoster.updateMany(
+    { eventId: { $in: eventIds }, 'players.player': playerId },
+    { $pull: { players: { player: playerId } } },
+  );
+};
+
+// ============================================
+// LISTINGS
+// ============================================
+
+/**
+ * A tryout's sessions with how full each is. Given a player, also says
+ * which session they are in and which they are eligible for.
+ */
+const describeSessions = async (tryout, player) => {
+  const rosters = await TryoutSessionRoster.find({ tryout: tryout._id });
+  const grade = player && playerGrade(player, tryout.tryoutYear);
+
+  return (tryout.tryoutDetails?.tryoutSessions || []).map((session) => {
+    const roster = rosters.find((r) => r.sessionId === session.id);
+    const signedUp = roster?.players.length || 0;
+
+    return {
+      id: session.id,
+      number: session.number,
+      date: session.date,
+      startTime: session.startTime,
+      endTime: session.endTime,
+      grades: session.grades,
+      location: session.location,
+      maxParticipants: session.maxParticipants,
+      signedUp,
+      spotsLeft:
+        session.maxParticipants > 0
+          ? Math.max(0, session.maxParticipants - signedUp)
+          : null,
+      ...(player && {
+        eligible: isGradeInRange(grade, session.grades),
+        selected: !!roster?.players.some((p) => p.player.equals(player._id)),
+      }),
+    };
+  });
+};
+
+const sessionRoster = async (tryout, sessionId) => {
+  const session = findSession(tryout, sessionId);
+  const roster = await TryoutSessionRoster.findOne({
+    tryout: tryout._id,
+    sessionId,
+  })
+    .populate(
+      'players.player',
+      'fullName gender dob grade isGradeOverridden schoolName',
+    )
+    .populate('players.parent', 'fullName email phone');
+
+  return {
+    session,
+    players: (roster?.players || []).map((signup) => ({
+      player: signup.player,
+      grade: signup.player && playerGrade(signup.player, tryout.tryoutYear),
+      parent: signup.parent,
+      signedUpAt: signup.signedUpAt,
+      movedFrom: signup.movedFrom,
+    })),
+  };
+};
+
+module.exports = {
+  REGISTERED_STATUSES,
+  playerGrade,
+  findTryout,
+  isRegistered,
+  signUp,
+  signUpForSessions,
+  releaseSessionSignups,
+  leaveSessions,
+  describeSessions,
+  sessionRoster,
+};
@@ -0,0 +1,537 @@
+// services/webhooks.js
+const crypto = require('crypto');
+const axios = require('axios');
+const WebhookEvent = require('../models/WebhookEvent');
+const PaymentConfiguration = require('../models/PaymentConfiguration');
+const Payment = require('../models/Payment');
+const Parent = require('../models/Parent');
+const { updatePaymentHolders } = require('./paymentHolders');
+
+const PROVIDERS = ['square', 'clover', 'stripe', 'paypal'];
+
+// Stripe and Clover signatures carry a timestamp; older ones are replays
+const SIGNATURE_TOLERANCE_SECONDS = 5 * 60;
+
+const WEBHOOK_SECRETS = [
+  '+squareConfig.webhookSignatureKey',
+  '+cloverConfig.webhookSecret',
+  '+stripeConfig.webhookSecret',
+  '+paypalConfig.clientId',
+  '+paypalConfig.clientSecret',
+].join(' ');
+
+// Rejections carry the HTTP status the route should answer with
+const webhookError = (message, statusCode = 400) =>
+  Object.assign(new Error(message), { statusCode });
+
+const safeEqual = (a, b) => {
+  if (!a || !b) return false;
+  const left = Buffer.from(String(a));
+  const right = Buffer.from(String(b));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+};
+
+const hmac = (algorithm, secret, content, encoding) =>
+  crypto.createHmac(algorithm, secret).update(content).digest(encoding);
+
+// Parse "t=123,v1=abc,v1=def" style signature headers
+const parseSignatureHeader = (header = '') =>
+  header.split(',').reduce(
+    (parts, item) => {
+      const [key, value] = item.split('=').map((part) => part.trim());
+      if (key === 't') parts.timestamp = value;
+      if (key === 'v1' && value) parts.signatures.push(value);
+      return parts;
+    },
+    { timestamp: null, signatures: [] },
+  );
+
+const verifyTimestampedSignature = (header, secret, rawBody) => {
+  const { timestamp, signatures } = parseSignatureHeader(header);
+  if (!timestamp || signatures.length === 0) return false;
+
+  const age = Math.abs(Date.now() / 1000 - Number(timestamp));
+  if (!Number.isFinite(age) || age > SIGNATURE_TOLERANCE_SECONDS) return false;
+
+  const expected = hmac('sha256', secret, `${timestamp}.${rawBody}`, 'hex');
+  return signatures.some((signature) => safeEqual(signature, expected));
+};
+
+const paypalApiBase = (config) =>
+  config.paypalConfig?.environment === 'production'
+    ? 'https://api-m.paypal.com'
+    : 'https://api-m.sandbox.paypal.com';
+
+// ============================================
+// SIGNATURE VERIFICATION
+// ============================================
+
+const verifiers = {
+  // HMAC-SHA256 over the notification URL followed by the raw body. Older
+  // deployments keep the key in the environment rather than the config.
+  square: async ({ config, headers, rawBody, url }) => {
+    const key =
+      config.squareConfig?.webhookSignatureKey ||
+      process.env.SQUARE_WEBHOOK_SIGNATURE_KEY;
+    if (!key) throw webhookError('Square webhook key not configured', 500);
+
+    const notificationUrl = config.squareConfig?.webhookNotificationUrl || url;
+    const expected = hmac('sha256', key, notificationUrl + rawBody, 'base64');
+    return safeEqual(headers['x-square-hmacsha256-signature'], expected);
+  },
+
+  // Hosted checkout webhooks send a Stripe-style Clover-Signature header;
+  // app webhooks echo the verification code in X-Clover-Auth
+  clover: async ({ config, headers, rawBody, payload }) => {
+    const secret = config.cloverConfig?.webhookSecret;
+    if (!secret) {
+      throw webhookError('Clover webhook secret not configured', 500);
+    }
+
+    const merchantId = payload.merchantId || payload.merchant_id;
+    if (merchantId && merchantId !== config.cloverConfig.merchantId) {
+      return false;
+    }
+
+    if (headers['clover-signature']) {
+      return verifyTimestampedSignature(
+        headers['clover-signature'],
+        secret,
+        rawBody,
+      );
+    }
+    return safeEqual(headers['x-clover-auth'], secret);
+  },
+
+  stripe: async ({ config, headers, rawBody }) => {
+    const secret = config.stripeConfig?.webhookSecret;
+    if (!secret) {
+      throw webhookError('Stripe webhook secret not configured', 500);
+    }
+
+    return verifyTimestampedSignature(
+      headers['stripe-signature'],
+      secret,
+      rawBody,
+    );
+  },
+
+  // PayPal signs with rotating certificates, so verification is delegated
+  // to its verify-webhook-signature API
+  paypal: async ({ config, headers, payload }) => {
+    const { clientId, clientSecret, webhookId } = config.paypalConfig || {};
+    if (!clientId || !clientSecret || !webhookId) {
+      throw webhookError('PayPal webhook ID not configured', 500);
+    }
+
+    const baseUrl = paypalApiBase(config);
+    const tokenResponse = await axios.post(
+      `${baseUrl}/v1/oauth2/token`,
+      'grant_type=client_credentials',
+      {
+        auth: { username: clientId, password: clientSecret },
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      },
+    );
+
+    const { data } = await axios.post(
+      `${baseUrl}/v1/notifications/verify-webhook-signature`,
+      {
+        auth_algo: headers['paypal-auth-algo'],
+        cert_url: headers['paypal-cert-url'],
+        transmission_id: headers['paypal-transmission-id'],
+        transmission_sig: headers['paypal-transmission-sig'],
+        transmission_time: headers['paypal-transmission-time'],
+        webhook_id: webhookId,
+        webhook_event: payload,
+      },
+      {
+        headers: {
+          Authorization: `Bearer ${tokenResponse.data.access_token}`,
+        },
+      },
+    );
+
+    return data.verification_status === 'SUCCESS';
+  },
+};
+
+// ============================================
+// NORMALIZATION
+// ============================================
+
+const centsToDollars = (cents) =>
+  cents === undefined || cents === null ? undefined : Number(cents) / 100;
+
+const normalized = (normalizedType, data) => ({ normalizedType, data });
+const ignored = { normalizedType: null, data: {} };
+
+/**
+ * Map a provider payload to one of the normalized event types, with the
+ * provider payment IDs it refers to (matched against Payment.paymentId)
+ */
+const normalizers = {
+  square: (payload) => {
+    const object = payload.data?.object || {};
+
+    if (
+      payload.type === 'payment.created' ||
+      payload.type === 'payment.updated'
+    ) {
+      const payment = object.payment || {};
+      const data = {
+        paymentIds: [payment.id || payload.data?.id].filter(Boolean),
+        amount: centsToDollars(payment.amount_money?.amount),
+        receiptUrl: payment.receipt_url,
+      };
+      if (payment.status === 'COMPLETED') {
+        return normalized('payment.completed', data);
+      }
+      if (['FAILED', 'CANCELED'].includes(payment.status)) {
+        return normalized('payment.failed', data);
+      }
+      return ignored;
+    }
+
+    if (
+      payload.type === 'refund.created' ||
+      payload.type === 'refund.updated'
+    ) {
+      const refund = object.refund || {};
+      if (refund.status !== 'COMPLETED') return ignored;
+      return normalized('refund.completed', {
+        paymentIds: [refund.payment_id].filter(Boolean),
+        refundId: refund.id,
+        amount: centsToDollars(refund.amount_money?.amount),
+        reason: refund.reason,
+      });
+    }
+
+    return ignored;
+  },
+
+  clover: (payload) => {
+    const data = typeof payload.data === 'object' ? payload.data || {} : {};
+    const paymentId =
+      data.paymentId ||
+      payload.paymentId ||
+      (typeof payload.data === 'string' ? payload.data : undefined);
+    const base = {
+      paymentIds: [paymentId].filter(Boolean),
+      amount: centsToDollars(data.amount),
+    };
+
+    switch (payload.type) {
+      case 'PAYMENT_PAID':
+      case 'ORDER_PAID':
+        return normalized('payment.completed', base);
+      case 'PAYMENT_FAILED':
+        return normalized('payment.failed', base);
+      case 'PAYMENT_REFUNDED':
+      case 'REFUND_SUCCEEDED':
+        return normalized('refund.completed', {
+          ...base,
+          refundId: data.refundId,
+          reason: data.reason,
+        });
+      // Hosted checkout
+      case 'PAYMENT':
+        if (payload.status === 'APPROVED') {
+          return normalized('payment.completed', base);
+        }
+        if (payload.status === 'DECLINED') {
+          return normalized('payment.failed', base);
+        }
+        return ignored;
+      default:
+        return ignored;
+    }
+  },
+
+  stripe: (payload) => {
+    const object = payload.data?.object || {};
+
+    switch (payload.type) {
+      case 'payment_intent.succeeded':
+        return normalized('payment.completed', {
+          paymentIds: [object.id],
+          amount: centsToDollars(object.amount_received),
+        });
+      case 'payment_intent.payment_failed':
+      case 'payment_intent.canceled':
+        return normalized('payment.failed', {
+          paymentIds: [object.id],
+          amount: centsToDollars(object.amount),
+          reason: object.last_payment_error?.message,
+        });
+      case 'charge.refunded': {
+        const refund = object.refunds?.data?.[0] || {};
+        return normalized('refund.completed', {
+          paymentIds: [object.payment_intent, object.id].filter(Boolean),
+          refundId: refund.id,
+          amount: centsToDollars(refund.amount),
+          reason: refund.reason,
+        });
+      }
+      default:
+        return ignored;
+    }
+  },
+
+  paypal: (payload) => {
+    const resource = payload.resource || {};
+    const relatedIds = resource.supplementary_data?.related_ids || {};
+    const amount = resource.amount?.value
+      ? Number(resource.amount.value)
+      : undefined;
+
+    switch (payload.event_type) {
+      case 'PAYMENT.CAPTURE.COMPLETED':
+        return normalized('payment.completed', {
+          paymentIds: [relatedIds.order_id, resource.id].filter(Boolean),
+          amount,
+        });
+      case 'PAYMENT.CAPTURE.DENIED':
+      case 'PAYMENT.CAPTURE.DECLINED':
+        return normalized('payment.failed', {
+          paymentIds: [relatedIds.order_id, resource.id].filter(Boolean),
+          amount,
+        });
+      case 'PAYMENT.CAPTURE.REFUNDED': {
+        // The resource is the refund; its "up" link points at the capture
+        const captureLink = (resource.links || []).find(
+          (link) => link.rel === 'up',
+        );
+        const captureId = captureLink?.href?.split('/').pop();
+        return normalized('refund.completed', {
+          paymentIds: [relatedIds.order_id, captureId].filter(Boolean),
+          refundId: resource.id,
+          amount,
+          reason: resource.note_to_payer,
+        });
+      }
+      default:
+        return ignored;
+    }
+  },
+};
+
+const eventIdFor = (provider, payload, rawBody) => {
+  const id =
+    provider === 'square' ? payload.event_id : payload.id || payload.eventId;
+
+  // Clover app webhooks carry no event ID; identical bodies are the same event
+  return id || crypto.createHash('sha256').update(rawBody).digest('hex');
+};
+
+const eventTypeFor = (provider, payload) =>
+  provider === 'paypal' ? payload.event_type : payload.type;
+
+// ============================================
+// DISPATCH
+// ============================================
+
+const isSameRefund = (refund, refundId) =>
+  [refund.refundId, refund.externalRefundId].some(
+    (id) => id && (id === refundId || id === `sq_${refundId}`),
+  );
+
+const handlers = {
+  'payment.completed': async (payment, data) => {
+    if (payment.status !== 'completed') {
+      payment.status = 'completed';
+      payment.processedAt = payment.processedAt || new Date();
+    }
+    if (data.receiptUrl) payment.receiptUrl = data.receiptUrl;
+    await payment.save();
+
+    await Parent.updateOne(
+      { _id: payment.parentId },
+      { $set: { paymentComplete: true } },
+    );
+    return updatePaymentHolders(payment.paymentId, 'paid', [
+      'pending',
+      'failed',
+    ]);
+  },
+
+  'payment.failed': async (payment) => {
+    // A late failure never overrides a refund already recorded locally
+    if (payment.status === 'refunded' || payment.refundStatus === 'full') {
+      return null;
+    }
+
+    payment.status = 'failed';
+    await payment.save();
+    return updatePaymentHolders(payment.paymentId, 'failed', [
+      'pending',
+      'paid',
+    ]);
+  },
+
+  'refund.completed': async (payment, data) => {
+    const alreadyRecorded =
+      data.refundId &&
+      payment.refunds.some((refund) => isSameRefund(refund, data.refundId));
+
+    if (!alreadyRecorded) {
+      payment.refunds.push({
+        refundId: data.refundId,
+        externalRefundId: data.refundId,
+        amount: data.amount ?? payment.amount - (payment.refundedAmount || 0),
+        reason: data.reason || 'Refunded with provider',
+        status: 'completed',
+        processedAt: new Date(),
+        notes: `Recorded from ${payment.paymentSystem} webhook`,
+        source: 'webhook',
+      });
+    }
+
+    payment.refundedAmount = payment.refunds
+      .filter((refund) => refund.status === 'completed')
+      .reduce((sum, refund) => sum + refund.amount, 0);
+    const isFullRefund = payment.refundedAmount >= payment.amount - 0.01;
+    payment.refundStatus = isFullRefund ? 'full' : 'partial';
+    await payment.save();
+
+    if (!isFullRefund) return null;
+    return updatePaymentHolders(payment.paymentId, 'refunded', [
+      'pending',
+      'partial',
+      'paid',
+    ]);
+  },
+};
+
+/**
+ * Apply a stored event to local records. Events that don't map to a
+ * normalized type, or whose payment isn't ours, are marked ignored.
+ */
+const processEvent = async (event) => {
+  event.attempts += 1;
+
+  try {
+    const handler = handlers[event.normalizedType];
+    const payment =
+      handler &&
+      (await Payment.findOne({
+        paymentId: { $in: event.data.paymentIds },
+        paymentSystem: event.provider,
+      }));
+
+    if (!payment) {
+      event.status = 'ignored';
+      event.error = handler ? 'No matching payment record' : undefined;
+    } else {
+      await handler(payment, event.data);
+      event.status = 'processed';
+      event.payment = payment._id;
+      event.error = undefined;
+    }
+    event.processedAt = new Date();
+  } catch (error) {
+    event.status = 'failed';
+    event.error = error.message;
+  }
+
+  await event.save();
+  return event;
+};
+
+const findWebhookConfig = async (provider, payload) => {
+  const query = { paymentSystem: provider, isActive: true };
+  const merchantId = payload.merchantId || payload.merchant_id;
+  if (provider === 'clover' && merchantId) {
+    query['cloverConfig.merchantId'] = merchantId;
+  }
+
+  return PaymentConfiguration.findOne(query)
+    .select(WEBHOOK_SECRETS)
+    .sort({ isDefault: -1, updatedAt: -1 });
+};
+
+/**
+ * Verify, persist and apply one webhook delivery. Deliveries whose
+ * idempotency key was already processed (or ignored) are no-ops; events that
+ * previously failed are retried.
+ *
+ * Returns { event, duplicate }, or { verificationCode } for Clover's URL
+ * verification request. Rejected deliveries throw an error with a
+ * statusCode.
+ */
+const ingestWebhook = async ({ provider, rawBody, headers, url }) => {
+  if (!PROVIDERS.includes(provider)) {
+    throw webhookError(`Unknown payment provider: ${provider}`, 404);
+  }
+
+  const body = Buffer.isBuffer(rawBody) ? rawBody.toString('utf8') : rawBody;
+  let payload;
+  try {
+    payload = JSON.parse(body);
+  } catch (error) {
+    throw webhookError('Webhook body is not valid JSON');
+  }
+
+  // Clover posts a one-time code when the URL is registered; an admin copies
+  // it into the configuration as the webhook secret
+  if (provider === 'clover' && payload.verificationCode) {
+    return { verificationCode: payload.verificationCode };
+  }
+
+  const config = await findWebhookConfig(provider, payload);
+  if (!config) {
+    throw webhookError(`${provider} is not configured`, 404);
+  }
+
+  const verified = await verifiers[provider]({
+    config,
+    headers,
+    rawBody: body,
+    url,
+    payload,
+  });
+  if (!verified) {
+    throw webhookError('Invalid webhook signature', 401);
+  }
+
+  const eventId = eventIdFor(provider, payload, body);
+  const idempotencyKey = `${provider}:${eventId}`;
+
+  let event = await WebhookEvent.findOne({ idempotencyKey });
+  if (event && ['processed', 'ignored'].includes(event.status)) {
+    return { event, duplicate: true };
+  }
+
+  if (!event) {
+    const { normalizedType, data } = normalizers[provider](payload);
+    try {
+      event = await WebhookEvent.create({
+        provider,
+        eventId,
+        idempotencyKey,
+        configurationId: config._id,
+        type: eventTypeFor(provider, payload),
+        normalizedType,
+        data,
+        payload,
+      });
+    } catch (error) {
+      // A concurrent delivery of the same event got there first
+      if (error.code === 11000) {
+        return {
+          event: await WebhookEvent.findOne({ idempotencyKey }),
+          duplicate: true,
+        };
+      }
+      throw error;
+    }
+  }
+
+  return { event: await processEvent(event), duplicate: false };
+};
+
+module.exports = {
+  PROVIDERS,
+  ingestWebhook,
+  processEvent,
+};
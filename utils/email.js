@@ -1343,6 +1343,7 @@ async function sendFormPaymentReceiptEmail(formData, submissionData) {
       tournamentInfo,
       venues,
       formData: formDataFull,
+      admissionTickets = [],
     } = formData;
 
     const { submissionId, submittedAt, cardLast4, cardBrand, paymentStatus } =
@@ -1445,6 +1446,33 @@ async function sendFormPaymentReceiptEmail(formData, submissionData) {
       }
     }
 
+    // Generate QR admission tickets HTML (images are sent as inline attachments)
+    let admissionTicketsHtml = '';
+    const qrAttachments = admissionTickets.map((ticket) => ({
+      filename: `ticket-${ticket.admissionNumber}.png`,
+      content: ticket.qrPng,
+      contentType: 'image/png',
+      inlineContentId: `ticket-qr-${ticket.admissionNumber}`,
+    }));
+
+    if (admissionTickets.length > 0) {
+      admissionTicketsHtml = `
+        <div style="background: #ffffff; padding: 15px; border-radius: 5px; margin: 15px 0; border: 1px dashed #506ee4; text-align: center;">
+          <h3 style="margin-top: 0;">Your Tickets</h3>
+          <p style="margin: 8px 0;">Show one QR code per person at the door. Each code can only be scanned once.</p>
+          ${admissionTickets
+            .map(
+              (ticket) => `
+          <div style="display: inline-block; margin: 10px; text-align: center;">
+            <img src="cid:ticket-qr-${ticket.admissionNumber}" alt="Ticket ${ticket.admissionNumber} QR code" width="180" height="180" style="display: block;" />
+            <span style="font-size: 13px; color: #666;">Admission ${ticket.admissionNumber} of ${admissionTickets.length}</span>
+          </div>`,
+            )
+            .join('')}
+        </div>
+      `;
+    }
+
     // Build the email HTML
     const emailHtml = `
       <!DOCTYPE html>
@@ -1560,6 +1588,7 @@ async function sendFormPaymentReceiptEmail(formData, submissionData) {
                 </table>
               </div>
           </div>
+          ${admissionTicketsHtml}
           ${tournamentDetailsHtml}
           ${
             receiptUrl
@@ -1596,6 +1625,7 @@ async function sendFormPaymentReceiptEmail(formData, submissionData) {
       to: userEmail,
       subject: `Payment Receipt - ${formTitle}`,
       html: emailHtml,
+      ...(qrAttachments.length > 0 && { attachments: qrAttachments }),
     });
 
     if (error) {
@@ -1609,6 +1639,7 @@ async function sendFormPaymentReceiptEmail(formData, submissionData) {
       amount: formattedAmount,
       transactionId,
       submissionId,
+      admissionTickets: admissionTickets.length,
     });
 
     return data;
@@ -2030,6 +2061,8 @@ async function sendAcceptanceEmail({
   squareLink,
   zelleInfo,
   additionalInfo,
+  acceptUrl, // optional: lets the family accept or decline the spot online
+  declineUrl,
 }) {
   try {
     let paymentRowsHtml = '';
@@ -2054,6 +2087,14 @@ async function sendAcceptanceEmail({
         </tr>`;
     }
 
+    const responseHtml = acceptUrl
+      ? `<div style="text-align:center;margin:24px 0;">
+           <p style="font-size:15px;color:#444;margin-bottom:16px;">Please let us know whether ${playerName} will be joining the team:</p>
+           <a href="${acceptUrl}" style="background:#16a34a;color:#fff;padding:12px 24px;border-radius:5px;text-decoration:none;font-weight:bold;margin:0 6px;display:inline-block;">Accept spot</a>
+           <a href="${declineUrl}" style="background:#6b7280;color:#fff;padding:12px 24px;border-radius:5px;text-decoration:none;font-weight:bold;margin:0 6px;display:inline-block;">Decline</a>
+         </div>`
+      : '';
+
     const additionalInfoHtml = additionalInfo
       ? `<div style="background:#f0f4f8;padding:15px;border-radius:5px;margin:20px 0;border-left:4px solid #506ee4;">
            <h3 style="margin-top:0;color:#506ee4;">Additional Information</h3>
@@ -2107,6 +2148,8 @@ async function sendAcceptanceEmail({
               <tbody>${paymentRowsHtml}</tbody>
             </table>
 
+            ${responseHtml}
+
             ${additionalInfoHtml}
 
             <p style="font-size:14px;color:#555;margin-top:24px;">
@@ -229,8 +229,65 @@ const calculateGradeFromDOB = (
   }
 };
 
+// PK sorts before K, which is grade 0
+const gradeNumber = (grade) => {
+  const value = String(grade || '')
+    .trim()
+    .toUpperCase();
+  if (value === 'PK') return -1;
+  if (value === 'K') return 0;
+  const number = parseInt(value, 10);
+  return Number.isNaN(number) ? null : number;
+};
+
+/**
+ * Grades named by free text such as "3rd-5th", "K - 2" or "6th, 7th & 8th
+ * grade", as numbers (PK = -1, K = 0). Empty when the text names none,
+ * which callers treat as open to every grade.
+ *
+ * @param {string} text - e.g. a tryout session's `grades`
+ * @returns {number[]}
+ */
+const parseGradeRange = (text) => {
+  const normalized = String(text || '')
+    .toUpperCase()
+    .replace(/PRE-?K(INDERGARTEN)?/g, 'PK')
+    .replace(/KINDERGARTEN/g, 'K');
+
+  const grade = '(PK|K|\\d{1,2})(?:ST|ND|RD|TH)?';
+  const pattern = new RegExp(
+    `\\b${grade}\\b(?:\\s*(?:-|–|TO|THROUGH|THRU)\\s*${grade}\\b)?`,
+    'g',
+  );
+
+  const grades = new Set();
+  for (const [, from, to] of normalized.matchAll(pattern)) {
+    const start = gradeNumber(from);
+    const end = to === undefined ? start : gradeNumber(to);
+    for (let g = Math.min(start, end); g <= Math.max(start, end); g++) {
+      if (g >= -1 && g <= 12) grades.add(g);
+    }
+  }
+  return [...grades].sort((a, b) => a - b);
+};
+
+/**
+ * Whether a grade ('PK', 'K', '1'–'12') falls within a free-text range.
+ * An empty range admits every grade; an unknown grade is never admitted
+ * to a restricted one.
+ */
+const isGradeInRange = (grade, rangeText) => {
+  const grades = parseGradeRange(rangeText);
+  if (!grades.length) return true;
+
+  const number = gradeNumber(grade);
+  return number !== null && grades.includes(number);
+};
+
 module.exports = {
   calculateGradeFromDOB,
+  parseGradeRange,
+  isGradeInRange,
   getCurrentSchoolYearStart,
   REGIONAL_CUTOFFS,
   ACADEMIC_YEAR_START_MONTH,
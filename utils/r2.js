@@ -25,9 +25,10 @@ const PUBLIC_URL = process.env.R2_PUBLIC_URL;
  * @param {Buffer} fileBuffer - The file buffer
  * @param {string} folder - Folder path (e.g., 'avatars', 'players')
  * @param {string} filename - Original filename
+ * @param {string} [contentType] - MIME type; defaults to an image type
  * @returns {Promise<{url: string, key: string}>}
  */
-const uploadToR2 = async (fileBuffer, folder, filename) => {
+const uploadToR2 = async (fileBuffer, folder, filename, contentType) => {
   try {
     // CRITICAL: Validate buffer
     if (!fileBuffer || fileBuffer.length === 0) {
@@ -50,7 +51,7 @@ const uploadToR2 = async (fileBuffer, folder, filename) => {
       Bucket: BUCKET_NAME,
       Key: key,
       Body: buffer, // Use validated buffer
-      ContentType: `image/${fileExtension}`,
+      ContentType: contentType || `image/${fileExtension}`,
     };
 
     const command = new PutObjectCommand(uploadParams);
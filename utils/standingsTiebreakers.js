@@ -0,0 +1,179 @@
+// utils/standingsTiebreakers.js
+const crypto = require('crypto');
+
+const TIEBREAKER_RULES = [
+  'head-to-head',
+  'point-differential',
+  'points-allowed',
+  'points-scored',
+  'coin-flip',
+];
+
+// Tournaments without a configured chain keep the order standings always
+// had: point differential, then points scored
+const DEFAULT_TIEBREAKERS = ['point-differential', 'points-scored'];
+
+const RULE_LABELS = {
+  'head-to-head': 'Head-to-head record',
+  'point-differential': 'Point differential',
+  'points-allowed': 'Fewest points allowed',
+  'points-scored': 'Most points scored',
+  'coin-flip': 'Coin flip',
+};
+
+const idOf = (ref) => (ref?._id || ref).toString();
+
+const tiebreakerChain = (settings = {}) =>
+  settings.tiebreakers?.length ? settings.tiebreakers : DEFAULT_TIEBREAKERS;
+
+const resultPoints = (scored, allowed, settings) => {
+  if (scored > allowed) return settings.pointsPerWin ?? 3;
+  if (scored < allowed) return settings.pointsPerLoss ?? 0;
+  return settings.pointsPerDraw ?? 1;
+};
+
+// Each rule scores a team within the tied set; higher is always better
+const scoreRule = (rule, teamId, tiedIds, matches, settings, seed) => {
+  const games = matches.filter(
+    (m) => idOf(m.team1) === teamId || idOf(m.team2) === teamId
+  );
+  const sides = games.map((m) => {
+    const isTeam1 = idOf(m.team1) === teamId;
+    return {
+      opponent: idOf(isTeam1 ? m.team2 : m.team1),
+      scored: (isTeam1 ? m.team1Score : m.team2Score) || 0,
+      allowed: (isTeam1 ? m.team2Score : m.team1Score) || 0,
+    };
+  });
+
+  switch (rule) {
+    case 'head-to-head':
+      return sides
+        .filter((s) => tiedIds.includes(s.opponent))
+        .reduce(
+          (sum, s) => sum + resultPoints(s.scored, s.allowed, settings),
+          0
+        );
+    case 'point-differential': {
+      const cap = settings.pointDifferentialCap;
+      return sides.reduce((sum, s) => {
+        const diff = s.scored - s.allowed;
+        return sum + (cap ? Math.max(-cap, Math.min(cap, diff)) : diff);
+      }, 0);
+    }
+    case 'points-allowed':
+      return -sides.reduce((sum, s) => sum + s.allowed, 0);
+    case 'points-scored':
+      return sides.reduce((sum, s) => sum + s.scored, 0);
+    case 'coin-flip':
+      // Seeded so the flip is stable every time the group is re-ranked
+      return crypto
+        .createHash('sha256')
+        .update(`${seed}:${teamId}`)
+        .digest()
+        .readUInt32BE(0);
+    default:
+      return 0;
+  }
+};
+
+// Scores are negated or hashed internally; report what a person would read
+const reportedValue = (rule, value) => {
+  if (rule === 'coin-flip') return null;
+  if (rule === 'points-allowed') return -value;
+  return value;
+};
+
+/**
+ * Order the standings of one group: by points first, then by walking the
+ * tournament's tiebreaker chain (or the default one when none is configured)
+ * over every set of teams still level.
+ * `matches` are the group's completed matches. A rule that splits a tied set
+ * restarts the chain for any smaller set left tied. Coin flip always ends the
+ * chain so every team gets a distinct rank.
+ *
+ * Returns [{ standing, tiebreaker }] in rank order, where tiebreaker is null
+ * for teams separated on points alone.
+ */
+const rankStandings = (standings, matches, settings = {}, seed = '') => {
+  const chain = tiebreakerChain(settings).filter(
+    (rule) => rule !== 'coin-flip'
+  );
+  chain.push('coin-flip');
+
+  const resolve = (tied) => {
+    const tiedIds = tied.map((s) => idOf(s.team));
+
+    for (const rule of chain) {
+      const scored = tied
+        .map((standing) => ({
+          standing,
+          value: scoreRule(
+            rule,
+            idOf(standing.team),
+            tiedIds,
+            matches,
+            settings,
+            seed
+          ),
+        }))
+        .sort((a, b) => b.value - a.value);
+
+      const buckets = [];
+      scored.forEach((entry) => {
+        const last = buckets[buckets.length - 1];
+        if (last && last[0].value === entry.value) last.push(entry);
+        else buckets.push([entry]);
+      });
+
+      if (buckets.length === 1) continue;
+
+      return buckets.flatMap((bucket) => {
+        if (bucket.length > 1) return resolve(bucket.map((e) => e.standing));
+        return [
+          {
+            standing: bucket[0].standing,
+            tiebreaker: {
+              rule,
+              description: RULE_LABELS[rule],
+              value: reportedValue(rule, bucket[0].value),
+              tiedWith: tiedIds.filter(
+                (id) => id !== idOf(bucket[0].standing.team)
+              ),
+            },
+          },
+        ];
+      });
+    }
+
+    // Only reachable if two teams hash identically on the coin flip
+    return tied.map((standing) => ({ standing, tiebreaker: null }));
+  };
+
+  const byPoints = [...standings].sort((a, b) => b.points - a.points);
+  const ranked = [];
+
+  for (let i = 0; i < byPoints.length; ) {
+    let j = i + 1;
+    while (j < byPoints.length && byPoints[j].points === byPoints[i].points) {
+      j++;
+    }
+
+    const tied = byPoints.slice(i, j);
+    if (tied.length === 1) {
+      ranked.push({ standing: tied[0], tiebreaker: null });
+    } else {
+      ranked.push(...resolve(tied));
+    }
+    i = j;
+  }
+
+  return ranked;
+};
+
+module.exports = {
+  TIEBREAKER_RULES,
+  DEFAULT_TIEBREAKERS,
+  tiebreakerChain,
+  rankStandings,
+};
@@ -0,0 +1,119 @@
+// utils/ticketTokens.js
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const QRCode = require('qrcode');
+
+const TICKET_AUDIENCE = 'ticket-admission';
+
+// Ticket tokens are signed with their own secret when one is configured so a
+// leaked ticket can never be confused with (or used as) a login token.
+const getTicketSecret = () => {
+  const secret = process.env.TICKET_SIGNING_SECRET || process.env.JWT_SECRET;
+  if (!secret) {
+    throw new Error(
+      'TICKET_SIGNING_SECRET or JWT_SECRET must be defined to sign tickets.',
+    );
+  }
+  return secret;
+};
+
+/**
+ * Sign the token encoded in an admission's QR code
+ */
+const signAdmissionToken = (purchase, admission) => {
+  return jwt.sign(
+    {
+      pid: purchase._id.toString(),
+      fid: purchase.formId.toString(),
+      n: admission.admissionNumber,
+      v:
+        purchase.venueIndex !== undefined && purchase.venueIndex !== null
+          ? purchase.venueIndex
+          : null,
+    },
+    getTicketSecret(),
+    {
+      audience: TICKET_AUDIENCE,
+      jwtid: admission.tokenId,
+      noTimestamp: true,
+    },
+  );
+};
+
+/**
+ * Verify a scanned token. Throws jsonwebtoken errors when the token is
+ * malformed, tampered with or was not issued as a ticket.
+ */
+const verifyAdmissionToken = (token) => {
+  const decoded = jwt.verify(token, getTicketSecret(), {
+    audience: TICKET_AUDIENCE,
+  });
+
+  return {
+    purchaseId: decoded.pid,
+    formId: decoded.fid,
+    admissionNumber: decoded.n,
+    venueIndex: decoded.v,
+    tokenId: decoded.jti,
+  };
+};
+
+/**
+ * HMAC signature over a check-in roster header (id, event, venue, date) so a
+ * redemption log uploaded later can be tied back to the roster it came from
+ */
+const signRoster = (roster) => {
+  return crypto
+    .createHmac('sha256', getTicketSecret())
+    .update(JSON.stringify(roster))
+    .digest('hex');
+};
+
+const verifyRosterSignature = (roster, signature) => {
+  if (!roster || typeof signature !== 'string') return false;
+
+  const expected = Buffer.from(signRoster(roster), 'hex');
+  const provided = Buffer.from(signature, 'hex');
+
+  return (
+    expected.length === provided.length &&
+    crypto.timingSafeEqual(expected, provided)
+  );
+};
+
+/**
+ * Render a token as a PNG QR code buffer
+ */
+const generateQrPng = (token) => {
+  return QRCode.toBuffer(token, {
+    type: 'png',
+    errorCorrectionLevel: 'M',
+    margin: 2,
+    width: 300,
+  });
+};
+
+/**
+ * Build signed tokens and QR images for every admission on a purchase
+ */
+const buildAdmissionTickets = async (purchase) => {
+  return Promise.all(
+    (purchase.admissions || []).map(async (admission) => {
+      const token = signAdmissionToken(purchase, admission);
+      return {
+        admissionNumber: admission.admissionNumber,
+        token,
+        qrPng: await generateQrPng(token),
+      };
+    }),
+  );
+};
+
+module.exports = {
+  signAdmissionToken,
+  verifyAdmissionToken,
+  signRoster,
+  verifyRosterSignature,
+  generateQrPng,
+  buildAdmissionTickets,
+};